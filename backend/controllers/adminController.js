@@ -1,23 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const crypto = require('crypto');
 const { ethers } = require('ethers');
+const mongoose = require('mongoose');
 const Election = require('../models/Election');
 const Candidate = require('../models/Candidate');
 const Voter = require('../models/Voter');
 const AuditLog = require('../models/AuditLog');
 const AdminSettings = require('../models/AdminSettings');
-const { getContractInstance } = require('../utils/contractUtils');
+const {
+  getOnChainCandidates,
+  getContractInstance,
+  verifyAuditEntryOnChain
+} = require('../utils/contractUtils');
+const { verifyMerkleProof } = require('../utils/merkleTree');
+const { diffDocuments } = require('../utils/auditDiff');
+const { validateRules, listRuleTypes } = require('../utils/eligibility');
+const {
+  getCsvHeader,
+  toCsvRow,
+  toNdjsonLine,
+  tarHeader,
+  tarPadding,
+  TAR_END,
+  sha256
+} = require('../utils/auditExport');
+const AuditAnchor = require('../models/AuditAnchor');
+const AdminUser = require('../models/AdminUser');
+const eventIndexer = require('../services/eventIndexer');
+const scheduler = require('../services/scheduler');
+const electionLifecycle = require('../services/electionLifecycle');
+const candidateReview = require('../services/candidateReview');
+const resultCertification = require('../services/resultCertification');
+const { storeCandidatePhoto } = require('../services/candidateProfile');
+const { PHOTO_CONTENT_TYPES } = require('../utils/images');
+const { TIE_BREAK_POLICIES } = require('../utils/tieBreak');
+const { getStorage } = require('../services/fileStorage');
+const { EXTENSIONS } = require('../utils/fileTypes');
+const ScheduledJob = require('../models/ScheduledJob');
+const AdminSession = require('../models/AdminSession');
+const { getAdminRole, getAdminAddresses } = require('../middleware/adminAuth');
+const { ROLES, getPermissionsForRole } = require('../utils/permissions');
+const {
+  getTransitionError,
+  getChangedFields,
+  getUpdateError,
+  getDeletionError
+} = require('../utils/electionStates');
 
 // Check if wallet address is admin
 const checkAdminStatus = async (req, res) => {
   try {
     const { walletAddress } = req.params;
     
-    // Check if address is in admin list (from environment or database)
-    const adminAddresses = process.env.ADMIN_ADDRESSES?.split(',') || [];
-    const isAdmin = adminAddresses.includes(walletAddress.toLowerCase());
+    // Check if address is an admin and which role it holds
+    const role = await getAdminRole(walletAddress);
     
     res.json({
       success: true,
-      isAdmin,
+      isAdmin: !!role,
+      role,
+      permissions: getPermissionsForRole(role),
       walletAddress
     });
   } catch (error) {
@@ -114,9 +160,34 @@ const createElection = async (req, res) => {
       endDate,
       votingMode = 'SIMPLE_MAJORITY',
       maxCandidates,
-      requirements
+      requirements,
+      commitReveal = false,
+      tieBreakPolicy = 'runoff'
     } = req.body;
 
+    // A commitment seals a single unweighted vote, so ranked and delegated ballots cannot be committed
+    if (commitReveal && ['RANKED_CHOICE', 'LIQUID_DEMOCRACY'].includes(votingMode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Commit-reveal voting is not available for ranked-choice or liquid democracy elections'
+      });
+    }
+
+    const rulesError = validateRules(requirements && requirements.rules);
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        message: rulesError
+      });
+    }
+
+    if (!TIE_BREAK_POLICIES.includes(tieBreakPolicy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Tie-break policy must be one of: ${TIE_BREAK_POLICIES.join(', ')}`
+      });
+    }
+
     const election = new Election({
       title,
       description,
@@ -125,6 +196,8 @@ const createElection = async (req, res) => {
       votingMode,
       maxCandidates: maxCandidates || 10,
       requirements: requirements || {},
+      commitReveal: !!commitReveal,
+      tieBreakPolicy,
       status: 'draft',
       createdBy: req.adminAddress
     });
@@ -132,12 +205,9 @@ const createElection = async (req, res) => {
     await election.save();
 
     // Log audit trail
-    await AuditLog.create({
-      action: 'ELECTION_CREATED',
-      actor: req.adminAddress,
-      data: { electionId: election._id, title },
-      timestamp: Math.floor(Date.now() / 1000)
-    });
+    await req.audit('ELECTION_CREATED', req.adminAddress, { electionId: election._id, title }, { electionId: election._id });
+
+    await scheduler.scheduleElection(election);
 
     res.status(201).json({
       success: true,
@@ -153,6 +223,22 @@ const createElection = async (req, res) => {
   }
 };
 
+// List the eligibility rule types elections can use in requirements.rules
+const getEligibilityRuleTypes = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ruleTypes: listRuleTypes()
+    });
+  } catch (error) {
+    console.error('Error listing eligibility rule types:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list eligibility rule types'
+    });
+  }
+};
+
 // Get single election
 const getElection = async (req, res) => {
   try {
@@ -179,18 +265,26 @@ const getElection = async (req, res) => {
   }
 };
 
+// Send a rejected lifecycle change with its explanation (see utils/electionStates)
+const sendStateError = (res, explanation) => res.status(400).json({
+  success: false,
+  ...explanation
+});
+
+// Whether any ballot has been cast or committed in an election
+const hasBallots = async (election) => {
+  if (election.voteCount > 0) {
+    return true;
+  }
+  return !!(await Voter.exists({ 'votingHistory.electionId': election._id }));
+};
+
 // Update election
 const updateElection = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
-
-    const election = await Election.findByIdAndUpdate(
-      id,
-      { ...updateData, updatedAt: new Date() },
-      { new: true, runValidators: true }
-    );
 
+    const election = await Election.findById(id);
     if (!election) {
       return res.status(404).json({
         success: false,
@@ -198,13 +292,30 @@ const updateElection = async (req, res) => {
       });
     }
 
-    // Log audit trail
-    await AuditLog.create({
-      action: 'ELECTION_UPDATED',
-      actor: req.adminAddress,
-      data: { electionId: id, updates: updateData },
-      timestamp: Math.floor(Date.now() / 1000)
-    });
+    // Only fields the election's status allows to change; the status itself moves through the action endpoints
+    const updates = getChangedFields(election, req.body);
+    const updateError = getUpdateError(election, updates);
+    if (updateError) {
+      return sendStateError(res, updateError);
+    }
+
+    const rulesError = validateRules(updates.requirements && updates.requirements.rules);
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        message: rulesError
+      });
+    }
+
+    const before = election.toObject();
+    election.set({ ...updates, updatedBy: req.adminAddress });
+    await election.save();
+
+    // Log audit trail with what actually changed
+    await req.audit('ELECTION_UPDATED', req.adminAddress, { electionId: id, updates }, { electionId: id }, diffDocuments(before, election));
+
+    // Move the election's jobs to its new dates
+    await scheduler.scheduleElection(election);
 
     res.json({
       success: true,
@@ -220,11 +331,11 @@ const updateElection = async (req, res) => {
   }
 };
 
-// Delete election
+// Delete an election that never took ballots, along with its candidates
 const deleteElection = async (req, res) => {
   try {
     const { id } = req.params;
-    const election = await Election.findByIdAndDelete(id);
+    const election = await Election.findById(id);
 
     if (!election) {
       return res.status(404).json({
@@ -233,13 +344,23 @@ const deleteElection = async (req, res) => {
       });
     }
 
+    const deletionError = getDeletionError(election, await hasBallots(election));
+    if (deletionError) {
+      return sendStateError(res, deletionError);
+    }
+
+    await election.deleteOne();
+    const candidates = await Candidate.deleteMany({ electionId: election._id });
+
     // Log audit trail
-    await AuditLog.create({
-      action: 'ELECTION_DELETED',
-      actor: req.adminAddress,
-      data: { electionId: id, title: election.title },
-      timestamp: Math.floor(Date.now() / 1000)
-    });
+    await req.audit('ELECTION_DELETED', req.adminAddress, {
+      electionId: id,
+      title: election.title,
+      status: election.status,
+      candidatesDeleted: candidates.deletedCount
+    }, { electionId: id });
+
+    await ScheduledJob.cancelForElection(election._id);
 
     res.json({
       success: true,
@@ -254,6 +375,20 @@ const deleteElection = async (req, res) => {
   }
 };
 
+// Read the reason an admin gives for pausing, resuming or cancelling an election
+const readStatusReason = (body) => (typeof body.reason === 'string' ? body.reason.trim() : '');
+
+// Send the response for a failed lifecycle step, or rethrow an unexpected error
+const sendLifecycleError = (res, error) => {
+  if (!error.cause) {
+    throw error;
+  }
+  return res.status(500).json({
+    success: false,
+    message: error.message
+  });
+};
+
 // Start election
 const startElection = async (req, res) => {
   try {
@@ -267,30 +402,48 @@ const startElection = async (req, res) => {
       });
     }
 
-    if (election.status !== 'draft') {
+    const transitionError = getTransitionError(election, 'start');
+    if (transitionError) {
+      return sendStateError(res, transitionError);
+    }
+
+    // The on-chain session stays open until the election's end date
+    if (election.endDate <= new Date()) {
       return res.status(400).json({
         success: false,
-        message: 'Election can only be started from draft status'
+        message: 'Election end date has already passed'
       });
     }
 
-    // Update election status
-    election.status = 'active';
-    election.actualStartDate = new Date();
-    await election.save();
+    let session;
+    try {
+      session = await electionLifecycle.openElection(election);
+    } catch (error) {
+      return sendLifecycleError(res, error);
+    }
 
     // Log audit trail
-    await AuditLog.create({
-      action: 'ELECTION_STARTED',
-      actor: req.adminAddress,
-      data: { electionId: id, title: election.title },
-      timestamp: Math.floor(Date.now() / 1000)
+    await req.audit('ELECTION_STARTED', req.adminAddress, {
+      electionId: id,
+      title: election.title,
+      onChainId: election.onChainId,
+      votingEndTime: session.endTime,
+      revealEndTime: session.revealEndTime,
+      tieBreakSeedHash: election.lot.seedHash
+    }, {
+      electionId: id,
+      transactionHash: session.transactionHash,
+      blockNumber: session.blockNumber
     });
 
+    // Replace the start job with one that closes the election
+    await scheduler.scheduleElection(election);
+
     res.json({
       success: true,
       message: 'Election started successfully',
-      election
+      election,
+      phase: election.phase
     });
   } catch (error) {
     console.error('Error starting election:', error);
@@ -314,30 +467,49 @@ const stopElection = async (req, res) => {
       });
     }
 
-    if (election.status !== 'active') {
+    const transitionError = getTransitionError(election, 'stop');
+    if (transitionError) {
+      return sendStateError(res, transitionError);
+    }
+
+    // Committed ballots can only be counted once they are revealed, so the reveal phase always runs
+    if (election.phase === 'reveal') {
       return res.status(400).json({
         success: false,
-        message: 'Only active elections can be stopped'
+        message: `Election is in its reveal phase until ${election.revealEndDate.toISOString()}`
       });
     }
 
-    // Update election status
-    election.status = 'completed';
-    election.actualEndDate = new Date();
-    await election.save();
+    // Stopping a commit-reveal election during its commit phase opens the reveal phase
+    let stopped;
+    try {
+      stopped = await electionLifecycle.closeElection(election);
+    } catch (error) {
+      return sendLifecycleError(res, error);
+    }
 
     // Log audit trail
-    await AuditLog.create({
-      action: 'ELECTION_STOPPED',
-      actor: req.adminAddress,
-      data: { electionId: id, title: election.title },
-      timestamp: Math.floor(Date.now() / 1000)
+    await req.audit('ELECTION_STOPPED', req.adminAddress, {
+      electionId: id,
+      title: election.title,
+      onChainId: election.onChainId,
+      phase: election.phase
+    }, {
+      electionId: id,
+      transactionHash: stopped ? stopped.transactionHash : undefined,
+      blockNumber: stopped ? stopped.blockNumber : undefined
     });
 
+    // Cancel the close job, or move it to the rescheduled end of the reveal phase
+    await scheduler.scheduleElection(election);
+
     res.json({
       success: true,
-      message: 'Election stopped successfully',
-      election
+      message: election.phase === 'reveal'
+        ? 'Commit phase closed; ballots can now be revealed'
+        : 'Election stopped successfully',
+      election,
+      phase: election.phase
     });
   } catch (error) {
     console.error('Error stopping election:', error);
@@ -348,329 +520,1137 @@ const stopElection = async (req, res) => {
   }
 };
 
-// Get all candidates
-const getCandidates = async (req, res) => {
+// Pause an active election: no ballots are taken until it is resumed
+const pauseElection = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, search } = req.query;
-    const query = {};
-    
-    if (status && status !== 'all') {
-      query.status = status;
+    const { id } = req.params;
+    const reason = readStatusReason(req.body);
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to pause an election'
+      });
     }
-    
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { party: { $regex: search, $options: 'i' } }
-      ];
+
+    const election = await Election.findById(id);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
     }
 
-    const candidates = await Candidate.find(query)
-      .populate('electionId', 'title')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const transitionError = getTransitionError(election, 'pause');
+    if (transitionError) {
+      return sendStateError(res, transitionError);
+    }
 
-    const total = await Candidate.countDocuments(query);
+    let paused;
+    try {
+      paused = await electionLifecycle.pauseElection(election, reason, req.adminAddress);
+    } catch (error) {
+      return sendLifecycleError(res, error);
+    }
+
+    await req.audit('ELECTION_PAUSED', req.adminAddress, {
+      electionId: id,
+      title: election.title,
+      reason
+    }, {
+      electionId: id,
+      transactionHash: paused ? paused.transactionHash : undefined,
+      blockNumber: paused ? paused.blockNumber : undefined
+    });
+
+    // A paused election is not closed on schedule; resuming schedules it again
+    await scheduler.scheduleElection(election);
 
     res.json({
       success: true,
-      candidates,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page
+      message: 'Election paused',
+      election
     });
   } catch (error) {
-    console.error('Error fetching candidates:', error);
+    console.error('Error pausing election:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch candidates'
+      message: 'Failed to pause election'
     });
   }
 };
 
-// Register new candidate
-const registerCandidate = async (req, res) => {
+// Resume a paused election
+const resumeElection = async (req, res) => {
   try {
-    const {
-      name,
-      party,
-      description,
-      photo,
-      electionId,
-      walletAddress,
-      email,
-      phone
-    } = req.body;
+    const { id } = req.params;
+    const reason = readStatusReason(req.body);
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to resume an election'
+      });
+    }
 
-    const candidate = new Candidate({
-      name,
-      party,
-      description,
-      photo,
-      electionId,
-      walletAddress,
-      email,
-      phone,
-      status: 'pending',
-      registeredBy: req.adminAddress
-    });
+    const election = await Election.findById(id);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
 
-    await candidate.save();
+    const transitionError = getTransitionError(election, 'resume');
+    if (transitionError) {
+      return sendStateError(res, transitionError);
+    }
 
-    // Log audit trail
-    await AuditLog.create({
-      action: 'CANDIDATE_REGISTERED',
-      actor: req.adminAddress,
-      data: { candidateId: candidate._id, name, electionId },
-      timestamp: Math.floor(Date.now() / 1000)
+    const pauseReason = election.pause.reason;
+    let unpaused;
+    try {
+      unpaused = await electionLifecycle.resumeElection(election);
+    } catch (error) {
+      return sendLifecycleError(res, error);
+    }
+
+    await req.audit('ELECTION_RESUMED', req.adminAddress, {
+      electionId: id,
+      title: election.title,
+      reason,
+      pauseReason
+    }, {
+      electionId: id,
+      transactionHash: unpaused ? unpaused.transactionHash : undefined,
+      blockNumber: unpaused ? unpaused.blockNumber : undefined
     });
 
-    res.status(201).json({
+    // Closes right away if the end date passed while it was paused
+    await scheduler.scheduleElection(election);
+
+    res.json({
       success: true,
-      message: 'Candidate registered successfully',
-      candidate
+      message: 'Election resumed',
+      election
     });
   } catch (error) {
-    console.error('Error registering candidate:', error);
+    console.error('Error resuming election:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to register candidate'
+      message: 'Failed to resume election'
     });
   }
 };
 
-// Get single candidate
-const getCandidate = async (req, res) => {
+// Cancel an election that has not finished; it cannot be restarted
+const cancelElection = async (req, res) => {
   try {
     const { id } = req.params;
-    const candidate = await Candidate.findById(id).populate('electionId');
-    
-    if (!candidate) {
+    const reason = readStatusReason(req.body);
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to cancel an election'
+      });
+    }
+
+    const election = await Election.findById(id);
+    if (!election) {
       return res.status(404).json({
         success: false,
-        message: 'Candidate not found'
+        message: 'Election not found'
       });
     }
 
+    const transitionError = getTransitionError(election, 'cancel');
+    if (transitionError) {
+      return sendStateError(res, transitionError);
+    }
+
+    const previousStatus = election.status;
+    let stopped;
+    try {
+      stopped = await electionLifecycle.cancelElection(election, reason, req.adminAddress);
+    } catch (error) {
+      return sendLifecycleError(res, error);
+    }
+
+    await req.audit('ELECTION_CANCELLED', req.adminAddress, {
+      electionId: id,
+      title: election.title,
+      reason,
+      previousStatus
+    }, {
+      electionId: id,
+      transactionHash: stopped ? stopped.transactionHash : undefined,
+      blockNumber: stopped ? stopped.blockNumber : undefined
+    });
+
+    await scheduler.scheduleElection(election);
+
     res.json({
       success: true,
-      candidate
+      message: 'Election cancelled',
+      election
     });
   } catch (error) {
-    console.error('Error fetching candidate:', error);
+    console.error('Error cancelling election:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch candidate'
+      message: 'Failed to cancel election'
     });
   }
 };
 
-// Update candidate
-const updateCandidate = async (req, res) => {
+// Archive a completed or cancelled election: it stays on record, with its ballots, and can no longer change
+const archiveElection = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
-
-    const candidate = await Candidate.findByIdAndUpdate(
-      id,
-      { ...updateData, updatedAt: new Date() },
-      { new: true, runValidators: true }
-    );
+    const election = await Election.findById(id);
 
-    if (!candidate) {
+    if (!election) {
       return res.status(404).json({
         success: false,
-        message: 'Candidate not found'
+        message: 'Election not found'
       });
     }
 
-    // Log audit trail
-    await AuditLog.create({
-      action: 'CANDIDATE_UPDATED',
-      actor: req.adminAddress,
-      data: { candidateId: id, updates: updateData },
-      timestamp: Math.floor(Date.now() / 1000)
-    });
+    const transitionError = getTransitionError(election, 'archive');
+    if (transitionError) {
+      return sendStateError(res, transitionError);
+    }
+
+    const previousStatus = election.status;
+    election.status = 'archived';
+    election.archive = { archivedAt: new Date(), archivedBy: req.adminAddress, previousStatus };
+    await election.save();
+
+    await req.audit('ELECTION_ARCHIVED', req.adminAddress, {
+      electionId: id,
+      title: election.title,
+      previousStatus
+    }, { electionId: id });
 
     res.json({
       success: true,
-      message: 'Candidate updated successfully',
-      candidate
+      message: 'Election archived',
+      election
     });
   } catch (error) {
-    console.error('Error updating candidate:', error);
+    console.error('Error archiving election:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update candidate'
+      message: 'Failed to archive election'
     });
   }
 };
 
-// Delete candidate
-const deleteCandidate = async (req, res) => {
+// Record the certification on-chain if enough admins have signed, then send it
+const sendCertification = async (req, res, election, message) => {
+  const wasPending = election.certification.status === 'pending';
+  let certified;
   try {
-    const { id } = req.params;
-    const candidate = await Candidate.findByIdAndDelete(id);
+    certified = await resultCertification.recordCertification(election);
+  } catch (error) {
+    return sendLifecycleError(res, error);
+  }
 
-    if (!candidate) {
+  if (certified && wasPending) {
+    await req.audit('RESULTS_CERTIFIED', req.adminAddress, {
+      electionId: election._id,
+      title: election.title,
+      resultHash: election.certification.resultHash,
+      signers: election.certification.signatures.map(signature => signature.address)
+    }, {
+      electionId: election._id,
+      transactionHash: election.certification.transactionHash,
+      blockNumber: election.certification.blockNumber
+    });
+  }
+
+  res.json({
+    success: true,
+    message: certified ? 'Results certified' : message,
+    certification: resultCertification.describeCertification(election)
+  });
+};
+
+// Freeze a completed election's results for certification; the tally is locked from here on
+const startResultCertification = async (req, res) => {
+  try {
+    let election = await Election.findById(req.params.id);
+    if (!election) {
       return res.status(404).json({
         success: false,
-        message: 'Candidate not found'
+        message: 'Election not found'
       });
     }
 
-    // Log audit trail
-    await AuditLog.create({
-      action: 'CANDIDATE_DELETED',
-      actor: req.adminAddress,
-      data: { candidateId: id, name: candidate.name },
-      timestamp: Math.floor(Date.now() / 1000)
-    });
+    const certificationError = resultCertification.getCertificationError(election);
+    if (certificationError) {
+      return res.status(400).json({
+        success: false,
+        message: certificationError
+      });
+    }
+
+    // Certify only the tally the contract holds, not one the event indexer has yet to catch up with
+    let mismatches;
+    try {
+      mismatches = await resultCertification.findTallyMismatches(election);
+    } catch (error) {
+      return sendLifecycleError(res, error);
+    }
+    if (mismatches.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The indexed tally does not match the contract yet; try again once the event indexer has caught up',
+        mismatches
+      });
+    }
+
+    const freezeError = await resultCertification.freezeResults(election, req.adminAddress);
+    if (freezeError) {
+      return res.status(freezeError.status).json({
+        success: false,
+        message: freezeError.message
+      });
+    }
+
+    election = await Election.findById(election._id);
+    await req.audit('RESULTS_CERTIFICATION_STARTED', req.adminAddress, {
+      electionId: election._id,
+      title: election.title,
+      resultHash: election.certification.resultHash,
+      requiredSignatures: election.certification.requiredSignatures
+    }, { electionId: election._id });
 
     res.json({
       success: true,
-      message: 'Candidate deleted successfully'
+      message: 'Results frozen for certification',
+      certification: resultCertification.describeCertification(election)
     });
   } catch (error) {
-    console.error('Error deleting candidate:', error);
+    console.error('Error starting results certification:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete candidate'
+      message: 'Failed to start results certification'
     });
   }
 };
 
-// Approve candidate
-const approveCandidate = async (req, res) => {
+// Sign the frozen results; the signature that completes the quorum records them on-chain
+const signResultCertification = async (req, res) => {
   try {
-    const { id } = req.params;
-    const candidate = await Candidate.findByIdAndUpdate(
-      id,
-      { status: 'active', approvedAt: new Date(), approvedBy: req.adminAddress },
-      { new: true }
-    );
+    let election = await Election.findById(req.params.id);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    const signatureError = await resultCertification.addSignature(election, req.adminAddress, req.body.signature);
+    if (signatureError) {
+      return res.status(signatureError.status).json({
+        success: false,
+        message: signatureError.message
+      });
+    }
+
+    election = await Election.findById(election._id);
+    await req.audit('RESULTS_CERTIFICATION_SIGNED', req.adminAddress, {
+      electionId: election._id,
+      resultHash: election.certification.resultHash,
+      signature: req.body.signature,
+      signatures: election.certification.signatures.length,
+      requiredSignatures: election.certification.requiredSignatures
+    }, { electionId: election._id });
+
+    await sendCertification(req, res, election, 'Signature added');
+  } catch (error) {
+    console.error('Error signing results certification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign results certification'
+    });
+  }
+};
+
+// Retry recording fully signed results on-chain after a failed attempt
+const recordResultCertification = async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    const { certification } = election;
+    if (certification.status !== 'pending' || certification.signatures.length < certification.requiredSignatures) {
+      return res.status(400).json({
+        success: false,
+        message: certification.status === 'pending'
+          ? `${certification.signatures.length} of ${certification.requiredSignatures} required signatures collected`
+          : resultCertification.getCertificationError(election) || 'The results of this election are not being certified'
+      });
+    }
+
+    await sendCertification(req, res, election, 'Certification recorded');
+  } catch (error) {
+    console.error('Error recording results certification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record results certification'
+    });
+  }
+};
+
+// Withdraw a certification that is still collecting signatures, e.g. to correct the tally first
+const withdrawResultCertification = async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    const reason = readStatusReason(req.body);
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason for withdrawing the certification is required'
+      });
+    }
+
+    const resultHash = election.certification.resultHash;
+    if (!(await resultCertification.withdrawCertification(election))) {
+      return res.status(400).json({
+        success: false,
+        message: election.certification.status === 'certified'
+          ? 'Certified results cannot be withdrawn'
+          : 'The results of this election are not being certified'
+      });
+    }
+
+    await req.audit('RESULTS_CERTIFICATION_WITHDRAWN', req.adminAddress, {
+      electionId: election._id,
+      title: election.title,
+      resultHash,
+      reason
+    }, { electionId: election._id });
+
+    res.json({
+      success: true,
+      message: 'Certification withdrawn'
+    });
+  } catch (error) {
+    console.error('Error withdrawing results certification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw results certification'
+    });
+  }
+};
+
+// Get all candidates
+const getCandidates = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, search, source, appeal } = req.query;
+    const query = {};
+    
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    // Self-nominations or candidates registered by admins
+    if (source === 'nomination') {
+      query['nomination.selfNominated'] = true;
+    } else if (source === 'admin') {
+      query['nomination.selfNominated'] = { $ne: true };
+    }
+
+    // Appeals waiting for a decision
+    if (appeal === 'pending') {
+      query['appeal.submittedAt'] = { $exists: true };
+      query['appeal.decision'] = { $exists: false };
+    }
+    
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { party: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const candidates = await Candidate.find(query)
+      .populate('electionId', 'title')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Candidate.countDocuments(query);
+
+    res.json({
+      success: true,
+      candidates,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Error fetching candidates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch candidates'
+    });
+  }
+};
+
+// Register new candidate
+const registerCandidate = async (req, res) => {
+  try {
+    const {
+      name,
+      party,
+      description,
+      photo,
+      electionId,
+      walletAddress,
+      email,
+      phone
+    } = req.body;
+
+    const candidate = new Candidate({
+      name,
+      party,
+      description,
+      photo,
+      electionId,
+      walletAddress,
+      email,
+      phone,
+      status: 'pending',
+      registeredBy: req.adminAddress
+    });
+
+    await candidate.save();
+
+    // Log audit trail
+    await req.audit('CANDIDATE_REGISTERED', req.adminAddress, { candidateId: candidate._id, name, electionId }, { electionId, candidateId: candidate._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Candidate registered successfully',
+      candidate
+    });
+  } catch (error) {
+    console.error('Error registering candidate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register candidate'
+    });
+  }
+};
+
+// Get single candidate
+const getCandidate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const candidate = await Candidate.findById(id).populate('electionId');
+    
+    if (!candidate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Candidate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      candidate
+    });
+  } catch (error) {
+    console.error('Error fetching candidate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch candidate'
+    });
+  }
+};
+
+// Update candidate
+const updateCandidate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updateData = req.body;
+
+    const before = await Candidate.findById(id);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Candidate not found'
+      });
+    }
+
+    const candidate = await Candidate.findByIdAndUpdate(
+      id,
+      { ...updateData, updatedAt: new Date() },
+      { new: true, runValidators: true }
+    );
+
+    // Log audit trail with what actually changed
+    await req.audit(
+      'CANDIDATE_UPDATED',
+      req.adminAddress,
+      { candidateId: id, updates: updateData },
+      { electionId: candidate.electionId, candidateId: id },
+      diffDocuments(before, candidate)
+    );
+
+    res.json({
+      success: true,
+      message: 'Candidate updated successfully',
+      candidate
+    });
+  } catch (error) {
+    if (error.code === 'TALLY_LOCKED') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error updating candidate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update candidate'
+    });
+  }
+};
+
+// Delete candidate
+const deleteCandidate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const candidate = await Candidate.findByIdAndDelete(id);
+
+    if (!candidate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Candidate not found'
+      });
+    }
+
+    // Log audit trail
+    await req.audit('CANDIDATE_DELETED', req.adminAddress, { candidateId: id, name: candidate.name }, { electionId: candidate.electionId, candidateId: id });
+
+    res.json({
+      success: true,
+      message: 'Candidate deleted successfully'
+    });
+  } catch (error) {
+    if (error.code === 'TALLY_LOCKED') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error deleting candidate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete candidate'
+    });
+  }
+};
+
+// Approve candidate
+const approveCandidate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const candidate = await Candidate.findById(id);
+
+    if (!candidate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Candidate not found'
+      });
+    }
+
+    const election = await Election.findById(candidate.electionId);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    // Registers the candidate on-chain once; re-approving keeps the existing on-chain ID
+    const upheldAppeal = candidate.appealPending;
+    try {
+      await candidateReview.approveCandidate(candidate, election, req.adminAddress);
+    } catch (error) {
+      return sendLifecycleError(res, error);
+    }
+
+    // Log audit trail
+    await req.audit('CANDIDATE_APPROVED', req.adminAddress, {
+      candidateId: id,
+      name: candidate.name,
+      onChainId: candidate.onChainId,
+      registrationTxHash: candidate.registrationTxHash,
+      profileCid: candidate.profileCid,
+      appealUpheld: upheldAppeal || undefined
+    }, {
+      electionId: candidate.electionId,
+      candidateId: id,
+      transactionHash: candidate.registrationTxHash
+    });
+
+    const emailSent = await candidateReview.notifyCandidate(candidate, election, 'approved');
+
+    res.json({
+      success: true,
+      message: 'Candidate approved successfully',
+      candidate,
+      emailSent
+    });
+  } catch (error) {
+    console.error('Error approving candidate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve candidate'
+    });
+  }
+};
+
+// Reject candidate
+const rejectCandidate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    const candidate = await Candidate.findById(id);
+    if (!candidate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Candidate not found'
+      });
+    }
+
+    // Rejecting a candidate whose appeal is pending dismisses the appeal
+    const dismissedAppeal = candidate.appealPending;
+    await candidateReview.rejectCandidate(candidate, reason, req.adminAddress);
+
+    // Log audit trail
+    await req.audit('CANDIDATE_REJECTED', req.adminAddress, {
+      candidateId: id,
+      name: candidate.name,
+      reason: reason || undefined,
+      appealDismissed: dismissedAppeal || undefined
+    }, { electionId: candidate.electionId, candidateId: id });
+
+    const election = await Election.findById(candidate.electionId);
+    const emailSent = await candidateReview.notifyCandidate(candidate, election, 'rejected');
+
+    res.json({
+      success: true,
+      message: 'Candidate rejected successfully',
+      candidate,
+      emailSent
+    });
+  } catch (error) {
+    console.error('Error rejecting candidate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject candidate'
+    });
+  }
+};
+
+// Set a candidate's photo from an uploaded image, resized and stored in the media store
+const uploadCandidatePhoto = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a JPEG, PNG or WebP image'
+      });
+    }
+
+    const candidate = mongoose.isValidObjectId(id) ? await Candidate.findById(id) : null;
+    if (!candidate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Candidate not found'
+      });
+    }
+
+    // The photo is part of the profile registered on-chain, so it is fixed once the candidate is registered
+    if (candidate.isOnChain) {
+      return res.status(400).json({
+        success: false,
+        message: 'The photo of a candidate registered on-chain cannot change'
+      });
+    }
+
+    const previous = candidate.media && candidate.media.photo ? candidate.media.photo.cid : undefined;
+    const stored = await storeCandidatePhoto(candidate, req.body);
+    if (stored.error) {
+      return res.status(400).json({
+        success: false,
+        message: stored.error
+      });
+    }
+    await candidate.save();
+
+    await req.audit('CANDIDATE_PHOTO_UPLOADED', req.adminAddress, {
+      candidateId: id,
+      photoCid: candidate.media.photo.cid,
+      thumbnailCid: candidate.media.thumbnail.cid,
+      previousPhotoCid: previous
+    }, { electionId: candidate.electionId, candidateId: id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Photo uploaded',
+      candidate
+    });
+  } catch (error) {
+    console.error('Error uploading candidate photo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload photo'
+    });
+  }
+};
+
+// Stream a candidate's uploaded manifesto or supporting document to a reviewer
+const getCandidateDocumentFile = async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+    const candidate = mongoose.isValidObjectId(id) ? await Candidate.findById(id) : null;
+    const document = candidate && mongoose.isValidObjectId(documentId) ? candidate.documents.id(documentId) : null;
+    if (!document || !document.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const stream = await getStorage().open(document.storageKey);
+    res.setHeader('Content-Type', document.contentType);
+    res.setHeader('Content-Disposition', `inline; filename="${document.type}.${EXTENSIONS[document.contentType] || 'bin'}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    stream.on('error', error => res.destroy(error));
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error reading candidate document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read document'
+    });
+  }
+};
+
+// Reconciliation report: candidates that exist only on one side or disagree between Mongo and the contract
+const getCandidateReconciliation = async (req, res) => {
+  try {
+    const [onChainCandidates, candidates] = await Promise.all([
+      getOnChainCandidates(),
+      Candidate.find({ $or: [{ status: 'active' }, { onChainId: { $exists: true } }] })
+        .select('name status electionId onChainId registrationTxHash voteCount')
+        .populate('electionId', 'title onChainId')
+    ]);
+
+    const onChainById = new Map(onChainCandidates.map(c => [c.onChainId, c]));
+    const linkedIds = new Set();
+
+    const offChainOnly = [];
+    const mismatched = [];
+    let matched = 0;
+
+    candidates.forEach(candidate => {
+      if (!candidate.isOnChain) {
+        offChainOnly.push({
+          candidateId: candidate._id,
+          name: candidate.name,
+          status: candidate.status,
+          reason: 'not_registered'
+        });
+        return;
+      }
+
+      const onChain = onChainById.get(candidate.onChainId);
+      if (!onChain) {
+        offChainOnly.push({
+          candidateId: candidate._id,
+          name: candidate.name,
+          status: candidate.status,
+          onChainId: candidate.onChainId,
+          reason: 'missing_on_chain'
+        });
+        return;
+      }
+
+      linkedIds.add(candidate.onChainId);
+
+      const differences = [];
+      const electionOnChainId = candidate.electionId ? candidate.electionId.onChainId : undefined;
+      if (onChain.electionId !== electionOnChainId) {
+        differences.push({ field: 'electionId', offChain: electionOnChainId, onChain: onChain.electionId });
+      }
+      if (onChain.name !== candidate.name) {
+        differences.push({ field: 'name', offChain: candidate.name, onChain: onChain.name });
+      }
+      if (onChain.voteCount !== candidate.voteCount) {
+        differences.push({ field: 'voteCount', offChain: candidate.voteCount, onChain: onChain.voteCount });
+      }
 
-    if (!candidate) {
-      return res.status(404).json({
-        success: false,
-        message: 'Candidate not found'
-      });
-    }
+      if (differences.length > 0) {
+        mismatched.push({
+          candidateId: candidate._id,
+          onChainId: candidate.onChainId,
+          differences
+        });
+      } else {
+        matched++;
+      }
+    });
 
-    // Log audit trail
-    await AuditLog.create({
-      action: 'CANDIDATE_APPROVED',
-      actor: req.adminAddress,
-      data: { candidateId: id, name: candidate.name },
-      timestamp: Math.floor(Date.now() / 1000)
+    const onChainOnly = onChainCandidates.filter(c => !linkedIds.has(c.onChainId));
+
+    res.json({
+      success: true,
+      report: {
+        generatedAt: new Date(),
+        summary: {
+          onChain: onChainCandidates.length,
+          offChain: candidates.length,
+          matched,
+          mismatched: mismatched.length,
+          onChainOnly: onChainOnly.length,
+          offChainOnly: offChainOnly.length
+        },
+        mismatched,
+        onChainOnly,
+        offChainOnly
+      }
+    });
+  } catch (error) {
+    console.error('Error building candidate reconciliation report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build candidate reconciliation report'
     });
+  }
+};
+
+// Get event indexer progress
+const getIndexerStatus = async (req, res) => {
+  try {
+    const status = await eventIndexer.getStatus();
 
     res.json({
       success: true,
-      message: 'Candidate approved successfully',
-      candidate
+      status
     });
   } catch (error) {
-    console.error('Error approving candidate:', error);
+    console.error('Error fetching indexer status:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to approve candidate'
+      message: 'Failed to fetch indexer status'
     });
   }
 };
 
-// Reject candidate
-const rejectCandidate = async (req, res) => {
+// List scheduled election jobs, newest run time first
+const getScheduledJobs = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { reason } = req.body;
-    
-    const candidate = await Candidate.findByIdAndUpdate(
-      id,
-      { 
-        status: 'rejected', 
-        rejectedAt: new Date(), 
-        rejectedBy: req.adminAddress,
-        rejectionReason: reason
-      },
-      { new: true }
-    );
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
 
-    if (!candidate) {
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+    if (req.query.electionId) {
+      if (!mongoose.isValidObjectId(req.query.electionId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid election ID'
+        });
+      }
+      query.electionId = req.query.electionId;
+    }
+
+    const [jobs, total, status] = await Promise.all([
+      ScheduledJob.find(query)
+        .populate('electionId', 'title status')
+        .sort({ runAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ScheduledJob.countDocuments(query),
+      scheduler.getStatus()
+    ]);
+
+    res.json({
+      success: true,
+      scheduler: status,
+      jobs,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Error fetching scheduled jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scheduled jobs'
+    });
+  }
+};
+
+// Run a job that used up its attempts again
+const retryScheduledJob = async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id) ? await ScheduledJob.findById(req.params.id) : null;
+    if (!job) {
       return res.status(404).json({
         success: false,
-        message: 'Candidate not found'
+        message: 'Scheduled job not found'
       });
     }
 
-    // Log audit trail
-    await AuditLog.create({
-      action: 'CANDIDATE_REJECTED',
-      actor: req.adminAddress,
-      data: { candidateId: id, name: candidate.name, reason },
-      timestamp: Math.floor(Date.now() / 1000)
-    });
+    if (job.status !== 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only failed jobs can be retried'
+      });
+    }
+
+    const retried = await ScheduledJob.schedule(job.type, job.electionId, new Date());
+    scheduler.requestRun();
 
     res.json({
       success: true,
-      message: 'Candidate rejected successfully',
-      candidate
+      message: 'Job queued to run again',
+      job: retried
     });
   } catch (error) {
-    console.error('Error rejecting candidate:', error);
+    console.error('Error retrying scheduled job:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to reject candidate'
+      message: 'Failed to retry scheduled job'
     });
   }
 };
 
+// Read a from/to filter given as Unix seconds or a date string; NaN when it is neither
+const parseTimestampFilter = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (/^\d+$/.test(String(value))) {
+    return Number(value);
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? NaN : Math.floor(time / 1000);
+};
+
+// Build the AuditLog query shared by the audit list and the export
+const buildAuditQuery = ({ action, dateRange, search, from, to, actor, electionId }) => {
+  const query = {};
+
+  if (action && action !== 'all') {
+    query.action = action;
+  }
+
+  if (search) {
+    const pattern = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [
+      { action: { $regex: pattern, $options: 'i' } },
+      { actor: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+
+  if (actor) {
+    if (!ethers.utils.isAddress(actor)) {
+      return { error: 'Invalid actor address' };
+    }
+    query.actor = actor.toLowerCase();
+  }
+
+  if (electionId) {
+    query['metadata.electionId'] = String(electionId);
+  }
+
+  let startTime;
+  if (dateRange && dateRange !== 'all') {
+    const now = new Date();
+    let startDate;
+
+    switch (dateRange) {
+      case 'today':
+        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        break;
+      case 'week':
+        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+        break;
+      case 'month':
+        startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+        break;
+      case 'year':
+        startDate = new Date(now.getFullYear(), 0, 1);
+        break;
+    }
+
+    if (startDate) {
+      startTime = Math.floor(startDate.getTime() / 1000);
+    }
+  }
+
+  const fromTime = parseTimestampFilter(from);
+  const toTime = parseTimestampFilter(to);
+  if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+    return { error: 'from and to must be Unix timestamps or dates' };
+  }
+
+  // An explicit from narrows the preset range further, never widens it
+  if (fromTime !== undefined) {
+    startTime = startTime === undefined ? fromTime : Math.max(startTime, fromTime);
+  }
+  if (startTime !== undefined || toTime !== undefined) {
+    query.timestamp = {};
+    if (startTime !== undefined) {
+      query.timestamp.$gte = startTime;
+    }
+    if (toTime !== undefined) {
+      query.timestamp.$lte = toTime;
+    }
+  }
+
+  return { query };
+};
+
 // Get audit logs
 const getAuditLogs = async (req, res) => {
   try {
     const { 
       page = 1, 
-      limit = 10, 
-      action, 
-      dateRange, 
-      search 
+      limit = 10
     } = req.query;
     
-    const query = {};
-    
-    if (action && action !== 'all') {
-      query.action = action;
-    }
-    
-    if (search) {
-      query.$or = [
-        { action: { $regex: search, $options: 'i' } },
-        { actor: { $regex: search, $options: 'i' } }
-      ];
-    }
-    
-    if (dateRange && dateRange !== 'all') {
-      const now = new Date();
-      let startDate;
-      
-      switch (dateRange) {
-        case 'today':
-          startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-          break;
-        case 'week':
-          startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-          break;
-        case 'month':
-          startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-          break;
-        case 'year':
-          startDate = new Date(now.getFullYear(), 0, 1);
-          break;
-      }
-      
-      if (startDate) {
-        query.timestamp = { $gte: Math.floor(startDate.getTime() / 1000) };
-      }
+    const { query, error } = buildAuditQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
     }
 
     const logs = await AuditLog.find(query)
@@ -695,63 +1675,142 @@ const getAuditLogs = async (req, res) => {
   }
 };
 
-// Export audit logs
+const AUDIT_EXPORT_FORMATS = ['csv', 'ndjson', 'bundle'];
+
+// Oldest first, so the export follows the hash chain
+const AUDIT_EXPORT_SORT = { timestamp: 1, sequence: 1 };
+
+// Stream matching entries as RFC 4180 CSV or NDJSON, one cursor batch at a time
+const streamAuditRows = (res, query, format) => {
+  return pipeline(
+    AuditLog.find(query).sort(AUDIT_EXPORT_SORT).lean().cursor(),
+    async function* (logs) {
+      if (format === 'csv') {
+        yield getCsvHeader();
+      }
+      for await (const log of logs) {
+        yield format === 'csv' ? toCsvRow(log) : toNdjsonLine(log);
+      }
+    },
+    res
+  );
+};
+
+// Stream a .tar.gz holding the entries as NDJSON, a manifest with the file's SHA-256
+// and the manifest hash signed by the admin key. The entries are spooled to a
+// temporary file first because a tar header needs the file size.
+const streamAuditBundle = async (req, res, query, filters) => {
+  const spoolPath = path.join(os.tmpdir(), `blocpol-audit-${crypto.randomUUID()}.ndjson`);
+  const fileHash = crypto.createHash('sha256');
+  let size = 0;
+  let count = 0;
+  let firstSequence = null;
+  let lastSequence = null;
+
+  try {
+    await pipeline(
+      AuditLog.find(query).sort(AUDIT_EXPORT_SORT).lean().cursor(),
+      async function* (logs) {
+        for await (const log of logs) {
+          const line = Buffer.from(toNdjsonLine(log));
+          fileHash.update(line);
+          size += line.length;
+          count++;
+          if (log.sequence !== undefined) {
+            firstSequence = firstSequence === null ? log.sequence : firstSequence;
+            lastSequence = log.sequence;
+          }
+          yield line;
+        }
+      },
+      fs.createWriteStream(spoolPath)
+    );
+
+    const manifest = Buffer.from(JSON.stringify({
+      format: 'blocpol-audit-bundle',
+      version: 1,
+      generatedAt: new Date().toISOString(),
+      generatedBy: req.adminAddress,
+      requestId: req.requestId,
+      contractAddress: process.env.CONTRACT_ADDRESS,
+      filters,
+      entries: count,
+      firstSequence,
+      lastSequence,
+      files: [{ name: 'audit_logs.ndjson', size, sha256: fileHash.digest('hex') }]
+    }, null, 2));
+
+    const manifestHash = `0x${sha256(manifest)}`;
+    const signer = new ethers.Wallet(process.env.PRIVATE_KEY);
+    const signature = Buffer.from(JSON.stringify({
+      manifestHash,
+      signer: signer.address,
+      signature: await signer.signMessage(manifestHash)
+    }, null, 2));
+
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename=audit_bundle_${Date.now()}.tar.gz`);
+
+    const mtime = Date.now();
+    await pipeline(
+      async function* () {
+        yield tarHeader('audit_logs.ndjson', size, mtime);
+        yield* fs.createReadStream(spoolPath);
+        yield tarPadding(size);
+        for (const [name, file] of [['manifest.json', manifest], ['manifest.sig.json', signature]]) {
+          yield Buffer.concat([tarHeader(name, file.length, mtime), file, tarPadding(file.length)]);
+        }
+        yield TAR_END;
+      },
+      zlib.createGzip(),
+      res
+    );
+  } finally {
+    fs.promises.unlink(spoolPath).catch(() => {});
+  }
+};
+
+// Export audit logs as CSV, NDJSON or a signed bundle, streamed rather than built in memory
 const exportAuditLogs = async (req, res) => {
   try {
-    const { action, dateRange, search } = req.body;
-    
-    const query = {};
-    
-    if (action && action !== 'all') {
-      query.action = action;
+    const { format = 'csv', action, dateRange, search, from, to, actor, electionId } = req.body;
+    const filters = { action, dateRange, search, from, to, actor, electionId };
+
+    if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${AUDIT_EXPORT_FORMATS.join(', ')}`
+      });
     }
-    
-    if (search) {
-      query.$or = [
-        { action: { $regex: search, $options: 'i' } },
-        { actor: { $regex: search, $options: 'i' } }
-      ];
+
+    const { query, error } = buildAuditQuery(filters);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
     }
-    
-    if (dateRange && dateRange !== 'all') {
-      const now = new Date();
-      let startDate;
-      
-      switch (dateRange) {
-        case 'today':
-          startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-          break;
-        case 'week':
-          startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-          break;
-        case 'month':
-          startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-          break;
-        case 'year':
-          startDate = new Date(now.getFullYear(), 0, 1);
-          break;
-      }
-      
-      if (startDate) {
-        query.timestamp = { $gte: Math.floor(startDate.getTime() / 1000) };
+
+    if (format === 'bundle') {
+      if (!process.env.PRIVATE_KEY) {
+        return res.status(503).json({
+          success: false,
+          message: 'Signed bundles need the admin private key to be configured'
+        });
       }
+      return await streamAuditBundle(req, res, query, filters);
     }
 
-    const logs = await AuditLog.find(query).sort({ timestamp: -1 });
-
-    // Convert to CSV format
-    const csvHeader = 'Action,Actor,Timestamp,Data\n';
-    const csvData = logs.map(log => 
-      `${log.action},${log.actor},${new Date(log.timestamp * 1000).toISOString()},${JSON.stringify(log.data)}`
-    ).join('\n');
-    
-    const csv = csvHeader + csvData;
-
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', 'attachment; filename=audit_logs.csv');
-    res.send(csv);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename=audit_logs_${Date.now()}.${format === 'csv' ? 'csv' : 'ndjson'}`);
+    await streamAuditRows(res, query, format);
   } catch (error) {
     console.error('Error exporting audit logs:', error);
+    // Once streaming has started the status is sent; cut the download short instead
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to export audit logs'
@@ -785,6 +1844,99 @@ const getAuditLog = async (req, res) => {
   }
 };
 
+// Get the evidence that an audit entry was not rewritten: its hash-chain link and its
+// Merkle inclusion proof against the root anchored on-chain
+const getAuditProof = async (req, res) => {
+  try {
+    const { actionHash } = req.params;
+    const log = await AuditLog.findOne({ actionHash });
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit log not found'
+      });
+    }
+
+    if (log.sequence === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'This entry predates the audit hash chain and has no proof'
+      });
+    }
+
+    const previous = log.sequence > 1 ? await AuditLog.findOne({ sequence: log.sequence - 1 }) : null;
+    const contract = await getContractInstance();
+    const anchor = log.anchorBatchId
+      ? await AuditAnchor.findOne({ contractAddress: contract.address.toLowerCase(), batchId: log.anchorBatchId })
+      : null;
+
+    const leaf = `0x${log.actionHash}`;
+    const proof = {
+      actionHash: log.actionHash,
+      entry: {
+        sequence: log.sequence,
+        previousHash: log.previousHash,
+        action: log.action,
+        actor: log.actor,
+        data: log.data,
+        timestamp: log.timestamp,
+        metadata: log.metadata,
+        ipAddress: log.ipAddress,
+        userAgent: log.userAgent,
+        requestId: log.requestId,
+        changes: log.changes
+      },
+      hashValid: log.hasValidHash(),
+      chainLinked: AuditLog.findChainBreak([log], previous) === null,
+      anchored: !!anchor
+    };
+
+    if (!anchor) {
+      return res.json({
+        success: true,
+        message: 'Entry is not anchored on-chain yet',
+        proof
+      });
+    }
+
+    // The on-chain check is the one an auditor relies on; report it as unknown if the node is unreachable
+    let verifiedOnChain = null;
+    try {
+      verifiedOnChain = await verifyAuditEntryOnChain(anchor.batchId, leaf, log.proof);
+    } catch (error) {
+      console.error('Error verifying audit entry on-chain:', error);
+    }
+
+    res.json({
+      success: true,
+      proof: {
+        ...proof,
+        leaf,
+        merkleProof: log.proof,
+        anchor: {
+          contractAddress: contract.address,
+          batchId: anchor.batchId,
+          merkleRoot: anchor.merkleRoot,
+          fromSequence: anchor.fromSequence,
+          toSequence: anchor.toSequence,
+          transactionHash: anchor.transactionHash,
+          blockNumber: anchor.blockNumber,
+          anchoredAt: anchor.anchoredAt
+        },
+        verified: verifyMerkleProof(leaf, log.proof, anchor.merkleRoot),
+        verifiedOnChain
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit proof:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit proof'
+    });
+  }
+};
+
 // Get admin settings
 const getAdminSettings = async (req, res) => {
   try {
@@ -833,6 +1985,7 @@ const updateAdminSettings = async (req, res) => {
     const updateData = req.body;
     
     let settings = await AdminSettings.findOne();
+    const before = settings ? settings.toObject() : {};
     
     if (!settings) {
       settings = new AdminSettings(updateData);
@@ -842,13 +1995,13 @@ const updateAdminSettings = async (req, res) => {
     
     await settings.save();
 
-    // Log audit trail
-    await AuditLog.create({
-      action: 'SETTINGS_UPDATED',
-      actor: req.adminAddress,
-      data: { updates: updateData },
-      timestamp: Math.floor(Date.now() / 1000)
-    });
+    // Log audit trail with what actually changed
+    await req.audit('SETTINGS_UPDATED', req.adminAddress, { updates: updateData }, {}, diffDocuments(before, settings));
+
+    // Elections whose start time passed while auto-start was off start now
+    if (settings.autoStartElections && !before.autoStartElections) {
+      scheduler.requestRun();
+    }
 
     res.json({
       success: true,
@@ -864,16 +2017,152 @@ const updateAdminSettings = async (req, res) => {
   }
 };
 
+// Get admin users and their roles
+const getAdminUsers = async (req, res) => {
+  try {
+    const adminUsers = await AdminUser.find({ isActive: true }).sort({ createdAt: -1 });
+
+    // Super admins from ADMIN_ADDRESSES are not stored in the database
+    const configuredAdmins = getAdminAddresses().map(walletAddress => ({
+      walletAddress,
+      role: ROLES.SUPER_ADMIN,
+      isActive: true,
+      configured: true
+    }));
+
+    res.json({
+      success: true,
+      admins: [...configuredAdmins, ...adminUsers],
+      roles: Object.values(ROLES)
+    });
+  } catch (error) {
+    console.error('Error fetching admin users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch admin users'
+    });
+  }
+};
+
+// Assign a role to an admin
+const assignAdminRole = async (req, res) => {
+  try {
+    const { walletAddress, role, name } = req.body;
+
+    if (!walletAddress || !ethers.utils.isAddress(walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid wallet address is required'
+      });
+    }
+
+    if (!Object.values(ROLES).includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${Object.values(ROLES).join(', ')}`
+      });
+    }
+
+    const address = walletAddress.toLowerCase();
+    if (getAdminAddresses().includes(address)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This address is a super admin configured in ADMIN_ADDRESSES'
+      });
+    }
+
+    const adminUser = await AdminUser.findOneAndUpdate(
+      { walletAddress: address },
+      {
+        walletAddress: address,
+        role,
+        name,
+        isActive: true,
+        assignedBy: req.adminAddress,
+        $unset: { revokedAt: 1, revokedBy: 1 }
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    // Log audit trail
+    await req.audit('ADMIN_ROLE_ASSIGNED', req.adminAddress, {
+      walletAddress: address,
+      role
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin role assigned successfully',
+      admin: adminUser
+    });
+  } catch (error) {
+    console.error('Error assigning admin role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign admin role'
+    });
+  }
+};
+
+// Revoke an admin's role and sign them out everywhere
+const revokeAdminRole = async (req, res) => {
+  try {
+    const address = req.params.walletAddress.toLowerCase();
+
+    const adminUser = await AdminUser.findOneAndUpdate(
+      { walletAddress: address, isActive: true },
+      { isActive: false, revokedAt: new Date(), revokedBy: req.adminAddress },
+      { new: true }
+    );
+
+    if (!adminUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin user not found'
+      });
+    }
+
+    await AdminSession.revokeAllForAddress(address, 'admin_removed');
+
+    // Log audit trail
+    await req.audit('ADMIN_ROLE_REVOKED', req.adminAddress, {
+      walletAddress: address,
+      role: adminUser.role
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin role revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking admin role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke admin role'
+    });
+  }
+};
+
 module.exports = {
+  PHOTO_CONTENT_TYPES,
   checkAdminStatus,
   getAdminStats,
   getElections,
   createElection,
+  getEligibilityRuleTypes,
   getElection,
   updateElection,
   deleteElection,
   startElection,
   stopElection,
+  pauseElection,
+  resumeElection,
+  cancelElection,
+  archiveElection,
+  startResultCertification,
+  signResultCertification,
+  recordResultCertification,
+  withdrawResultCertification,
   getCandidates,
   registerCandidate,
   getCandidate,
@@ -881,10 +2170,20 @@ module.exports = {
   deleteCandidate,
   approveCandidate,
   rejectCandidate,
+  uploadCandidatePhoto,
+  getCandidateDocumentFile,
+  getCandidateReconciliation,
+  getIndexerStatus,
+  getScheduledJobs,
+  retryScheduledJob,
   getAuditLogs,
   exportAuditLogs,
   getAuditLog,
+  getAuditProof,
   getAdminSettings,
-  updateAdminSettings
+  updateAdminSettings,
+  getAdminUsers,
+  assignAdminRole,
+  revokeAdminRole
 };
 
@@ -0,0 +1,239 @@
+const { ethers } = require('ethers');
+const mongoose = require('mongoose');
+const Election = require('../models/Election');
+const {
+  getAllowlistLeaf,
+  parseAllowlistCsv,
+  getAllowlistTree,
+  getAllowlistProof,
+  getOnChainVoterRoot
+} = require('../utils/allowlistUtils');
+
+// Find the election named in the route, optionally with its roll's addresses
+const findElection = (id, withAddresses = false) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  const query = Election.findById(id);
+  return withAddresses ? query.select('+allowlist.addresses') : query;
+};
+
+// What admins see of an election's roll
+const describeAllowlist = (election) => ({
+  merkleRoot: election.merkleRoot || null,
+  count: election.allowlist.count,
+  uploadedAt: election.allowlist.uploadedAt,
+  uploadedBy: election.allowlist.uploadedBy,
+  rootTransactionHash: election.allowlist.rootTransactionHash,
+  publishedAt: election.allowlist.publishedAt
+});
+
+// Get an election's voter roll details and whether its root is the one on-chain
+const getAllowlist = async (req, res) => {
+  try {
+    const election = await findElection(req.params.id);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    let onChainRoot = null;
+    if (election.isOnChain && election.merkleRoot) {
+      onChainRoot = await getOnChainVoterRoot(election).catch(() => null);
+    }
+
+    res.json({
+      success: true,
+      allowlist: {
+        ...describeAllowlist(election),
+        publishedOnChain: onChainRoot !== null && onChainRoot === election.merkleRoot
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching allowlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch voter roll'
+    });
+  }
+};
+
+// Replace an election's voter roll with a CSV of addresses (the raw request body). Its root goes on-chain
+// when the election starts (see services/electionLifecycle), so a draft roll never affects other elections.
+const uploadAllowlist = async (req, res) => {
+  try {
+    const election = await findElection(req.params.id, true);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    if (election.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'The voter roll can only be changed before the election starts'
+      });
+    }
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the voter roll as a CSV of wallet addresses'
+      });
+    }
+
+    const { addresses, invalidRows } = parseAllowlistCsv(req.body);
+    if (invalidRows.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Rows without a valid wallet address: ${invalidRows.slice(0, 20).join(', ')}${invalidRows.length > 20 ? ', ...' : ''}`,
+        invalidRows
+      });
+    }
+
+    if (addresses.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The voter roll has no addresses'
+      });
+    }
+
+    const previousRoot = election.merkleRoot;
+    election.merkleRoot = getAllowlistTree(addresses).root;
+    election.allowlist.addresses = addresses;
+    election.allowlist.count = addresses.length;
+    election.allowlist.uploadedAt = new Date();
+    election.allowlist.uploadedBy = req.adminAddress;
+    election.allowlist.rootTransactionHash = undefined;
+    election.allowlist.publishedAt = undefined;
+    await election.save();
+
+    await req.audit('ELECTION_ALLOWLIST_UPDATED', req.adminAddress, {
+      electionId: election._id,
+      merkleRoot: election.merkleRoot,
+      previousRoot: previousRoot || undefined,
+      count: addresses.length
+    }, { electionId: election._id });
+
+    res.json({
+      success: true,
+      message: `Voter roll saved with ${addresses.length} address${addresses.length === 1 ? '' : 'es'}`,
+      allowlist: describeAllowlist(election)
+    });
+  } catch (error) {
+    console.error('Error uploading allowlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save voter roll'
+    });
+  }
+};
+
+// Remove an election's voter roll, so every eligible voter can vote again
+const removeAllowlist = async (req, res) => {
+  try {
+    const election = await findElection(req.params.id);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    if (election.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'The voter roll can only be changed before the election starts'
+      });
+    }
+
+    if (!election.merkleRoot) {
+      return res.status(400).json({
+        success: false,
+        message: 'Election has no voter roll'
+      });
+    }
+
+    const merkleRoot = election.merkleRoot;
+    election.merkleRoot = '';
+    election.allowlist = { addresses: [], count: 0 };
+    await election.save();
+
+    await req.audit('ELECTION_ALLOWLIST_REMOVED', req.adminAddress, {
+      electionId: election._id,
+      merkleRoot
+    }, { electionId: election._id });
+
+    res.json({
+      success: true,
+      message: 'Voter roll removed'
+    });
+  } catch (error) {
+    console.error('Error removing allowlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove voter roll'
+    });
+  }
+};
+
+// Serve a voter the inclusion proof they submit with their vote
+const getInclusionProof = async (req, res) => {
+  try {
+    const { electionId, walletAddress } = req.params;
+    if (!ethers.utils.isAddress(walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid wallet address is required'
+      });
+    }
+
+    const election = await findElection(electionId, true);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    if (!election.merkleRoot) {
+      return res.json({
+        success: true,
+        required: false
+      });
+    }
+
+    const proof = getAllowlistProof(election.allowlist.addresses, election.merkleRoot, walletAddress);
+    if (!proof) {
+      return res.status(404).json({
+        success: false,
+        message: 'Your address is not on this election\'s voter roll'
+      });
+    }
+
+    res.json({
+      success: true,
+      required: true,
+      merkleRoot: election.merkleRoot,
+      leaf: getAllowlistLeaf(walletAddress),
+      proof
+    });
+  } catch (error) {
+    console.error('Error building inclusion proof:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build inclusion proof'
+    });
+  }
+};
+
+module.exports = {
+  getAllowlist,
+  uploadAllowlist,
+  removeAllowlist,
+  getInclusionProof
+};
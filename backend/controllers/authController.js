@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const AuthChallenge = require('../models/AuthChallenge');
+const AdminSession = require('../models/AdminSession');
+const AdminSettings = require('../models/AdminSettings');
+const { isAdminAddress } = require('../middleware/adminAuth');
+const {
+  generateNonce,
+  buildSiweMessage,
+  parseSiweMessage,
+  validateSiweFields
+} = require('../utils/siweUtils');
+const {
+  getAccessTokenTtl,
+  issueAccessToken,
+  generateRefreshToken,
+  splitRefreshToken,
+  matchesHash
+} = require('../utils/tokenUtils');
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Build the token pair returned by login and refresh
+const buildTokenResponse = (session, refreshToken) => ({
+  accessToken: issueAccessToken(session),
+  refreshToken,
+  expiresIn: getAccessTokenTtl(),
+  sessionExpiresAt: session.expiresAt,
+  walletAddress: session.walletAddress
+});
+
+// Issue a sign-in challenge
+const requestNonce = async (req, res) => {
+  try {
+    const { walletAddress } = req.body;
+
+    if (!walletAddress || !ethers.utils.isAddress(walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid wallet address is required'
+      });
+    }
+
+    const nonce = generateNonce();
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+    const message = buildSiweMessage({
+      address: ethers.utils.getAddress(walletAddress),
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString()
+    });
+
+    await AuthChallenge.create({
+      walletAddress: walletAddress.toLowerCase(),
+      nonce,
+      message,
+      expiresAt
+    });
+
+    res.json({
+      success: true,
+      nonce,
+      message,
+      expiresAt
+    });
+  } catch (error) {
+    console.error('Error issuing sign-in challenge:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue sign-in challenge'
+    });
+  }
+};
+
+// Exchange a signed challenge for a session (signature checked by verifySignature)
+const login = async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    let fields;
+    try {
+      fields = parseSiweMessage(message);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const fieldError = validateSiweFields(fields, req.adminAddress);
+    if (fieldError) {
+      return res.status(401).json({
+        success: false,
+        message: fieldError
+      });
+    }
+
+    // Each challenge can be redeemed once, and only for the exact message issued
+    const challenge = await AuthChallenge.consume(req.adminAddress, fields.nonce);
+    if (!challenge || challenge.message !== message) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign-in challenge is invalid, expired or already used'
+      });
+    }
+
+    const settings = await AdminSettings.getSettings();
+    const sessionId = crypto.randomUUID();
+    const { refreshToken, refreshTokenHash } = generateRefreshToken(sessionId);
+
+    const session = await AdminSession.create({
+      sessionId,
+      walletAddress: req.adminAddress,
+      refreshTokenHash,
+      expiresAt: new Date(Date.now() + settings.sessionTimeout * 1000),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await req.audit('ADMIN_LOGIN', req.adminAddress, { sessionId });
+
+    res.json({
+      success: true,
+      message: 'Signed in successfully',
+      ...buildTokenResponse(session, refreshToken)
+    });
+  } catch (error) {
+    console.error('Error signing in admin:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign in'
+    });
+  }
+};
+
+// Rotate the refresh token and issue a new access token
+const refreshSession = async (req, res) => {
+  try {
+    const parts = splitRefreshToken(req.body.refreshToken);
+    const session = parts && await AdminSession.findOne({ sessionId: parts.sessionId });
+
+    if (!session || !session.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked or has expired'
+      });
+    }
+
+    // A stale refresh token means it was copied; kill the whole session
+    if (!matchesHash(parts.secret, session.refreshTokenHash)) {
+      await session.revoke('refresh_token_reuse');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please sign in again.'
+      });
+    }
+
+    if (!(await isAdminAddress(session.walletAddress))) {
+      await session.revoke('admin_removed');
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { refreshToken, refreshTokenHash } = generateRefreshToken(session.sessionId);
+    session.refreshTokenHash = refreshTokenHash;
+    session.lastRefreshedAt = new Date();
+    await session.save();
+
+    res.json({
+      success: true,
+      ...buildTokenResponse(session, refreshToken)
+    });
+  } catch (error) {
+    console.error('Error refreshing admin session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session'
+    });
+  }
+};
+
+// Get the current session
+const getSession = async (req, res) => {
+  res.json({
+    success: true,
+    session: {
+      sessionId: req.adminSession.sessionId,
+      walletAddress: req.adminSession.walletAddress,
+      role: req.adminRole,
+      permissions: req.adminPermissions,
+      expiresAt: req.adminSession.expiresAt,
+      createdAt: req.adminSession.createdAt
+    }
+  });
+};
+
+// Revoke the current session
+const logout = async (req, res) => {
+  try {
+    await req.adminSession.revoke('logout');
+
+    await req.audit('ADMIN_LOGOUT', req.adminAddress, {
+      sessionId: req.adminSession.sessionId
+    });
+
+    res.json({
+      success: true,
+      message: 'Signed out successfully'
+    });
+  } catch (error) {
+    console.error('Error signing out admin:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out'
+    });
+  }
+};
+
+// Revoke every session of the current admin
+const logoutAll = async (req, res) => {
+  try {
+    const result = await AdminSession.revokeAllForAddress(req.adminAddress, 'logout_all');
+
+    await req.audit('ADMIN_LOGOUT', req.adminAddress, {
+      allSessions: true,
+      revokedCount: result.modifiedCount
+    });
+
+    res.json({
+      success: true,
+      message: 'All sessions signed out',
+      revokedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Error revoking admin sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions'
+    });
+  }
+};
+
+module.exports = {
+  requestNonce,
+  login,
+  refreshSession,
+  getSession,
+  logout,
+  logoutAll
+};
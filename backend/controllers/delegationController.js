@@ -0,0 +1,363 @@
+const { ethers } = require('ethers');
+const Voter = require('../models/Voter');
+const AuditLog = require('../models/AuditLog');
+const {
+  isLiquidDemocracyEnabled,
+  getBaseVotingPower,
+  getLiquidDemocracyContract,
+  ensureDelegationVoter,
+  getDelegationVoter,
+  getActiveDelegation,
+  getDelegationChain,
+  getDelegatedWeight,
+  buildDelegationTransaction,
+  buildRevokeTransaction,
+  getDelegationEvents
+} = require('../utils/liquidDemocracyUtils');
+
+// Answer 503 when no LiquidDemocracy contract is configured
+const rejectIfDisabled = (res) => {
+  if (!isLiquidDemocracyEnabled()) {
+    res.status(503).json({
+      success: false,
+      message: 'Liquid democracy is not enabled'
+    });
+    return true;
+  }
+  return false;
+};
+
+// Attach voter names to addresses
+const describeAddresses = async (addresses) => {
+  const voters = await Voter.find({ walletAddress: { $in: addresses.map(a => a.toLowerCase()) } }).select('walletAddress name');
+  const names = new Map(voters.map(voter => [voter.walletAddress, voter.name]));
+  return addresses.map(address => ({ address, name: names.get(address.toLowerCase()) || null }));
+};
+
+// Build a voter's delegation profile: who they delegate to, who delegates to them and the power they hold
+const buildDelegationProfile = async (walletAddress) => {
+  const [voter, delegation, chain, weight] = await Promise.all([
+    getDelegationVoter(walletAddress),
+    getActiveDelegation(walletAddress),
+    getDelegationChain(walletAddress),
+    getDelegatedWeight(walletAddress)
+  ]);
+
+  // While delegating, the voter's power (and everything delegated to them) travels down the chain
+  const effectivePower = delegation ? 0 : voter.votingPower + weight.power;
+  const [describedChain, describedDelegators] = await Promise.all([
+    describeAddresses(chain),
+    describeAddresses(weight.delegators.map(d => d.address))
+  ]);
+
+  return {
+    walletAddress,
+    registered: voter.registered,
+    basePower: getBaseVotingPower(),
+    ownPower: voter.votingPower,
+    delegatedPower: weight.power,
+    effectivePower,
+    effectiveVotes: effectivePower / getBaseVotingPower(),
+    delegation: delegation && {
+      delegationId: delegation.delegationId,
+      delegate: describedChain[0],
+      power: delegation.power,
+      createdAt: delegation.createdAt
+    },
+    chain: describedChain,
+    delegators: weight.delegators.map((delegator, i) => ({
+      ...describedDelegators[i],
+      power: delegator.power,
+      depth: delegator.depth,
+      delegate: delegator.delegate
+    }))
+  };
+};
+
+// Get a voter's delegation profile
+const getDelegation = async (req, res) => {
+  try {
+    if (rejectIfDisabled(res)) {
+      return;
+    }
+
+    const { walletAddress } = req.params;
+    if (!ethers.utils.isAddress(walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid wallet address is required'
+      });
+    }
+
+    const profile = await buildDelegationProfile(ethers.utils.getAddress(walletAddress));
+
+    res.json({
+      success: true,
+      delegation: profile
+    });
+  } catch (error) {
+    console.error('Error fetching delegation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch delegation'
+    });
+  }
+};
+
+// Search registered voters who can be picked as a delegate
+const searchDelegates = async (req, res) => {
+  try {
+    const { search = '' } = req.query;
+
+    if (search.trim().length < 3) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search must be at least 3 characters'
+      });
+    }
+
+    const pattern = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const voters = await Voter.find({
+      isActive: true,
+      banned: false,
+      $or: [
+        { name: { $regex: pattern, $options: 'i' } },
+        { walletAddress: { $regex: pattern.toLowerCase() } }
+      ]
+    })
+      .select('walletAddress name')
+      .limit(10);
+
+    res.json({
+      success: true,
+      delegates: voters.map(voter => ({
+        address: voter.walletAddress,
+        name: voter.name
+      }))
+    });
+  } catch (error) {
+    console.error('Error searching delegates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search delegates'
+    });
+  }
+};
+
+// Prepare the createDelegation transaction the voter sends from their wallet
+const prepareDelegation = async (req, res) => {
+  try {
+    if (rejectIfDisabled(res)) {
+      return;
+    }
+
+    const { walletAddress, delegateAddress } = req.body;
+
+    if (!ethers.utils.isAddress(walletAddress || '') || !ethers.utils.isAddress(delegateAddress || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid wallet and delegate addresses are required'
+      });
+    }
+
+    if (walletAddress.toLowerCase() === delegateAddress.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delegate to yourself'
+      });
+    }
+
+    const [voter, delegate] = await Promise.all([
+      Voter.findOne({ walletAddress: walletAddress.toLowerCase() }),
+      Voter.findOne({ walletAddress: delegateAddress.toLowerCase() })
+    ]);
+
+    if (!voter || !delegate) {
+      return res.status(404).json({
+        success: false,
+        message: voter ? 'Delegate is not a registered voter' : 'Voter not found'
+      });
+    }
+
+    if (voter.banned || !delegate.isActive || delegate.banned) {
+      return res.status(403).json({
+        success: false,
+        message: voter.banned ? 'Voter is banned' : 'Delegate cannot receive delegations'
+      });
+    }
+
+    // Both sides need on-chain voting power before the contract accepts the delegation
+    try {
+      await ensureDelegationVoter(walletAddress);
+      await ensureDelegationVoter(delegateAddress);
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to register voters for delegation'
+      });
+    }
+
+    const [profile, delegateChain, contract] = await Promise.all([
+      getDelegationVoter(walletAddress),
+      getDelegationChain(delegateAddress),
+      getLiquidDemocracyContract()
+    ]);
+
+    if (profile.delegate) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already delegate your vote. Revoke that delegation first.'
+      });
+    }
+
+    if (delegateChain.some(address => address.toLowerCase() === walletAddress.toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'This delegation would create a loop'
+      });
+    }
+
+    // The whole of the voter's own power is delegated
+    const minDelegationPower = (await contract.minDelegationPower()).toNumber();
+    if (profile.votingPower < minDelegationPower) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your voting power is below the minimum that can be delegated'
+      });
+    }
+
+    const transaction = await buildDelegationTransaction(ethers.utils.getAddress(delegateAddress), profile.votingPower);
+
+    res.json({
+      success: true,
+      transaction: { ...transaction, from: ethers.utils.getAddress(walletAddress) },
+      power: profile.votingPower,
+      delegate: {
+        address: delegate.walletAddress,
+        name: delegate.name
+      },
+      chain: await describeAddresses(delegateChain)
+    });
+  } catch (error) {
+    console.error('Error preparing delegation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to prepare delegation'
+    });
+  }
+};
+
+// Prepare the revokeDelegation transaction the voter sends from their wallet
+const prepareRevocation = async (req, res) => {
+  try {
+    if (rejectIfDisabled(res)) {
+      return;
+    }
+
+    const { walletAddress } = req.body;
+    if (!ethers.utils.isAddress(walletAddress || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid wallet address is required'
+      });
+    }
+
+    const delegation = await getActiveDelegation(walletAddress);
+    if (!delegation) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have no active delegation'
+      });
+    }
+
+    const transaction = await buildRevokeTransaction(delegation.delegationId);
+
+    res.json({
+      success: true,
+      transaction: { ...transaction, from: ethers.utils.getAddress(walletAddress) },
+      delegationId: delegation.delegationId
+    });
+  } catch (error) {
+    console.error('Error preparing delegation revocation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to prepare revocation'
+    });
+  }
+};
+
+// Record a delegation or revocation once the voter's transaction is mined
+const confirmDelegation = async (req, res) => {
+  try {
+    if (rejectIfDisabled(res)) {
+      return;
+    }
+
+    const { walletAddress, transactionHash } = req.body;
+    if (!ethers.utils.isAddress(walletAddress || '') || !/^0x[a-fA-F0-9]{64}$/.test(transactionHash || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Wallet address and transaction hash are required'
+      });
+    }
+
+    const result = await getDelegationEvents(transactionHash);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found or not mined yet'
+      });
+    }
+
+    const event = result.events.find(e => e.from.toLowerCase() === walletAddress.toLowerCase());
+    if (result.status !== 1 || !event) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transaction does not contain a delegation from this wallet'
+      });
+    }
+
+    // Confirming the same transaction twice only logs it once
+    const alreadyLogged = await AuditLog.exists({ 'metadata.transactionHash': transactionHash });
+    if (!alreadyLogged) {
+      const voter = await Voter.findOne({ walletAddress: walletAddress.toLowerCase() });
+      await req.audit(
+        event.event === 'DelegationCreated' ? 'DELEGATION_CREATED' : 'DELEGATION_REVOKED',
+        walletAddress.toLowerCase(),
+        {
+          delegate: event.to.toLowerCase(),
+          delegationId: event.delegationId,
+          power: event.power,
+          transactionHash
+        },
+        {
+          voterId: voter ? voter._id.toString() : undefined,
+          transactionHash,
+          blockNumber: result.blockNumber
+        }
+      );
+    }
+
+    const profile = await buildDelegationProfile(ethers.utils.getAddress(walletAddress));
+
+    res.json({
+      success: true,
+      message: event.event === 'DelegationCreated' ? 'Vote delegated successfully' : 'Delegation revoked successfully',
+      delegation: profile
+    });
+  } catch (error) {
+    console.error('Error confirming delegation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm delegation'
+    });
+  }
+};
+
+module.exports = {
+  getDelegation,
+  searchDelegates,
+  prepareDelegation,
+  prepareRevocation,
+  confirmDelegation
+};
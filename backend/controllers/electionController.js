@@ -1,5 +1,11 @@
 const Candidate = require('../models/Candidate');
 const Election = require('../models/Election');
+const mongoose = require('mongoose');
+const { getOnChainCandidate } = require('../utils/contractUtils');
+const { computeCid } = require('../utils/cid');
+const { buildProfile, serializeProfile, loadProfile } = require('../services/candidateProfile');
+const { TIMELINE_INTERVALS, isFinal, describeElection, buildElectionResults } = require('../services/electionResults');
+const { describeCertification, getCertifiedResults } = require('../services/resultCertification');
 
 // Get candidates
 const getCandidates = async (req, res) => {
@@ -12,21 +18,33 @@ const getCandidates = async (req, res) => {
     }
 
     const candidates = await Candidate.find(query)
-      .populate('electionId', 'title status')
+      .populate('electionId', 'title status onChainId commitReveal commitEndDate revealEndDate pause cancellation')
       .sort({ voteCount: -1 });
 
+    // Running tallies of a commit-reveal election would leak how the revealed ballots went
     res.json({
       success: true,
       candidates: candidates.map(candidate => ({
         id: candidate._id,
+        onChainId: candidate.onChainId,
         name: candidate.name,
         party: candidate.party,
         description: candidate.description,
         photo: candidate.photo,
-        voteCount: candidate.voteCount,
-        totalVotes: candidate.totalVotes,
+        photoCid: candidate.media && candidate.media.photo ? candidate.media.photo.cid : undefined,
+        thumbnailCid: candidate.media && candidate.media.thumbnail ? candidate.media.thumbnail.cid : undefined,
+        profileCid: candidate.profileCid,
+        voteCount: candidate.electionId.resultsVisible ? candidate.voteCount : null,
+        totalVotes: candidate.electionId.resultsVisible ? candidate.totalVotes : null,
         electionId: candidate.electionId._id,
+        electionOnChainId: candidate.electionId.onChainId,
         electionTitle: candidate.electionId.title,
+        electionStatus: candidate.electionId.status,
+        pauseReason: candidate.electionId.pause.reason,
+        cancellationReason: candidate.electionId.cancellation.reason,
+        commitReveal: candidate.electionId.commitReveal,
+        phase: candidate.electionId.phase,
+        revealEndDate: candidate.electionId.revealEndDate,
         status: candidate.status
       }))
     });
@@ -39,49 +57,136 @@ const getCandidates = async (req, res) => {
   }
 };
 
-// Get election results
-const getResults = async (req, res) => {
+// A candidate's published profile, checked against the chain: the stored profile must be the content its
+// CID names, and that CID must be the ipfsHash the candidate is registered with on-chain
+const getCandidateProfile = async (req, res) => {
   try {
-    const { electionId } = req.query;
-    
-    let query = {};
-    if (electionId) {
-      query.electionId = electionId;
+    const { id } = req.params;
+    const candidate = mongoose.isValidObjectId(id) ? await Candidate.findById(id) : null;
+    if (!candidate || !candidate.isOnChain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Candidate not found'
+      });
+    }
+    if (!candidate.profileCid) {
+      return res.status(404).json({
+        success: false,
+        message: 'This candidate was registered without a profile'
+      });
     }
 
-    const candidates = await Candidate.find(query)
-      .populate('electionId', 'title status startDate endDate')
-      .sort({ voteCount: -1 });
-
-    if (candidates.length === 0) {
-      return res.json({
-        success: true,
-        candidates: [],
-        totalVotes: 0,
-        winner: null
+    let onChain;
+    try {
+      onChain = await getOnChainCandidate(candidate.onChainId);
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to read the candidate on-chain'
       });
     }
 
-    const totalVotes = candidates.reduce((sum, candidate) => sum + candidate.voteCount, 0);
-    const winner = candidates[0]; // First candidate (highest vote count)
+    // The media store only returns content that matches its CID
+    const profile = await loadProfile(candidate.profileCid);
+    const election = await Election.findById(candidate.electionId);
+    const cidRegistered = onChain.ipfsHash === candidate.profileCid;
+    const nameMatches = !!profile && profile.name === onChain.name;
 
     res.json({
       success: true,
-      candidates: candidates.map(candidate => ({
-        id: candidate._id,
-        name: candidate.name,
-        party: candidate.party,
-        votes: candidate.voteCount,
-        percentage: totalVotes > 0 ? ((candidate.voteCount / totalVotes) * 100).toFixed(2) : 0
-      })),
-      totalVotes,
-      winner: {
-        id: winner._id,
-        name: winner.name,
-        party: winner.party,
-        votes: winner.voteCount
+      candidateId: candidate._id,
+      profileCid: candidate.profileCid,
+      profile,
+      onChain: {
+        onChainId: onChain.onChainId,
+        electionId: onChain.electionId,
+        name: onChain.name,
+        ipfsHash: onChain.ipfsHash
       },
-      election: candidates[0].electionId
+      verification: {
+        verified: cidRegistered && !!profile && nameMatches,
+        cidRegistered,
+        profileAvailable: !!profile,
+        nameMatches,
+        // Whether the candidate's details have not been edited since the profile was published
+        upToDate: !!election && computeCid(serializeProfile(buildProfile(candidate, election))) === candidate.profileCid
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying candidate profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify candidate profile'
+    });
+  }
+};
+
+// Read the timeline interval asked for; null when it is not one the results offer
+const readInterval = (interval) => (interval === undefined || TIMELINE_INTERVALS[interval] ? interval : null);
+
+// Get one election's results: standings, turnout, ballots over time and the outcome
+const getElectionResults = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const interval = readInterval(req.query.interval);
+    if (interval === null) {
+      return res.status(400).json({
+        success: false,
+        message: `Interval must be one of: ${Object.keys(TIMELINE_INTERVALS).join(', ')}`
+      });
+    }
+
+    // Complete commit-reveal elections whose reveal phase has ended before reading their results
+    await Election.syncPhases();
+
+    const election = mongoose.isValidObjectId(id) ? await Election.findById(id) : null;
+    if (!election || election.status === 'draft') {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    // Certified results are served from their frozen snapshot, whatever interval is asked for
+    const results = election.certification.status === 'certified'
+      ? await getCertifiedResults(election)
+      : { ...(await buildElectionResults(election, { interval })), certification: describeCertification(election) };
+
+    res.json({
+      success: true,
+      ...results
+    });
+  } catch (error) {
+    console.error('Error fetching results:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch results'
+    });
+  }
+};
+
+// Get election results. With an electionId this is the same as GET /:id/results; without one it lists
+// the elections that have results, so each election's result is read on its own.
+const getResults = async (req, res) => {
+  if (req.query.electionId) {
+    req.params.id = req.query.electionId;
+    return getElectionResults(req, res);
+  }
+
+  try {
+    await Election.syncPhases();
+
+    const elections = await Election.find({ status: { $ne: 'draft' } })
+      .sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      elections: elections.map(election => ({
+        ...describeElection(election),
+        final: isFinal(election),
+        resultsVisible: election.resultsVisible,
+        certified: election.certification.status === 'certified'
+      }))
     });
   } catch (error) {
     console.error('Error fetching results:', error);
@@ -94,6 +199,8 @@ const getResults = async (req, res) => {
 
 module.exports = {
   getCandidates,
-  getResults
+  getCandidateProfile,
+  getResults,
+  getElectionResults
 };
 
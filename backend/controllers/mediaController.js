@@ -0,0 +1,62 @@
+const mediaStore = require('../services/mediaStore');
+const { isCid } = require('../utils/cid');
+
+// Content types of what the media store holds, recognised by their first bytes
+const detectContentType = (buffer) => {
+  if (buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.subarray(0, 1).toString() === '{') {
+    return 'application/json; charset=utf-8';
+  }
+  return 'application/octet-stream';
+};
+
+// Serve a blob by CID, like an IPFS path gateway. Asking for ?format=raw or the
+// application/vnd.ipld.raw type returns the raw block, as trustless gateways do.
+const getBlob = async (req, res) => {
+  try {
+    const { cid } = req.params;
+    if (!isCid(cid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid CID'
+      });
+    }
+
+    const buffer = await mediaStore.get(cid);
+    if (!buffer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    const raw = req.query.format === 'raw' || (req.headers.accept || '').includes('application/vnd.ipld.raw');
+    res.setHeader('Content-Type', raw ? 'application/vnd.ipld.raw' : detectContentType(buffer));
+    // Content under a CID never changes
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.setHeader('ETag', `"${cid}"`);
+    res.setHeader('X-Ipfs-Path', `/ipfs/${cid}`);
+    // Photos are shown by the frontend, which is served from another origin
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+
+    if (req.headers['if-none-match'] === `"${cid}"`) {
+      return res.status(304).end();
+    }
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error serving media:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read content'
+    });
+  }
+};
+
+module.exports = {
+  getBlob
+};
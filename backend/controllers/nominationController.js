@@ -0,0 +1,556 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const mongoose = require('mongoose');
+const Candidate = require('../models/Candidate');
+const Election = require('../models/Election');
+const AdminSettings = require('../models/AdminSettings');
+const { getStorage } = require('../services/fileStorage');
+const candidateReview = require('../services/candidateReview');
+const { storeCandidatePhoto } = require('../services/candidateProfile');
+const { PHOTO_CONTENT_TYPES } = require('../utils/images');
+const { UPLOAD_CONTENT_TYPES, EXTENSIONS, readContentType, matchesContentType } = require('../utils/fileTypes');
+
+const NOMINATION_DOCUMENT_TYPES = ['manifesto', 'id', 'passport', 'certificate', 'other'];
+const MAX_DOCUMENTS_PER_NOMINATION = 10;
+const SOCIAL_MEDIA_FIELDS = ['website', 'twitter', 'facebook', 'linkedin'];
+
+// Read the details a nominee gives, trimmed; the signed message spells out every one of them
+const readNomination = (body) => {
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  const socialMedia = body.socialMedia || {};
+
+  return {
+    name: text(body.name),
+    party: text(body.party),
+    description: text(body.description),
+    email: text(body.email).toLowerCase(),
+    phone: text(body.phone),
+    socialMedia: SOCIAL_MEDIA_FIELDS.reduce((result, field) => ({ ...result, [field]: text(socialMedia[field]) }), {})
+  };
+};
+
+// The message a nominee signs to stand in an election
+const getNominationMessage = (walletAddress, electionId, nomination, deadline) => [
+  'Nominate me as a BlocPol candidate',
+  `Wallet: ${walletAddress.toLowerCase()}`,
+  `Election: ${electionId}`,
+  `Name: ${nomination.name}`,
+  `Party: ${nomination.party}`,
+  `Email: ${nomination.email}`,
+  `Phone: ${nomination.phone}`,
+  `Description: ${nomination.description}`,
+  ...SOCIAL_MEDIA_FIELDS.map(field => `${field[0].toUpperCase()}${field.slice(1)}: ${nomination.socialMedia[field]}`),
+  `Valid until: ${deadline}`
+].join('\n');
+
+// The message a nominee signs to upload a document; it names the file by its hash
+const getNominationUploadMessage = (walletAddress, candidateId, type, sha256, deadline) => [
+  'Upload a BlocPol candidate document',
+  `Wallet: ${walletAddress.toLowerCase()}`,
+  `Nomination: ${candidateId}`,
+  `Type: ${type}`,
+  `SHA-256: ${sha256}`,
+  `Valid until: ${deadline}`
+].join('\n');
+
+// The message a rejected nominee signs to appeal
+const getAppealMessage = (walletAddress, candidateId, reason, deadline) => [
+  'Appeal the rejection of my BlocPol nomination',
+  `Wallet: ${walletAddress.toLowerCase()}`,
+  `Nomination: ${candidateId}`,
+  `Reason: ${reason}`,
+  `Valid until: ${deadline}`
+].join('\n');
+
+// Check the wallet, signature and deadline sent with a signed request; returns an error response or null
+const checkSignedRequest = ({ walletAddress, signature, deadline }, message) => {
+  if (!walletAddress || !ethers.utils.isAddress(walletAddress) || !signature || !deadline) {
+    return { status: 400, message: 'Wallet address, signature and deadline are required' };
+  }
+  if (Number(deadline) < Math.floor(Date.now() / 1000)) {
+    return { status: 400, message: 'Signature has expired. Please sign again.' };
+  }
+  if (ethers.utils.verifyMessage(message(), signature).toLowerCase() !== walletAddress.toLowerCase()) {
+    return { status: 401, message: 'Invalid signature' };
+  }
+  return null;
+};
+
+// Match a wallet address whatever its case; admins may have registered candidates with checksummed addresses
+const walletQuery = (walletAddress) => ({ $regex: `^${walletAddress}$`, $options: 'i' });
+
+// Find a nomination from the route parameter, if it belongs to the wallet
+const findNomination = async (id, walletAddress) => {
+  const candidate = mongoose.isValidObjectId(id) ? await Candidate.findById(id) : null;
+  return candidate && candidate.walletAddress.toLowerCase() === walletAddress.toLowerCase() ? candidate : null;
+};
+
+// What a nominee sees of their own documents
+const describeDocument = (doc) => ({
+  id: doc._id,
+  type: doc.type,
+  contentType: doc.contentType,
+  size: doc.size,
+  sha256: doc.sha256,
+  uploadedAt: doc.uploadedAt
+});
+
+// What a nominee sees of their own nomination
+const describeNomination = (candidate, election) => ({
+  id: candidate._id,
+  election: election ? { id: election._id, title: election.title, status: election.status, startDate: election.startDate } : null,
+  name: candidate.name,
+  party: candidate.party,
+  description: candidate.description,
+  email: candidate.email,
+  phone: candidate.phone,
+  socialMedia: candidate.socialMedia,
+  status: candidate.status,
+  selfNominated: !!(candidate.nomination && candidate.nomination.selfNominated),
+  submittedAt: candidate.nomination && candidate.nomination.submittedAt,
+  approvedAt: candidate.approvedAt,
+  rejectedAt: candidate.rejectedAt,
+  rejectionReason: candidate.rejectionReason,
+  appeal: candidate.appeal && candidate.appeal.submittedAt ? {
+    reason: candidate.appeal.reason,
+    submittedAt: candidate.appeal.submittedAt,
+    decision: candidate.appeal.decision,
+    decidedAt: candidate.appeal.decidedAt
+  } : null,
+  canAppeal: candidateReview.canAppeal(candidate, election),
+  photo: candidate.media && candidate.media.photo && candidate.media.photo.cid ? {
+    cid: candidate.media.photo.cid,
+    thumbnailCid: candidate.media.thumbnail.cid,
+    uploadedAt: candidate.media.uploadedAt
+  } : null,
+  profileCid: candidate.profileCid,
+  documents: candidate.documents.filter(doc => doc.storageKey).map(describeDocument)
+});
+
+// List the elections taking nominations: drafts, until they start
+const getOpenElections = async (req, res) => {
+  try {
+    const elections = await Election.find({ status: 'draft' })
+      .select('title description startDate endDate votingMode maxCandidates')
+      .sort({ startDate: 1 });
+
+    res.json({
+      success: true,
+      elections: elections.map(election => ({
+        id: election._id,
+        title: election.title,
+        description: election.description,
+        startDate: election.startDate,
+        endDate: election.endDate,
+        votingMode: election.votingMode,
+        maxCandidates: election.maxCandidates
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching open elections:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch elections'
+    });
+  }
+};
+
+// Nominate the signing wallet as a candidate; the nomination waits in the admin review queue
+const submitNomination = async (req, res) => {
+  try {
+    const { walletAddress, electionId, signature, deadline } = req.body;
+    const nomination = readNomination(req.body);
+
+    if (!nomination.name || !nomination.email || !mongoose.isValidObjectId(electionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Election, name and email are required'
+      });
+    }
+
+    const signatureError = checkSignedRequest(req.body, () => getNominationMessage(walletAddress, electionId, nomination, deadline));
+    if (signatureError) {
+      return res.status(signatureError.status).json({
+        success: false,
+        message: signatureError.message
+      });
+    }
+
+    const election = await Election.findById(electionId);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    if (election.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Nominations for this election are closed'
+      });
+    }
+
+    const existing = await Candidate.findOne({
+      electionId: election._id,
+      walletAddress: walletQuery(walletAddress),
+      status: { $ne: 'withdrawn' }
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'This wallet has already been nominated in this election'
+      });
+    }
+
+    const candidate = new Candidate({
+      ...nomination,
+      electionId: election._id,
+      walletAddress: walletAddress.toLowerCase(),
+      status: 'pending',
+      registeredBy: walletAddress.toLowerCase(),
+      nomination: { selfNominated: true, submittedAt: new Date(), signature }
+    });
+
+    try {
+      await candidate.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(e => e.message).join('; ')
+        });
+      }
+      throw error;
+    }
+
+    await req.audit('CANDIDATE_NOMINATED', candidate.walletAddress, {
+      candidateId: candidate._id,
+      name: candidate.name,
+      electionId: election._id
+    }, { electionId: election._id, candidateId: candidate._id });
+
+    // With admin approval turned off, a nomination is approved as soon as it is made
+    const settings = await AdminSettings.getSettings();
+    let approved = false;
+    if (settings.requireAdminApproval === false) {
+      try {
+        // Registered on-chain by the PRIVATE_KEY account, so the approval is audited under its address
+        const approver = new ethers.Wallet(process.env.PRIVATE_KEY).address;
+        await candidateReview.approveCandidate(candidate, election, approver);
+        approved = true;
+        await req.audit('CANDIDATE_APPROVED', approver, {
+          candidateId: candidate._id,
+          name: candidate.name,
+          onChainId: candidate.onChainId,
+          registrationTxHash: candidate.registrationTxHash,
+          automatic: true
+        }, {
+          electionId: election._id,
+          candidateId: candidate._id,
+          transactionHash: candidate.registrationTxHash
+        });
+      } catch (error) {
+        // The nomination stays pending for an admin to approve
+        console.error('Error approving nomination:', error);
+      }
+    }
+
+    const emailSent = await candidateReview.notifyCandidate(candidate, election, approved ? 'approved' : 'received');
+
+    res.status(201).json({
+      success: true,
+      message: approved
+        ? 'Nomination approved. You are now a candidate.'
+        : 'Nomination submitted. It will be reviewed by the election officials.',
+      nomination: describeNomination(candidate, election),
+      emailSent
+    });
+  } catch (error) {
+    console.error('Error submitting nomination:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit nomination'
+    });
+  }
+};
+
+// List a wallet's nominations and their review status
+const getNominations = async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+    if (!ethers.utils.isAddress(walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid wallet address'
+      });
+    }
+
+    const candidates = await Candidate.find({ walletAddress: walletQuery(walletAddress) })
+      .populate('electionId', 'title status startDate')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      nominations: candidates.map(candidate => describeNomination(candidate, candidate.electionId))
+    });
+  } catch (error) {
+    console.error('Error fetching nominations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch nominations'
+    });
+  }
+};
+
+// Upload a manifesto or supporting document for a nomination under review; the file is the raw request
+// body and the details are in the query string
+const uploadNominationDocument = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { walletAddress, type, deadline } = req.query;
+    const contentType = readContentType(req);
+
+    if (!NOMINATION_DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Document type must be one of: ${NOMINATION_DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0 || !matchesContentType(req.body, contentType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a PDF, PNG or JPEG file'
+      });
+    }
+
+    const sha256 = crypto.createHash('sha256').update(req.body).digest('hex');
+    const signatureError = checkSignedRequest(req.query, () => getNominationUploadMessage(walletAddress, id, type, sha256, deadline));
+    if (signatureError) {
+      return res.status(signatureError.status).json({
+        success: false,
+        message: signatureError.message
+      });
+    }
+
+    const candidate = await findNomination(id, walletAddress);
+    if (!candidate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nomination not found'
+      });
+    }
+
+    // Documents back a nomination under review or one that can still be appealed
+    const election = await Election.findById(candidate.electionId);
+    if (candidate.status !== 'pending' && !candidateReview.canAppeal(candidate, election)) {
+      return res.status(400).json({
+        success: false,
+        message: `Documents cannot be added to a nomination that is ${candidate.status}`
+      });
+    }
+
+    if (candidate.documents.length >= MAX_DOCUMENTS_PER_NOMINATION) {
+      return res.status(400).json({
+        success: false,
+        message: `A nomination can have at most ${MAX_DOCUMENTS_PER_NOMINATION} documents`
+      });
+    }
+
+    const storageKey = `candidates/${candidate._id}/${crypto.randomUUID()}.${EXTENSIONS[contentType]}`;
+    const storage = getStorage();
+    await storage.save(storageKey, req.body, contentType);
+
+    candidate.documents.push({ type, storageKey, contentType, size: req.body.length, sha256 });
+    const document = candidate.documents[candidate.documents.length - 1];
+    try {
+      await candidate.save();
+    } catch (error) {
+      // Do not keep a file no candidate record points to
+      await storage.remove(storageKey).catch(() => {});
+      throw error;
+    }
+
+    await req.audit('CANDIDATE_DOCUMENT_UPLOADED', candidate.walletAddress, {
+      candidateId: candidate._id,
+      documentId: document._id,
+      type,
+      sha256
+    }, { electionId: candidate.electionId, candidateId: candidate._id });
+
+    res.status(201).json({
+      success: true,
+      message: type === 'manifesto' ? 'Manifesto uploaded' : 'Document uploaded',
+      document: describeDocument(document)
+    });
+  } catch (error) {
+    console.error('Error uploading nomination document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload document'
+    });
+  }
+};
+
+// Set the nominee's photo; it is signed for like a document, with 'photo' as its type
+const uploadNominationPhoto = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { walletAddress, deadline } = req.query;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a JPEG, PNG or WebP image'
+      });
+    }
+
+    const sha256 = crypto.createHash('sha256').update(req.body).digest('hex');
+    const signatureError = checkSignedRequest(req.query, () => getNominationUploadMessage(walletAddress, id, 'photo', sha256, deadline));
+    if (signatureError) {
+      return res.status(signatureError.status).json({
+        success: false,
+        message: signatureError.message
+      });
+    }
+
+    const candidate = await findNomination(id, walletAddress);
+    if (!candidate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nomination not found'
+      });
+    }
+
+    // The photo is part of the profile registered on-chain, so it is fixed once the candidate is registered
+    const election = await Election.findById(candidate.electionId);
+    if (candidate.isOnChain || (candidate.status !== 'pending' && !candidateReview.canAppeal(candidate, election))) {
+      return res.status(400).json({
+        success: false,
+        message: candidate.isOnChain
+          ? 'The photo of a candidate registered on-chain cannot change'
+          : `The photo of a nomination that is ${candidate.status} cannot change`
+      });
+    }
+
+    const stored = await storeCandidatePhoto(candidate, req.body);
+    if (stored.error) {
+      return res.status(400).json({
+        success: false,
+        message: stored.error
+      });
+    }
+    await candidate.save();
+
+    await req.audit('CANDIDATE_PHOTO_UPLOADED', candidate.walletAddress, {
+      candidateId: candidate._id,
+      photoCid: candidate.media.photo.cid,
+      thumbnailCid: candidate.media.thumbnail.cid,
+      sha256
+    }, { electionId: candidate.electionId, candidateId: candidate._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Photo uploaded',
+      nomination: describeNomination(candidate, election)
+    });
+  } catch (error) {
+    console.error('Error uploading nomination photo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload photo'
+    });
+  }
+};
+
+// Appeal a rejected nomination: it goes back to the review queue with the nominee's reason
+const submitAppeal = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { walletAddress, deadline } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to appeal'
+      });
+    }
+
+    const signatureError = checkSignedRequest(req.body, () => getAppealMessage(walletAddress, id, reason, deadline));
+    if (signatureError) {
+      return res.status(signatureError.status).json({
+        success: false,
+        message: signatureError.message
+      });
+    }
+
+    const candidate = await findNomination(id, walletAddress);
+    if (!candidate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nomination not found'
+      });
+    }
+
+    const election = await Election.findById(candidate.electionId);
+    if (!candidateReview.canAppeal(candidate, election)) {
+      return res.status(400).json({
+        success: false,
+        message: candidate.status !== 'rejected'
+          ? 'Only rejected nominations can be appealed'
+          : candidate.appeal && candidate.appeal.submittedAt
+            ? 'This nomination has already been appealed'
+            : 'Appeals close when the election starts'
+      });
+    }
+
+    candidate.appeal = { reason, submittedAt: new Date() };
+    candidate.status = 'pending';
+    try {
+      await candidate.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(e => e.message).join('; ')
+        });
+      }
+      throw error;
+    }
+
+    await req.audit('CANDIDATE_APPEALED', candidate.walletAddress, {
+      candidateId: candidate._id,
+      name: candidate.name,
+      reason,
+      rejectionReason: candidate.rejectionReason
+    }, { electionId: candidate.electionId, candidateId: candidate._id });
+
+    const emailSent = await candidateReview.notifyCandidate(candidate, election, 'appealed');
+
+    res.json({
+      success: true,
+      message: 'Appeal submitted. The election officials will review your nomination again.',
+      nomination: describeNomination(candidate, election),
+      emailSent
+    });
+  } catch (error) {
+    console.error('Error submitting appeal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit appeal'
+    });
+  }
+};
+
+module.exports = {
+  NOMINATION_CONTENT_TYPES: UPLOAD_CONTENT_TYPES,
+  PHOTO_CONTENT_TYPES,
+  getOpenElections,
+  submitNomination,
+  getNominations,
+  uploadNominationDocument,
+  uploadNominationPhoto,
+  submitAppeal
+};
@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const mongoose = require('mongoose');
+const Voter = require('../models/Voter');
+const { getStorage } = require('../services/fileStorage');
+const { UPLOAD_CONTENT_TYPES, EXTENSIONS, readContentType, matchesContentType } = require('../utils/fileTypes');
+
+const DOCUMENT_TYPES = ['id', 'passport', 'proof_of_address', 'other'];
+const MAX_DOCUMENTS_PER_VOTER = 10;
+
+const DOCUMENT_CONTENT_TYPES = UPLOAD_CONTENT_TYPES;
+
+// The message a voter signs to upload a document; it names the file by its hash
+const getUploadMessage = (walletAddress, type, sha256, deadline) => [
+  'Upload a BlocPol identity document',
+  `Wallet: ${walletAddress.toLowerCase()}`,
+  `Type: ${type}`,
+  `SHA-256: ${sha256}`,
+  `Valid until: ${deadline}`
+].join('\n');
+
+// What a voter sees of their own documents
+const describeDocument = (doc) => ({
+  id: doc._id,
+  type: doc.type,
+  contentType: doc.contentType,
+  size: doc.size,
+  status: doc.status,
+  uploadedAt: doc.uploadedAt,
+  reviewedAt: doc.reviewedAt,
+  rejectionReason: doc.rejectionReason
+});
+
+// Upload an identity document; the file is the raw request body and the details are in the query string
+const uploadDocument = async (req, res) => {
+  try {
+    const { walletAddress, type, signature, deadline } = req.query;
+    const contentType = readContentType(req);
+
+    if (!walletAddress || !ethers.utils.isAddress(walletAddress) || !signature || !deadline) {
+      return res.status(400).json({
+        success: false,
+        message: 'Wallet address, signature and deadline are required'
+      });
+    }
+
+    if (!DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0 || !matchesContentType(req.body, contentType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a PDF, PNG or JPEG file'
+      });
+    }
+
+    if (Number(deadline) < Math.floor(Date.now() / 1000)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload signature has expired. Please sign again.'
+      });
+    }
+
+    const sha256 = crypto.createHash('sha256').update(req.body).digest('hex');
+    const recoveredAddress = ethers.utils.verifyMessage(getUploadMessage(walletAddress, type, sha256, deadline), signature);
+    if (recoveredAddress.toLowerCase() !== walletAddress.toLowerCase()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid signature'
+      });
+    }
+
+    const voter = await Voter.findOne({ walletAddress: walletAddress.toLowerCase() });
+    if (!voter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voter not found'
+      });
+    }
+
+    if (voter.documents.length >= MAX_DOCUMENTS_PER_VOTER) {
+      return res.status(400).json({
+        success: false,
+        message: `A voter can upload at most ${MAX_DOCUMENTS_PER_VOTER} documents`
+      });
+    }
+
+    const storageKey = `documents/${voter._id}/${crypto.randomUUID()}.${EXTENSIONS[contentType]}`;
+    const storage = getStorage();
+    await storage.save(storageKey, req.body, contentType);
+
+    voter.documents.push({ type, storageKey, contentType, size: req.body.length, sha256 });
+    const document = voter.documents[voter.documents.length - 1];
+    try {
+      await voter.save();
+    } catch (error) {
+      // Do not keep a file no voter record points to
+      await storage.remove(storageKey).catch(() => {});
+      throw error;
+    }
+
+    await req.audit('VOTER_DOCUMENT_UPLOADED', voter.walletAddress, {
+      voterId: voter._id,
+      documentId: document._id,
+      type,
+      sha256
+    }, { voterId: voter._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded. It will be reviewed by an administrator.',
+      document: describeDocument(document)
+    });
+  } catch (error) {
+    console.error('Error uploading document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload document'
+    });
+  }
+};
+
+// List a voter's documents and whether their identity is verified
+const getDocuments = async (req, res) => {
+  try {
+    const voter = await Voter.findOne({ walletAddress: req.params.walletAddress.toLowerCase() });
+    if (!voter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      isVerified: voter.isVerified,
+      verificationDate: voter.verificationDate,
+      documents: voter.documents.map(describeDocument)
+    });
+  } catch (error) {
+    console.error('Error fetching documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch documents'
+    });
+  }
+};
+
+// Get the review queue: documents with a status (pending by default), oldest first
+const getDocumentQueue = async (req, res) => {
+  try {
+    const { status = 'pending', type } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const match = { 'documents.status': String(status) };
+    if (type) {
+      match['documents.type'] = String(type);
+    }
+
+    const [result] = await Voter.aggregate([
+      { $match: match },
+      { $unwind: '$documents' },
+      { $match: match },
+      { $sort: { 'documents.uploadedAt': 1 } },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          documents: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                voter: {
+                  id: '$_id',
+                  name: '$name',
+                  email: '$email',
+                  walletAddress: '$walletAddress',
+                  isVerified: '$isVerified'
+                },
+                document: '$documents'
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    res.json({
+      success: true,
+      documents: result.documents.map(({ voter, document }) => ({
+        voter,
+        ...describeDocument(document),
+        sha256: document.sha256,
+        reviewedBy: document.reviewedBy
+      })),
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Error fetching document queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch document queue'
+    });
+  }
+};
+
+// Find a voter and one of their documents from the route parameters
+const findDocument = async ({ voterId, documentId }) => {
+  const voter = mongoose.isValidObjectId(voterId) ? await Voter.findById(voterId) : null;
+  const document = voter && mongoose.isValidObjectId(documentId) ? voter.documents.id(documentId) : null;
+  return { voter, document };
+};
+
+// Stream a document's file to a reviewer
+const getDocumentFile = async (req, res) => {
+  try {
+    const { document } = await findDocument(req.params);
+    if (!document || !document.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const stream = await getStorage().open(document.storageKey);
+    res.setHeader('Content-Type', document.contentType);
+    res.setHeader('Content-Disposition', `inline; filename="${document.type}.${EXTENSIONS[document.contentType] || 'bin'}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    stream.on('error', error => res.destroy(error));
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error reading document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read document'
+    });
+  }
+};
+
+// Approve or reject a pending document; approving the last missing document verifies the voter
+const reviewDocument = (decision) => async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (decision === 'rejected' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a document'
+      });
+    }
+
+    const { voter, document } = await findDocument(req.params);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (document.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Document has already been ${document.status}`
+      });
+    }
+
+    document.status = decision;
+    document.verified = decision === 'approved';
+    document.reviewedBy = req.adminAddress;
+    document.reviewedAt = new Date();
+    document.rejectionReason = reason || undefined;
+
+    const newlyVerified = !voter.isVerified && voter.hasVerifiedIdentity();
+    if (newlyVerified) {
+      voter.isVerified = true;
+    }
+    await voter.save();
+
+    const metadata = { voterId: voter._id };
+    await req.audit(decision === 'approved' ? 'VOTER_DOCUMENT_APPROVED' : 'VOTER_DOCUMENT_REJECTED', req.adminAddress, {
+      voterId: voter._id,
+      documentId: document._id,
+      type: document.type,
+      reason: reason || undefined
+    }, metadata);
+    if (newlyVerified) {
+      await req.audit('VOTER_VERIFIED', req.adminAddress, { voterId: voter._id, walletAddress: voter.walletAddress }, metadata);
+    }
+
+    res.json({
+      success: true,
+      message: `Document ${decision}`,
+      document: describeDocument(document),
+      voterVerified: voter.isVerified
+    });
+  } catch (error) {
+    console.error('Error reviewing document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review document'
+    });
+  }
+};
+
+module.exports = {
+  DOCUMENT_CONTENT_TYPES,
+  uploadDocument,
+  getDocuments,
+  getDocumentQueue,
+  getDocumentFile,
+  approveDocument: reviewDocument('approved'),
+  rejectDocument: reviewDocument('rejected')
+};
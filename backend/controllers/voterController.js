@@ -1,15 +1,119 @@
 const { ethers } = require('ethers');
+const mongoose = require('mongoose');
 const Voter = require('../models/Voter');
 const Election = require('../models/Election');
 const Candidate = require('../models/Candidate');
-const AuditLog = require('../models/AuditLog');
-const { getContractInstance } = require('../utils/contractUtils');
+const AdminSettings = require('../models/AdminSettings');
+const {
+  getRelayerContract,
+  buildVoteTypedData,
+  buildRankedVoteTypedData,
+  buildCommitTypedData,
+  sealVote,
+  recoverVoteSigner
+} = require('../utils/contractUtils');
+const {
+  isLiquidDemocracyEnabled,
+  getBaseVotingPower,
+  getActiveDelegation,
+  getDelegatedWeight
+} = require('../utils/liquidDemocracyUtils');
+const { checkEligibility } = require('../utils/eligibility');
+const { diffDocuments } = require('../utils/auditDiff');
+const { issueEmailVerificationToken, verifyEmailVerificationToken, getEmailVerificationTtl } = require('../utils/tokenUtils');
+const { sendMail } = require('../services/mail');
+const { isOnAllowlist } = require('../utils/allowlistUtils');
+
+const VOTE_SIGNATURE_TTL_SECONDS = 10 * 60; // 10 minutes
+const VERIFICATION_EMAIL_COOLDOWN_MS = 60 * 1000;
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'country', 'zipCode'];
+
+// Read the eligibility details a voter gives at registration or when updating their profile
+const readProfile = ({ dateOfBirth, citizenship, address }) => {
+  const profile = {};
+
+  if (dateOfBirth) {
+    const date = new Date(dateOfBirth);
+    if (Number.isNaN(date.getTime()) || date > new Date()) {
+      return { error: 'Date of birth must be a valid date in the past' };
+    }
+    profile.dateOfBirth = date;
+  }
+  if (citizenship !== undefined) {
+    profile.citizenship = String(citizenship).trim();
+  }
+  if (address) {
+    profile.address = {};
+    ADDRESS_FIELDS.forEach(field => {
+      profile.address[field] = address[field] ? String(address[field]).trim() : '';
+    });
+  }
+
+  return { profile };
+};
+
+// The message a voter signs to update their profile; it spells out every value, so the signature
+// cannot be replayed with other details
+const getProfileMessage = (walletAddress, profile, deadline) => [
+  'Update my BlocPol voter profile',
+  `Wallet: ${walletAddress.toLowerCase()}`,
+  `Date of birth: ${profile.dateOfBirth ? profile.dateOfBirth.toISOString().slice(0, 10) : ''}`,
+  `Citizenship: ${profile.citizenship || ''}`,
+  `Address: ${ADDRESS_FIELDS.map(field => (profile.address && profile.address[field]) || '').join(', ')}`,
+  `Valid until: ${deadline}`
+].join('\n');
+
+// Check a voter against each election and describe the result
+const describeEligibility = (voter, elections) => Promise.all(elections.map(async election => ({
+  electionId: election._id,
+  title: election.title,
+  ...await checkEligibility(voter, election)
+})));
+
+// Whether voters have to confirm their email address before voting
+const isEmailVerificationRequired = async () => {
+  const settings = await AdminSettings.getSettings();
+  return settings.requireEmailVerification !== false;
+};
+
+// Email the voter a link to the frontend's confirmation page
+const sendVerificationEmail = async (voter) => {
+  const token = issueEmailVerificationToken(voter);
+  const link = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${encodeURIComponent(token)}`;
+  const hours = Math.round(getEmailVerificationTtl() / 3600);
+
+  await sendMail({
+    to: voter.email,
+    subject: 'Confirm your BlocPol email address',
+    text: [
+      `Hello ${voter.name},`,
+      '',
+      'Open this link to confirm your email address and finish your BlocPol voter registration:',
+      '',
+      link,
+      '',
+      `The link expires in ${hours} hour${hours === 1 ? '' : 's'}. If you did not register, ignore this email.`
+    ].join('\n')
+  });
+
+  voter.emailVerificationSentAt = new Date();
+  await voter.save();
+};
 
 // Register voter
 const registerVoter = async (req, res) => {
   try {
     const { name, email, walletAddress, signature, message } = req.body;
 
+    const { profile, error } = readProfile(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
     // Verify signature
     const recoveredAddress = ethers.utils.verifyMessage(message, signature);
     if (recoveredAddress.toLowerCase() !== walletAddress.toLowerCase()) {
@@ -32,29 +136,46 @@ const registerVoter = async (req, res) => {
     const voter = new Voter({
       walletAddress: walletAddress.toLowerCase(),
       name,
-      email
+      email,
+      ...profile
     });
 
     await voter.save();
 
     // Log audit trail
-    await AuditLog.create({
-      action: 'VOTER_REGISTERED',
-      actor: walletAddress.toLowerCase(),
-      data: { voterId: voter._id, name, email },
-      timestamp: Math.floor(Date.now() / 1000)
-    });
+    await req.audit('VOTER_REGISTERED', walletAddress.toLowerCase(), { voterId: voter._id, name, email }, { voterId: voter._id });
+
+    // A mail failure does not undo the registration: the voter can ask for the email again
+    const emailVerificationRequired = await isEmailVerificationRequired();
+    let verificationEmailSent = false;
+    if (emailVerificationRequired) {
+      try {
+        await sendVerificationEmail(voter);
+        verificationEmailSent = true;
+      } catch (error) {
+        console.error('Error sending verification email:', error);
+      }
+    }
+
+    // Registration is not tied to an election: tell the voter which open elections they can vote in
+    const elections = await Election.find({ status: 'active' });
 
     res.status(201).json({
       success: true,
-      message: 'Voter registered successfully',
+      message: emailVerificationRequired
+        ? 'Voter registered successfully. Confirm your email address before voting.'
+        : 'Voter registered successfully',
       voter: {
         id: voter._id,
         name: voter.name,
         email: voter.email,
         walletAddress: voter.walletAddress,
-        registrationDate: voter.registrationDate
-      }
+        registrationDate: voter.registrationDate,
+        emailVerified: voter.emailVerified
+      },
+      emailVerificationRequired,
+      verificationEmailSent,
+      eligibility: await describeEligibility(voter, elections)
     });
   } catch (error) {
     console.error('Error registering voter:', error);
@@ -87,6 +208,8 @@ const getVoterStatus = async (req, res) => {
         email: voter.email,
         walletAddress: voter.walletAddress,
         isVerified: voter.isVerified,
+        emailVerified: voter.emailVerified,
+        emailVerificationRequired: await isEmailVerificationRequired(),
         registrationDate: voter.registrationDate,
         totalVotes: voter.votingHistory.length,
         isActive: voter.isActive,
@@ -102,13 +225,131 @@ const getVoterStatus = async (req, res) => {
   }
 };
 
-// Cast vote
-const castVote = async (req, res) => {
+// Confirm a voter's email address with the token from their verification email
+const verifyEmail = async (req, res) => {
   try {
-    const { candidateId, walletAddress, signature, message } = req.body;
+    let payload;
+    try {
+      payload = verifyEmailVerificationToken(req.body.token);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.name === 'TokenExpiredError'
+          ? 'This verification link has expired. Request a new one.'
+          : 'Invalid verification link'
+      });
+    }
 
-    // Verify signature
-    const recoveredAddress = ethers.utils.verifyMessage(message, signature);
+    const voter = mongoose.isValidObjectId(payload.sub) ? await Voter.findById(payload.sub) : null;
+    // The token is for the address it was sent to; a changed email needs a new link
+    if (!voter || voter.email !== payload.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification link'
+      });
+    }
+
+    if (!voter.emailVerified) {
+      voter.emailVerified = true;
+      voter.emailVerifiedAt = new Date();
+      await voter.save();
+
+      await req.audit('VOTER_EMAIL_VERIFIED', voter.walletAddress, { voterId: voter._id, email: voter.email }, { voterId: voter._id });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address confirmed',
+      walletAddress: voter.walletAddress,
+      emailVerifiedAt: voter.emailVerifiedAt
+    });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email'
+    });
+  }
+};
+
+// Send the verification email again, at most once a minute
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const { walletAddress } = req.body;
+    if (!walletAddress || !ethers.utils.isAddress(walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid wallet address is required'
+      });
+    }
+
+    const voter = await Voter.findOne({ walletAddress: walletAddress.toLowerCase() });
+    if (!voter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voter not found'
+      });
+    }
+
+    if (voter.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already confirmed'
+      });
+    }
+
+    const sentAt = voter.emailVerificationSentAt ? voter.emailVerificationSentAt.getTime() : 0;
+    if (Date.now() - sentAt < VERIFICATION_EMAIL_COOLDOWN_MS) {
+      return res.status(429).json({
+        success: false,
+        message: 'A verification email was just sent. Please wait a minute before asking again.'
+      });
+    }
+
+    await sendVerificationEmail(voter);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${voter.email}`
+    });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+};
+
+// Update the details eligibility rules are checked against
+const updateVoterProfile = async (req, res) => {
+  try {
+    const { walletAddress, signature, deadline } = req.body;
+
+    if (!walletAddress || !ethers.utils.isAddress(walletAddress) || !signature || !deadline) {
+      return res.status(400).json({
+        success: false,
+        message: 'Wallet address, signature and deadline are required'
+      });
+    }
+
+    if (Number(deadline) < Math.floor(Date.now() / 1000)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Profile signature has expired. Please sign again.'
+      });
+    }
+
+    // The signed message covers every field, so a field left out is cleared
+    const { profile, error } = readProfile({ citizenship: '', address: {}, ...req.body });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const recoveredAddress = ethers.utils.verifyMessage(getProfileMessage(walletAddress, profile, deadline), signature);
     if (recoveredAddress.toLowerCase() !== walletAddress.toLowerCase()) {
       return res.status(401).json({
         success: false,
@@ -116,7 +357,6 @@ const castVote = async (req, res) => {
       });
     }
 
-    // Get voter
     const voter = await Voter.findOne({ walletAddress: walletAddress.toLowerCase() });
     if (!voter) {
       return res.status(404).json({
@@ -125,67 +365,369 @@ const castVote = async (req, res) => {
       });
     }
 
-    // Get candidate
-    const candidate = await Candidate.findById(candidateId).populate('electionId');
-    if (!candidate) {
+    const before = voter.toObject();
+    voter.set({ dateOfBirth: undefined, ...profile });
+    await voter.save();
+
+    // Personal details stay out of the permanent audit log: record which fields changed, not their values
+    const fields = diffDocuments(before, voter).map(change => change.path);
+    await req.audit('VOTER_PROFILE_UPDATED', voter.walletAddress, { voterId: voter._id, fields }, { voterId: voter._id });
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating voter profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update profile'
+    });
+  }
+};
+
+// Check whether a voter can vote in one election, or in every active election
+const getEligibility = async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+    const { electionId } = req.query;
+
+    const voter = await Voter.findOne({ walletAddress: walletAddress.toLowerCase() });
+    if (!voter) {
       return res.status(404).json({
         success: false,
-        message: 'Candidate not found'
+        message: 'Voter not found'
+      });
+    }
+
+    let elections;
+    if (electionId) {
+      const election = mongoose.isValidObjectId(electionId) ? await Election.findById(electionId) : null;
+      if (!election) {
+        return res.status(404).json({
+          success: false,
+          message: 'Election not found'
+        });
+      }
+      elections = [election];
+    } else {
+      elections = await Election.find({ status: 'active' });
+    }
+
+    res.json({
+      success: true,
+      eligibility: await describeEligibility(voter, elections)
+    });
+  } catch (error) {
+    console.error('Error checking eligibility:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check eligibility'
+    });
+  }
+};
+
+// Read the ballot from a request: `rankings` (ranked-choice, first choice first) or a single `candidateId`
+const getBallotCandidateIds = ({ rankings, candidateId }) => {
+  if (rankings !== undefined) {
+    return Array.isArray(rankings) ? rankings : String(rankings).split(',').filter(Boolean);
+  }
+  return candidateId ? [candidateId] : [];
+};
+
+// Liquid democracy elections weigh each ballot with the votes delegated to the voter
+const usesDelegation = (election) => {
+  return election.votingMode === 'LIQUID_DEMOCRACY' && isLiquidDemocracyEnabled();
+};
+
+// Check the voter's account may vote at all, whatever the election
+const getVoterRestriction = async (voter) => {
+  if (voter.banned) {
+    return { status: 403, message: `This voter account is banned${voter.banReason ? `: ${voter.banReason}` : ''}` };
+  }
+  if (!voter.emailVerified && await isEmailVerificationRequired()) {
+    return { status: 403, message: 'Confirm your email address before voting' };
+  }
+  return null;
+};
+
+// The inclusion proof relayed with a ballot; BlocPol only checks it in elections with a voter roll
+const getRelayedProof = (election, merkleProof) => (election.merkleRoot ? merkleProof : []);
+
+// Elections with a voter roll only take votes that come with a valid inclusion proof
+const getAllowlistRejection = (election, walletAddress, merkleProof) => {
+  if (isOnAllowlist(election, walletAddress, merkleProof)) {
+    return null;
+  }
+  return { status: 403, message: 'Your address is not on this election\'s voter roll, or its inclusion proof is invalid' };
+};
+
+// Paused elections take no ballots until an admin resumes them
+const getPausedRejection = (election) => {
+  if (election.status !== 'paused') {
+    return null;
+  }
+  return { status: 400, message: `Voting in this election is paused: ${election.pause.reason}` };
+};
+
+// Check the voter meets the election's requirements; the error lists every reason they do not
+const getIneligibility = async (voter, election) => {
+  const { eligible, reasons } = await checkEligibility(voter, election);
+  if (eligible) {
+    return null;
+  }
+  return {
+    status: 403,
+    message: `You are not eligible to vote in this election: ${reasons.map(r => r.message).join('; ')}`,
+    reasons
+  };
+};
+
+// Load the voter and the ballot's candidates for a vote and check the vote is allowed
+const validateVoteRequest = async (walletAddress, candidateIds) => {
+  // Get voter
+  const voter = await Voter.findOne({ walletAddress: walletAddress.toLowerCase() });
+  if (!voter) {
+    return { status: 404, message: 'Voter not found' };
+  }
+
+  const restricted = await getVoterRestriction(voter);
+  if (restricted) {
+    return restricted;
+  }
+
+  if (candidateIds.length === 0) {
+    return { status: 400, message: 'At least one candidate is required' };
+  }
+
+  if (new Set(candidateIds.map(String)).size !== candidateIds.length) {
+    return { status: 400, message: 'A candidate can only be ranked once' };
+  }
+
+  // Get candidates, keeping the ballot order
+  const found = candidateIds.every(id => mongoose.isValidObjectId(id))
+    ? await Candidate.find({ _id: { $in: candidateIds } }).populate('electionId')
+    : [];
+  const candidates = candidateIds.map(id => found.find(c => c._id.toString() === String(id)));
+  if (candidates.some(candidate => !candidate)) {
+    return { status: 404, message: 'Candidate not found' };
+  }
+
+  const election = candidates[0].electionId;
+  if (candidates.some(candidate => !candidate.electionId._id.equals(election._id))) {
+    return { status: 400, message: 'All ranked candidates must belong to the same election' };
+  }
+
+  if (candidates.length > 1 && election.votingMode !== 'RANKED_CHOICE') {
+    return { status: 400, message: 'This election accepts a single candidate' };
+  }
+
+  // Votes go to the candidates' on-chain IDs, assigned when they are approved
+  if (candidates.some(candidate => candidate.status !== 'active' || !candidate.isOnChain)) {
+    return { status: 400, message: 'Candidate is not registered on-chain' };
+  }
+
+  const paused = getPausedRejection(election);
+  if (paused) {
+    return paused;
+  }
+
+  // Check if election is active
+  if (election.status !== 'active' || !election.isOnChain) {
+    return { status: 400, message: 'Election is not active' };
+  }
+
+  if (election.commitReveal) {
+    return { status: 400, message: 'This election uses commit-reveal voting: submit a commitment instead' };
+  }
+
+  const ineligible = await getIneligibility(voter, election);
+  if (ineligible) {
+    return ineligible;
+  }
+
+  // Check if voter has already voted in this election
+  if (voter.hasVotedInElection(election._id)) {
+    return { status: 400, message: 'You have already voted in this election' };
+  }
+
+  if (usesDelegation(election)) {
+    if (await Voter.hasBallotInElection(walletAddress, election._id)) {
+      return { status: 400, message: 'Your vote has already been cast by your delegate' };
+    }
+
+    if (await getActiveDelegation(walletAddress)) {
+      return { status: 400, message: 'You have delegated your vote. Revoke the delegation to vote yourself.' };
+    }
+  }
+
+  return { voter, election, candidates };
+};
+
+// Votes delegated to a voter that are still free in this election: delegators who voted themselves,
+// or whose vote another delegate already carried, are left out along with everyone delegating through them
+const getDelegatedVotes = async (voterAddress, election) => {
+  if (!usesDelegation(election)) {
+    return { votes: 0, delegators: [] };
+  }
+
+  const weight = await getDelegatedWeight(voterAddress, from => Voter.hasBallotInElection(from, election._id));
+  return {
+    votes: weight.power / getBaseVotingPower(),
+    delegators: weight.delegators.map(d => d.address.toLowerCase())
+  };
+};
+
+// Build the typed data for a ballot: RankedVote in ranked-choice elections, Vote otherwise
+const buildBallotTypedData = (voterAddress, election, candidates, deadline) => {
+  if (election.votingMode === 'RANKED_CHOICE') {
+    return buildRankedVoteTypedData(voterAddress, election.onChainId, candidates.map(c => c.onChainId), deadline);
+  }
+  return buildVoteTypedData(voterAddress, election.onChainId, candidates[0].onChainId, deadline);
+};
+
+// Get the EIP-712 typed vote for the voter to sign
+const getVoteRequest = async (req, res) => {
+  try {
+    const { walletAddress } = req.query;
+
+    if (!walletAddress || !ethers.utils.isAddress(walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid wallet address is required'
       });
     }
 
-    // Check if election is active
-    if (candidate.electionId.status !== 'active') {
+    const validation = await validateVoteRequest(walletAddress, getBallotCandidateIds(req.query));
+    if (validation.status) {
+      return res.status(validation.status).json({
+        success: false,
+        message: validation.message,
+        reasons: validation.reasons
+      });
+    }
+    const { election, candidates } = validation;
+
+    const deadline = Math.floor(Date.now() / 1000) + VOTE_SIGNATURE_TTL_SECONDS;
+    const typedData = await buildBallotTypedData(ethers.utils.getAddress(walletAddress), election, candidates, deadline);
+
+    res.json({
+      success: true,
+      votingMode: election.votingMode,
+      typedData
+    });
+  } catch (error) {
+    console.error('Error preparing vote:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to prepare vote'
+    });
+  }
+};
+
+// Cast vote: the voter signs the typed vote, the backend relayer submits it and pays the gas
+const castVote = async (req, res) => {
+  try {
+    const { walletAddress, signature, deadline } = req.body;
+
+    if (!walletAddress || !ethers.utils.isAddress(walletAddress) || !signature || !deadline) {
       return res.status(400).json({
         success: false,
-        message: 'Election is not active'
+        message: 'Wallet address, signature and deadline are required'
       });
     }
 
-    // Check if voter has already voted in this election
-    if (voter.hasVotedInElection(candidate.electionId._id)) {
+    if (Number(deadline) < Math.floor(Date.now() / 1000)) {
       return res.status(400).json({
         success: false,
-        message: 'You have already voted in this election'
+        message: 'Vote signature has expired. Please sign again.'
       });
     }
 
-    // Get smart contract instance
-    const contract = await getContractInstance();
-    
-    // Cast vote on blockchain
-    const tx = await contract.vote(candidateId);
-    await tx.wait();
+    const validation = await validateVoteRequest(walletAddress, getBallotCandidateIds(req.body));
+    if (validation.status) {
+      return res.status(validation.status).json({
+        success: false,
+        message: validation.message,
+        reasons: validation.reasons
+      });
+    }
+    const { voter, election, candidates } = validation;
+    const candidate = candidates[0];
+    const rankings = candidates.map(c => c.onChainId);
+
+    const notListed = getAllowlistRejection(election, walletAddress, req.body.merkleProof);
+    if (notListed) {
+      return res.status(notListed.status).json({
+        success: false,
+        message: notListed.message
+      });
+    }
+
+    // Verify the typed vote signature before spending relayer gas
+    const voterAddress = ethers.utils.getAddress(walletAddress);
+    const typedData = await buildBallotTypedData(voterAddress, election, candidates, deadline);
+    const recoveredAddress = recoverVoteSigner(typedData, signature);
+    if (recoveredAddress !== voterAddress) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid signature'
+      });
+    }
+
+    // Snapshot the delegated weight before relaying, so a failure cannot leave an unrecorded vote
+    const delegated = await getDelegatedVotes(voterAddress, election);
+
+    // Relay the vote; the contract checks the signature and the voter roll again and records the voter's address
+    const contract = await getRelayerContract();
+    const merkleProof = getRelayedProof(election, req.body.merkleProof);
+    const tx = election.votingMode === 'RANKED_CHOICE'
+      ? await contract.voteRankedBySig(election.onChainId, rankings, voterAddress, deadline, signature, merkleProof)
+      : await contract.voteBySig(election.onChainId, candidate.onChainId, voterAddress, deadline, signature, merkleProof);
+    const receipt = await tx.wait();
 
     // Update voter's voting history
     voter.votingHistory.push({
-      electionId: candidate.electionId._id,
+      electionId: election._id,
       candidateId: candidate._id,
+      rankings: candidates.map(c => c._id),
+      voteType: delegated.delegators.length > 0 ? 'DELEGATED' : 'DIRECT',
+      votingPower: 1 + delegated.votes,
+      delegatedPower: delegated.votes,
+      delegators: delegated.delegators,
       transactionHash: tx.hash,
-      voteHash: ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['address', 'uint256'], [walletAddress, candidateId])),
+      voteHash: ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+        ['uint256', 'address', 'uint256[]'],
+        [election.onChainId, walletAddress, rankings]
+      )),
       votedAt: new Date()
     });
 
     await voter.save();
 
-    // Update candidate vote count
-    candidate.voteCount += 1;
-    await candidate.save();
-
-    // Update election vote count
-    candidate.electionId.voteCount += 1;
-    await candidate.electionId.save();
+    // Vote counts are updated by the event indexer once the VoteCast event is confirmed;
+    // the delegated weight is only known off-chain, so it is added here
+    if (delegated.votes > 0) {
+      await Candidate.updateOne({ _id: candidate._id }, { $inc: { delegatedVoteCount: delegated.votes } });
+    }
 
     // Log audit trail
-    await AuditLog.create({
-      action: 'VOTE_CAST',
-      actor: walletAddress.toLowerCase(),
-      data: { 
-        electionId: candidate.electionId._id, 
-        candidateId: candidate._id,
-        transactionHash: tx.hash
-      },
-      timestamp: Math.floor(Date.now() / 1000)
+    await req.audit(delegated.delegators.length > 0 ? 'DELEGATED_VOTE_CAST' : 'VOTE_CAST', walletAddress.toLowerCase(), {
+      electionId: election._id,
+      candidateId: candidate._id,
+      onChainCandidateId: candidate.onChainId,
+      rankings: election.votingMode === 'RANKED_CHOICE' ? rankings : undefined,
+      delegatedVotes: delegated.votes || undefined,
+      delegators: delegated.delegators.length > 0 ? delegated.delegators : undefined,
+      transactionHash: tx.hash,
+      relayer: tx.from
+    }, {
+      electionId: election._id.toString(),
+      candidateId: candidate._id.toString(),
+      voterId: voter._id.toString(),
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toNumber()
     });
 
     res.json({
@@ -194,9 +736,13 @@ const castVote = async (req, res) => {
       transactionHash: tx.hash,
       candidate: {
         id: candidate._id,
+        onChainId: candidate.onChainId,
         name: candidate.name,
         party: candidate.party
-      }
+      },
+      rankings: candidates.map(c => ({ id: c._id, name: c.name })),
+      votingPower: 1 + delegated.votes,
+      delegatedVotes: delegated.votes
     });
   } catch (error) {
     console.error('Error casting vote:', error);
@@ -207,6 +753,309 @@ const castVote = async (req, res) => {
   }
 };
 
+// Load the voter and election for a commitment and check the commit phase is open
+const validateCommitRequest = async (walletAddress, electionId, commitment) => {
+  if (!/^0x[a-fA-F0-9]{64}$/.test(commitment || '')) {
+    return { status: 400, message: 'Commitment must be a 32-byte hex string' };
+  }
+
+  const voter = await Voter.findOne({ walletAddress: walletAddress.toLowerCase() });
+  if (!voter) {
+    return { status: 404, message: 'Voter not found' };
+  }
+
+  const restricted = await getVoterRestriction(voter);
+  if (restricted) {
+    return restricted;
+  }
+
+  const election = mongoose.isValidObjectId(electionId) ? await Election.findById(electionId) : null;
+  if (!election) {
+    return { status: 404, message: 'Election not found' };
+  }
+
+  if (!election.commitReveal) {
+    return { status: 400, message: 'This election does not use commit-reveal voting' };
+  }
+
+  const paused = getPausedRejection(election);
+  if (paused) {
+    return paused;
+  }
+
+  if (election.status !== 'active' || !election.isOnChain || election.phase !== 'commit') {
+    return { status: 400, message: 'Election is not accepting commitments' };
+  }
+
+  const ineligible = await getIneligibility(voter, election);
+  if (ineligible) {
+    return ineligible;
+  }
+
+  if (voter.hasVotedInElection(election._id)) {
+    return { status: 400, message: 'You have already committed a vote in this election' };
+  }
+
+  return { voter, election };
+};
+
+// Get the EIP-712 typed commitment for the voter to sign; the commitment is computed in the browser
+const getCommitRequest = async (req, res) => {
+  try {
+    const { walletAddress, electionId, commitment } = req.query;
+
+    if (!walletAddress || !ethers.utils.isAddress(walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid wallet address is required'
+      });
+    }
+
+    const validation = await validateCommitRequest(walletAddress, electionId, commitment);
+    if (validation.status) {
+      return res.status(validation.status).json({
+        success: false,
+        message: validation.message,
+        reasons: validation.reasons
+      });
+    }
+    const { election } = validation;
+
+    const deadline = Math.floor(Date.now() / 1000) + VOTE_SIGNATURE_TTL_SECONDS;
+    const typedData = await buildCommitTypedData(ethers.utils.getAddress(walletAddress), election.onChainId, commitment, deadline);
+
+    res.json({
+      success: true,
+      phase: election.phase,
+      commitEndDate: election.commitEndDate,
+      revealEndDate: election.revealEndDate,
+      typedData
+    });
+  } catch (error) {
+    console.error('Error preparing commitment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to prepare commitment'
+    });
+  }
+};
+
+// Commit a sealed vote: the voter signs the commitment, the backend relayer submits it
+const commitVote = async (req, res) => {
+  try {
+    const { walletAddress, electionId, commitment, signature, deadline } = req.body;
+
+    if (!walletAddress || !ethers.utils.isAddress(walletAddress) || !signature || !deadline) {
+      return res.status(400).json({
+        success: false,
+        message: 'Wallet address, signature and deadline are required'
+      });
+    }
+
+    if (Number(deadline) < Math.floor(Date.now() / 1000)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Commitment signature has expired. Please sign again.'
+      });
+    }
+
+    const validation = await validateCommitRequest(walletAddress, electionId, commitment);
+    if (validation.status) {
+      return res.status(validation.status).json({
+        success: false,
+        message: validation.message,
+        reasons: validation.reasons
+      });
+    }
+    const { voter, election } = validation;
+
+    const notListed = getAllowlistRejection(election, walletAddress, req.body.merkleProof);
+    if (notListed) {
+      return res.status(notListed.status).json({
+        success: false,
+        message: notListed.message
+      });
+    }
+
+    // Verify the typed commitment signature before spending relayer gas
+    const voterAddress = ethers.utils.getAddress(walletAddress);
+    const typedData = await buildCommitTypedData(voterAddress, election.onChainId, commitment, deadline);
+    if (recoverVoteSigner(typedData, signature) !== voterAddress) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid signature'
+      });
+    }
+
+    const contract = await getRelayerContract();
+    const tx = await contract.commitVoteBySig(
+      election.onChainId, commitment, voterAddress, deadline, signature, getRelayedProof(election, req.body.merkleProof)
+    );
+    const receipt = await tx.wait();
+
+    // The candidate stays unknown until the reveal
+    voter.votingHistory.push({
+      electionId: election._id,
+      commitment,
+      commitTransactionHash: tx.hash,
+      votedAt: new Date()
+    });
+
+    await voter.save();
+
+    // Log audit trail
+    await req.audit('VOTE_COMMITTED', walletAddress.toLowerCase(), {
+      electionId: election._id,
+      commitment,
+      transactionHash: tx.hash,
+      relayer: tx.from
+    }, {
+      electionId: election._id.toString(),
+      voterId: voter._id.toString(),
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toNumber()
+    });
+
+    res.json({
+      success: true,
+      message: 'Vote committed successfully. Reveal it once the commit phase ends.',
+      transactionHash: tx.hash,
+      commitEndDate: election.commitEndDate,
+      revealEndDate: election.revealEndDate
+    });
+  } catch (error) {
+    console.error('Error committing vote:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to commit vote'
+    });
+  }
+};
+
+// Reveal a committed vote; the salt proves the ballot, so no signature is needed
+const revealVote = async (req, res) => {
+  try {
+    const { walletAddress, candidateId, salt } = req.body;
+
+    if (!walletAddress || !ethers.utils.isAddress(walletAddress) || !candidateId || !/^0x[a-fA-F0-9]{64}$/.test(salt || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Wallet address, candidate ID and a 32-byte salt are required'
+      });
+    }
+
+    const voter = await Voter.findOne({ walletAddress: walletAddress.toLowerCase() });
+    if (!voter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voter not found'
+      });
+    }
+
+    const candidate = mongoose.isValidObjectId(candidateId)
+      ? await Candidate.findById(candidateId).populate('electionId')
+      : null;
+    if (!candidate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Candidate not found'
+      });
+    }
+
+    const election = candidate.electionId;
+    const paused = getPausedRejection(election);
+    if (paused) {
+      return res.status(paused.status).json({
+        success: false,
+        message: paused.message
+      });
+    }
+
+    if (!election.commitReveal || election.phase !== 'reveal') {
+      return res.status(400).json({
+        success: false,
+        message: 'Election is not in its reveal phase'
+      });
+    }
+
+    if (candidate.status !== 'active' || !candidate.isOnChain) {
+      return res.status(400).json({
+        success: false,
+        message: 'Candidate is not registered on-chain'
+      });
+    }
+
+    const pending = voter.getPendingCommitment(election._id);
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'No unrevealed commitment found for this election'
+      });
+    }
+
+    // Check the reveal against the commitment before spending relayer gas
+    const voterAddress = ethers.utils.getAddress(walletAddress);
+    if (sealVote(election.onChainId, voterAddress, candidate.onChainId, salt) !== pending.commitment.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reveal does not match your commitment'
+      });
+    }
+
+    const contract = await getRelayerContract();
+    const tx = await contract.revealVote(election.onChainId, voterAddress, candidate.onChainId, salt);
+    const receipt = await tx.wait();
+
+    pending.candidateId = candidate._id;
+    pending.transactionHash = tx.hash;
+    pending.voteHash = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+      ['uint256', 'address', 'uint256[]'],
+      [election.onChainId, walletAddress, [candidate.onChainId]]
+    ));
+    pending.revealedAt = new Date();
+
+    await voter.save();
+
+    // Vote counts are updated by the event indexer once the VoteCast event is confirmed
+
+    // Log audit trail
+    await req.audit('VOTE_REVEALED', walletAddress.toLowerCase(), {
+      electionId: election._id,
+      candidateId: candidate._id,
+      onChainCandidateId: candidate.onChainId,
+      commitment: pending.commitment,
+      transactionHash: tx.hash,
+      relayer: tx.from
+    }, {
+      electionId: election._id.toString(),
+      candidateId: candidate._id.toString(),
+      voterId: voter._id.toString(),
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toNumber()
+    });
+
+    res.json({
+      success: true,
+      message: 'Vote revealed successfully',
+      transactionHash: tx.hash,
+      candidate: {
+        id: candidate._id,
+        onChainId: candidate.onChainId,
+        name: candidate.name,
+        party: candidate.party
+      }
+    });
+  } catch (error) {
+    console.error('Error revealing vote:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reveal vote'
+    });
+  }
+};
+
 // Verify vote
 const verifyVote = async (req, res) => {
   try {
@@ -244,6 +1093,7 @@ const verifyVote = async (req, res) => {
         voteHash: vote.voteHash,
         candidate: {
           id: candidate._id,
+          onChainId: candidate.onChainId,
           name: candidate.name,
           party: candidate.party
         },
@@ -266,7 +1116,15 @@ const verifyVote = async (req, res) => {
 module.exports = {
   registerVoter,
   getVoterStatus,
+  verifyEmail,
+  resendVerificationEmail,
+  updateVoterProfile,
+  getEligibility,
+  getVoteRequest,
   castVote,
+  getCommitRequest,
+  commitVote,
+  revealVote,
   verifyVote
 };
 
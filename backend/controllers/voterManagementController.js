@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const Voter = require('../models/Voter');
+const Election = require('../models/Election');
+const { checkEligibility } = require('../utils/eligibility');
+
+const LIST_FIELDS = 'name email walletAddress isVerified emailVerified isActive banned banReason banDate registrationDate votingHistory.electionId votingHistory.votedAt votingHistory.voteType';
+
+// Read page and limit from the query string
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit };
+};
+
+// Match a search term against the wallet address (a 0x prefix), the email (contains @) or the name (text index)
+const buildVoterSearch = (search) => {
+  const term = String(search).trim();
+  if (/^0x[0-9a-f]*$/i.test(term)) {
+    return { walletAddress: { $regex: `^${term.toLowerCase()}` } };
+  }
+  if (term.includes('@')) {
+    return { email: { $regex: term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' } };
+  }
+  return { $text: { $search: term } };
+};
+
+// Build the Voter query shared by the voter list and election voter rolls
+const buildVoterQuery = ({ search, status, verified, emailVerified }) => {
+  const query = search && String(search).trim() ? buildVoterSearch(search) : {};
+
+  if (status === 'banned') {
+    query.banned = true;
+  } else if (status === 'active') {
+    query.banned = { $ne: true };
+  }
+
+  if (verified === 'true' || verified === 'false') {
+    query.isVerified = verified === 'true';
+  }
+
+  if (emailVerified === 'true' || emailVerified === 'false') {
+    query.emailVerified = emailVerified === 'true';
+  }
+
+  return query;
+};
+
+// What an admin sees of a voter in a list
+const describeVoter = (voter) => ({
+  id: voter._id,
+  name: voter.name,
+  email: voter.email,
+  walletAddress: voter.walletAddress,
+  isVerified: voter.isVerified,
+  emailVerified: voter.emailVerified,
+  isActive: voter.isActive,
+  banned: voter.banned,
+  banReason: voter.banReason,
+  banDate: voter.banDate,
+  registrationDate: voter.registrationDate,
+  totalVotes: voter.votingHistory.length
+});
+
+// List voters with search, filters and pagination
+const getVoters = async (req, res) => {
+  try {
+    const { page, limit } = getPagination(req.query);
+    const query = buildVoterQuery(req.query);
+
+    const [voters, total] = await Promise.all([
+      Voter.find(query)
+        .select(LIST_FIELDS)
+        .sort({ registrationDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Voter.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      voters: voters.map(describeVoter),
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Error fetching voters:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch voters'
+    });
+  }
+};
+
+// Get a voter's registration details and voting history
+const getVoter = async (req, res) => {
+  try {
+    const voter = mongoose.isValidObjectId(req.params.id)
+      ? await Voter.findById(req.params.id)
+        .populate('votingHistory.electionId', 'title status votingMode commitReveal')
+        .populate('votingHistory.candidateId', 'name party')
+        .populate('votingHistory.rankings', 'name party')
+      : null;
+    if (!voter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      voter: {
+        ...describeVoter(voter),
+        phone: voter.phone,
+        dateOfBirth: voter.dateOfBirth,
+        citizenship: voter.citizenship,
+        address: voter.address,
+        verificationDate: voter.verificationDate,
+        emailVerifiedAt: voter.emailVerifiedAt,
+        lastLogin: voter.lastLogin,
+        documents: voter.documents.map(doc => ({
+          id: doc._id,
+          type: doc.type,
+          status: doc.status,
+          uploadedAt: doc.uploadedAt,
+          reviewedAt: doc.reviewedAt
+        })),
+        votingHistory: voter.votingHistory.map(vote => ({
+          // The election or candidates may have been deleted since
+          election: vote.electionId ? {
+            id: vote.electionId._id || vote.electionId,
+            title: vote.electionId.title,
+            status: vote.electionId.status,
+            votingMode: vote.electionId.votingMode
+          } : null,
+          candidate: vote.candidateId ? { id: vote.candidateId._id, name: vote.candidateId.name, party: vote.candidateId.party } : null,
+          rankings: vote.rankings.map(candidate => ({ id: candidate._id, name: candidate.name, party: candidate.party })),
+          voteType: vote.voteType,
+          votingPower: vote.votingPower,
+          delegatedPower: vote.delegatedPower,
+          delegators: vote.delegators,
+          transactionHash: vote.transactionHash,
+          commitment: vote.commitment,
+          commitTransactionHash: vote.commitTransactionHash,
+          revealedAt: vote.revealedAt,
+          votedAt: vote.votedAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching voter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch voter'
+    });
+  }
+};
+
+// Ban a voter: they keep their record but can no longer vote
+const banVoter = async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to ban a voter'
+      });
+    }
+
+    const voter = mongoose.isValidObjectId(req.params.id) ? await Voter.findById(req.params.id) : null;
+    if (!voter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voter not found'
+      });
+    }
+
+    if (voter.banned) {
+      return res.status(400).json({
+        success: false,
+        message: 'Voter is already banned'
+      });
+    }
+
+    voter.banned = true;
+    voter.banReason = reason;
+    voter.banDate = new Date();
+    await voter.save();
+
+    await req.audit('VOTER_BANNED', req.adminAddress, {
+      voterId: voter._id,
+      walletAddress: voter.walletAddress,
+      reason
+    }, { voterId: voter._id });
+
+    res.json({
+      success: true,
+      message: 'Voter banned',
+      voter: describeVoter(voter)
+    });
+  } catch (error) {
+    console.error('Error banning voter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to ban voter'
+    });
+  }
+};
+
+// Lift a ban; the previous reason is kept in the audit entry
+const unbanVoter = async (req, res) => {
+  try {
+    const voter = mongoose.isValidObjectId(req.params.id) ? await Voter.findById(req.params.id) : null;
+    if (!voter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voter not found'
+      });
+    }
+
+    if (!voter.banned) {
+      return res.status(400).json({
+        success: false,
+        message: 'Voter is not banned'
+      });
+    }
+
+    const banReason = voter.banReason;
+    voter.banned = false;
+    voter.banReason = undefined;
+    voter.banDate = undefined;
+    await voter.save();
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    await req.audit('VOTER_UNBANNED', req.adminAddress, {
+      voterId: voter._id,
+      walletAddress: voter.walletAddress,
+      banReason,
+      reason: reason || undefined
+    }, { voterId: voter._id });
+
+    res.json({
+      success: true,
+      message: 'Voter unbanned',
+      voter: describeVoter(voter)
+    });
+  } catch (error) {
+    console.error('Error unbanning voter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unban voter'
+    });
+  }
+};
+
+// An election's voter roll: registered voters, whether each is eligible and whether they have voted
+const getElectionVoterRoll = async (req, res) => {
+  try {
+    const election = mongoose.isValidObjectId(req.params.id) ? await Election.findById(req.params.id) : null;
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    const { page, limit } = getPagination(req.query);
+    const query = buildVoterQuery(req.query);
+    if (req.query.voted === 'true') {
+      query['votingHistory.electionId'] = election._id;
+    } else if (req.query.voted === 'false') {
+      query['votingHistory.electionId'] = { $ne: election._id };
+    }
+
+    const [voters, total, votedCount] = await Promise.all([
+      Voter.find(query)
+        .sort({ registrationDate: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Voter.countDocuments(query),
+      Voter.countDocuments({ 'votingHistory.electionId': election._id })
+    ]);
+
+    const roll = await Promise.all(voters.map(async voter => {
+      const { eligible, reasons } = await checkEligibility(voter, election);
+      const vote = voter.getVoteInElection(election._id);
+      return {
+        ...describeVoter(voter),
+        eligible: eligible && !voter.banned,
+        reasons,
+        voted: Boolean(vote),
+        votedAt: vote ? vote.votedAt : null,
+        voteType: vote ? vote.voteType : null
+      };
+    }));
+
+    res.json({
+      success: true,
+      election: {
+        id: election._id,
+        title: election.title,
+        status: election.status
+      },
+      voters: roll,
+      votedCount,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Error fetching voter roll:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch voter roll'
+    });
+  }
+};
+
+module.exports = {
+  getVoters,
+  getVoter,
+  banVoter,
+  unbanVoter,
+  getElectionVoterRoll
+};
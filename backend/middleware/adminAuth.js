@@ -1,4 +1,31 @@
 const { ethers } = require('ethers');
+const AdminSession = require('../models/AdminSession');
+const AdminUser = require('../models/AdminUser');
+const { verifyAccessToken } = require('../utils/tokenUtils');
+const { ROLES, getPermissionsForRole, hasPermission } = require('../utils/permissions');
+
+// Admin wallet addresses configured in the environment, normalised to lowercase
+const getAdminAddresses = () => {
+  return (process.env.ADMIN_ADDRESSES || '')
+    .split(',')
+    .map(addr => addr.toLowerCase().trim())
+    .filter(Boolean);
+};
+
+// Addresses in ADMIN_ADDRESSES are always super admins; other roles are assigned in the database
+const getAdminRole = async (walletAddress) => {
+  if (!walletAddress) {
+    return null;
+  }
+  if (getAdminAddresses().includes(walletAddress.toLowerCase())) {
+    return ROLES.SUPER_ADMIN;
+  }
+  return AdminUser.getActiveRole(walletAddress);
+};
+
+const isAdminAddress = async (walletAddress) => {
+  return !!(await getAdminRole(walletAddress));
+};
 
 // Admin authentication middleware
 const adminAuth = async (req, res, next) => {
@@ -13,28 +40,41 @@ const adminAuth = async (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
-    
-    // Verify the token (in a real implementation, this would be a JWT or similar)
-    // For now, we'll check if the token is a valid wallet address and if it's in admin list
-    const adminAddresses = process.env.ADMIN_ADDRESSES?.split(',') || [];
-    
-    if (!adminAddresses.includes(token.toLowerCase())) {
-      return res.status(403).json({
+
+    let payload;
+    try {
+      payload = verifyAccessToken(token);
+    } catch (error) {
+      return res.status(401).json({
         success: false,
-        message: 'Access denied. Admin privileges required.'
+        message: 'Invalid or expired session token.'
       });
     }
 
-    // Verify the address is a valid Ethereum address
-    if (!ethers.utils.isAddress(token)) {
-      return res.status(400).json({
+    // The signed token alone is not enough: the session must not be revoked
+    const session = await AdminSession.findOne({ sessionId: payload.sid });
+    if (!session || !session.isActive) {
+      return res.status(401).json({
         success: false,
-        message: 'Invalid wallet address format.'
+        message: 'Session has been revoked or has expired.'
       });
     }
 
-    // Add admin address to request object
-    req.adminAddress = token.toLowerCase();
+    // Roles are resolved per request so role changes apply immediately
+    const role = await getAdminRole(session.walletAddress);
+    if (!role) {
+      await session.revoke('admin_removed');
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    // Add admin address, role and session to request object
+    req.adminAddress = session.walletAddress;
+    req.adminRole = role;
+    req.adminPermissions = getPermissionsForRole(role);
+    req.adminSession = session;
     next();
   } catch (error) {
     console.error('Admin auth error:', error);
@@ -45,7 +85,7 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
-// Optional: Signature verification middleware for enhanced security
+// Signature verification middleware (guards the admin sign-in endpoint)
 const verifySignature = async (req, res, next) => {
   try {
     const { signature, message, walletAddress } = req.body;
@@ -68,9 +108,7 @@ const verifySignature = async (req, res, next) => {
     }
 
     // Check if the address is admin
-    const adminAddresses = process.env.ADMIN_ADDRESSES?.split(',') || [];
-    
-    if (!adminAddresses.includes(walletAddress.toLowerCase())) {
+    if (!(await isAdminAddress(walletAddress))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. Admin privileges required.'
@@ -88,6 +126,21 @@ const verifySignature = async (req, res, next) => {
   }
 };
 
+// Permission check for a single route (runs after adminAuth)
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!hasPermission(req.adminRole, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Your admin role does not allow this action.',
+        role: req.adminRole,
+        requiredPermission: permission
+      });
+    }
+    next();
+  };
+};
+
 // Rate limiting for admin actions
 const adminRateLimit = (windowMs = 15 * 60 * 1000, max = 50) => {
   const requests = new Map();
@@ -127,7 +180,11 @@ const adminRateLimit = (windowMs = 15 * 60 * 1000, max = 50) => {
 };
 
 module.exports = {
+  getAdminAddresses,
+  getAdminRole,
+  isAdminAddress,
   adminAuth,
+  requirePermission,
   verifySignature,
   adminRateLimit
 };
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+
+// Accept a caller-supplied request ID only if it is short and printable
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Tag the request with an ID and attach req.audit, which writes an audit entry
+// carrying the request's IP address, user agent and ID
+const auditContext = (req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  req.requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.requestId);
+
+  req.audit = (action, actor, data = {}, metadata = {}, changes) => {
+    return AuditLog.createLog(action, actor, data, metadata, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+      changes
+    });
+  };
+
+  next();
+};
+
+module.exports = {
+  auditContext
+};
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const adminSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    validate: {
+      validator: function(v) {
+        return /^0x[a-fA-F0-9]{40}$/.test(v);
+      },
+      message: 'Invalid wallet address format'
+    }
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastRefreshedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'refresh_token_reuse', 'admin_removed']
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+adminSessionSchema.index({ walletAddress: 1 });
+adminSessionSchema.index({ expiresAt: 1 });
+
+// Virtual for isActive
+adminSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance method to revoke the session
+adminSessionSchema.methods.revoke = async function(reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    await this.save();
+  }
+  return this;
+};
+
+// Static method to revoke every active session of an admin
+adminSessionSchema.statics.revokeAllForAddress = async function(walletAddress, reason) {
+  return this.updateMany(
+    { walletAddress: walletAddress.toLowerCase(), revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('AdminSession', adminSessionSchema);
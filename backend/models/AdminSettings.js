@@ -76,6 +76,13 @@ const adminSettingsSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Admin signatures needed to certify an election's results
+  certificationSignatures: {
+    type: Number,
+    default: 2,
+    min: 1,
+    max: 10
+  },
   
   // Notification Settings
   emailNotifications: {
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../utils/permissions');
+
+const adminUserSchema = new mongoose.Schema({
+  walletAddress: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    validate: {
+      validator: function(v) {
+        return /^0x[a-fA-F0-9]{40}$/.test(v);
+      },
+      message: 'Invalid wallet address format'
+    }
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: Object.values(ROLES)
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  assignedBy: {
+    type: String,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+adminUserSchema.index({ role: 1 });
+adminUserSchema.index({ isActive: 1 });
+
+// Static method to get the active role of an address
+adminUserSchema.statics.getActiveRole = async function(walletAddress) {
+  const adminUser = await this.findOne({
+    walletAddress: walletAddress.toLowerCase(),
+    isActive: true
+  });
+  return adminUser ? adminUser.role : null;
+};
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
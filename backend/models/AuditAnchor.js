@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const auditAnchorSchema = new mongoose.Schema({
+  contractAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  batchId: {
+    type: Number,
+    required: true
+  },
+  merkleRoot: {
+    type: String,
+    required: true
+  },
+  fromSequence: {
+    type: Number,
+    required: true
+  },
+  toSequence: {
+    type: Number,
+    required: true
+  },
+  leafCount: {
+    type: Number,
+    required: true
+  },
+  transactionHash: {
+    type: String
+  },
+  blockNumber: {
+    type: Number
+  },
+  anchoredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+auditAnchorSchema.index({ contractAddress: 1, batchId: 1 }, { unique: true });
+auditAnchorSchema.index({ contractAddress: 1, toSequence: -1 });
+
+// Static method to get the newest anchored batch for a contract
+auditAnchorSchema.statics.getLatest = function(contractAddress) {
+  return this.findOne({ contractAddress: contractAddress.toLowerCase() }).sort({ batchId: -1 });
+};
+
+module.exports = mongoose.model('AuditAnchor', auditAnchorSchema);
@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// previousHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Reduce a JSON value to what survives a round trip through MongoDB (no nulls or empty objects),
+// with object keys sorted, so an entry's hash can be recomputed from the stored document
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      const item = canonicalize(value[key]);
+      const isEmptyObject = item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length === 0;
+      if (item !== null && item !== undefined && !isEmptyObject) {
+        result[key] = item;
+      }
+      return result;
+    }, {});
+  }
+  return value;
+};
 
 const auditLogSchema = new mongoose.Schema({
   actionHash: {
@@ -16,19 +39,48 @@ const auditLogSchema = new mongoose.Schema({
       'CANDIDATE_REJECTED',
       'CANDIDATE_UPDATED',
       'CANDIDATE_DELETED',
+      'CANDIDATE_NOMINATED',
+      'CANDIDATE_DOCUMENT_UPLOADED',
+      'CANDIDATE_PHOTO_UPLOADED',
+      'CANDIDATE_APPEALED',
       'ELECTION_CREATED',
       'ELECTION_UPDATED',
       'ELECTION_DELETED',
       'ELECTION_STARTED',
       'ELECTION_STOPPED',
+      'ELECTION_PAUSED',
+      'ELECTION_RESUMED',
+      'ELECTION_CANCELLED',
+      'ELECTION_ARCHIVED',
+      'RESULTS_CERTIFICATION_STARTED',
+      'RESULTS_CERTIFICATION_SIGNED',
+      'RESULTS_CERTIFICATION_WITHDRAWN',
+      'RESULTS_CERTIFIED',
+      'SCHEDULED_JOB_FAILED',
+      'ELECTION_ALLOWLIST_UPDATED',
+      'ELECTION_ALLOWLIST_REMOVED',
       'VOTE_CAST',
+      'VOTE_COMMITTED',
       'VOTE_REVEALED',
       'VOTER_REGISTERED',
       'VOTER_VERIFIED',
+      'VOTER_EMAIL_VERIFIED',
+      'VOTER_PROFILE_UPDATED',
+      'VOTER_DOCUMENT_UPLOADED',
+      'VOTER_DOCUMENT_APPROVED',
+      'VOTER_DOCUMENT_REJECTED',
+      'VOTER_BANNED',
+      'VOTER_UNBANNED',
       'SETTINGS_UPDATED',
+      'ADMIN_LOGIN',
+      'ADMIN_LOGOUT',
+      'ADMIN_ROLE_ASSIGNED',
+      'ADMIN_ROLE_REVOKED',
       'AUDIT_LOG_CREATED',
       'ZK_VOTE_CAST',
       'DELEGATED_VOTE_CAST',
+      'DELEGATION_CREATED',
+      'DELEGATION_REVOKED',
       'VOTE_MIXED'
     ]
   },
@@ -57,6 +109,29 @@ const auditLogSchema = new mongoose.Schema({
   userAgent: {
     type: String
   },
+  requestId: {
+    type: String,
+    index: true
+  },
+  // Field-level diff for updates: [{ path, before, after }]
+  changes: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  // Position in the hash chain; entries written before chaining have none
+  sequence: {
+    type: Number,
+    unique: true,
+    sparse: true
+  },
+  previousHash: {
+    type: String
+  },
+  // Set once the entry is covered by a Merkle root anchored on-chain
+  anchorBatchId: {
+    type: Number,
+    index: true
+  },
   proof: [{
     type: String
   }],
@@ -85,35 +160,96 @@ auditLogSchema.virtual('formattedTimestamp').get(function() {
   return new Date(this.timestamp * 1000).toISOString();
 });
 
-// Static method to create audit log
-auditLogSchema.statics.createLog = async function(action, actor, data, metadata = {}) {
-  const actionHash = require('crypto')
-    .createHash('sha256')
-    .update(`${action}${actor}${JSON.stringify(data)}${Date.now()}`)
-    .digest('hex');
-  
-  const log = new this({
-    actionHash,
-    action,
-    actor,
-    data,
-    timestamp: Math.floor(Date.now() / 1000),
-    metadata
-  });
-  
-  await log.save();
-  return log;
+// Method to hash the entry's content together with its place in the chain
+auditLogSchema.methods.computeActionHash = function() {
+  const entry = this.toObject();
+  const content = canonicalize(JSON.parse(JSON.stringify({
+    sequence: entry.sequence,
+    previousHash: entry.previousHash,
+    action: entry.action,
+    actor: entry.actor,
+    data: entry.data,
+    timestamp: entry.timestamp,
+    metadata: entry.metadata,
+    ipAddress: entry.ipAddress,
+    userAgent: entry.userAgent,
+    requestId: entry.requestId,
+    changes: entry.changes
+  })));
+
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+};
+
+// Method to check that the stored hash still matches the entry's content
+auditLogSchema.methods.hasValidHash = function() {
+  return this.sequence !== undefined && this.actionHash === this.computeActionHash();
+};
+
+// Static method to get the newest chained entry
+auditLogSchema.statics.getChainHead = function() {
+  return this.findOne({ sequence: { $exists: true } }).sort({ sequence: -1 });
 };
 
-// Pre-save middleware
-auditLogSchema.pre('save', function(next) {
-  if (!this.actionHash) {
-    this.actionHash = require('crypto')
-      .createHash('sha256')
-      .update(`${this.action}${this.actor}${JSON.stringify(this.data)}${this.timestamp}`)
-      .digest('hex');
+// Static method to check a run of consecutive entries: each hash must match its content
+// and link to the entry before it. Returns the first broken entry, or null.
+auditLogSchema.statics.findChainBreak = function(entries, previous = null) {
+  let expectedSequence = previous ? previous.sequence + 1 : 1;
+  let expectedPrevious = previous ? previous.actionHash : GENESIS_HASH;
+
+  for (const entry of entries) {
+    if (entry.sequence !== expectedSequence || entry.previousHash !== expectedPrevious || !entry.hasValidHash()) {
+      return entry;
+    }
+    expectedSequence++;
+    expectedPrevious = entry.actionHash;
   }
-  next();
+  return null;
+};
+
+// Entries are appended one at a time so each sees its predecessor
+let appendQueue = Promise.resolve();
+
+// Static method to create audit log; context carries the request's ipAddress, userAgent,
+// requestId and, for updates, the changes made
+auditLogSchema.statics.createLog = function(action, actor, data, metadata = {}, context = {}) {
+  const append = async () => {
+    // Another server instance may take the same sequence number first; retry on top of it
+    for (let attempt = 0; ; attempt++) {
+      const log = new this({
+        action,
+        actor,
+        data,
+        timestamp: Math.floor(Date.now() / 1000),
+        metadata,
+        ...context
+      });
+
+      try {
+        await log.save();
+        return log;
+      } catch (error) {
+        if (error.code !== 11000 || !error.keyPattern || !error.keyPattern.sequence || attempt >= 4) {
+          throw error;
+        }
+      }
+    }
+  };
+
+  const result = appendQueue.then(append);
+  appendQueue = result.catch(() => {});
+  return result;
+};
+
+// Link new entries to the chain head and hash them
+auditLogSchema.pre('validate', async function() {
+  if (!this.isNew || this.sequence !== undefined) {
+    return;
+  }
+
+  const head = await this.constructor.getChainHead();
+  this.sequence = head ? head.sequence + 1 : 1;
+  this.previousHash = head ? head.actionHash : GENESIS_HASH;
+  this.actionHash = this.computeActionHash();
 });
 
 module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const authChallengeSchema = new mongoose.Schema({
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    validate: {
+      validator: function(v) {
+        return /^0x[a-fA-F0-9]{40}$/.test(v);
+      },
+      message: 'Invalid wallet address format'
+    }
+  },
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+authChallengeSchema.index({ walletAddress: 1 });
+authChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to atomically consume an unused, unexpired challenge
+authChallengeSchema.statics.consume = async function(walletAddress, nonce) {
+  return this.findOneAndUpdate(
+    {
+      walletAddress: walletAddress.toLowerCase(),
+      nonce,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthChallenge', authChallengeSchema);
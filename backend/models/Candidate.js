@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const Election = require('./Election');
+
+// Fields that make up an election's tally
+const TALLY_FIELDS = ['voteCount', 'delegatedVoteCount'];
 
 const candidateSchema = new mongoose.Schema({
   name: {
@@ -96,17 +100,66 @@ const candidateSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  onChainId: {
+    type: Number,
+    min: 0
+  },
+  registrationTxHash: {
+    type: String
+  },
+  onChainRegisteredAt: {
+    type: Date
+  },
+  // CID of the candidate's profile in the media store, registered on-chain as the candidate's ipfsHash
+  profileCid: {
+    type: String
+  },
+  // Photo uploaded to the media store (services/mediaStore), kept as a resized photo and a square thumbnail
+  media: {
+    photo: {
+      cid: String,
+      width: Number,
+      height: Number,
+      size: Number
+    },
+    thumbnail: {
+      cid: String,
+      width: Number,
+      height: Number,
+      size: Number
+    },
+    uploadedAt: Date
+  },
   documents: [{
     type: {
       type: String,
-      enum: ['id', 'passport', 'certificate', 'other']
+      enum: ['manifesto', 'id', 'passport', 'certificate', 'other']
     },
     url: String,
+    // Files uploaded with a nomination are kept in file storage (services/fileStorage)
+    storageKey: String,
+    contentType: String,
+    size: Number,
+    sha256: String,
     uploadedAt: {
       type: Date,
       default: Date.now
     }
   }],
+  // Set when the candidate nominated themselves; the signature covers every nomination detail
+  nomination: {
+    selfNominated: { type: Boolean, default: false },
+    submittedAt: { type: Date },
+    signature: { type: String }
+  },
+  // A rejected nominee can appeal once; the appeal puts the candidate back in the review queue
+  appeal: {
+    reason: { type: String, maxlength: 1000 },
+    submittedAt: { type: Date },
+    decision: { type: String, enum: ['upheld', 'dismissed'] },
+    decidedAt: { type: Date },
+    decidedBy: { type: String }
+  },
   socialMedia: {
     website: String,
     twitter: String,
@@ -123,6 +176,7 @@ candidateSchema.index({ status: 1 });
 candidateSchema.index({ walletAddress: 1 });
 candidateSchema.index({ name: 'text', party: 'text' });
 candidateSchema.index({ email: 1 });
+candidateSchema.index({ onChainId: 1 }, { unique: true, sparse: true });
 
 // Virtual for total votes
 candidateSchema.virtual('totalVotes').get(function() {
@@ -134,6 +188,21 @@ candidateSchema.virtual('isApproved').get(function() {
   return this.status === 'active';
 });
 
+// Virtual for whether a decision on the candidate's appeal is still due
+candidateSchema.virtual('appealPending').get(function() {
+  return !!(this.appeal && this.appeal.submittedAt && !this.appeal.decision);
+});
+
+// Virtual for isOnChain
+candidateSchema.virtual('isOnChain').get(function() {
+  return this.onChainId !== undefined && this.onChainId !== null;
+});
+
+// Static method to find a candidate by its on-chain ID
+candidateSchema.statics.findByOnChainId = function(onChainId) {
+  return this.findOne({ onChainId: Number(onChainId) });
+};
+
 // Pre-save middleware
 candidateSchema.pre('save', function(next) {
   if (this.status === 'active' && !this.approvedAt) {
@@ -145,5 +214,43 @@ candidateSchema.pre('save', function(next) {
   next();
 });
 
+// Reject changes to the tally of an election whose results are certified or being certified.
+// The error's code is TALLY_LOCKED.
+const assertTallyOpen = async (electionIds) => {
+  const election = await Election.findOne({
+    _id: { $in: electionIds },
+    'certification.status': { $exists: true }
+  }).select('title certification.status');
+  if (!election) {
+    return;
+  }
+
+  const error = new Error(`The results of ${election.title} are ${election.certification.status === 'certified' ? 'certified' : 'being certified'}, so its tally can no longer change`);
+  error.code = 'TALLY_LOCKED';
+  throw error;
+};
+
+// Whether an update sets, increments or unsets a tally field, under an operator or directly
+const touchesTally = (update) => Object.entries(update || {}).some(([key, value]) => (
+  key.startsWith('$') ? touchesTally(value) : TALLY_FIELDS.includes(key)
+));
+
+candidateSchema.pre('save', async function() {
+  if (!this.isNew && TALLY_FIELDS.some(field => this.isModified(field))) {
+    await assertTallyOpen([this.electionId]);
+  }
+});
+
+candidateSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], async function() {
+  if (touchesTally(this.getUpdate())) {
+    await assertTallyOpen(await this.model.find(this.getFilter()).distinct('electionId'));
+  }
+});
+
+// Removing a candidate takes their votes out of the tally
+candidateSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], async function() {
+  await assertTallyOpen(await this.model.find(this.getFilter()).distinct('electionId'));
+});
+
 module.exports = mongoose.model('Candidate', candidateSchema);
 
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const chainEventSchema = new mongoose.Schema({
+  contractAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  event: {
+    type: String,
+    required: true,
+    enum: ['ElectionCreated', 'CandidateRegistered', 'VotingSessionStarted', 'VotingSessionStopped', 'VoteCast', 'RankedVoteCast', 'RevealPeriodScheduled', 'VoteCommitted', 'VoteRevealed']
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  blockHash: {
+    type: String,
+    required: true
+  },
+  transactionHash: {
+    type: String,
+    required: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  },
+  electionId: {
+    type: Number
+  },
+  candidateId: {
+    type: Number
+  },
+  voter: {
+    type: String,
+    lowercase: true
+  },
+  args: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+chainEventSchema.index({ contractAddress: 1, transactionHash: 1, logIndex: 1 }, { unique: true });
+chainEventSchema.index({ contractAddress: 1, blockNumber: 1 });
+chainEventSchema.index({ contractAddress: 1, event: 1, electionId: 1 });
+chainEventSchema.index({ contractAddress: 1, event: 1, candidateId: 1 });
+
+// Static method to count indexed votes per on-chain ID, keyed by 'electionId' or 'candidateId'
+chainEventSchema.statics.countVotes = async function(contractAddress, field, ids) {
+  const rows = await this.aggregate([
+    { $match: { contractAddress: contractAddress.toLowerCase(), event: 'VoteCast', [field]: { $in: ids } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map(ids.map(id => [id, 0]));
+  rows.forEach(row => counts.set(row._id, row.count));
+  return counts;
+};
+
+// Static method to get every ballot cast in an on-chain election, as arrays of on-chain candidate IDs.
+// Plain votes become one-choice ballots; ranked votes keep their full order.
+chainEventSchema.statics.getBallots = async function(contractAddress, electionId) {
+  const events = await this.find({
+    contractAddress: contractAddress.toLowerCase(),
+    electionId,
+    event: { $in: ['VoteCast', 'RankedVoteCast'] }
+  }).select('event voter candidateId args');
+
+  const rankings = new Map(events
+    .filter(e => e.event === 'RankedVoteCast')
+    .map(e => [e.voter, e.args.rankings.map(Number)]));
+
+  return events
+    .filter(e => e.event === 'VoteCast')
+    .map(e => rankings.get(e.voter) || [e.candidateId]);
+};
+
+module.exports = mongoose.model('ChainEvent', chainEventSchema);
@@ -33,20 +33,91 @@ const electionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'active', 'paused', 'completed', 'cancelled'],
+    enum: ['draft', 'active', 'paused', 'completed', 'cancelled', 'archived'],
     default: 'draft'
   },
+  // Why voting is paused; cleared when the election resumes
+  pause: {
+    reason: { type: String },
+    pausedAt: { type: Date },
+    pausedBy: { type: String }
+  },
+  cancellation: {
+    reason: { type: String },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: String }
+  },
+  // Archived elections are kept read-only for the record; see utils/electionStates
+  archive: {
+    archivedAt: { type: Date },
+    archivedBy: { type: String },
+    previousStatus: { type: String }
+  },
+  // Commit-reveal: voters submit sealed commitments until commitEndDate and reveal them until revealEndDate
+  commitReveal: {
+    type: Boolean,
+    default: false
+  },
+  commitEndDate: {
+    type: Date
+  },
+  revealEndDate: {
+    type: Date
+  },
+  // How a tie for first place is settled; see utils/tieBreak
+  tieBreakPolicy: {
+    type: String,
+    enum: ['runoff', 'lot'],
+    default: 'runoff'
+  },
+  // Lot elections: the seed's hash is published when the election opens, the seed with the final result
+  lot: {
+    seed: { type: String, select: false },
+    seedHash: { type: String },
+    committedAt: { type: Date }
+  },
+  // Results certification (see services/resultCertification): the frozen results snapshot, its hash, the admins'
+  // signatures over the hash and the transaction that recorded it on-chain. The tally is locked from the moment
+  // the snapshot is frozen.
+  certification: {
+    status: { type: String, enum: ['pending', 'certified'] },
+    snapshot: { type: String, select: false },
+    resultHash: { type: String },
+    requiredSignatures: { type: Number },
+    signatures: [{
+      _id: false,
+      address: { type: String, lowercase: true },
+      signature: { type: String },
+      signedAt: { type: Date }
+    }],
+    startedAt: { type: Date },
+    startedBy: { type: String },
+    certifiedAt: { type: Date },
+    transactionHash: { type: String },
+    blockNumber: { type: Number }
+  },
   maxCandidates: {
     type: Number,
     default: 10,
     min: 2,
     max: 50
   },
+  // Checked against each voter by utils/eligibility; `other` is shown to voters but not checked.
+  // Every requirement is opt-in, so an election without any lets every registered voter vote.
   requirements: {
-    minAge: { type: Number, default: 18 },
-    citizenship: { type: Boolean, default: true },
+    minAge: { type: Number },
+    citizenship: { type: Boolean, default: false },
+    citizenshipCountry: { type: String, default: '' },
     residency: { type: String, default: '' },
-    other: { type: String, default: '' }
+    verifiedIdentity: { type: Boolean, default: false },
+    other: { type: String, default: '' },
+    // Further rules of any registered rule type, e.g. { type: 'emailDomain', params: { domains: ['example.org'] } }
+    rules: [{
+      _id: false,
+      type: { type: String, required: true },
+      params: { type: mongoose.Schema.Types.Mixed, default: {} },
+      message: { type: String }
+    }]
   },
   candidates: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -60,10 +131,32 @@ const electionSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Root of the eligible-voter roll's Merkle tree; when set, only addresses on the roll can vote. It is set on the
+  // on-chain election when the election starts, and the contract checks every ballot against it.
   merkleRoot: {
     type: String,
     default: ''
   },
+  allowlist: {
+    // Sorted lowercase addresses; loaded only when proofs are built
+    addresses: {
+      type: [String],
+      select: false
+    },
+    count: { type: Number, default: 0 },
+    uploadedAt: { type: Date },
+    uploadedBy: { type: String },
+    // BlocPol.setVoterRoot transaction that set merkleRoot on the on-chain election
+    rootTransactionHash: { type: String },
+    publishedAt: { type: Date }
+  },
+  onChainId: {
+    type: Number,
+    min: 1
+  },
+  creationTxHash: {
+    type: String
+  },
   createdBy: {
     type: String,
     required: true
@@ -80,6 +173,7 @@ electionSchema.index({ status: 1 });
 electionSchema.index({ startDate: 1, endDate: 1 });
 electionSchema.index({ createdBy: 1 });
 electionSchema.index({ title: 'text', description: 'text' });
+electionSchema.index({ onChainId: 1 }, { unique: true, sparse: true });
 
 // Virtual for duration
 electionSchema.virtual('duration').get(function() {
@@ -97,6 +191,57 @@ electionSchema.virtual('isActive').get(function() {
          this.endDate >= now;
 });
 
+// Virtual for isOnChain
+electionSchema.virtual('isOnChain').get(function() {
+  return this.onChainId !== undefined && this.onChainId !== null;
+});
+
+// Virtual for the commit-reveal phase, derived from the schedule so it moves on by itself
+electionSchema.virtual('phase').get(function() {
+  if (!this.commitReveal) {
+    return null;
+  }
+  if (this.status === 'draft' || !this.commitEndDate) {
+    return 'pending';
+  }
+  if (this.status === 'cancelled' || this.status === 'archived') {
+    return 'closed';
+  }
+
+  const now = new Date();
+  if (now < this.commitEndDate) {
+    return 'commit';
+  }
+  if (now < this.revealEndDate) {
+    return 'reveal';
+  }
+  return 'closed';
+});
+
+// Virtual for whether results can be published (commit-reveal results stay hidden until the reveal phase ends)
+electionSchema.virtual('resultsVisible').get(function() {
+  return !this.commitReveal || this.phase === 'closed';
+});
+
+// Complete an active commit-reveal election once its reveal phase is over
+electionSchema.methods.syncPhase = async function() {
+  if (this.commitReveal && this.status === 'active' && this.phase === 'closed') {
+    this.status = 'completed';
+    this.actualEndDate = this.revealEndDate;
+    await this.save();
+    return true;
+  }
+  return false;
+};
+
+// Complete every commit-reveal election whose reveal phase is over
+electionSchema.statics.syncPhases = async function() {
+  const now = new Date();
+  const finished = await this.find({ commitReveal: true, status: 'active', revealEndDate: { $lte: now } });
+  await Promise.all(finished.map(election => election.syncPhase()));
+  return finished.length;
+};
+
 // Pre-save middleware
 electionSchema.pre('save', function(next) {
   if (this.startDate >= this.endDate) {
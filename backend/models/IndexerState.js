@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const indexerStateSchema = new mongoose.Schema({
+  contractAddress: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+  lastProcessedBlock: {
+    type: Number,
+    required: true
+  },
+  lastProcessedBlockHash: {
+    type: String
+  },
+  lastSyncedAt: {
+    type: Date
+  },
+  reorgCount: {
+    type: Number,
+    default: 0
+  },
+  lastReorgAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the block cursor for a contract, creating it on first run
+indexerStateSchema.statics.getCursor = async function(contractAddress, startBlock) {
+  return this.findOneAndUpdate(
+    { contractAddress: contractAddress.toLowerCase() },
+    { $setOnInsert: { lastProcessedBlock: startBlock - 1 } },
+    { new: true, upsert: true }
+  );
+};
+
+module.exports = mongoose.model('IndexerState', indexerStateSchema);
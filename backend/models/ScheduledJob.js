@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const scheduledJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['START_ELECTION', 'CLOSE_ELECTION']
+  },
+  electionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  // Set while a scheduler runs the job; a job still running long after it is assumed to have been interrupted
+  lockedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  // Transaction hash of the chain call, or why the job had nothing to do
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+scheduledJobSchema.index({ type: 1, electionId: 1 }, { unique: true });
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+
+// Static method to (re)schedule an election's job; a job that is running is left alone
+scheduledJobSchema.statics.schedule = async function(type, electionId, runAt) {
+  try {
+    return await this.findOneAndUpdate(
+      { type, electionId, status: { $ne: 'running' } },
+      {
+        $set: { runAt, status: 'pending', attempts: 0 },
+        $unset: { lastError: 1, lockedAt: 1, completedAt: 1, result: 1 }
+      },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // The upsert cannot match the running job, so inserting its duplicate fails
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Static method to create an election's job if it has none, keeping any existing job as it is
+scheduledJobSchema.statics.ensureScheduled = function(type, electionId, runAt) {
+  return this.updateOne(
+    { type, electionId },
+    { $setOnInsert: { runAt, status: 'pending', attempts: 0 } },
+    { upsert: true }
+  );
+};
+
+// Static method to cancel an election's pending jobs, optionally only those of some types
+scheduledJobSchema.statics.cancelForElection = function(electionId, types) {
+  const query = { electionId, status: 'pending' };
+  if (types) {
+    query.type = { $in: types };
+  }
+  return this.updateMany(query, { $set: { status: 'cancelled', completedAt: new Date() } });
+};
+
+// Static method to claim the next due job of the given types, including one left running by a scheduler
+// that stopped before lockTimeoutMs passed
+scheduledJobSchema.statics.claimNext = function(types, lockTimeoutMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lte: new Date(now.getTime() - lockTimeoutMs) } }
+      ]
+    },
+    { $set: { status: 'running', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
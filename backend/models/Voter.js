@@ -47,6 +47,12 @@ const voterSchema = new mongoose.Schema({
     country: String,
     zipCode: String
   },
+  // Country of citizenship, checked by the citizenship eligibility rule
+  citizenship: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
   isVerified: {
     type: Boolean,
     default: false
@@ -54,6 +60,17 @@ const voterSchema = new mongoose.Schema({
   verificationDate: {
     type: Date
   },
+  // Set once the voter opens the link in their verification email
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationSentAt: {
+    type: Date
+  },
   registrationDate: {
     type: Date,
     default: Date.now
@@ -70,6 +87,10 @@ const voterSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Candidate'
     },
+    rankings: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Candidate'
+    }],
     voteType: {
       type: String,
       enum: ['DIRECT', 'DELEGATED', 'MIXED', 'ZK_PROOF'],
@@ -77,10 +98,23 @@ const voterSchema = new mongoose.Schema({
     },
     transactionHash: String,
     voteHash: String,
+    // Commit-reveal elections: the sealed ballot is recorded at commit time and completed on reveal
+    commitment: String,
+    commitTransactionHash: String,
+    revealedAt: Date,
     votingPower: {
       type: Number,
       default: 1
     },
+    // Liquid democracy: votes carried for delegators, who cannot vote again in the same election
+    delegatedPower: {
+      type: Number,
+      default: 0
+    },
+    delegators: [{
+      type: String,
+      lowercase: true
+    }],
     votedAt: {
       type: Date,
       default: Date.now
@@ -108,20 +142,33 @@ const voterSchema = new mongoose.Schema({
       default: 'UTC'
     }
   },
+  // Identity documents, kept in file storage under storageKey and reviewed by an admin
   documents: [{
     type: {
       type: String,
       enum: ['id', 'passport', 'proof_of_address', 'other']
     },
     url: String,
+    storageKey: String,
+    contentType: String,
+    size: Number,
+    sha256: String,
     uploadedAt: {
       type: Date,
       default: Date.now
     },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
     verified: {
       type: Boolean,
       default: false
-    }
+    },
+    reviewedBy: String,
+    reviewedAt: Date,
+    rejectionReason: String
   }],
   isActive: {
     type: Boolean,
@@ -145,7 +192,9 @@ const voterSchema = new mongoose.Schema({
 voterSchema.index({ walletAddress: 1 });
 voterSchema.index({ email: 1 });
 voterSchema.index({ isVerified: 1 });
+voterSchema.index({ 'documents.status': 1 });
 voterSchema.index({ registrationDate: 1 });
+voterSchema.index({ updatedAt: -1 });
 voterSchema.index({ name: 'text' });
 
 // Virtual for total votes
@@ -167,11 +216,41 @@ voterSchema.methods.getVoteInElection = function(electionId) {
   );
 };
 
+// Check whether an address has a ballot in an election, cast itself or carried by a delegate
+voterSchema.statics.hasBallotInElection = async function(walletAddress, electionId) {
+  const address = walletAddress.toLowerCase();
+  const ballot = await this.exists({
+    $or: [
+      { walletAddress: address, 'votingHistory.electionId': electionId },
+      { votingHistory: { $elemMatch: { electionId, delegators: address } } }
+    ]
+  });
+  return !!ballot;
+};
+
+// Get the sealed ballot still waiting to be revealed in an election
+voterSchema.methods.getPendingCommitment = function(electionId) {
+  return this.votingHistory.find(vote =>
+    vote.electionId.toString() === electionId.toString() && vote.commitment && !vote.revealedAt
+  );
+};
+
+// A voter's identity is verified by an approved ID or passport together with an approved proof of address
+voterSchema.methods.hasVerifiedIdentity = function() {
+  const approved = (types) => this.documents.some(doc => types.includes(doc.type) && doc.status === 'approved');
+  return approved(['id', 'passport']) && approved(['proof_of_address']);
+};
+
 // Pre-save middleware
 voterSchema.pre('save', function(next) {
   if (this.isVerified && !this.verificationDate) {
     this.verificationDate = new Date();
   }
+  // A changed email address has to be confirmed again
+  if (!this.isNew && this.isModified('email')) {
+    this.emailVerified = false;
+    this.emailVerifiedAt = undefined;
+  }
   next();
 });
 
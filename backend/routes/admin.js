@@ -1,8 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
-const { adminAuth } = require('../middleware/adminAuth');
+const authController = require('../controllers/authController');
+const verificationController = require('../controllers/verificationController');
+const voterManagementController = require('../controllers/voterManagementController');
+const allowlistController = require('../controllers/allowlistController');
+const { adminAuth, verifySignature, requirePermission } = require('../middleware/adminAuth');
+const { PERMISSIONS } = require('../utils/permissions');
 const rateLimit = require('express-rate-limit');
+const { auditContext } = require('../middleware/auditContext');
 
 // Rate limiting for admin routes
 const adminLimiter = rateLimit({
@@ -14,40 +20,106 @@ const adminLimiter = rateLimit({
 // Apply rate limiting to all admin routes
 router.use(adminLimiter);
 
+// Tag requests with an ID and the context audit entries record
+router.use(auditContext);
+
+// Sign-in with Ethereum (no session required)
+router.post('/auth/nonce', authController.requestNonce);
+router.post('/auth/login', verifySignature, authController.login);
+router.post('/auth/refresh', authController.refreshSession);
+
 // Admin authentication middleware
 router.use(adminAuth);
 
+// Session management
+router.get('/auth/session', authController.getSession);
+router.post('/auth/logout', authController.logout);
+router.post('/auth/logout-all', authController.logoutAll);
+
 // Admin status check
 router.get('/status/:walletAddress', adminController.checkAdminStatus);
 
 // Dashboard statistics
-router.get('/stats', adminController.getAdminStats);
+router.get('/stats', requirePermission(PERMISSIONS.STATS_READ), adminController.getAdminStats);
 
 // Elections management
-router.get('/elections', adminController.getElections);
-router.post('/elections', adminController.createElection);
-router.get('/elections/:id', adminController.getElection);
-router.put('/elections/:id', adminController.updateElection);
-router.delete('/elections/:id', adminController.deleteElection);
-router.post('/elections/:id/start', adminController.startElection);
-router.post('/elections/:id/stop', adminController.stopElection);
+router.get('/elections', requirePermission(PERMISSIONS.ELECTIONS_READ), adminController.getElections);
+router.post('/elections', requirePermission(PERMISSIONS.ELECTIONS_WRITE), adminController.createElection);
+router.get('/elections/eligibility-rules', requirePermission(PERMISSIONS.ELECTIONS_READ), adminController.getEligibilityRuleTypes);
+router.get('/elections/:id', requirePermission(PERMISSIONS.ELECTIONS_READ), adminController.getElection);
+router.put('/elections/:id', requirePermission(PERMISSIONS.ELECTIONS_WRITE), adminController.updateElection);
+router.delete('/elections/:id', requirePermission(PERMISSIONS.ELECTIONS_DELETE), adminController.deleteElection);
+router.post('/elections/:id/start', requirePermission(PERMISSIONS.ELECTIONS_MANAGE), adminController.startElection);
+router.post('/elections/:id/stop', requirePermission(PERMISSIONS.ELECTIONS_MANAGE), adminController.stopElection);
+router.post('/elections/:id/pause', requirePermission(PERMISSIONS.ELECTIONS_MANAGE), adminController.pauseElection);
+router.post('/elections/:id/resume', requirePermission(PERMISSIONS.ELECTIONS_MANAGE), adminController.resumeElection);
+router.post('/elections/:id/cancel', requirePermission(PERMISSIONS.ELECTIONS_MANAGE), adminController.cancelElection);
+router.post('/elections/:id/archive', requirePermission(PERMISSIONS.ELECTIONS_MANAGE), adminController.archiveElection);
+router.post('/elections/:id/certification', requirePermission(PERMISSIONS.RESULTS_CERTIFY), adminController.startResultCertification);
+router.post('/elections/:id/certification/signatures', requirePermission(PERMISSIONS.RESULTS_CERTIFY), adminController.signResultCertification);
+router.post('/elections/:id/certification/record', requirePermission(PERMISSIONS.RESULTS_CERTIFY), adminController.recordResultCertification);
+router.delete('/elections/:id/certification', requirePermission(PERMISSIONS.RESULTS_CERTIFY), adminController.withdrawResultCertification);
+router.get('/elections/:id/voters', requirePermission(PERMISSIONS.VOTERS_READ), voterManagementController.getElectionVoterRoll);
+
+// Eligible-voter allowlist: the CSV is sent as the raw request body
+router.get('/elections/:id/allowlist', requirePermission(PERMISSIONS.ELECTIONS_READ), allowlistController.getAllowlist);
+router.put(
+  '/elections/:id/allowlist',
+  requirePermission(PERMISSIONS.ELECTIONS_WRITE),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  allowlistController.uploadAllowlist
+);
+router.delete('/elections/:id/allowlist', requirePermission(PERMISSIONS.ELECTIONS_WRITE), allowlistController.removeAllowlist);
 
 // Candidates management
-router.get('/candidates', adminController.getCandidates);
-router.post('/candidates', adminController.registerCandidate);
-router.get('/candidates/:id', adminController.getCandidate);
-router.put('/candidates/:id', adminController.updateCandidate);
-router.delete('/candidates/:id', adminController.deleteCandidate);
-router.post('/candidates/:id/approve', adminController.approveCandidate);
-router.post('/candidates/:id/reject', adminController.rejectCandidate);
+router.get('/candidates', requirePermission(PERMISSIONS.CANDIDATES_READ), adminController.getCandidates);
+router.post('/candidates', requirePermission(PERMISSIONS.CANDIDATES_WRITE), adminController.registerCandidate);
+router.get('/candidates/reconciliation', requirePermission(PERMISSIONS.CANDIDATES_READ), adminController.getCandidateReconciliation);
+router.get('/candidates/:id', requirePermission(PERMISSIONS.CANDIDATES_READ), adminController.getCandidate);
+router.put('/candidates/:id', requirePermission(PERMISSIONS.CANDIDATES_WRITE), adminController.updateCandidate);
+router.delete('/candidates/:id', requirePermission(PERMISSIONS.CANDIDATES_DELETE), adminController.deleteCandidate);
+router.post('/candidates/:id/approve', requirePermission(PERMISSIONS.CANDIDATES_REVIEW), adminController.approveCandidate);
+router.post('/candidates/:id/reject', requirePermission(PERMISSIONS.CANDIDATES_REVIEW), adminController.rejectCandidate);
+router.get('/candidates/:id/documents/:documentId/file', requirePermission(PERMISSIONS.CANDIDATES_READ), adminController.getCandidateDocumentFile);
+router.post(
+  '/candidates/:id/photo',
+  requirePermission(PERMISSIONS.CANDIDATES_WRITE),
+  express.raw({ type: adminController.PHOTO_CONTENT_TYPES, limit: '5mb' }),
+  adminController.uploadCandidatePhoto
+);
+
+// Event indexer
+router.get('/indexer/status', requirePermission(PERMISSIONS.STATS_READ), adminController.getIndexerStatus);
+
+// Election scheduler
+router.get('/jobs', requirePermission(PERMISSIONS.ELECTIONS_READ), adminController.getScheduledJobs);
+router.post('/jobs/:id/retry', requirePermission(PERMISSIONS.ELECTIONS_WRITE), adminController.retryScheduledJob);
+
+// Voters management
+router.get('/voters', requirePermission(PERMISSIONS.VOTERS_READ), voterManagementController.getVoters);
+router.get('/voters/:id', requirePermission(PERMISSIONS.VOTERS_READ), voterManagementController.getVoter);
+router.post('/voters/:id/ban', requirePermission(PERMISSIONS.VOTERS_MANAGE), voterManagementController.banVoter);
+router.post('/voters/:id/unban', requirePermission(PERMISSIONS.VOTERS_MANAGE), voterManagementController.unbanVoter);
+
+// Identity document review queue
+router.get('/documents', requirePermission(PERMISSIONS.VOTERS_REVIEW), verificationController.getDocumentQueue);
+router.get('/documents/:voterId/:documentId/file', requirePermission(PERMISSIONS.VOTERS_REVIEW), verificationController.getDocumentFile);
+router.post('/documents/:voterId/:documentId/approve', requirePermission(PERMISSIONS.VOTERS_REVIEW), verificationController.approveDocument);
+router.post('/documents/:voterId/:documentId/reject', requirePermission(PERMISSIONS.VOTERS_REVIEW), verificationController.rejectDocument);
 
 // Audit trail
-router.get('/audit', adminController.getAuditLogs);
-router.post('/audit/export', adminController.exportAuditLogs);
-router.get('/audit/:actionHash', adminController.getAuditLog);
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_READ), adminController.getAuditLogs);
+router.post('/audit/export', requirePermission(PERMISSIONS.AUDIT_READ), adminController.exportAuditLogs);
+router.get('/audit/:actionHash', requirePermission(PERMISSIONS.AUDIT_READ), adminController.getAuditLog);
+router.get('/audit/:actionHash/proof', requirePermission(PERMISSIONS.AUDIT_READ), adminController.getAuditProof);
 
 // Settings
-router.get('/settings', adminController.getAdminSettings);
-router.put('/settings', adminController.updateAdminSettings);
+router.get('/settings', requirePermission(PERMISSIONS.SETTINGS_READ), adminController.getAdminSettings);
+router.put('/settings', requirePermission(PERMISSIONS.SETTINGS_WRITE), adminController.updateAdminSettings);
+
+// Admin users and roles
+router.get('/admins', requirePermission(PERMISSIONS.ADMINS_MANAGE), adminController.getAdminUsers);
+router.post('/admins', requirePermission(PERMISSIONS.ADMINS_MANAGE), adminController.assignAdminRole);
+router.delete('/admins/:walletAddress', requirePermission(PERMISSIONS.ADMINS_MANAGE), adminController.revokeAdminRole);
 
 module.exports = router;
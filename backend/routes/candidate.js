@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const nominationController = require('../controllers/nominationController');
+const rateLimit = require('express-rate-limit');
+const { auditContext } = require('../middleware/auditContext');
+
+// Rate limiting for candidate routes
+const candidateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 requests per windowMs
+  message: 'Too many requests from this IP, please try again later.'
+});
+
+router.use(candidateLimiter);
+
+// Tag requests with an ID and the context audit entries record
+router.use(auditContext);
+
+// Elections taking nominations
+router.get('/elections', nominationController.getOpenElections);
+
+// Self-nomination: signed by the nominee's wallet, then reviewed by admins
+router.post('/nominations', nominationController.submitNomination);
+router.get('/nominations/:walletAddress', nominationController.getNominations);
+
+// Manifesto and supporting documents: the file is sent as the raw request body
+router.post(
+  '/nominations/:id/documents',
+  express.raw({ type: nominationController.NOMINATION_CONTENT_TYPES, limit: '5mb' }),
+  nominationController.uploadNominationDocument
+);
+
+// Photo: the image is sent as the raw request body and stored resized in the media store
+router.post(
+  '/nominations/:id/photo',
+  express.raw({ type: nominationController.PHOTO_CONTENT_TYPES, limit: '5mb' }),
+  nominationController.uploadNominationPhoto
+);
+
+// Appeal a rejected nomination
+router.post('/nominations/:id/appeal', nominationController.submitAppeal);
+
+module.exports = router;
@@ -15,8 +15,14 @@ router.use(electionLimiter);
 // Get candidates
 router.get('/candidates', electionController.getCandidates);
 
-// Get results
+// A candidate's published profile, checked against the ipfsHash registered on-chain
+router.get('/candidates/:id/profile', electionController.getCandidateProfile);
+
+// Get results: the elections that have them, or one election's with ?electionId=
 router.get('/results', electionController.getResults);
 
+// One election's results, with turnout, ballots over time and how a tie is settled
+router.get('/:id/results', electionController.getElectionResults);
+
 module.exports = router;
 
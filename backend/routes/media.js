@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const mediaController = require('../controllers/mediaController');
+
+// Content-addressed media (candidate photos and profiles), served by CID
+router.get('/ipfs/:cid', mediaController.getBlob);
+
+module.exports = router;
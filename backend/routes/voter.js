@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const voterController = require('../controllers/voterController');
+const delegationController = require('../controllers/delegationController');
+const verificationController = require('../controllers/verificationController');
+const allowlistController = require('../controllers/allowlistController');
 const rateLimit = require('express-rate-limit');
+const { auditContext } = require('../middleware/auditContext');
 
 // Rate limiting for voter routes
 const voterLimiter = rateLimit({
@@ -12,15 +16,50 @@ const voterLimiter = rateLimit({
 
 router.use(voterLimiter);
 
+// Tag requests with an ID and the context audit entries record
+router.use(auditContext);
+
 // Voter registration
 router.post('/register', voterController.registerVoter);
 
+// Email verification: confirm the link from the email, or ask for it again
+router.post('/email/verify', voterController.verifyEmail);
+router.post('/email/resend', voterController.resendVerificationEmail);
+
 // Get voter status
 router.get('/status/:walletAddress', voterController.getVoterStatus);
+router.put('/profile', voterController.updateVoterProfile);
+router.get('/eligibility/:walletAddress', voterController.getEligibility);
+
+// Identity documents: the file is sent as the raw request body
+router.post(
+  '/documents',
+  express.raw({ type: verificationController.DOCUMENT_CONTENT_TYPES, limit: '5mb' }),
+  verificationController.uploadDocument
+);
+router.get('/documents/:walletAddress', verificationController.getDocuments);
+
+// Inclusion proof for elections with a voter roll, sent back with the vote
+router.get('/allowlist/:electionId/:walletAddress', allowlistController.getInclusionProof);
 
-// Cast vote
+// Get the typed vote to sign
+router.get('/vote-request', voterController.getVoteRequest);
+
+// Cast vote (relayed)
 router.post('/vote', voterController.castVote);
 
+// Commit-reveal elections: get the typed commitment to sign, commit it (relayed), then reveal it
+router.get('/commit-request', voterController.getCommitRequest);
+router.post('/commit', voterController.commitVote);
+router.post('/reveal', voterController.revealVote);
+
+// Liquid democracy: delegations are sent from the voter's wallet, then confirmed here
+router.get('/delegation/delegates', delegationController.searchDelegates);
+router.get('/delegation/:walletAddress', delegationController.getDelegation);
+router.post('/delegation/prepare', delegationController.prepareDelegation);
+router.post('/delegation/revoke', delegationController.prepareRevocation);
+router.post('/delegation/confirm', delegationController.confirmDelegation);
+
 // Verify vote
 router.get('/verify/:transactionHash', voterController.verifyVote);
 
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Requirements Migration Script for BlocPol
+ * Elections used to get a minimum age of 18 and a citizenship requirement by default. Voters registered before
+ * eligibility was checked have neither detail, so those defaults turned them away. Requirements are now opt-in;
+ * this script clears the old defaults from elections that have not finished. It lists every election it changes,
+ * so admins can set the requirements again where they were meant.
+ */
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const Election = require('../models/Election');
+const AuditLog = require('../models/AuditLog');
+
+// System entries have no wallet behind them, so they are attributed to the zero address
+const SYSTEM_ACTOR = '0x0000000000000000000000000000000000000000';
+
+// Unfinished elections whose requirements are exactly the old defaults
+const OLD_DEFAULTS = {
+  status: { $in: ['draft', 'active', 'paused'] },
+  'requirements.minAge': 18,
+  'requirements.citizenship': true,
+  'requirements.citizenshipCountry': { $in: ['', null] }
+};
+
+async function clearDefaultRequirements() {
+  try {
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB successfully');
+
+    const elections = await Election.find(OLD_DEFAULTS).select('title status');
+    console.log(`🔍 ${elections.length} election(s) still have the old default requirements`);
+
+    for (const election of elections) {
+      await Election.updateOne(
+        { _id: election._id },
+        { $unset: { 'requirements.minAge': '' }, $set: { 'requirements.citizenship': false } }
+      );
+      await AuditLog.createLog('ELECTION_UPDATED', SYSTEM_ACTOR, {
+        electionId: election._id,
+        title: election.title,
+        description: 'Cleared the default minimum age and citizenship requirements'
+      }, { electionId: election._id });
+      console.log(`✅ ${election.title} (${election.status}, ${election._id})`);
+    }
+
+    console.log('🎉 Requirements migration completed successfully!');
+  } catch (error) {
+    console.error('❌ Requirements migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+// Run the migration
+if (require.main === module) {
+  clearDefaultRequirements();
+}
+
+module.exports = clearDefaultRequirements;
@@ -48,7 +48,7 @@ async function setupDatabase() {
     // AuditLog indexes
     await AuditLog.collection.createIndex({ timestamp: 1 });
     await AuditLog.collection.createIndex({ action: 1 });
-    await AuditLog.collection.createIndex({ userAddress: 1 });
+    await AuditLog.collection.createIndex({ actor: 1 });
     
     console.log('✅ Database indexes created successfully');
     
@@ -85,19 +85,13 @@ async function setupDatabase() {
     // Create initial audit log entry
     console.log('📝 Creating initial audit log...');
     
-    const initialAuditLog = new AuditLog({
-      action: 'DATABASE_SETUP',
+    // System entries have no wallet behind them, so they are attributed to the zero address
+    await AuditLog.createLog('AUDIT_LOG_CREATED', '0x0000000000000000000000000000000000000000', {
       description: 'Database setup completed successfully',
-      userAddress: 'system',
-      timestamp: new Date(),
-      metadata: {
-        version: '1.0.0',
-        indexesCreated: true,
-        defaultSettingsCreated: !existingSettings
-      }
+      version: '1.0.0',
+      indexesCreated: true,
+      defaultSettingsCreated: !existingSettings
     });
-    
-    await initialAuditLog.save();
     console.log('✅ Initial audit log created');
     
     console.log('🎉 Database setup completed successfully!');
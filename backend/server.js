@@ -1,11 +1,34 @@
 const express = require('express');
 const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
 const mongoose = require('mongoose');
 require('dotenv').config();
 
+const connectDB = require('./config/database');
+const eventIndexer = require('./services/eventIndexer');
+const auditAnchorer = require('./services/auditAnchorer');
+const scheduler = require('./services/scheduler');
+const voterRoutes = require('./routes/voter');
+const electionRoutes = require('./routes/election');
+const adminRoutes = require('./routes/admin');
+const candidateRoutes = require('./routes/candidate');
+const mediaRoutes = require('./routes/media');
+
+// Refuse to start without the configuration the controllers depend on
+const REQUIRED_ENV_VARS = ['MONGODB_URI', 'CONTRACT_ADDRESS', 'JWT_SECRET'];
+const missingEnvVars = REQUIRED_ENV_VARS.filter(name => !process.env[name]);
+
+if (missingEnvVars.length > 0) {
+  console.error(`❌ Missing required environment variables: ${missingEnvVars.join(', ')}`);
+  console.error('   Copy env.example to .env and set them before starting the server.');
+  process.exit(1);
+}
+
 const app = express();
 
 // Middleware
+app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*',
   credentials: true
@@ -13,6 +36,14 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Global rate limiting
+const limiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000, // limit each IP to 1000 requests per windowMs
+  message: 'Too many requests from this IP, please try again later.'
+});
+app.use('/api/', limiter);
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -23,51 +54,12 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Basic API endpoints
-app.get('/api/elections', (req, res) => {
-  res.json({
-    success: true,
-    elections: [],
-    message: 'No elections found'
-  });
-});
-
-app.get('/api/candidates', (req, res) => {
-  res.json({
-    success: true,
-    candidates: [],
-    message: 'No candidates found'
-  });
-});
-
-app.get('/api/admin-stats', (req, res) => {
-  res.json({
-    success: true,
-    stats: {
-      totalVoters: 0,
-      totalCandidates: 0,
-      totalVotes: 0,
-      activeElections: 0
-    }
-  });
-});
-
-// Database connection
-const connectDB = async () => {
-  try {
-    if (process.env.MONGODB_URI) {
-      await mongoose.connect(process.env.MONGODB_URI);
-      console.log('✅ MongoDB connected successfully');
-    } else {
-      console.log('⚠️  MONGODB_URI not provided, running without database');
-    }
-  } catch (error) {
-    console.error('❌ MongoDB connection error:', error.message);
-  }
-};
-
-// Connect to database
-connectDB();
+// API routes
+app.use('/api/voter', voterRoutes);
+app.use('/api/election', electionRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/candidate', candidateRoutes);
+app.use('/api/media', mediaRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -89,11 +81,38 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 3001;
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 BlocPol Backend running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
-});
+// Connect to database, then start accepting requests
+const startServer = async () => {
+  await connectDB();
+
+  app.listen(PORT, () => {
+    console.log(`🚀 BlocPol Backend running on port ${PORT}`);
+    console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
+  });
+
+  // Keep MongoDB in sync with the contract's events
+  if (process.env.INDEXER_ENABLED !== 'false') {
+    eventIndexer.start().catch(error => {
+      console.error('❌ Failed to start event indexer:', error.message);
+    });
+  }
+
+  // Periodically anchor new audit log entries on-chain
+  if (process.env.AUDIT_ANCHOR_ENABLED !== 'false') {
+    auditAnchorer.start().catch(error => {
+      console.error('❌ Failed to start audit log anchoring:', error.message);
+    });
+  }
+
+  // Start and close elections on their scheduled dates
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    scheduler.start().catch(error => {
+      console.error('❌ Failed to start election scheduler:', error.message);
+    });
+  }
+};
+
+startServer();
 
 module.exports = app;
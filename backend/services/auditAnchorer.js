@@ -0,0 +1,155 @@
+const AuditLog = require('../models/AuditLog');
+const AuditAnchor = require('../models/AuditAnchor');
+const {
+  getContractInstance,
+  anchorAuditRootOnChain,
+  getAuditAnchorCount,
+  getOnChainAuditAnchor
+} = require('../utils/contractUtils');
+const { getMerkleRoot, getMerkleProofs } = require('../utils/merkleTree');
+
+let anchorTimer = null;
+let currentRun = null;
+
+// Read an integer setting, keeping an explicit 0
+const readIntEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Get anchoring configuration
+const getAnchorConfig = () => ({
+  intervalMs: readIntEnv('AUDIT_ANCHOR_INTERVAL_MS', 3600000),
+  batchSize: readIntEnv('AUDIT_ANCHOR_BATCH_SIZE', 1000)
+});
+
+// An entry's Merkle leaf is its hash as bytes32
+const toLeaf = (entry) => `0x${entry.actionHash}`;
+
+// Store an anchored batch and give each of its entries an inclusion proof
+const recordBatch = async (contractAddress, entries, anchor) => {
+  const proofs = getMerkleProofs(entries.map(toLeaf));
+
+  await AuditAnchor.updateOne(
+    { contractAddress, batchId: anchor.batchId },
+    {
+      $setOnInsert: {
+        merkleRoot: anchor.merkleRoot.toLowerCase(),
+        fromSequence: anchor.fromSequence,
+        toSequence: anchor.toSequence,
+        leafCount: entries.length,
+        transactionHash: anchor.transactionHash,
+        blockNumber: anchor.blockNumber,
+        anchoredAt: new Date(anchor.anchoredAt * 1000)
+      }
+    },
+    { upsert: true }
+  );
+
+  await AuditLog.bulkWrite(entries.map((entry, i) => ({
+    updateOne: {
+      filter: { _id: entry._id },
+      update: { $set: { anchorBatchId: anchor.batchId, proof: proofs[i] } }
+    }
+  })));
+};
+
+// Record batches that were anchored on-chain but never stored, e.g. when the server stopped mid-run
+const recoverAnchors = async (contractAddress) => {
+  const latest = await AuditAnchor.getLatest(contractAddress);
+  const count = await getAuditAnchorCount();
+
+  for (let batchId = (latest ? latest.batchId : 0) + 1; batchId <= count; batchId++) {
+    const anchor = await getOnChainAuditAnchor(batchId);
+    const entries = await AuditLog.find({
+      sequence: { $gte: anchor.fromSequence, $lte: anchor.toSequence }
+    }).sort({ sequence: 1 });
+
+    const complete = entries.length === anchor.toSequence - anchor.fromSequence + 1;
+    if (!complete || getMerkleRoot(entries.map(toLeaf)) !== anchor.merkleRoot.toLowerCase()) {
+      throw new Error(`Audit log entries ${anchor.fromSequence}-${anchor.toSequence} do not match the root anchored in batch ${batchId}`);
+    }
+
+    await recordBatch(contractAddress, entries, anchor);
+  }
+};
+
+// Anchor the Merkle root of the entries written since the last batch
+const anchorOnce = async () => {
+  const { batchSize } = getAnchorConfig();
+  const contract = await getContractInstance();
+  const contractAddress = contract.address.toLowerCase();
+
+  await recoverAnchors(contractAddress);
+
+  const latest = await AuditAnchor.getLatest(contractAddress);
+  const lastSequence = latest ? latest.toSequence : 0;
+  const [previous, entries] = await Promise.all([
+    lastSequence > 0 ? AuditLog.findOne({ sequence: lastSequence }) : null,
+    AuditLog.find({ sequence: { $gt: lastSequence } }).sort({ sequence: 1 }).limit(batchSize)
+  ]);
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  // Anchoring a rewritten chain would vouch for it, so stop at the first broken link
+  const broken = AuditLog.findChainBreak(entries, previous);
+  if (broken) {
+    throw new Error(`Audit log chain is broken at entry ${broken.sequence} (${broken.actionHash})`);
+  }
+
+  const merkleRoot = getMerkleRoot(entries.map(toLeaf));
+  const fromSequence = entries[0].sequence;
+  const toSequence = entries[entries.length - 1].sequence;
+  const result = await anchorAuditRootOnChain(merkleRoot, fromSequence, toSequence);
+
+  const anchor = { ...result, merkleRoot, fromSequence, toSequence };
+  await recordBatch(contractAddress, entries, anchor);
+
+  console.log(`Anchored audit entries ${fromSequence}-${toSequence} in batch ${anchor.batchId}`);
+  return anchor;
+};
+
+// Run an anchoring pass unless one is already in progress
+const requestAnchor = () => {
+  if (!currentRun) {
+    currentRun = anchorOnce()
+      .catch(error => {
+        console.error('Error anchoring audit log:', error);
+      })
+      .finally(() => {
+        currentRun = null;
+      });
+  }
+  return currentRun;
+};
+
+// Anchor new entries now and then every AUDIT_ANCHOR_INTERVAL_MS
+const start = async () => {
+  if (anchorTimer) {
+    return;
+  }
+
+  const { intervalMs } = getAnchorConfig();
+  await getContractInstance();
+  anchorTimer = setInterval(requestAnchor, intervalMs);
+
+  console.log('Audit log anchoring started');
+  await requestAnchor();
+};
+
+// Stop anchoring
+const stop = () => {
+  if (anchorTimer) {
+    clearInterval(anchorTimer);
+    anchorTimer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  anchorOnce,
+  requestAnchor
+};
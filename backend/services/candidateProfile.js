@@ -0,0 +1,89 @@
+const mediaStore = require('./mediaStore');
+const { renderCandidatePhoto } = require('../utils/images');
+const { canonicalJson } = require('../utils/canonicalJson');
+
+// A candidate's public profile is a JSON document in the media store. Its CID is what the candidate is
+// registered on-chain with (the contract's ipfsHash), so anyone can fetch the profile and check it against the chain.
+
+const PROFILE_SCHEMA = 'blocpol.candidate-profile/1';
+
+const describeImage = (image) => (image && image.cid
+  ? { cid: image.cid, contentType: 'image/jpeg', width: image.width, height: image.height }
+  : null);
+
+// The public details of a candidate; contact details stay off the profile
+const buildProfile = (candidate, election) => {
+  const socialMedia = candidate.socialMedia || {};
+  const media = candidate.media || {};
+
+  return {
+    schema: PROFILE_SCHEMA,
+    election: {
+      id: String(election._id),
+      onChainId: election.onChainId,
+      title: election.title
+    },
+    name: candidate.name,
+    party: candidate.party || '',
+    description: candidate.description || '',
+    walletAddress: candidate.walletAddress.toLowerCase(),
+    photo: describeImage(media.photo),
+    thumbnail: describeImage(media.thumbnail),
+    socialMedia: ['website', 'twitter', 'facebook', 'linkedin'].reduce((links, field) => (
+      socialMedia[field] ? { ...links, [field]: socialMedia[field] } : links
+    ), {})
+  };
+};
+
+// Sorted keys make the same profile always serialise to the same bytes and CID
+const serializeProfile = (profile) => Buffer.from(canonicalJson(profile));
+
+// Store the candidate's profile and record its CID on the candidate (not saved); the election must be on-chain
+const publishProfile = async (candidate, election) => {
+  const cid = await mediaStore.put(serializeProfile(buildProfile(candidate, election)));
+  candidate.profileCid = cid;
+  return cid;
+};
+
+// Render an uploaded photo, store it and its thumbnail and set them on the candidate (not saved).
+// Returns { error } for unusable images.
+const storeCandidatePhoto = async (candidate, buffer) => {
+  const rendered = await renderCandidatePhoto(buffer);
+  if (rendered.error) {
+    return rendered;
+  }
+
+  const describe = async ({ buffer: bytes, width, height, size }) => ({
+    cid: await mediaStore.put(bytes),
+    width,
+    height,
+    size
+  });
+  candidate.media = {
+    photo: await describe(rendered.photo),
+    thumbnail: await describe(rendered.thumbnail),
+    uploadedAt: new Date()
+  };
+  return { media: candidate.media };
+};
+
+// Read a stored profile back, or null when the media store does not have it
+const loadProfile = async (cid) => {
+  const buffer = await mediaStore.get(cid);
+  if (!buffer) {
+    return null;
+  }
+  try {
+    return JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  buildProfile,
+  serializeProfile,
+  publishProfile,
+  storeCandidatePhoto,
+  loadProfile
+};
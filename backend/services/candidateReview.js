@@ -0,0 +1,151 @@
+const AdminSettings = require('../models/AdminSettings');
+const { registerCandidateOnChain } = require('../utils/contractUtils');
+const { ensureElectionOnChain } = require('./electionLifecycle');
+const { sendMail } = require('./mail');
+const { publishProfile } = require('./candidateProfile');
+
+// Approve a candidate: the first time, publish its profile and register it on-chain with the profile's CID,
+// then mark it active. Re-approving keeps the existing on-chain ID and profile. Approving a candidate whose
+// appeal is pending upholds the appeal.
+const approveCandidate = async (candidate, election, approverAddress) => {
+  if (!candidate.isOnChain) {
+    let electionOnChainId;
+    try {
+      electionOnChainId = await ensureElectionOnChain(election);
+    } catch (error) {
+      throw new Error('Failed to register candidate on-chain', { cause: error });
+    }
+
+    let profileCid;
+    try {
+      profileCid = await publishProfile(candidate, election);
+    } catch (error) {
+      throw new Error('Failed to store the candidate profile', { cause: error });
+    }
+
+    let registration;
+    try {
+      registration = await registerCandidateOnChain(electionOnChainId, candidate.name, profileCid);
+    } catch (error) {
+      throw new Error('Failed to register candidate on-chain', { cause: error });
+    }
+
+    candidate.onChainId = registration.onChainId;
+    candidate.registrationTxHash = registration.transactionHash;
+    candidate.onChainRegisteredAt = new Date();
+  }
+
+  if (candidate.appealPending) {
+    candidate.appeal.decision = 'upheld';
+    candidate.appeal.decidedAt = new Date();
+    candidate.appeal.decidedBy = approverAddress;
+  }
+  candidate.status = 'active';
+  candidate.approvedAt = new Date();
+  candidate.approvedBy = approverAddress;
+  await candidate.save();
+
+  return candidate;
+};
+
+// Reject a candidate. Rejecting a candidate whose appeal is pending dismisses the appeal.
+const rejectCandidate = async (candidate, reason, reviewerAddress) => {
+  if (candidate.appealPending) {
+    candidate.appeal.decision = 'dismissed';
+    candidate.appeal.decidedAt = new Date();
+    candidate.appeal.decidedBy = reviewerAddress;
+  }
+  candidate.status = 'rejected';
+  candidate.rejectedAt = new Date();
+  candidate.rejectedBy = reviewerAddress;
+  candidate.rejectionReason = reason || undefined;
+  await candidate.save();
+
+  return candidate;
+};
+
+// Whether a rejected candidate can still appeal: once, while the election has not started
+const canAppeal = (candidate, election) => {
+  return candidate.status === 'rejected' && !(candidate.appeal && candidate.appeal.submittedAt) &&
+    !!election && election.status === 'draft';
+};
+
+// The email sent to a candidate when their nomination changes status
+const buildStatusEmail = (candidate, election, event) => {
+  const title = election ? election.title : 'the election';
+  const nominationPage = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/nominate`;
+
+  switch (event) {
+    case 'received':
+      return {
+        subject: `Your BlocPol nomination for ${title} was received`,
+        lines: [
+          `Your nomination for ${title} was received and is waiting for review by the election officials.`,
+          'You can add your manifesto and supporting documents, and follow its status, on the nomination page:',
+          '',
+          nominationPage
+        ]
+      };
+    case 'approved':
+      return {
+        subject: `Your BlocPol nomination for ${title} was approved`,
+        lines: [
+          candidate.appeal && candidate.appeal.decision === 'upheld'
+            ? `Your appeal was upheld: you are now a candidate in ${title}.`
+            : `Your nomination was approved: you are now a candidate in ${title}.`
+        ]
+      };
+    case 'rejected':
+      return {
+        subject: `Your BlocPol nomination for ${title} was rejected`,
+        lines: [
+          candidate.appeal && candidate.appeal.decision === 'dismissed'
+            ? `Your appeal against the rejection of your nomination for ${title} was dismissed. This decision is final.`
+            : `Your nomination for ${title} was rejected.`,
+          ...(candidate.rejectionReason ? ['', `Reason: ${candidate.rejectionReason}`] : []),
+          ...(canAppeal(candidate, election)
+            ? ['', 'You can appeal this decision once, until the election starts, from the nomination page:', '', nominationPage]
+            : [])
+        ]
+      };
+    case 'appealed':
+      return {
+        subject: `Your BlocPol appeal for ${title} was received`,
+        lines: [
+          `Your appeal against the rejection of your nomination for ${title} was received.`,
+          'The election officials will review your nomination again.'
+        ]
+      };
+    default:
+      throw new Error(`Unknown candidate email: ${event}`);
+  }
+};
+
+// Email a candidate about their nomination's status when email notifications are on. A mail failure
+// is logged and does not undo the change; returns whether the email was sent.
+const notifyCandidate = async (candidate, election, event) => {
+  try {
+    const settings = await AdminSettings.getSettings();
+    if (settings.emailNotifications === false || !candidate.email) {
+      return false;
+    }
+
+    const { subject, lines } = buildStatusEmail(candidate, election, event);
+    await sendMail({
+      to: candidate.email,
+      subject,
+      text: [`Hello ${candidate.name},`, '', ...lines].join('\n')
+    });
+    return true;
+  } catch (error) {
+    console.error('Error sending candidate email:', error);
+    return false;
+  }
+};
+
+module.exports = {
+  approveCandidate,
+  rejectCandidate,
+  canAppeal,
+  notifyCandidate
+};
@@ -0,0 +1,204 @@
+const AdminSettings = require('../models/AdminSettings');
+const {
+  createElectionOnChain,
+  startElectionOnChain,
+  startCommitRevealOnChain,
+  stopElectionOnChain,
+  pauseElectionOnChain,
+  resumeElectionOnChain,
+  getOnChainElection
+} = require('../utils/contractUtils');
+const { ensureRootPublished } = require('../utils/allowlistUtils');
+const { createLotSeed } = require('../utils/tieBreak');
+
+// An error from one step of a transition; its message is safe to show admins and `cause` holds the original error
+const stepError = (message, cause) => new Error(message, { cause });
+
+// Create the matching on-chain election the first time it is needed
+const ensureElectionOnChain = async (election) => {
+  if (!election.isOnChain) {
+    const creation = await createElectionOnChain(election.title);
+    election.onChainId = creation.onChainId;
+    election.creationTxHash = creation.transactionHash;
+    await election.save();
+  }
+  return election.onChainId;
+};
+
+// Open the on-chain session, or pick up one that was opened by an earlier attempt that stopped before saving
+const openSessionOnChain = async (election) => {
+  const onChainId = await ensureElectionOnChain(election);
+
+  const onChainElection = await getOnChainElection(onChainId);
+  if (onChainElection.votingActive) {
+    return {
+      startTime: onChainElection.votingStartTime,
+      endTime: onChainElection.votingEndTime,
+      revealEndTime: onChainElection.commitReveal ? onChainElection.revealEndTime : undefined
+    };
+  }
+
+  if (election.commitReveal) {
+    // Commit and reveal phase lengths come from the admin settings
+    const settings = await AdminSettings.getSettings();
+    return startCommitRevealOnChain(onChainId, settings.commitmentPeriod, settings.revealPeriod);
+  }
+
+  // The on-chain session stays open until the election's end date
+  const durationSeconds = Math.floor((election.endDate.getTime() - Date.now()) / 1000);
+  return startElectionOnChain(onChainId, durationSeconds);
+};
+
+// Move a draft election to active: set its voter roll root on-chain, open the on-chain session and save
+// the schedule the contract set. Callers check the election is a draft whose end date is ahead.
+const openElection = async (election) => {
+  try {
+    await ensureElectionOnChain(election);
+  } catch (error) {
+    throw stepError('Failed to start election on-chain', error);
+  }
+
+  // The contract fixes the roll once voting starts, so the root goes on-chain first
+  try {
+    if (await ensureRootPublished(election)) {
+      await election.save();
+    }
+  } catch (error) {
+    throw stepError('Failed to publish the voter roll root on-chain', error);
+  }
+
+  let session;
+  try {
+    session = await openSessionOnChain(election);
+  } catch (error) {
+    throw stepError('Failed to start election on-chain', error);
+  }
+
+  election.status = 'active';
+  election.actualStartDate = new Date(session.startTime * 1000);
+  if (election.commitReveal) {
+    election.commitEndDate = new Date(session.endTime * 1000);
+    election.revealEndDate = new Date(session.revealEndTime * 1000);
+  }
+  // Commit to the seed that draws lots before any ballot is cast; it is revealed with the final result
+  if (election.tieBreakPolicy === 'lot' && !election.lot.seedHash) {
+    election.lot = { ...createLotSeed(), committedAt: new Date() };
+  }
+  await election.save();
+
+  return session;
+};
+
+// Close an active election's on-chain session if it is still open and save the result. A commit-reveal
+// election in its commit phase moves on to its reveal phase; any other election is completed.
+const closeElection = async (election) => {
+  let stopped = null;
+  if (election.isOnChain) {
+    try {
+      const onChainElection = await getOnChainElection(election.onChainId);
+      if (onChainElection.votingActive) {
+        stopped = await stopElectionOnChain(election.onChainId);
+      }
+    } catch (error) {
+      throw stepError('Failed to stop election on-chain', error);
+    }
+  }
+
+  if (election.phase === 'commit') {
+    election.commitEndDate = stopped ? new Date(stopped.stopTime * 1000) : new Date();
+    if (stopped && stopped.revealEndTime) {
+      election.revealEndDate = new Date(stopped.revealEndTime * 1000);
+    }
+  } else if (election.phase === 'closed') {
+    // The reveal phase ran to its end; the session is only stopped afterwards
+    election.status = 'completed';
+    election.actualEndDate = election.revealEndDate;
+  } else {
+    election.status = 'completed';
+    election.actualEndDate = stopped ? new Date(stopped.stopTime * 1000) : new Date();
+  }
+  await election.save();
+
+  return stopped;
+};
+
+// Pause or resume the on-chain election unless it already is, e.g. after an earlier attempt failed to save
+const setPausedOnChain = async (election, paused) => {
+  if (!election.isOnChain) {
+    return null;
+  }
+
+  const onChainElection = await getOnChainElection(election.onChainId);
+  if (onChainElection.paused === paused) {
+    return null;
+  }
+  return paused ? pauseElectionOnChain(election.onChainId) : resumeElectionOnChain(election.onChainId);
+};
+
+// Stop an active election taking ballots until it is resumed. The contract refuses the election's ballots,
+// including direct ones, while it is paused; the on-chain session keeps its end time.
+const pauseElection = async (election, reason, adminAddress) => {
+  let paused;
+  try {
+    paused = await setPausedOnChain(election, true);
+  } catch (error) {
+    throw stepError('Failed to pause election on-chain', error);
+  }
+
+  election.status = 'paused';
+  election.pause = { reason, pausedAt: new Date(), pausedBy: adminAddress };
+  await election.save();
+
+  return paused;
+};
+
+// Let a paused election take ballots again
+const resumeElection = async (election) => {
+  let unpaused;
+  try {
+    unpaused = await setPausedOnChain(election, false);
+  } catch (error) {
+    throw stepError('Failed to unpause election on-chain', error);
+  }
+
+  election.status = 'active';
+  election.pause = undefined;
+  await election.save();
+
+  return unpaused;
+};
+
+// Cancel a draft, active or paused election for good: its on-chain session is closed and no result stands.
+// A paused election stays paused on-chain, so none of its commitments can be revealed either.
+const cancelElection = async (election, reason, adminAddress) => {
+  let stopped = null;
+  try {
+    if (election.isOnChain) {
+      const onChainElection = await getOnChainElection(election.onChainId);
+      if (onChainElection.votingActive) {
+        stopped = await stopElectionOnChain(election.onChainId);
+      }
+    }
+  } catch (error) {
+    throw stepError('Failed to stop election on-chain', error);
+  }
+
+  if (election.status !== 'draft') {
+    election.actualEndDate = stopped ? new Date(stopped.stopTime * 1000) : new Date();
+  }
+  election.status = 'cancelled';
+  election.pause = undefined;
+  election.cancellation = { reason, cancelledAt: new Date(), cancelledBy: adminAddress };
+  await election.save();
+
+  return stopped;
+};
+
+module.exports = {
+  ensureElectionOnChain,
+  openElection,
+  closeElection,
+  pauseElection,
+  resumeElection,
+  cancelElection
+};
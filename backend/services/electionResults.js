@@ -0,0 +1,321 @@
+const Election = require('../models/Election');
+const Candidate = require('../models/Candidate');
+const Voter = require('../models/Voter');
+const ChainEvent = require('../models/ChainEvent');
+const { tallyInstantRunoff } = require('../utils/rankedChoice');
+const { checkEligibility } = require('../utils/eligibility');
+const { drawLots, findLeaders } = require('../utils/tieBreak');
+
+// The result of one election: standings, turnout against the eligible roll, ballots over time and the
+// outcome, with ties settled by the election's tie-break policy (see utils/tieBreak) once the result is final
+
+const HOUR_MS = 60 * 60 * 1000;
+const TIMELINE_INTERVALS = { hour: HOUR_MS, day: 24 * HOUR_MS };
+const MAX_TIMELINE_BUCKETS = 500;
+
+// Counting the registered voters an election's requirements admit checks every voter, so each election's count is
+// kept until its requirements change, or until the voters change and the count is older than ELIGIBLE_RECOUNT_MS
+const ELIGIBLE_RECOUNT_MS = 60 * 1000;
+const MAX_CACHED_COUNTS = 100;
+const eligibleCounts = new Map();
+
+// Whether an election's result stands: it completed, and was perhaps archived since
+const isFinal = (election) => election.status === 'completed' ||
+  (election.status === 'archived' && election.archive.previousStatus === 'completed');
+
+const isCancelled = (election) => election.status === 'cancelled' ||
+  (election.status === 'archived' && election.archive.previousStatus === 'cancelled');
+
+const describeElection = (election) => ({
+  _id: election._id,
+  title: election.title,
+  status: election.status,
+  votingMode: election.votingMode,
+  startDate: election.startDate,
+  endDate: election.endDate,
+  actualStartDate: election.actualStartDate,
+  actualEndDate: election.actualEndDate,
+  onChainId: election.onChainId,
+  commitReveal: election.commitReveal,
+  tieBreakPolicy: election.tieBreakPolicy,
+  pause: election.pause,
+  cancellation: election.cancellation
+});
+
+const describeCandidate = (candidate) => ({ id: candidate._id, name: candidate.name, party: candidate.party });
+
+// Run the instant-runoff tally over an election's indexed ballots and name the candidates in each round
+const getRankedChoiceResults = async (election, candidates) => {
+  const ballots = await ChainEvent.getBallots(process.env.CONTRACT_ADDRESS, election.onChainId);
+  const onChainCandidates = candidates.filter(candidate => candidate.isOnChain);
+  const tally = tallyInstantRunoff(ballots, onChainCandidates.map(candidate => candidate.onChainId));
+
+  const byOnChainId = new Map(onChainCandidates.map(candidate => [candidate.onChainId, candidate]));
+  const describe = (onChainId) => describeCandidate(byOnChainId.get(onChainId));
+
+  return {
+    totalBallots: tally.totalBallots,
+    rounds: tally.rounds.map(round => ({
+      round: round.round,
+      activeBallots: round.activeBallots,
+      exhaustedBallots: round.exhausted,
+      threshold: round.threshold,
+      tallies: Object.entries(round.tallies)
+        .map(([onChainId, votes]) => ({ ...describe(Number(onChainId)), votes }))
+        .sort((a, b) => b.votes - a.votes),
+      eliminated: round.eliminated.map(describe)
+    })),
+    winner: tally.winner !== null ? describe(tally.winner) : null,
+    tied: tally.tied.map(describe)
+  };
+};
+
+// Standings and leaders: ranked-choice elections are led by the runoff, others by their vote weight
+const getStandings = async (election, candidates) => {
+  const directVotes = candidates.reduce((sum, candidate) => sum + candidate.voteCount, 0);
+
+  if (election.votingMode === 'RANKED_CHOICE' && election.onChainId) {
+    const rankedChoice = await getRankedChoiceResults(election, candidates);
+    return {
+      candidates: [...candidates].sort((a, b) => b.voteCount - a.voteCount).map(candidate => ({
+        ...describeCandidate(candidate),
+        votes: candidate.voteCount,
+        percentage: directVotes > 0 ? ((candidate.voteCount / directVotes) * 100).toFixed(2) : 0
+      })),
+      totals: { totalVotes: directVotes },
+      rounds: rankedChoice.rounds,
+      leaders: rankedChoice.winner ? [rankedChoice.winner] : rankedChoice.tied
+    };
+  }
+
+  // Each ballot weighs one direct vote plus the votes delegated to its voter (liquid democracy)
+  const byWeight = [...candidates].sort((a, b) => b.totalVotes - a.totalVotes);
+  const totalWeight = byWeight.reduce((sum, candidate) => sum + candidate.totalVotes, 0);
+  const standings = byWeight.map(candidate => ({
+    ...describeCandidate(candidate),
+    votes: candidate.totalVotes,
+    directVotes: candidate.voteCount,
+    delegatedVotes: candidate.delegatedVoteCount,
+    percentage: totalWeight > 0 ? ((candidate.totalVotes / totalWeight) * 100).toFixed(2) : 0
+  }));
+
+  return {
+    candidates: standings,
+    totals: {
+      totalVotes: totalWeight,
+      totalDirectVotes: directVotes,
+      totalDelegatedVotes: totalWeight - directVotes
+    },
+    leaders: findLeaders(standings)
+  };
+};
+
+// Decide the outcome from the leaders. Ties are only settled once the result is final.
+const getOutcome = async (election, leaders) => {
+  const tieBreak = { policy: election.tieBreakPolicy };
+  if (election.tieBreakPolicy === 'lot') {
+    tieBreak.seedHash = election.lot.seedHash || null;
+  }
+
+  if (isCancelled(election)) {
+    return { outcome: 'cancelled', winner: null, tieBreak };
+  }
+  if (leaders.length === 0) {
+    return { outcome: 'no_votes', winner: null, tieBreak };
+  }
+  if (leaders.length === 1) {
+    return { outcome: isFinal(election) ? 'winner' : 'leading', winner: leaders[0], tieBreak };
+  }
+  if (!isFinal(election)) {
+    return { outcome: 'tie', winner: null, tieBreak };
+  }
+
+  // Draw lots with the seed committed to when the election opened
+  if (election.tieBreakPolicy === 'lot' && election.lot.seedHash) {
+    const { lot } = await Election.findById(election._id).select('+lot.seed');
+    const byId = new Map(leaders.map(leader => [String(leader.id), leader]));
+    const draw = drawLots(lot.seed, leaders.map(leader => leader.id))
+      .map(({ id, ticket }) => ({ ...byId.get(id), ticket }));
+
+    return {
+      outcome: 'winner',
+      winner: draw[0],
+      decidedBy: 'lot',
+      tieBreak: { ...tieBreak, seed: lot.seed, draw }
+    };
+  }
+
+  // A runoff between the tied candidates decides; so do lot elections that opened without a seed
+  return { outcome: 'tie', winner: null, tieBreak: { ...tieBreak, runoffRequired: true } };
+};
+
+// Changes whenever a voter registers, is updated or is removed; Mongoose stamps updatedAt on every write
+const getVotersVersion = async () => {
+  const [count, latest] = await Promise.all([
+    Voter.countDocuments(),
+    Voter.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean()
+  ]);
+  return `${count}:${latest ? new Date(latest.updatedAt).getTime() : 0}`;
+};
+
+// Check every registered voter who is not banned against the election's requirements
+const checkRegisteredVoters = async (election) => {
+  let eligible = 0;
+  for await (const voter of Voter.find({ banned: { $ne: true } }).cursor()) {
+    if ((await checkEligibility(voter, election)).eligible) {
+      eligible += 1;
+    }
+  }
+  return eligible;
+};
+
+// Count the eligible roll: the uploaded allowlist when the election has one, otherwise the registered
+// voters who are not banned and meet the election's requirements
+const countEligible = async (election) => {
+  if (election.merkleRoot) {
+    return { eligible: election.allowlist.count, eligibleSource: 'allowlist' };
+  }
+
+  // Age rules are checked as of the start date, so it is part of what the count depends on
+  const requirements = JSON.stringify([election.requirements, election.startDate]);
+  const votersVersion = await getVotersVersion();
+  const id = String(election._id);
+  let entry = eligibleCounts.get(id);
+  const fresh = entry && entry.requirements === requirements &&
+    (entry.votersVersion === votersVersion || Date.now() - entry.countedAt < ELIGIBLE_RECOUNT_MS);
+
+  if (!fresh) {
+    // Requests that arrive during a count share it; a failed count is not kept
+    const counting = { requirements, votersVersion, countedAt: Date.now(), count: checkRegisteredVoters(election) };
+    eligibleCounts.delete(id);
+    if (eligibleCounts.size >= MAX_CACHED_COUNTS) {
+      eligibleCounts.delete(eligibleCounts.keys().next().value);
+    }
+    eligibleCounts.set(id, counting);
+    counting.count.catch(() => {
+      if (eligibleCounts.get(id) === counting) {
+        eligibleCounts.delete(id);
+      }
+    });
+    entry = counting;
+  }
+
+  return { eligible: await entry.count, eligibleSource: 'registered' };
+};
+
+// When each ballot in an election was cast. Commit-reveal ballots only count once revealed.
+const getBallots = async (election) => {
+  const rows = await Voter.aggregate([
+    { $match: { 'votingHistory.electionId': election._id } },
+    { $unwind: '$votingHistory' },
+    { $match: { 'votingHistory.electionId': election._id } },
+    {
+      $project: {
+        _id: 0,
+        votedAt: '$votingHistory.votedAt',
+        candidateId: '$votingHistory.candidateId',
+        revealedAt: '$votingHistory.revealedAt'
+      }
+    }
+  ]);
+
+  const counted = rows.filter(row => row.candidateId || row.revealedAt);
+  return {
+    times: counted.map(row => new Date(row.votedAt).getTime()).filter(time => !Number.isNaN(time)),
+    uncounted: rows.length - counted.length
+  };
+};
+
+const getTurnout = (eligibility, ballots) => ({
+  ...eligibility,
+  ballots: ballots.times.length,
+  unrevealedBallots: ballots.uncounted,
+  percentage: eligibility.eligible > 0 ? ((ballots.times.length / eligibility.eligible) * 100).toFixed(2) : null
+});
+
+// Ballots cast per hour or day, from when voting opened to when it closed (or now). Buckets are widened
+// when there would be more than MAX_TIMELINE_BUCKETS of them.
+const getTimeline = (election, times, interval) => {
+  if (!election.actualStartDate && ['draft', 'cancelled'].includes(election.status)) {
+    return { interval: null, bucketSeconds: null, from: null, to: null, buckets: [] };
+  }
+
+  const from = new Date(election.actualStartDate || election.startDate).getTime();
+  const closedAt = election.actualEndDate || election.commitEndDate || election.endDate;
+  const to = Math.max(from + 1, Math.min(Date.now(), new Date(closedAt).getTime()));
+
+  const name = TIMELINE_INTERVALS[interval] ? interval : (to - from <= 3 * TIMELINE_INTERVALS.day ? 'hour' : 'day');
+  const size = Math.max(TIMELINE_INTERVALS[name], Math.ceil((to - from) / MAX_TIMELINE_BUCKETS / HOUR_MS) * HOUR_MS);
+  const count = Math.ceil((to - from) / size);
+
+  const counts = new Array(count).fill(0);
+  times.forEach(time => {
+    const index = Math.min(count - 1, Math.max(0, Math.floor((time - from) / size)));
+    counts[index] += 1;
+  });
+
+  let cumulative = 0;
+  return {
+    interval: size === TIMELINE_INTERVALS[name] ? name : null,
+    bucketSeconds: size / 1000,
+    from: new Date(from),
+    to: new Date(to),
+    buckets: counts.map((ballots, index) => {
+      cumulative += ballots;
+      return {
+        start: new Date(from + index * size),
+        end: new Date(Math.min(to, from + (index + 1) * size)),
+        ballots,
+        cumulativeBallots: cumulative
+      };
+    })
+  };
+};
+
+// Build an election's result. Commit-reveal results stay hidden until every ballot had its chance to be revealed.
+const buildElectionResults = async (election, { interval } = {}) => {
+  if (!election.resultsVisible) {
+    return {
+      hidden: true,
+      message: 'Results are hidden until the reveal phase ends',
+      phase: election.phase,
+      revealEndDate: election.revealEndDate,
+      election: describeElection(election),
+      candidates: [],
+      totalVotes: null,
+      winner: null
+    };
+  }
+
+  const candidates = await Candidate.find({ electionId: election._id });
+  const [standings, eligibility, ballots] = await Promise.all([
+    getStandings(election, candidates),
+    countEligible(election),
+    getBallots(election)
+  ]);
+  const outcome = await getOutcome(election, standings.leaders);
+
+  return {
+    election: describeElection(election),
+    votingMode: election.votingMode,
+    final: isFinal(election),
+    candidates: standings.candidates,
+    ...standings.totals,
+    ...(standings.rounds ? { rounds: standings.rounds } : {}),
+    outcome: outcome.outcome,
+    winner: outcome.winner,
+    decidedBy: outcome.decidedBy,
+    leaders: standings.leaders,
+    tied: standings.leaders.length > 1 ? standings.leaders : [],
+    tieBreak: outcome.tieBreak,
+    turnout: getTurnout(eligibility, ballots),
+    timeline: getTimeline(election, ballots.times, interval)
+  };
+};
+
+module.exports = {
+  TIMELINE_INTERVALS,
+  isFinal,
+  describeElection,
+  buildElectionResults
+};
@@ -0,0 +1,396 @@
+const { ethers } = require('ethers');
+const ChainEvent = require('../models/ChainEvent');
+const IndexerState = require('../models/IndexerState');
+const Election = require('../models/Election');
+const Candidate = require('../models/Candidate');
+const Voter = require('../models/Voter');
+const {
+  getContractInstance,
+  getProvider,
+  getContractEvents,
+  listenToEvents,
+  removeAllListeners
+} = require('../utils/contractUtils');
+
+const INDEXED_EVENTS = ['ElectionCreated', 'CandidateRegistered', 'VotingSessionStarted', 'VotingSessionStopped', 'VoteCast', 'RankedVoteCast', 'RevealPeriodScheduled', 'VoteCommitted', 'VoteRevealed'];
+
+let pollTimer = null;
+let currentSync = null;
+
+// Convert BigNumbers (also inside arrays such as ranked ballots) to decimal strings
+const toPlainValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  }
+  return ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+};
+
+// Read an integer setting, keeping an explicit 0
+const readIntEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Get indexer configuration
+const getIndexerConfig = () => ({
+  confirmations: readIntEnv('INDEXER_CONFIRMATIONS', 3),
+  startBlock: readIntEnv('INDEXER_START_BLOCK', 0),
+  batchSize: readIntEnv('INDEXER_BATCH_SIZE', 2000),
+  pollIntervalMs: readIntEnv('INDEXER_POLL_INTERVAL_MS', 15000)
+});
+
+// Convert an ethers event into a ChainEvent document (electionId/candidateId are on-chain IDs)
+const toChainEvent = (contractAddress, event) => {
+  // event.args holds each value under its index and its name; keep the named ones
+  const args = {};
+  Object.keys(event.args)
+    .filter(key => Number.isNaN(Number(key)))
+    .forEach(key => {
+      args[key] = toPlainValue(event.args[key]);
+    });
+
+  return {
+    contractAddress,
+    event: event.event,
+    blockNumber: event.blockNumber,
+    blockHash: event.blockHash,
+    transactionHash: event.transactionHash,
+    logIndex: event.logIndex,
+    electionId: args.electionId !== undefined ? Number(args.electionId) : undefined,
+    candidateId: args.candidateId !== undefined ? Number(args.candidateId) : undefined,
+    voter: args.voter,
+    args
+  };
+};
+
+// A certified tally is final, so a count that would change it is reported instead of applied
+const skipLockedTally = (error) => {
+  if (error.code !== 'TALLY_LOCKED') {
+    throw error;
+  }
+  console.error('Event indexer:', error.message);
+};
+
+// Recompute Mongo vote counts from the indexed VoteCast events
+const refreshVoteCounts = async (contractAddress, electionIds, candidateIds) => {
+  if (electionIds.length > 0) {
+    const counts = await ChainEvent.countVotes(contractAddress, 'electionId', electionIds);
+    await Promise.all([...counts].map(([onChainId, count]) =>
+      Election.updateOne({ onChainId, 'certification.status': { $exists: false } }, { voteCount: count })
+    ));
+  }
+
+  if (candidateIds.length > 0) {
+    const counts = await ChainEvent.countVotes(contractAddress, 'candidateId', candidateIds);
+    await Promise.all([...counts].map(([onChainId, count]) =>
+      Candidate.updateOne({ onChainId }, { voteCount: count }).catch(skipLockedTally)
+    ));
+  }
+};
+
+// Add a vote sent straight to the contract to the voter's history
+const recordVoterHistory = async (chainEvent) => {
+  const voter = await Voter.findOne({ walletAddress: chainEvent.voter });
+  if (!voter) {
+    return;
+  }
+
+  const [election, candidate] = await Promise.all([
+    Election.findOne({ onChainId: chainEvent.electionId }),
+    Candidate.findOne({ onChainId: chainEvent.candidateId })
+  ]);
+  if (!election || voter.hasVotedInElection(election._id)) {
+    return;
+  }
+
+  voter.votingHistory.push({
+    electionId: election._id,
+    candidateId: candidate ? candidate._id : undefined,
+    transactionHash: chainEvent.transactionHash,
+    voteHash: chainEvent.args.voteHash
+  });
+  await voter.save();
+};
+
+// Complete a sealed ballot revealed straight on the contract
+const recordReveal = async (chainEvent) => {
+  const [voter, election, candidate] = await Promise.all([
+    Voter.findOne({ walletAddress: chainEvent.voter }),
+    Election.findOne({ onChainId: chainEvent.electionId }),
+    Candidate.findOne({ onChainId: chainEvent.candidateId })
+  ]);
+  if (!voter || !election) {
+    return;
+  }
+
+  const pending = voter.getPendingCommitment(election._id);
+  if (!pending) {
+    return;
+  }
+
+  pending.candidateId = candidate ? candidate._id : undefined;
+  pending.transactionHash = chainEvent.transactionHash;
+  pending.revealedAt = new Date();
+  await voter.save();
+};
+
+// Apply the side effects of a newly indexed event to the Mongo models
+const applyEvent = async (chainEvent) => {
+  switch (chainEvent.event) {
+    case 'ElectionCreated':
+      await Election.updateOne(
+        { onChainId: chainEvent.electionId, creationTxHash: { $exists: false } },
+        { creationTxHash: chainEvent.transactionHash }
+      );
+      break;
+    case 'CandidateRegistered':
+      await Candidate.updateOne(
+        { onChainId: chainEvent.candidateId, registrationTxHash: { $exists: false } },
+        { registrationTxHash: chainEvent.transactionHash }
+      );
+      break;
+    case 'VotingSessionStarted':
+      await Election.updateOne(
+        { onChainId: chainEvent.electionId },
+        { actualStartDate: new Date(Number(chainEvent.args.startTime) * 1000) }
+      );
+      break;
+    case 'VotingSessionStopped':
+      // A commit-reveal election keeps going through its reveal phase
+      await Election.updateOne(
+        { onChainId: chainEvent.electionId, commitReveal: { $ne: true } },
+        { actualEndDate: new Date(Number(chainEvent.args.stopTime) * 1000) }
+      );
+      break;
+    case 'VoteCast':
+      await recordVoterHistory(chainEvent);
+      break;
+    case 'RevealPeriodScheduled':
+      await Election.updateOne(
+        { onChainId: chainEvent.electionId },
+        {
+          commitEndDate: new Date(Number(chainEvent.args.revealStartTime) * 1000),
+          revealEndDate: new Date(Number(chainEvent.args.revealEndTime) * 1000)
+        }
+      );
+      break;
+    case 'VoteRevealed':
+      await recordReveal(chainEvent);
+      break;
+    default:
+      break;
+  }
+};
+
+// Store a batch of events once each and refresh the vote counts they touch
+const indexEvents = async (contractAddress, events) => {
+  const electionIds = new Set();
+  const candidateIds = new Set();
+
+  for (const event of events) {
+    const chainEvent = toChainEvent(contractAddress, event);
+    const result = await ChainEvent.updateOne(
+      { contractAddress, transactionHash: chainEvent.transactionHash, logIndex: chainEvent.logIndex },
+      { $setOnInsert: chainEvent },
+      { upsert: true }
+    );
+
+    // Already indexed (e.g. a batch retried after a crash)
+    if (result.upsertedCount === 0) {
+      continue;
+    }
+
+    await applyEvent(chainEvent);
+
+    if (chainEvent.event === 'VoteCast') {
+      electionIds.add(chainEvent.electionId);
+      candidateIds.add(chainEvent.candidateId);
+    }
+  }
+
+  await refreshVoteCounts(contractAddress, [...electionIds], [...candidateIds]);
+};
+
+// Walk back through indexed blocks until their stored hash matches the canonical chain
+const findForkPoint = async (provider, contractAddress, fromBlock, startBlock) => {
+  const indexed = ChainEvent.find({ contractAddress, blockNumber: { $lte: fromBlock } })
+    .sort({ blockNumber: -1 })
+    .select('blockNumber blockHash')
+    .cursor();
+
+  let checkedBlock = null;
+  for await (const chainEvent of indexed) {
+    if (chainEvent.blockNumber === checkedBlock) {
+      continue;
+    }
+    checkedBlock = chainEvent.blockNumber;
+
+    const block = await provider.getBlock(chainEvent.blockNumber);
+    if (block && block.hash === chainEvent.blockHash) {
+      return chainEvent.blockNumber;
+    }
+  }
+
+  return startBlock - 1;
+};
+
+// Drop events from orphaned blocks and rewind the cursor to the fork point
+const rollback = async (provider, state, startBlock) => {
+  const { contractAddress } = state;
+  const forkPoint = await findForkPoint(provider, contractAddress, state.lastProcessedBlock, startBlock);
+
+  const orphaned = await ChainEvent.find({ contractAddress, blockNumber: { $gt: forkPoint } });
+  const orphanedVotes = orphaned.filter(e => e.event === 'VoteCast');
+
+  await ChainEvent.deleteMany({ contractAddress, blockNumber: { $gt: forkPoint } });
+
+  if (orphanedVotes.length > 0) {
+    const orphanedTxHashes = orphanedVotes.map(e => e.transactionHash);
+
+    // Delegated weight is kept off-chain, so take it back from the candidates before dropping the votes
+    const voters = await Voter.find({ 'votingHistory.transactionHash': { $in: orphanedTxHashes } });
+    const delegatedVotes = voters
+      .flatMap(voter => voter.votingHistory)
+      .filter(vote => orphanedTxHashes.includes(vote.transactionHash) && vote.delegatedPower > 0);
+    await Promise.all(delegatedVotes.map(vote =>
+      Candidate.updateOne({ _id: vote.candidateId }, { $inc: { delegatedVoteCount: -vote.delegatedPower } })
+        .catch(skipLockedTally)
+    ));
+
+    await Voter.updateMany(
+      { 'votingHistory.transactionHash': { $in: orphanedTxHashes } },
+      { $pull: { votingHistory: { transactionHash: { $in: orphanedTxHashes } } } }
+    );
+  }
+
+  await refreshVoteCounts(
+    contractAddress,
+    [...new Set(orphanedVotes.map(e => e.electionId))],
+    [...new Set(orphanedVotes.map(e => e.candidateId))]
+  );
+
+  const forkBlock = forkPoint >= 0 ? await provider.getBlock(forkPoint) : null;
+  state.lastProcessedBlock = forkPoint;
+  state.lastProcessedBlockHash = forkBlock ? forkBlock.hash : undefined;
+  state.reorgCount += 1;
+  state.lastReorgAt = new Date();
+  await state.save();
+
+  console.warn(`Chain reorg detected: rewound indexer to block ${forkPoint}, dropped ${orphaned.length} events`);
+};
+
+// Index every confirmed block after the cursor
+const syncOnce = async () => {
+  const { confirmations, startBlock, batchSize } = getIndexerConfig();
+  const contract = await getContractInstance();
+  const provider = getProvider();
+  const contractAddress = contract.address.toLowerCase();
+  const state = await IndexerState.getCursor(contractAddress, startBlock);
+
+  try {
+    // The last indexed block must still be on the canonical chain
+    if (state.lastProcessedBlockHash) {
+      const block = await provider.getBlock(state.lastProcessedBlock);
+      if (!block || block.hash !== state.lastProcessedBlockHash) {
+        await rollback(provider, state, startBlock);
+      }
+    }
+
+    // Only index blocks that are confirmationDepth deep
+    const safeBlock = (await provider.getBlockNumber()) - confirmations;
+
+    let fromBlock = state.lastProcessedBlock + 1;
+    while (fromBlock <= safeBlock) {
+      const toBlock = Math.min(fromBlock + batchSize - 1, safeBlock);
+
+      const batches = await Promise.all(INDEXED_EVENTS.map(name => getContractEvents(name, fromBlock, toBlock)));
+      const events = batches.flat().sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+      await indexEvents(contractAddress, events);
+
+      const block = await provider.getBlock(toBlock);
+      state.lastProcessedBlock = toBlock;
+      state.lastProcessedBlockHash = block.hash;
+      state.lastSyncedAt = new Date();
+      state.lastError = undefined;
+      await state.save();
+
+      fromBlock = toBlock + 1;
+    }
+  } catch (error) {
+    state.lastError = error.message;
+    await state.save();
+    throw error;
+  }
+
+  return state;
+};
+
+// Run a sync unless one is already in progress
+const requestSync = () => {
+  if (!currentSync) {
+    currentSync = syncOnce()
+      .catch(error => {
+        console.error('Error syncing contract events:', error);
+      })
+      .finally(() => {
+        currentSync = null;
+      });
+  }
+  return currentSync;
+};
+
+// Backfill from the stored cursor, then follow the chain
+const start = async () => {
+  if (pollTimer) {
+    return;
+  }
+
+  const { pollIntervalMs } = getIndexerConfig();
+  await getContractInstance();
+
+  // New events wake the indexer early; the poll covers confirmations and missed notifications
+  INDEXED_EVENTS.forEach(name => listenToEvents(name, () => requestSync()));
+  pollTimer = setInterval(requestSync, pollIntervalMs);
+
+  console.log('Event indexer started');
+  await requestSync();
+};
+
+// Stop following the chain
+const stop = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  removeAllListeners();
+};
+
+// Get indexer progress for the admin dashboard
+const getStatus = async () => {
+  const { confirmations } = getIndexerConfig();
+  const contract = await getContractInstance();
+  const state = await IndexerState.findOne({ contractAddress: contract.address.toLowerCase() });
+  const headBlock = await getProvider().getBlockNumber();
+
+  return {
+    running: pollTimer !== null,
+    contractAddress: contract.address,
+    confirmations,
+    headBlock,
+    lastProcessedBlock: state ? state.lastProcessedBlock : null,
+    lag: state ? headBlock - state.lastProcessedBlock : null,
+    lastSyncedAt: state ? state.lastSyncedAt : null,
+    reorgCount: state ? state.reorgCount : 0,
+    lastReorgAt: state ? state.lastReorgAt : null,
+    lastError: state ? state.lastError : null
+  };
+};
+
+module.exports = {
+  start,
+  stop,
+  syncOnce,
+  requestSync,
+  getStatus
+};
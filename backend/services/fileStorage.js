@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+// Uploaded files (voter identity documents, ...) go through a storage driver. FILE_STORAGE_DRIVER picks it:
+// 'local' (the default, files under FILE_STORAGE_DIR) or the path of a module exporting a driver.
+// A driver has save(key, buffer, contentType), open(key) resolving to a readable stream, and remove(key).
+
+let driver = null;
+
+// Keep a key inside the storage directory
+const resolveKey = (root, key) => {
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return file;
+};
+
+// Store files on the server's disk
+const createLocalDriver = (root) => ({
+  save: async (key, buffer) => {
+    const file = resolveKey(root, key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+  },
+  open: async (key) => {
+    const file = resolveKey(root, key);
+    await fs.promises.access(file);
+    return fs.createReadStream(file);
+  },
+  remove: async (key) => {
+    await fs.promises.rm(resolveKey(root, key), { force: true });
+  }
+});
+
+// Get the configured driver, created on first use
+const getStorage = () => {
+  if (!driver) {
+    const name = process.env.FILE_STORAGE_DRIVER || 'local';
+    driver = name === 'local'
+      ? createLocalDriver(path.resolve(process.env.FILE_STORAGE_DIR || path.join(__dirname, '..', 'uploads')))
+      : require(path.resolve(name));
+  }
+  return driver;
+};
+
+module.exports = {
+  getStorage,
+  createLocalDriver
+};
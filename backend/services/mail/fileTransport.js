@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Drop each message as an .eml file into a directory, to be opened with any mail client
+const createFileTransport = ({ directory }) => ({
+  directory,
+  send: async ({ raw }) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const file = path.join(directory, `${Date.now()}-${crypto.randomUUID()}.eml`);
+    await fs.promises.writeFile(file, raw);
+    return { file };
+  }
+});
+
+module.exports = { createFileTransport };
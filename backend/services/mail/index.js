@@ -0,0 +1,52 @@
+const path = require('path');
+const { buildMessage } = require('./message');
+const { createSmtpTransport } = require('./smtpTransport');
+const { createFileTransport } = require('./fileTransport');
+const { createMemoryTransport } = require('./memoryTransport');
+
+// Outgoing mail goes through a transport. MAIL_TRANSPORT picks it: 'smtp' (MAIL_SMTP_* settings),
+// 'file' (the default, .eml files under MAIL_FILE_DIR), 'memory' (kept in the transport's messages
+// array) or the path of a module exporting a transport. A transport has send({ from, to, subject, text, raw }).
+
+let transport = null;
+
+const createTransport = (name) => {
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.MAIL_SMTP_HOST || 'localhost',
+        port: parseInt(process.env.MAIL_SMTP_PORT, 10) || (process.env.MAIL_SMTP_SECURE === 'true' ? 465 : 587),
+        secure: process.env.MAIL_SMTP_SECURE === 'true',
+        user: process.env.MAIL_SMTP_USER,
+        pass: process.env.MAIL_SMTP_PASS
+      });
+    case 'file':
+      return createFileTransport({
+        directory: path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '..', '..', 'mail'))
+      });
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      return require(path.resolve(name));
+  }
+};
+
+// Get the configured transport, created on first use
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport(process.env.MAIL_TRANSPORT || 'file');
+  }
+  return transport;
+};
+
+// Send a plain-text message from MAIL_FROM
+const sendMail = async ({ to, subject, text }) => {
+  const from = process.env.MAIL_FROM || 'BlocPol <no-reply@localhost>';
+  const raw = buildMessage({ from, to, subject, text });
+  return getTransport().send({ from, to, subject, text, raw });
+};
+
+module.exports = {
+  getTransport,
+  sendMail
+};
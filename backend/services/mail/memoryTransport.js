@@ -0,0 +1,15 @@
+// Keep sent mail in memory, for tests and local development
+const createMemoryTransport = () => {
+  const messages = [];
+  return {
+    messages,
+    send: async (mail) => {
+      messages.push({ ...mail, sentAt: new Date() });
+    },
+    clear: () => {
+      messages.length = 0;
+    }
+  };
+};
+
+module.exports = { createMemoryTransport };
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// Encode a header value as an RFC 2047 encoded word when it is not plain ASCII
+const encodeHeader = (value) => {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+};
+
+// Get the bare address from "Name <address>"
+const getAddress = (mailbox) => {
+  const match = /<([^>]+)>/.exec(mailbox);
+  return (match ? match[1] : mailbox).trim();
+};
+
+// Build an RFC 5322 plain-text message; the body is base64 so any text survives transport
+const buildMessage = ({ from, to, subject, text }) => {
+  const domain = getAddress(from).split('@').pop();
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64'
+  ];
+  const body = Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n`;
+};
+
+module.exports = {
+  buildMessage,
+  getAddress
+};
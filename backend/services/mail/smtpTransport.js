@@ -0,0 +1,124 @@
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const { getAddress } = require('./message');
+
+const SMTP_TIMEOUT_MS = 30000;
+
+// Read SMTP replies off a socket; a reply ends at the line whose code is followed by a space
+const createReplyReader = (socket) => {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const flush = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) {
+        resolve(replies.shift());
+      } else {
+        reject(failure);
+      }
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, end).replace(/\r$/, '');
+      buffer = buffer.slice(end + 1);
+      lines.push(line);
+      if (line.charAt(3) !== '-') {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), lines: lines.map(l => l.slice(4)) });
+        lines = [];
+      }
+    }
+    flush();
+  };
+
+  const onError = (error) => {
+    failure = failure || error;
+    flush();
+  };
+  const onClose = () => onError(new Error('SMTP connection closed'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      flush();
+    }),
+    detach: () => {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+    }
+  };
+};
+
+// Send mail through an SMTP server: implicit TLS or STARTTLS when offered, AUTH PLAIN when a user is set
+const createSmtpTransport = ({ host, port, secure = false, user, pass, name = os.hostname() }) => {
+  const send = async ({ from, to, raw }) => {
+    let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP connection timed out')));
+    let reader = createReplyReader(socket);
+
+    // Send a command (or nothing, for the greeting) and check the reply code; errors name the verb only
+    const command = async (line, expected) => {
+      if (line !== null) {
+        socket.write(`${line}\r\n`);
+      }
+      const reply = await reader.next();
+      if (!expected.includes(reply.code)) {
+        const verb = line === null ? 'greeting' : line.split(' ')[0];
+        throw new Error(`SMTP ${verb} failed: ${reply.code} ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    };
+
+    try {
+      await command(null, [220]);
+      let ehlo = await command(`EHLO ${name}`, [250]);
+      let encrypted = secure;
+
+      if (!encrypted && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+        await command('STARTTLS', [220]);
+        reader.detach();
+        socket = tls.connect({ socket, servername: host });
+        socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP connection timed out')));
+        reader = createReplyReader(socket);
+        ehlo = await command(`EHLO ${name}`, [250]);
+        encrypted = true;
+      }
+
+      if (user) {
+        if (!encrypted) {
+          throw new Error('SMTP server does not offer STARTTLS; refusing to send credentials unencrypted');
+        }
+        await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, [235]);
+      }
+
+      await command(`MAIL FROM:<${getAddress(from)}>`, [250]);
+      await command(`RCPT TO:<${getAddress(to)}>`, [250, 251]);
+      await command('DATA', [354]);
+      // Lines starting with a dot are escaped so they do not end the message early
+      const data = raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+      await command(`${data.endsWith('\r\n') ? data : `${data}\r\n`}.`, [250]);
+      await command('QUIT', [221]).catch(() => {});
+    } finally {
+      reader.detach();
+      socket.on('error', () => {});
+      socket.end();
+    }
+  };
+
+  return { send };
+};
+
+module.exports = { createSmtpTransport };
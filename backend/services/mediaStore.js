@@ -0,0 +1,104 @@
+const axios = require('axios');
+const { getStorage } = require('./fileStorage');
+const { computeCid, matchesCid } = require('../utils/cid');
+
+// Content-addressed blob store for candidate photos and profiles. Each blob is kept in file storage
+// under media/<cid> (see utils/cid for the CID format), so a blob can never change under its name.
+// IPFS_API_URL: an IPFS node's HTTP RPC API (e.g. http://127.0.0.1:5001); new blobs are added and pinned there too.
+// IPFS_GATEWAY_URL: a trustless gateway (e.g. https://ipfs.io) that blobs missing from file storage are fetched from.
+
+const IPFS_TIMEOUT_MS = 30000;
+
+const storageKey = (cid) => `media/${cid}`;
+
+// Read a readable stream to the end
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Add a blob to the IPFS node as a raw block, which IPFS names by the same CID
+const putOnIpfs = async (buffer, cid) => {
+  const form = new FormData();
+  form.append('file', new Blob([buffer]));
+  const response = await axios.post(
+    `${process.env.IPFS_API_URL.replace(/\/$/, '')}/api/v0/block/put`,
+    form,
+    { params: { 'cid-codec': 'raw', mhtype: 'sha2-256', pin: true }, timeout: IPFS_TIMEOUT_MS }
+  );
+  if (response.data.Key !== cid) {
+    throw new Error(`IPFS stored the blob as ${response.data.Key} instead of ${cid}`);
+  }
+};
+
+// Fetch a blob from the trustless gateway and check it is the content the CID names
+const fetchFromGateway = async (cid) => {
+  const response = await axios.get(`${process.env.IPFS_GATEWAY_URL.replace(/\/$/, '')}/ipfs/${cid}`, {
+    params: { format: 'raw' },
+    headers: { Accept: 'application/vnd.ipld.raw' },
+    responseType: 'arraybuffer',
+    timeout: IPFS_TIMEOUT_MS
+  });
+  const buffer = Buffer.from(response.data);
+  return matchesCid(buffer, cid) ? buffer : null;
+};
+
+// Store a blob and return its CID; storing the same bytes again is a no-op
+const put = async (buffer) => {
+  const cid = computeCid(buffer);
+
+  try {
+    await getStorage().save(storageKey(cid), buffer, 'application/octet-stream');
+  } catch (error) {
+    // The blob is already stored, and content addressing means it holds the same bytes
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  }
+
+  if (process.env.IPFS_API_URL) {
+    await putOnIpfs(buffer, cid);
+  }
+
+  return cid;
+};
+
+// Get a blob by CID, or null when neither file storage nor the gateway has it
+const get = async (cid) => {
+  const storage = getStorage();
+  try {
+    const buffer = await readStream(await storage.open(storageKey(cid)));
+    if (matchesCid(buffer, cid)) {
+      return buffer;
+    }
+    console.error(`Media blob ${cid} does not match its CID`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  if (!process.env.IPFS_GATEWAY_URL) {
+    return null;
+  }
+
+  try {
+    const buffer = await fetchFromGateway(cid);
+    if (buffer) {
+      // Keep a local copy for next time
+      await storage.save(storageKey(cid), buffer, 'application/octet-stream').catch(() => {});
+    }
+    return buffer;
+  } catch (error) {
+    console.error(`Error fetching media blob ${cid} from the gateway:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  put,
+  get
+};
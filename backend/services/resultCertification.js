@@ -0,0 +1,241 @@
+const { ethers } = require('ethers');
+const Election = require('../models/Election');
+const Candidate = require('../models/Candidate');
+const AdminUser = require('../models/AdminUser');
+const AdminSettings = require('../models/AdminSettings');
+const { buildElectionResults, isFinal } = require('./electionResults');
+const { canonicalJson } = require('../utils/canonicalJson');
+const { getAdminAddresses } = require('../middleware/adminAuth');
+const { PERMISSIONS, ROLES, hasPermission } = require('../utils/permissions');
+const {
+  getOnChainCandidates,
+  certifyResultOnChain,
+  getOnChainResultCertification
+} = require('../utils/contractUtils');
+
+// Certifying an election's results: the final result is frozen into a snapshot (canonical JSON) and hashed,
+// the required number of admins sign the hash, and the hash is then recorded on-chain with the signers.
+// The election's tally is locked from the moment the snapshot is frozen (see models/Candidate), and once
+// the results are certified the results endpoints serve the snapshot instead of a live tally.
+
+// An error from one step of certification; its message is safe to show admins and `cause` holds the original error
+const stepError = (message, cause) => new Error(message, { cause });
+
+// The message each admin signs to certify a results snapshot
+const getCertificationMessage = (electionId, resultHash) => [
+  'Certify BlocPol election results',
+  `Election: ${electionId}`,
+  `Result hash: ${resultHash}`
+].join('\n');
+
+// SHA-256 of a snapshot, as the bytes32 the contract records
+const hashSnapshot = (snapshot) => ethers.utils.sha256(ethers.utils.toUtf8Bytes(snapshot));
+
+// The certification as the API shows it, without the snapshot; null when the results are not being certified
+const describeCertification = (election) => {
+  const { certification } = election;
+  if (!certification || !certification.status) {
+    return null;
+  }
+
+  return {
+    status: certification.status,
+    resultHash: certification.resultHash,
+    requiredSignatures: certification.requiredSignatures,
+    signers: certification.signatures.map(({ address, signature, signedAt }) => ({ address, signature, signedAt })),
+    startedAt: certification.startedAt,
+    startedBy: certification.startedBy,
+    certifiedAt: certification.certifiedAt,
+    transactionHash: certification.transactionHash,
+    blockNumber: certification.blockNumber
+  };
+};
+
+// Explain why an election's results cannot be certified; null when they can
+const getCertificationError = (election) => {
+  if (election.certification.status === 'certified') {
+    return 'The results of this election are already certified';
+  }
+  if (election.certification.status === 'pending') {
+    return 'The results of this election are already being certified';
+  }
+  if (!isFinal(election)) {
+    return 'Only the results of a completed election can be certified';
+  }
+  if (!election.isOnChain) {
+    return 'The election has no on-chain record to certify its results against';
+  }
+  return null;
+};
+
+// Candidates whose indexed vote count differs from the contract's, e.g. while the event indexer catches up
+const findTallyMismatches = async (election) => {
+  let onChainCandidates;
+  try {
+    onChainCandidates = await getOnChainCandidates(election.onChainId);
+  } catch (error) {
+    throw stepError('Failed to check the tally on-chain', error);
+  }
+
+  const candidates = await Candidate.find({ electionId: election._id, onChainId: { $ne: null } });
+  const byOnChainId = new Map(candidates.map(candidate => [candidate.onChainId, candidate]));
+
+  return onChainCandidates
+    .filter(onChain => !byOnChainId.has(onChain.onChainId) || byOnChainId.get(onChain.onChainId).voteCount !== onChain.voteCount)
+    .map(onChain => ({
+      onChainId: onChain.onChainId,
+      name: onChain.name,
+      offChain: byOnChainId.has(onChain.onChainId) ? byOnChainId.get(onChain.onChainId).voteCount : null,
+      onChain: onChain.voteCount
+    }));
+};
+
+// Number of admins who can sign certifications
+const countCertifiers = async () => {
+  const roles = Object.values(ROLES).filter(role => hasPermission(role, PERMISSIONS.RESULTS_CERTIFY));
+  const addresses = new Set(getAdminAddresses());
+  const adminUsers = await AdminUser.find({ isActive: true, role: { $in: roles } }).select('walletAddress');
+  adminUsers.forEach(adminUser => addresses.add(adminUser.walletAddress));
+  return addresses.size;
+};
+
+// Freeze the election's results into a snapshot and open it for signatures. Callers check getCertificationError
+// and findTallyMismatches first. Returns { status, message } when certification cannot start.
+const freezeResults = async (election, startedBy) => {
+  const [settings, certifiers] = await Promise.all([AdminSettings.getSettings(), countCertifiers()]);
+  const requiredSignatures = settings.certificationSignatures;
+  if (certifiers < requiredSignatures) {
+    return {
+      status: 400,
+      message: `${requiredSignatures} admin signatures are required, but only ${certifiers} admins can certify results`
+    };
+  }
+
+  // Round-trip through JSON first, so the snapshot holds exactly what the results endpoint would return
+  const snapshot = canonicalJson(JSON.parse(JSON.stringify(await buildElectionResults(election))));
+
+  // Only one certification can start, however many admins ask at once
+  const { modifiedCount } = await Election.updateOne(
+    { _id: election._id, 'certification.status': { $exists: false } },
+    {
+      $set: {
+        certification: {
+          status: 'pending',
+          snapshot,
+          resultHash: hashSnapshot(snapshot),
+          requiredSignatures,
+          signatures: [],
+          startedAt: new Date(),
+          startedBy
+        }
+      }
+    }
+  );
+  if (modifiedCount === 0) {
+    return { status: 400, message: 'The results of this election are already being certified' };
+  }
+
+  return null;
+};
+
+// Add an admin's signature over the frozen result hash. Returns { status, message } when it is refused.
+const addSignature = async (election, address, signature) => {
+  const { certification } = election;
+  if (certification.status !== 'pending') {
+    return {
+      status: 400,
+      message: certification.status === 'certified'
+        ? 'The results of this election are already certified'
+        : 'The results of this election are not being certified'
+    };
+  }
+  if (!signature) {
+    return { status: 400, message: 'Signature is required' };
+  }
+
+  let signer;
+  try {
+    signer = ethers.utils.verifyMessage(getCertificationMessage(election._id, certification.resultHash), signature);
+  } catch (error) {
+    signer = null;
+  }
+  if (!signer || signer.toLowerCase() !== address.toLowerCase()) {
+    return { status: 401, message: 'Invalid signature' };
+  }
+
+  const { modifiedCount } = await Election.updateOne(
+    {
+      _id: election._id,
+      'certification.status': 'pending',
+      'certification.resultHash': certification.resultHash,
+      'certification.signatures.address': { $ne: address.toLowerCase() }
+    },
+    { $push: { 'certification.signatures': { address: address.toLowerCase(), signature, signedAt: new Date() } } }
+  );
+  if (modifiedCount === 0) {
+    return { status: 400, message: 'You have already signed these results' };
+  }
+
+  return null;
+};
+
+// Record the result hash on-chain once enough admins have signed it, and mark the results certified.
+// A certification an earlier attempt recorded before it could save is picked up rather than sent again.
+// Returns whether the results are now certified.
+const recordCertification = async (election) => {
+  const { certification } = election;
+  if (certification.status !== 'pending' || certification.signatures.length < certification.requiredSignatures) {
+    return certification.status === 'certified';
+  }
+
+  const signers = certification.signatures.map(signature => signature.address);
+  let recorded;
+  try {
+    recorded = await getOnChainResultCertification(election.onChainId);
+    if (!recorded) {
+      recorded = await certifyResultOnChain(election.onChainId, certification.resultHash, signers);
+    } else if (recorded.resultHash !== certification.resultHash) {
+      throw new Error(`Election ${election.onChainId} is certified on-chain with result hash ${recorded.resultHash}`);
+    }
+  } catch (error) {
+    throw stepError('Failed to record the certification on-chain', error);
+  }
+
+  certification.status = 'certified';
+  certification.certifiedAt = new Date(recorded.certifiedAt * 1000);
+  certification.transactionHash = recorded.transactionHash;
+  certification.blockNumber = recorded.blockNumber;
+  await election.save();
+  return true;
+};
+
+// Drop a certification that is still collecting signatures, unlocking the tally
+const withdrawCertification = async (election) => {
+  const { modifiedCount } = await Election.updateOne(
+    { _id: election._id, 'certification.status': 'pending' },
+    { $unset: { certification: '' } }
+  );
+  return modifiedCount > 0;
+};
+
+// The certified results: the frozen snapshot with its certification
+const getCertifiedResults = async (election) => {
+  const { certification } = await Election.findById(election._id).select('+certification.snapshot');
+  return {
+    ...JSON.parse(certification.snapshot),
+    certification: describeCertification(election)
+  };
+};
+
+module.exports = {
+  getCertificationMessage,
+  hashSnapshot,
+  describeCertification,
+  getCertificationError,
+  findTallyMismatches,
+  freezeResults,
+  addSignature,
+  recordCertification,
+  withdrawCertification,
+  getCertifiedResults
+};
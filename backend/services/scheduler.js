@@ -0,0 +1,242 @@
+const { ethers } = require('ethers');
+const Election = require('../models/Election');
+const AdminSettings = require('../models/AdminSettings');
+const AuditLog = require('../models/AuditLog');
+const ScheduledJob = require('../models/ScheduledJob');
+const { openElection, closeElection } = require('./electionLifecycle');
+
+let pollTimer = null;
+let currentRun = null;
+
+// Read an integer setting, keeping an explicit 0
+const readIntEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Get scheduler configuration
+const getSchedulerConfig = () => ({
+  pollIntervalMs: readIntEnv('SCHEDULER_POLL_INTERVAL_MS', 15000),
+  maxAttempts: readIntEnv('SCHEDULER_MAX_ATTEMPTS', 5),
+  retryDelayMs: readIntEnv('SCHEDULER_RETRY_DELAY_MS', 30000),
+  lockTimeoutMs: readIntEnv('SCHEDULER_LOCK_TIMEOUT_MS', 600000)
+});
+
+// Scheduled transitions are sent by the PRIVATE_KEY account, so they are audited under its address
+const getSchedulerActor = () => new ethers.Wallet(process.env.PRIVATE_KEY).address;
+
+// A commit-reveal election completes when its reveal phase ends, any other at its end date
+const getCloseDate = (election) => (election.commitReveal ? election.revealEndDate : election.endDate);
+
+// Bring an election's jobs in line with its status and dates. With ensureOnly a missing job is
+// created but existing ones keep their state, which is how jobs are restored on startup.
+const scheduleElection = async (election, { ensureOnly = false } = {}) => {
+  const schedule = ensureOnly ? 'ensureScheduled' : 'schedule';
+
+  if (election.status === 'draft') {
+    await ScheduledJob[schedule]('START_ELECTION', election._id, election.startDate);
+  } else if (election.status === 'active' && getCloseDate(election)) {
+    await ScheduledJob.cancelForElection(election._id, ['START_ELECTION']);
+    await ScheduledJob[schedule]('CLOSE_ELECTION', election._id, getCloseDate(election));
+  } else {
+    await ScheduledJob.cancelForElection(election._id);
+  }
+};
+
+// Each job type's handler returns the job's result, or { skipped } when there was nothing to do;
+// a thrown error is retried
+const handlers = {
+  START_ELECTION: async (job) => {
+    const election = await Election.findById(job.electionId);
+    if (!election) {
+      return { skipped: 'Election was deleted' };
+    }
+    if (election.status !== 'draft') {
+      // An earlier attempt may have opened the election and failed before its close job was scheduled
+      await scheduleElection(election, { ensureOnly: true });
+      return { skipped: `Election is already ${election.status}` };
+    }
+    if (election.endDate <= new Date()) {
+      return { skipped: 'Election end date had already passed' };
+    }
+
+    const session = await openElection(election);
+
+    // Schedule the close job before anything else can fail, since a retry finds the election already active
+    await scheduleElection(election);
+
+    await AuditLog.createLog('ELECTION_STARTED', getSchedulerActor(), {
+      electionId: election._id,
+      title: election.title,
+      onChainId: election.onChainId,
+      votingEndTime: session.endTime,
+      revealEndTime: session.revealEndTime,
+      tieBreakSeedHash: election.lot.seedHash,
+      jobId: job._id
+    }, {
+      electionId: election._id,
+      transactionHash: session.transactionHash,
+      blockNumber: session.blockNumber
+    });
+
+    return { transactionHash: session.transactionHash };
+  },
+
+  CLOSE_ELECTION: async (job) => {
+    const election = await Election.findById(job.electionId);
+    if (!election) {
+      return { skipped: 'Election was deleted' };
+    }
+    // Reading elections or their results completes a commit-reveal election once its reveal phase is over,
+    // but only this job stops its on-chain session
+    const revealOver = election.commitReveal && election.status === 'completed';
+    if (election.status !== 'active' && !revealOver) {
+      return { skipped: `Election is already ${election.status}` };
+    }
+    if (election.commitReveal && election.phase !== 'closed') {
+      throw new Error(`Reveal phase has not ended yet (ends ${election.revealEndDate.toISOString()})`);
+    }
+
+    const stopped = await closeElection(election);
+
+    await AuditLog.createLog('ELECTION_STOPPED', getSchedulerActor(), {
+      electionId: election._id,
+      title: election.title,
+      onChainId: election.onChainId,
+      phase: election.phase,
+      jobId: job._id
+    }, {
+      electionId: election._id,
+      transactionHash: stopped ? stopped.transactionHash : undefined,
+      blockNumber: stopped ? stopped.blockNumber : undefined
+    });
+
+    return { transactionHash: stopped ? stopped.transactionHash : undefined };
+  }
+};
+
+// Put a failed job back with an exponential backoff, or give up once it has used its attempts
+const retryOrFail = async (job, error) => {
+  const { maxAttempts, retryDelayMs } = getSchedulerConfig();
+  job.lastError = error.cause ? `${error.message}: ${error.cause.message}` : error.message;
+  job.lockedAt = undefined;
+
+  if (job.attempts < maxAttempts) {
+    job.status = 'pending';
+    job.runAt = new Date(Date.now() + retryDelayMs * 2 ** (job.attempts - 1));
+    await job.save();
+    console.warn(`Scheduled job ${job.type} for election ${job.electionId} failed, retrying at ${job.runAt.toISOString()}: ${job.lastError}`);
+    return;
+  }
+
+  job.status = 'failed';
+  job.completedAt = new Date();
+  await job.save();
+  console.error(`Scheduled job ${job.type} for election ${job.electionId} failed after ${job.attempts} attempts: ${job.lastError}`);
+
+  try {
+    await AuditLog.createLog('SCHEDULED_JOB_FAILED', getSchedulerActor(), {
+      jobId: job._id,
+      type: job.type,
+      electionId: job.electionId,
+      attempts: job.attempts,
+      error: job.lastError
+    }, { electionId: job.electionId });
+  } catch (auditError) {
+    console.error('Error auditing failed scheduled job:', auditError);
+  }
+};
+
+// Run a claimed job and record how it went
+const runJob = async (job) => {
+  let result;
+  try {
+    result = await handlers[job.type](job);
+  } catch (error) {
+    await retryOrFail(job, error);
+    return;
+  }
+
+  job.status = result && result.skipped ? 'cancelled' : 'completed';
+  job.result = result;
+  job.lastError = undefined;
+  job.lockedAt = undefined;
+  job.completedAt = new Date();
+  await job.save();
+};
+
+// Run every job that is due
+const runDueJobs = async () => {
+  const { lockTimeoutMs } = getSchedulerConfig();
+
+  // Elections start by themselves only while auto-start is on; until then their start jobs wait
+  const settings = await AdminSettings.getSettings();
+  const types = settings.autoStartElections ? ['START_ELECTION', 'CLOSE_ELECTION'] : ['CLOSE_ELECTION'];
+
+  let processed = 0;
+  let job = await ScheduledJob.claimNext(types, lockTimeoutMs);
+  while (job) {
+    await runJob(job);
+    processed += 1;
+    job = await ScheduledJob.claimNext(types, lockTimeoutMs);
+  }
+  return processed;
+};
+
+// Run a pass unless one is already in progress
+const requestRun = () => {
+  if (!currentRun) {
+    currentRun = runDueJobs()
+      .catch(error => {
+        console.error('Error running scheduled jobs:', error);
+      })
+      .finally(() => {
+        currentRun = null;
+      });
+  }
+  return currentRun;
+};
+
+// Give every draft and active election its job (elections created before the scheduler have none),
+// then run due jobs now and every SCHEDULER_POLL_INTERVAL_MS
+const start = async () => {
+  if (pollTimer) {
+    return;
+  }
+
+  const { pollIntervalMs } = getSchedulerConfig();
+  const elections = await Election.find({ status: { $in: ['draft', 'active'] } });
+  for (const election of elections) {
+    await scheduleElection(election, { ensureOnly: true });
+  }
+  pollTimer = setInterval(requestRun, pollIntervalMs);
+
+  console.log('Election scheduler started');
+  await requestRun();
+};
+
+// Stop polling
+const stop = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+// Get whether the scheduler runs and how many jobs are in each state
+const getStatus = async () => {
+  const counts = await ScheduledJob.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+  return {
+    running: pollTimer !== null,
+    jobs: Object.fromEntries(counts.map(({ _id, count }) => [_id, count]))
+  };
+};
+
+module.exports = {
+  start,
+  stop,
+  requestRun,
+  runDueJobs,
+  scheduleElection,
+  getStatus
+};
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { canonicalJson } = require('../utils/canonicalJson');
+
+test('sorts object keys at every depth', () => {
+  assert.equal(canonicalJson({ b: 1, a: { d: [2, 1], c: 'x' } }), '{"a":{"c":"x","d":[2,1]},"b":1}');
+  assert.equal(canonicalJson({ a: 1, b: 2 }), canonicalJson({ b: 2, a: 1 }));
+});
+
+test('leaves out undefined values but keeps nulls', () => {
+  assert.equal(canonicalJson({ a: undefined, b: null }), '{"b":null}');
+});
+
+test('serialises other values as JSON does', () => {
+  assert.equal(canonicalJson('text'), '"text"');
+  assert.equal(canonicalJson(42), '42');
+  assert.equal(canonicalJson(null), 'null');
+  assert.equal(canonicalJson([{ b: true, a: false }]), '[{"a":false,"b":true}]');
+});
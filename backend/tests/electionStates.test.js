@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Election = require('../models/Election');
+const {
+  describeTransitions,
+  getTransitionError,
+  getChangedFields,
+  getUpdateError,
+  getDeletionError
+} = require('../utils/electionStates');
+
+const makeElection = (fields = {}) => new Election({
+  title: 'Board election',
+  description: 'Yearly board election',
+  startDate: new Date('2030-01-01T00:00:00Z'),
+  endDate: new Date('2030-01-08T00:00:00Z'),
+  createdBy: '0x0000000000000000000000000000000000000001',
+  ...fields
+});
+
+test('allows only the transitions of the current status', () => {
+  const active = makeElection({ status: 'active' });
+  assert.equal(getTransitionError(active, 'pause'), null);
+  assert.equal(getTransitionError(active, 'stop'), null);
+  assert.equal(getTransitionError(makeElection({ status: 'paused' }), 'resume'), null);
+
+  const error = getTransitionError(makeElection({ status: 'completed' }), 'start');
+  assert.equal(error.message, 'A completed election cannot be started');
+  assert.equal(error.status, 'completed');
+  assert.deepEqual(error.violations.map(violation => violation.code), ['INVALID_TRANSITION']);
+  assert.deepEqual(error.allowedTransitions.map(transition => transition.action), ['archive']);
+  assert.equal(getTransitionError(makeElection({ status: 'archived' }), 'archive').message, 'An archived election cannot be archived');
+});
+
+test('lists the endpoint for each allowed transition', () => {
+  const election = makeElection();
+  assert.deepEqual(describeTransitions(election), [
+    { to: 'active', action: 'start', endpoint: `POST /api/admin/elections/${election._id}/start` },
+    { to: 'cancelled', action: 'cancel', endpoint: `POST /api/admin/elections/${election._id}/cancel` }
+  ]);
+});
+
+test('keeps only the fields an update would change', () => {
+  const election = makeElection();
+  const updates = getChangedFields(election, {
+    title: 'Board election',
+    startDate: '2030-01-01T00:00:00.000Z',
+    description: 'Moved online'
+  });
+  assert.deepEqual(updates, { description: 'Moved online' });
+});
+
+test('lets a draft change any admin field', () => {
+  const election = makeElection();
+  assert.equal(getUpdateError(election, { votingMode: 'RANKED_CHOICE', tieBreakPolicy: 'lot' }), null);
+});
+
+test('locks the schedule and protects backend fields once voting has started', () => {
+  const error = getUpdateError(makeElection({ status: 'active' }), {
+    status: 'completed',
+    endDate: new Date('2030-02-01T00:00:00Z'),
+    totalVotes: 0,
+    title: 'Renamed'
+  });
+  assert.deepEqual(error.violations.map(violation => [violation.field, violation.code]), [
+    ['status', 'STATUS_NOT_EDITABLE'],
+    ['endDate', 'FIELD_LOCKED'],
+    ['totalVotes', 'FIELD_PROTECTED']
+  ]);
+  assert.match(error.message, /^3 problems with this change: /);
+  assert.deepEqual(error.editableFields, ['title', 'description']);
+});
+
+test('checks the election as it would be after the update', () => {
+  const election = makeElection({ votingMode: 'RANKED_CHOICE' });
+  assert.equal(getUpdateError(election, { commitReveal: true }).violations[0].code, 'INVALID_COMBINATION');
+  assert.equal(getUpdateError(election, { endDate: '2029-12-31T00:00:00Z' }).violations[0].code, 'INVALID_DATES');
+  assert.equal(getUpdateError(election, { startDate: 'soon' }).violations[0].code, 'INVALID_DATE');
+  assert.equal(getUpdateError(election, { tieBreakPolicy: 'coin' }).violations[0].code, 'INVALID_VALUE');
+});
+
+test('only deletes elections without ballots or certified results', () => {
+  assert.equal(getDeletionError(makeElection(), false), null);
+  assert.equal(getDeletionError(makeElection({ status: 'completed' }), false), null);
+
+  assert.equal(getDeletionError(makeElection({ status: 'completed' }), true).message,
+    'An election with ballots cannot be deleted; archive it instead');
+  assert.equal(getDeletionError(makeElection({ status: 'active' }), true).message,
+    'An election with ballots cannot be deleted; stop or cancel it and then archive it');
+  assert.equal(getDeletionError(makeElection({ status: 'paused' }), false).message,
+    'A paused election cannot be deleted; cancel it first');
+  assert.equal(getDeletionError(makeElection({ status: 'completed', certification: { status: 'pending' } }), false)
+    .violations[0].code, 'RESULTS_CERTIFIED');
+});
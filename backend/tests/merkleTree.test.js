@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const {
+  getMerkleRoot,
+  getMerkleProof,
+  getMerkleProofs,
+  createMerkleTree,
+  verifyMerkleProof
+} = require('../utils/merkleTree');
+
+const leaves = ['a', 'b', 'c', 'd', 'e'].map(text => ethers.utils.id(text));
+
+test('uses a single leaf as the root', () => {
+  assert.equal(getMerkleRoot([leaves[0]]), leaves[0]);
+  assert.deepEqual(getMerkleProof([leaves[0]], 0), []);
+});
+
+test('hashes each pair in sorted order', () => {
+  const [low, high] = [leaves[0], leaves[1]].sort();
+  assert.equal(getMerkleRoot([high, low]), ethers.utils.keccak256(ethers.utils.concat([low, high])));
+});
+
+test('proves every leaf of an unbalanced tree', () => {
+  const tree = createMerkleTree(leaves);
+  assert.equal(tree.root, getMerkleRoot(leaves));
+  assert.deepEqual(getMerkleProofs(leaves), leaves.map((leaf, index) => tree.getProof(index)));
+
+  leaves.forEach((leaf, index) => {
+    assert.equal(verifyMerkleProof(leaf, getMerkleProof(leaves, index), tree.root), true);
+  });
+  // The unpaired fifth leaf moves up unchanged, so its proof is a single hash
+  assert.equal(tree.getProof(4).length, 1);
+});
+
+test('rejects proofs for other leaves or roots', () => {
+  const tree = createMerkleTree(leaves);
+  const proof = tree.getProof(1);
+  assert.equal(verifyMerkleProof(leaves[1], proof, tree.root.toUpperCase().replace('0X', '0x')), true);
+  assert.equal(verifyMerkleProof(leaves[2], proof, tree.root), false);
+  assert.equal(verifyMerkleProof(leaves[1], proof, getMerkleRoot(leaves.slice(0, 4))), false);
+});
+
+test('refuses to build a tree without leaves', () => {
+  assert.throws(() => getMerkleRoot([]), /Cannot build a Merkle tree without leaves/);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { tallyInstantRunoff } = require('../utils/rankedChoice');
+
+test('declares a winner with a first-round majority', () => {
+  const result = tallyInstantRunoff([['A'], ['A', 'B'], ['B']], ['A', 'B']);
+  assert.equal(result.winner, 'A');
+  assert.equal(result.rounds.length, 1);
+  assert.deepEqual(result.rounds[0], {
+    round: 1,
+    tallies: { A: 2, B: 1 },
+    exhausted: 0,
+    activeBallots: 3,
+    threshold: 2,
+    eliminated: []
+  });
+});
+
+test('moves ballots of eliminated candidates to their next choice', () => {
+  const ballots = [['A'], ['A'], ['B', 'A'], ['C', 'B'], ['C', 'B']];
+  const result = tallyInstantRunoff(ballots, ['A', 'B', 'C']);
+  assert.equal(result.winner, 'A');
+  assert.deepEqual(result.rounds.map(round => round.eliminated), [['B'], []]);
+  assert.deepEqual(result.rounds[1].tallies, { A: 3, C: 2 });
+});
+
+test('breaks a tie for last place by the earlier rounds', () => {
+  const ballots = [
+    ['A'], ['A'], ['A'], ['A'],
+    ['B', 'A'], ['B', 'A'],
+    ['C'], ['C'], ['C'],
+    ['D', 'B', 'A']
+  ];
+  const result = tallyInstantRunoff(ballots, ['A', 'B', 'C', 'D']);
+  assert.deepEqual(result.rounds[1].tallies, { A: 4, B: 3, C: 3 });
+  assert.deepEqual(result.rounds.map(round => round.eliminated), [['D'], ['B'], []]);
+  assert.equal(result.winner, 'A');
+});
+
+test('reports a tie when exhausted ballots leave the last candidates level', () => {
+  const result = tallyInstantRunoff([['A'], ['A'], ['B'], ['C'], ['C']], ['A', 'B', 'C']);
+  assert.equal(result.winner, null);
+  assert.deepEqual(result.tied, ['A', 'C']);
+  assert.equal(result.rounds[1].exhausted, 1);
+  assert.equal(result.rounds[1].activeBallots, 4);
+});
+
+test('ignores rankings of unknown candidates and empty ballots', () => {
+  const result = tallyInstantRunoff([['X'], [], ['X', 'B']], ['A', 'B']);
+  assert.equal(result.totalBallots, 1);
+  assert.equal(result.winner, 'B');
+  assert.deepEqual(tallyInstantRunoff([], ['A']), { totalBallots: 0, rounds: [], winner: null, tied: [] });
+});
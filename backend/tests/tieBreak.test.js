@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { createLotSeed, matchesSeedHash, drawLots, findLeaders } = require('../utils/tieBreak');
+
+test('publishes the SHA-256 of a fresh seed', () => {
+  const { seed, seedHash } = createLotSeed();
+  assert.match(seed, /^[0-9a-f]{64}$/);
+  assert.equal(seedHash, crypto.createHash('sha256').update(seed).digest('hex'));
+  assert.notEqual(createLotSeed().seed, seed);
+});
+
+test('matches a revealed seed only against its own hash', () => {
+  const { seed, seedHash } = createLotSeed();
+  assert.equal(matchesSeedHash(seed, seedHash), true);
+  assert.equal(matchesSeedHash(createLotSeed().seed, seedHash), false);
+});
+
+test('draws the same order from the same seed', () => {
+  const draw = drawLots('seed', [3, 1, 2]);
+  assert.deepEqual(draw, drawLots('seed', ['2', '3', '1']));
+  assert.deepEqual(draw.map(entry => entry.id).sort(), ['1', '2', '3']);
+  assert.equal(draw[0].ticket, crypto.createHash('sha256').update(`seed:${draw[0].id}`).digest('hex'));
+  assert.ok(draw.every((entry, i) => i === 0 || draw[i - 1].ticket < entry.ticket));
+});
+
+test('finds every candidate tied for the most votes', () => {
+  const standings = [{ id: 'A', votes: 3 }, { id: 'B', votes: 1 }, { id: 'C', votes: 3 }];
+  assert.deepEqual(findLeaders(standings).map(standing => standing.id), ['A', 'C']);
+  assert.deepEqual(findLeaders([{ id: 'A', votes: 0 }]), []);
+  assert.deepEqual(findLeaders([]), []);
+});
@@ -0,0 +1,108 @@
+const { ethers } = require('ethers');
+const { getOnChainElection, setVoterRootOnChain } = require('./contractUtils');
+const { createMerkleTree, verifyMerkleProof } = require('./merkleTree');
+
+// Trees of recently used voter rolls, keyed by Merkle root
+const MAX_CACHED_TREES = 10;
+const treeCache = new Map();
+
+// The leaf BlocPol checks a voter's proof against: keccak256(abi.encodePacked(voter))
+const getAllowlistLeaf = (address) => {
+  return ethers.utils.solidityKeccak256(['address'], [address]);
+};
+
+// Read a CSV of addresses: the first column of each row, an optional header row, blank lines skipped.
+// Returns the sorted unique addresses, or the rows that are not addresses
+const parseAllowlistCsv = (csv) => {
+  const addresses = new Set();
+  const invalidRows = [];
+
+  String(csv).split(/\r?\n/).forEach((line, index) => {
+    const value = line.split(',')[0].trim().replace(/^"(.*)"$/, '$1').trim();
+    if (!value) {
+      return;
+    }
+    if (!ethers.utils.isAddress(value)) {
+      // A header naming the column is not an error
+      if (index === 0 && /^[a-z _]+$/i.test(value)) {
+        return;
+      }
+      invalidRows.push(index + 1);
+      return;
+    }
+    addresses.add(value.toLowerCase());
+  });
+
+  return { addresses: [...addresses].sort(), invalidRows };
+};
+
+// Build (or reuse) the tree of a sorted voter roll
+const getAllowlistTree = (addresses) => {
+  const tree = createMerkleTree(addresses.map(getAllowlistLeaf));
+  if (!treeCache.has(tree.root)) {
+    if (treeCache.size >= MAX_CACHED_TREES) {
+      treeCache.delete(treeCache.keys().next().value);
+    }
+    treeCache.set(tree.root, tree);
+  }
+  return treeCache.get(tree.root);
+};
+
+// Get a voter's inclusion proof, or null if they are not on the roll; reuses the cached tree for the root
+const getAllowlistProof = (addresses, root, address) => {
+  const index = addresses.indexOf(address.toLowerCase());
+  if (index === -1) {
+    return null;
+  }
+  const tree = treeCache.get(root) || getAllowlistTree(addresses);
+  return tree.getProof(index);
+};
+
+// Check a voter's proof against an election's root; elections without a roll accept everyone
+const isOnAllowlist = (election, address, proof) => {
+  if (!election.merkleRoot) {
+    return true;
+  }
+  if (!Array.isArray(proof) || !proof.every(node => /^0x[a-fA-F0-9]{64}$/.test(node))) {
+    return false;
+  }
+  return verifyMerkleProof(getAllowlistLeaf(address), proof, election.merkleRoot);
+};
+
+// The root BlocPol checks an election's ballots against; the zero hash (no roll) lets anyone vote
+const getVoterRoot = (election) => {
+  return election.merkleRoot || ethers.constants.HashZero;
+};
+
+// Get the voter roll root of an election's on-chain election
+const getOnChainVoterRoot = async (election) => {
+  const onChainElection = await getOnChainElection(election.onChainId);
+  return onChainElection.voterRoot.toLowerCase();
+};
+
+// Set the election's root on its on-chain election unless it already is, e.g. by an earlier attempt to start it.
+// The contract fixes the root once voting starts, so callers do this for an on-chain election before starting it.
+const ensureRootPublished = async (election) => {
+  const voterRoot = getVoterRoot(election);
+  if (await getOnChainVoterRoot(election) === voterRoot) {
+    return null;
+  }
+
+  const publication = await setVoterRootOnChain(election.onChainId, voterRoot);
+  if (election.merkleRoot) {
+    election.allowlist.rootTransactionHash = publication.transactionHash;
+    election.allowlist.publishedAt = new Date();
+  }
+  return publication;
+};
+
+module.exports = {
+  getAllowlistLeaf,
+  parseAllowlistCsv,
+  getAllowlistTree,
+  getAllowlistProof,
+  isOnAllowlist,
+  getVoterRoot,
+  getOnChainVoterRoot,
+  ensureRootPublished
+};
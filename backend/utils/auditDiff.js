@@ -0,0 +1,46 @@
+// Fields that change on every save and say nothing about the edit
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Flatten a JSON value into dotted paths; arrays are compared as a whole
+const flatten = (value, prefix = '', result = {}) => {
+  Object.keys(value).forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value[key]) && Object.keys(value[key]).length > 0) {
+      flatten(value[key], path, result);
+    } else {
+      result[path] = value[key];
+    }
+  });
+  return result;
+};
+
+// Normalise a Mongoose document or plain object to JSON (ObjectIds and dates become strings)
+const toJSONValue = (doc) => {
+  if (!doc) {
+    return {};
+  }
+  const value = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(value));
+};
+
+// List the fields that differ between two versions of a document as { path, before, after }
+const diffDocuments = (before, after) => {
+  const oldValues = flatten(toJSONValue(before));
+  const newValues = flatten(toJSONValue(after));
+
+  return [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])]
+    .filter(path => !IGNORED_FIELDS.includes(path.split('.')[0]))
+    .filter(path => JSON.stringify(oldValues[path]) !== JSON.stringify(newValues[path]))
+    .sort()
+    .map(path => ({
+      path,
+      before: oldValues[path] === undefined ? null : oldValues[path],
+      after: newValues[path] === undefined ? null : newValues[path]
+    }));
+};
+
+module.exports = {
+  diffDocuments
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+// CSV columns, in order, and how each is read from an audit entry
+const CSV_COLUMNS = [
+  ['sequence', log => log.sequence],
+  ['actionHash', log => log.actionHash],
+  ['previousHash', log => log.previousHash],
+  ['action', log => log.action],
+  ['actor', log => log.actor],
+  ['timestamp', log => new Date(log.timestamp * 1000).toISOString()],
+  ['ipAddress', log => log.ipAddress],
+  ['userAgent', log => log.userAgent],
+  ['requestId', log => log.requestId],
+  ['electionId', log => log.metadata && log.metadata.electionId],
+  ['candidateId', log => log.metadata && log.metadata.candidateId],
+  ['voterId', log => log.metadata && log.metadata.voterId],
+  ['transactionHash', log => log.metadata && log.metadata.transactionHash],
+  ['blockNumber', log => log.metadata && log.metadata.blockNumber],
+  ['data', log => JSON.stringify(log.data || {})],
+  ['changes', log => (log.changes ? JSON.stringify(log.changes) : '')]
+];
+
+// Quote a CSV field when it holds a comma, quote or line break, doubling inner quotes (RFC 4180)
+const escapeCsvField = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Records end with CRLF (RFC 4180)
+const toCsvRecord = (values) => `${values.map(escapeCsvField).join(',')}\r\n`;
+
+const getCsvHeader = () => toCsvRecord(CSV_COLUMNS.map(([name]) => name));
+
+const toCsvRow = (log) => toCsvRecord(CSV_COLUMNS.map(([, read]) => read(log)));
+
+// One JSON object per line; the fields an auditor needs to recompute actionHash
+const toNdjsonLine = (log) => `${JSON.stringify({
+  sequence: log.sequence,
+  actionHash: log.actionHash,
+  previousHash: log.previousHash,
+  action: log.action,
+  actor: log.actor,
+  data: log.data,
+  timestamp: log.timestamp,
+  metadata: log.metadata,
+  ipAddress: log.ipAddress,
+  userAgent: log.userAgent,
+  requestId: log.requestId,
+  changes: log.changes,
+  anchorBatchId: log.anchorBatchId,
+  proof: log.proof && log.proof.length > 0 ? log.proof : undefined
+})}\n`;
+
+// Write a text field into a tar header, NUL-padded
+const writeHeaderField = (header, offset, length, value) => {
+  header.write(value.slice(0, length), offset, length, 'utf8');
+};
+
+// Build a ustar header for a regular file
+const tarHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(512);
+  writeHeaderField(header, 0, 100, name);
+  writeHeaderField(header, 100, 8, '0000644\0');
+  writeHeaderField(header, 108, 8, '0000000\0');
+  writeHeaderField(header, 116, 8, '0000000\0');
+  writeHeaderField(header, 124, 12, `${size.toString(8).padStart(11, '0')}\0`);
+  writeHeaderField(header, 136, 12, `${Math.floor(mtime / 1000).toString(8).padStart(11, '0')}\0`);
+  writeHeaderField(header, 148, 8, '        ');
+  writeHeaderField(header, 156, 1, '0');
+  writeHeaderField(header, 257, 6, 'ustar\0');
+  writeHeaderField(header, 263, 2, '00');
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  writeHeaderField(header, 148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+  return header;
+};
+
+// File contents are padded to the 512-byte block size
+const tarPadding = (size) => Buffer.alloc((512 - (size % 512)) % 512);
+
+// A tar archive ends with two empty blocks
+const TAR_END = Buffer.alloc(1024);
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+module.exports = {
+  getCsvHeader,
+  toCsvRow,
+  toNdjsonLine,
+  tarHeader,
+  tarPadding,
+  TAR_END,
+  sha256
+};
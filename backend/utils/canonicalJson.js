@@ -0,0 +1,18 @@
+// JSON with object keys sorted and undefined values left out, so the same value always serialises to the
+// same bytes and can be hashed or content-addressed
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+module.exports = {
+  canonicalJson
+};
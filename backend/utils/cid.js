@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// CIDv1 content identifiers for the media store: raw codec, sha2-256 multihash, base32 multibase.
+// These are the CIDs IPFS gives a single raw block (`ipfs block put --cid-codec raw`), so any IPFS
+// node or trustless gateway serves the same bytes under them. They start with 'bafkrei'.
+
+const CID_VERSION = 0x01;
+const RAW_CODEC = 0x55;
+const SHA2_256 = 0x12;
+const DIGEST_LENGTH = 32;
+
+const PREFIX = Buffer.from([CID_VERSION, RAW_CODEC, SHA2_256, DIGEST_LENGTH]);
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// RFC 4648 base32, lowercase and unpadded, as the 'b' multibase prefix expects
+const toBase32 = (bytes) => {
+  let output = '';
+  let bits = 0;
+  let value = 0;
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const fromBase32 = (text) => {
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      return null;
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Compute the CID of some bytes
+const computeCid = (buffer) => {
+  const digest = crypto.createHash('sha256').update(buffer).digest();
+  return `b${toBase32(Buffer.concat([PREFIX, digest]))}`;
+};
+
+// Whether a string is a CID the media store can hold
+const isCid = (cid) => {
+  if (typeof cid !== 'string' || !cid.startsWith('b')) {
+    return false;
+  }
+  const bytes = fromBase32(cid.slice(1));
+  return !!bytes && bytes.length === PREFIX.length + DIGEST_LENGTH && bytes.subarray(0, PREFIX.length).equals(PREFIX);
+};
+
+// Whether some bytes are the content a CID names
+const matchesCid = (buffer, cid) => computeCid(buffer) === cid;
+
+module.exports = {
+  computeCid,
+  isCid,
+  matchesCid
+};
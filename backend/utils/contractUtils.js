@@ -3,6 +3,44 @@ const { ethers } = require('ethers');
 let contractInstance = null;
 let provider = null;
 
+// EIP-712 types for relayed votes (must match VOTE_TYPEHASH in BlocPol.sol)
+const VOTE_TYPES = {
+  Vote: [
+    { name: 'voter', type: 'address' },
+    { name: 'electionId', type: 'uint256' },
+    { name: 'candidateId', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// EIP-712 types for relayed ranked ballots (must match RANKED_VOTE_TYPEHASH in BlocPol.sol)
+const RANKED_VOTE_TYPES = {
+  RankedVote: [
+    { name: 'voter', type: 'address' },
+    { name: 'electionId', type: 'uint256' },
+    { name: 'rankings', type: 'uint256[]' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// EIP-712 types for relayed commit-reveal commitments (must match VOTE_COMMITMENT_TYPEHASH in BlocPol.sol)
+const VOTE_COMMITMENT_TYPES = {
+  VoteCommitment: [
+    { name: 'voter', type: 'address' },
+    { name: 'electionId', type: 'uint256' },
+    { name: 'commitment', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Get contract ABI
+const getContractABI = () => {
+  return require('../../abi/BlocPol.json');
+};
+
 // Initialize provider and contract
 const initializeContract = async () => {
   try {
@@ -14,7 +52,7 @@ const initializeContract = async () => {
     }
 
     // Get contract ABI and address
-    const contractABI = require('../../abi/BlocPol.json').abi;
+    const contractABI = getContractABI();
     const contractAddress = process.env.CONTRACT_ADDRESS;
 
     if (!contractAddress) {
@@ -53,7 +91,7 @@ const getContractWithSigner = async (privateKey) => {
     }
 
     const wallet = new ethers.Wallet(privateKey, provider);
-    const contractABI = require('../../abi/BlocPol.json').abi;
+    const contractABI = getContractABI();
     const contractAddress = process.env.CONTRACT_ADDRESS;
 
     return new ethers.Contract(contractAddress, contractABI, wallet);
@@ -63,6 +101,462 @@ const getContractWithSigner = async (privateKey) => {
   }
 };
 
+// Get contract with the relayer signer, which submits voters' signed votes and pays the gas
+const getRelayerContract = async () => {
+  const relayerKey = process.env.RELAYER_PRIVATE_KEY || process.env.PRIVATE_KEY;
+
+  if (!relayerKey) {
+    throw new Error('Relayer private key not found in environment variables');
+  }
+
+  return getContractWithSigner(relayerKey);
+};
+
+// Get contract with the admin signer (the deployer account set as BlocPol admin)
+const getAdminContract = async () => {
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error('Admin private key not found in environment variables');
+  }
+
+  return getContractWithSigner(process.env.PRIVATE_KEY);
+};
+
+// Create an election on-chain and return the ID the contract assigned to it
+const createElectionOnChain = async (name) => {
+  try {
+    const contract = await getAdminContract();
+    const tx = await contract.createElection(name);
+    const receipt = await tx.wait();
+
+    const event = receipt.events.find(e => e.event === 'ElectionCreated');
+    if (!event) {
+      throw new Error('ElectionCreated event not found in transaction receipt');
+    }
+
+    return {
+      onChainId: event.args.electionId.toNumber(),
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    };
+  } catch (error) {
+    console.error('Error creating election on-chain:', error);
+    throw error;
+  }
+};
+
+// Open the voting session of an on-chain election for durationSeconds
+const startElectionOnChain = async (electionId, durationSeconds) => {
+  try {
+    const contract = await getAdminContract();
+    const tx = await contract.startVotingSession(electionId, durationSeconds);
+    const receipt = await tx.wait();
+
+    const event = receipt.events.find(e => e.event === 'VotingSessionStarted');
+
+    return {
+      startTime: event.args.startTime.toNumber(),
+      endTime: event.args.endTime.toNumber(),
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    };
+  } catch (error) {
+    console.error('Error starting election on-chain:', error);
+    throw error;
+  }
+};
+
+// Open the commit phase of an on-chain election; the reveal phase follows it
+const startCommitRevealOnChain = async (electionId, commitSeconds, revealSeconds) => {
+  try {
+    const contract = await getAdminContract();
+    const tx = await contract.startCommitRevealSession(electionId, commitSeconds, revealSeconds);
+    const receipt = await tx.wait();
+
+    const started = receipt.events.find(e => e.event === 'VotingSessionStarted');
+    const reveal = receipt.events.find(e => e.event === 'RevealPeriodScheduled');
+
+    return {
+      startTime: started.args.startTime.toNumber(),
+      endTime: started.args.endTime.toNumber(),
+      revealEndTime: reveal.args.revealEndTime.toNumber(),
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    };
+  } catch (error) {
+    console.error('Error starting commit-reveal election on-chain:', error);
+    throw error;
+  }
+};
+
+// Close the voting session of an on-chain election
+// (in a commit-reveal election closing the commit phase early reschedules the reveal phase)
+const stopElectionOnChain = async (electionId) => {
+  try {
+    const contract = await getAdminContract();
+    const tx = await contract.stopVotingSession(electionId);
+    const receipt = await tx.wait();
+
+    const stopped = receipt.events.find(e => e.event === 'VotingSessionStopped');
+    const reveal = receipt.events.find(e => e.event === 'RevealPeriodScheduled');
+
+    return {
+      stopTime: stopped.args.stopTime.toNumber(),
+      revealEndTime: reveal ? reveal.args.revealEndTime.toNumber() : null,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    };
+  } catch (error) {
+    console.error('Error stopping election on-chain:', error);
+    throw error;
+  }
+};
+
+// Set the Merkle root of an on-chain election's voter roll (the zero hash lets anyone vote); fixed once voting starts
+const setVoterRootOnChain = async (electionId, voterRoot) => {
+  try {
+    const contract = await getAdminContract();
+    const tx = await contract.setVoterRoot(electionId, voterRoot);
+    const receipt = await tx.wait();
+
+    return {
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    };
+  } catch (error) {
+    console.error('Error setting voter roll root on-chain:', error);
+    throw error;
+  }
+};
+
+// Pause an on-chain election: the contract refuses its votes, commitments and reveals until it is resumed
+const pauseElectionOnChain = async (electionId) => {
+  try {
+    const contract = await getAdminContract();
+    const tx = await contract.pauseElection(electionId);
+    const receipt = await tx.wait();
+
+    const event = receipt.events.find(e => e.event === 'ElectionPaused');
+
+    return {
+      pausedAt: event.args.pausedAt.toNumber(),
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    };
+  } catch (error) {
+    console.error('Error pausing election on-chain:', error);
+    throw error;
+  }
+};
+
+// Resume a paused on-chain election
+const resumeElectionOnChain = async (electionId) => {
+  try {
+    const contract = await getAdminContract();
+    const tx = await contract.resumeElection(electionId);
+    const receipt = await tx.wait();
+
+    const event = receipt.events.find(e => e.event === 'ElectionResumed');
+
+    return {
+      resumedAt: event.args.resumedAt.toNumber(),
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    };
+  } catch (error) {
+    console.error('Error resuming election on-chain:', error);
+    throw error;
+  }
+};
+
+// Get an on-chain election
+const getOnChainElection = async (electionId) => {
+  try {
+    const contract = await getContractInstance();
+    const election = await contract.getElection(electionId);
+
+    return {
+      onChainId: election.id.toNumber(),
+      name: election.name,
+      votingActive: election.votingActive,
+      votingStartTime: election.votingStartTime.toNumber(),
+      votingEndTime: election.votingEndTime.toNumber(),
+      totalVotes: election.totalVotes.toNumber(),
+      commitReveal: election.commitReveal,
+      revealEndTime: election.revealEndTime.toNumber(),
+      paused: election.paused,
+      voterRoot: election.voterRoot
+    };
+  } catch (error) {
+    console.error('Error getting on-chain election:', error);
+    throw error;
+  }
+};
+
+// Register a candidate in an on-chain election and return the ID the contract assigned to it
+const registerCandidateOnChain = async (electionId, name, ipfsHash = '') => {
+  try {
+    const contract = await getAdminContract();
+    const tx = await contract.registerCandidate(electionId, name, ipfsHash);
+    const receipt = await tx.wait();
+
+    const event = receipt.events.find(e => e.event === 'CandidateRegistered');
+    if (!event) {
+      throw new Error('CandidateRegistered event not found in transaction receipt');
+    }
+
+    return {
+      onChainId: event.args.candidateId.toNumber(),
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    };
+  } catch (error) {
+    console.error('Error registering candidate on-chain:', error);
+    throw error;
+  }
+};
+
+// Get the candidates of one on-chain election, or of every election when no ID is given
+const getOnChainCandidates = async (electionId) => {
+  try {
+    const contract = await getContractInstance();
+
+    let electionIds = [electionId];
+    if (electionId === undefined) {
+      const electionCount = (await contract.electionCount()).toNumber();
+      electionIds = Array.from({ length: electionCount }, (_, i) => i + 1);
+    }
+
+    const lists = await Promise.all(electionIds.map(id => contract.getCandidates(id)));
+
+    return lists.flat().map(c => ({
+      onChainId: c.id.toNumber(),
+      electionId: c.electionId.toNumber(),
+      name: c.name,
+      ipfsHash: c.ipfsHash,
+      voteCount: c.voteCount.toNumber()
+    }));
+  } catch (error) {
+    console.error('Error getting on-chain candidates:', error);
+    throw error;
+  }
+};
+
+// Get one on-chain candidate by its on-chain ID
+const getOnChainCandidate = async (candidateId) => {
+  try {
+    const contract = await getContractInstance();
+    const c = await contract.getCandidate(candidateId);
+
+    return {
+      onChainId: c.id.toNumber(),
+      electionId: c.electionId.toNumber(),
+      name: c.name,
+      ipfsHash: c.ipfsHash,
+      voteCount: c.voteCount.toNumber()
+    };
+  } catch (error) {
+    console.error('Error getting on-chain candidate:', error);
+    throw error;
+  }
+};
+
+// Anchor the Merkle root of audit log entries fromSequence..toSequence on-chain
+const anchorAuditRootOnChain = async (merkleRoot, fromSequence, toSequence) => {
+  try {
+    const contract = await getAdminContract();
+    const tx = await contract.anchorAuditRoot(merkleRoot, fromSequence, toSequence);
+    const receipt = await tx.wait();
+
+    const anchored = receipt.events.find(e => e.event === 'AuditRootAnchored');
+    const block = await provider.getBlock(receipt.blockNumber);
+
+    return {
+      batchId: anchored.args.batchId.toNumber(),
+      anchoredAt: block.timestamp,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    };
+  } catch (error) {
+    console.error('Error anchoring audit root on-chain:', error);
+    throw error;
+  }
+};
+
+// Get the number of audit batches anchored on-chain
+const getAuditAnchorCount = async () => {
+  const contract = await getContractInstance();
+  return (await contract.auditAnchorCount()).toNumber();
+};
+
+// Get an anchored audit batch, with the transaction that anchored it
+const getOnChainAuditAnchor = async (batchId) => {
+  try {
+    const contract = await getContractInstance();
+    const [anchor, events] = await Promise.all([
+      contract.getAuditAnchor(batchId),
+      contract.queryFilter(contract.filters.AuditRootAnchored(batchId))
+    ]);
+
+    return {
+      batchId,
+      merkleRoot: anchor.merkleRoot,
+      fromSequence: anchor.fromSequence.toNumber(),
+      toSequence: anchor.toSequence.toNumber(),
+      anchoredAt: anchor.anchoredAt.toNumber(),
+      transactionHash: events.length > 0 ? events[0].transactionHash : null,
+      blockNumber: events.length > 0 ? events[0].blockNumber : null
+    };
+  } catch (error) {
+    console.error('Error getting on-chain audit anchor:', error);
+    throw error;
+  }
+};
+
+// Check an audit entry hash against an anchored batch root
+const verifyAuditEntryOnChain = async (batchId, entryHash, proof) => {
+  const contract = await getContractInstance();
+  return contract.verifyAuditEntry(batchId, entryHash, proof);
+};
+
+// Record the hash of an election's certified results, with the admins who signed it
+const certifyResultOnChain = async (electionId, resultHash, signers) => {
+  try {
+    const contract = await getAdminContract();
+    const tx = await contract.certifyResult(electionId, resultHash, signers);
+    const receipt = await tx.wait();
+    const block = await provider.getBlock(receipt.blockNumber);
+
+    return {
+      certifiedAt: block.timestamp,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    };
+  } catch (error) {
+    console.error('Error certifying results on-chain:', error);
+    throw error;
+  }
+};
+
+// Get an election's on-chain results certification, or null when its results are not certified
+const getOnChainResultCertification = async (electionId) => {
+  try {
+    const contract = await getContractInstance();
+    const certification = await contract.getResultCertification(electionId);
+    if (certification.certifiedAt.isZero()) {
+      return null;
+    }
+
+    const events = await contract.queryFilter(contract.filters.ResultCertified(electionId));
+    return {
+      resultHash: certification.resultHash,
+      signerCount: certification.signerCount.toNumber(),
+      certifiedAt: certification.certifiedAt.toNumber(),
+      signers: events.length > 0 ? events[0].args.signers.map(address => address.toLowerCase()) : [],
+      transactionHash: events.length > 0 ? events[0].transactionHash : null,
+      blockNumber: events.length > 0 ? events[0].blockNumber : null
+    };
+  } catch (error) {
+    console.error('Error getting on-chain results certification:', error);
+    throw error;
+  }
+};
+
+// EIP-712 domain of the deployed BlocPol contract
+const getVoteDomain = async () => {
+  const contract = await getContractInstance();
+  const { chainId } = await provider.getNetwork();
+
+  return {
+    name: 'BlocPol',
+    version: '1',
+    chainId,
+    verifyingContract: contract.address
+  };
+};
+
+// Build the EIP-712 typed vote a voter has to sign
+const buildVoteTypedData = async (voter, electionId, candidateId, deadline) => {
+  try {
+    const contract = await getContractInstance();
+    const [domain, nonce] = await Promise.all([getVoteDomain(), contract.nonces(voter)]);
+
+    return {
+      domain,
+      types: VOTE_TYPES,
+      primaryType: 'Vote',
+      message: {
+        voter,
+        electionId: electionId.toString(),
+        candidateId: candidateId.toString(),
+        nonce: nonce.toString(),
+        deadline: deadline.toString()
+      }
+    };
+  } catch (error) {
+    console.error('Error building vote typed data:', error);
+    throw error;
+  }
+};
+
+// Build the EIP-712 typed ranked ballot a voter has to sign
+const buildRankedVoteTypedData = async (voter, electionId, rankings, deadline) => {
+  try {
+    const contract = await getContractInstance();
+    const [domain, nonce] = await Promise.all([getVoteDomain(), contract.nonces(voter)]);
+
+    return {
+      domain,
+      types: RANKED_VOTE_TYPES,
+      primaryType: 'RankedVote',
+      message: {
+        voter,
+        electionId: electionId.toString(),
+        rankings: rankings.map(id => id.toString()),
+        nonce: nonce.toString(),
+        deadline: deadline.toString()
+      }
+    };
+  } catch (error) {
+    console.error('Error building ranked vote typed data:', error);
+    throw error;
+  }
+};
+
+// Build the EIP-712 typed commitment a voter signs in the commit phase
+const buildCommitTypedData = async (voter, electionId, commitment, deadline) => {
+  try {
+    const contract = await getContractInstance();
+    const [domain, nonce] = await Promise.all([getVoteDomain(), contract.nonces(voter)]);
+
+    return {
+      domain,
+      types: VOTE_COMMITMENT_TYPES,
+      primaryType: 'VoteCommitment',
+      message: {
+        voter,
+        electionId: electionId.toString(),
+        commitment,
+        nonce: nonce.toString(),
+        deadline: deadline.toString()
+      }
+    };
+  } catch (error) {
+    console.error('Error building commitment typed data:', error);
+    throw error;
+  }
+};
+
+// Compute the commitment BlocPol.revealVote checks: keccak256(keccak256(electionId, voter, candidateId) ++ salt)
+const sealVote = (electionId, voter, candidateId, salt) => {
+  const sealedVote = ethers.utils.solidityKeccak256(['uint256', 'address', 'uint256'], [electionId, voter, candidateId]);
+  return ethers.utils.solidityKeccak256(['bytes32', 'bytes32'], [sealedVote, salt]);
+};
+
+// Recover the address that signed a typed vote
+const recoverVoteSigner = (typedData, signature) => {
+  return ethers.utils.verifyTypedData(typedData.domain, typedData.types, typedData.message, signature);
+};
+
 // Verify transaction
 const verifyTransaction = async (txHash) => {
   try {
@@ -165,6 +659,30 @@ module.exports = {
   getContractInstance,
   getProvider,
   getContractWithSigner,
+  getRelayerContract,
+  getAdminContract,
+  createElectionOnChain,
+  startElectionOnChain,
+  startCommitRevealOnChain,
+  stopElectionOnChain,
+  setVoterRootOnChain,
+  pauseElectionOnChain,
+  resumeElectionOnChain,
+  getOnChainElection,
+  registerCandidateOnChain,
+  getOnChainCandidates,
+  getOnChainCandidate,
+  anchorAuditRootOnChain,
+  getAuditAnchorCount,
+  getOnChainAuditAnchor,
+  verifyAuditEntryOnChain,
+  certifyResultOnChain,
+  getOnChainResultCertification,
+  buildVoteTypedData,
+  buildRankedVoteTypedData,
+  buildCommitTypedData,
+  sealVote,
+  recoverVoteSigner,
   verifyTransaction,
   getBlockTimestamp,
   getCurrentBlockNumber,
@@ -0,0 +1,182 @@
+const { TIE_BREAK_POLICIES } = require('./tieBreak');
+
+// The election lifecycle: which status changes are allowed, and which fields admins can edit in each status.
+// Rejections are explained as { message, status, violations: [{ field, code, message }], editableFields,
+// allowedTransitions } so the admin UI can show exactly what was refused and what is possible instead.
+
+// Status changes each go through their own admin endpoint: status -> { next status: action }
+const TRANSITIONS = {
+  draft: { active: 'start', cancelled: 'cancel' },
+  active: { paused: 'pause', completed: 'stop', cancelled: 'cancel' },
+  paused: { active: 'resume', cancelled: 'cancel' },
+  completed: { archived: 'archive' },
+  cancelled: { archived: 'archive' },
+  archived: {}
+};
+
+const ACTION_PARTICIPLES = {
+  start: 'started',
+  stop: 'stopped',
+  pause: 'paused',
+  resume: 'resumed',
+  cancel: 'cancelled',
+  archive: 'archived',
+  delete: 'deleted'
+};
+
+// Fields admins can edit in each status; everything else is kept by the backend
+const EDITABLE_FIELDS = {
+  draft: ['title', 'description', 'startDate', 'endDate', 'votingMode', 'maxCandidates', 'requirements', 'commitReveal', 'tieBreakPolicy'],
+  active: ['title', 'description'],
+  paused: ['title', 'description'],
+  completed: [],
+  cancelled: [],
+  archived: []
+};
+
+const ADMIN_FIELDS = EDITABLE_FIELDS.draft;
+
+// Elections without ballots can be deleted outright in these statuses; active and paused ones are cancelled first
+const DELETABLE_STATUSES = ['draft', 'completed', 'cancelled'];
+
+// List the status changes open to an election, with the endpoint for each
+const describeTransitions = (election) => Object.entries(TRANSITIONS[election.status] || {}).map(([to, action]) => ({
+  to,
+  action,
+  endpoint: `POST /api/admin/elections/${election._id}/${action}`
+}));
+
+// Name an election by its status for messages, e.g. 'An active election'
+const describeStatus = (status) => `${/^[aeiou]/.test(status) ? 'An' : 'A'} ${status} election`;
+
+// Build the explanation for a rejected change
+const explain = (election, violations) => ({
+  message: violations.length === 1
+    ? violations[0].message
+    : `${violations.length} problems with this change: ${violations.map(violation => violation.message).join('; ')}`,
+  status: election.status,
+  violations,
+  editableFields: EDITABLE_FIELDS[election.status] || [],
+  allowedTransitions: describeTransitions(election)
+});
+
+// Explain why an election cannot go through an action (start, stop, pause, resume, cancel, archive); null when it can
+const getTransitionError = (election, action) => {
+  if (Object.values(TRANSITIONS[election.status] || {}).includes(action)) {
+    return null;
+  }
+
+  return explain(election, [{
+    field: 'status',
+    code: 'INVALID_TRANSITION',
+    message: `${describeStatus(election.status)} cannot be ${ACTION_PARTICIPLES[action]}`
+  }]);
+};
+
+// Whether an update repeats the value an election already has, as when a client sends back the whole document
+const isUnchanged = (election, field, value) => {
+  const current = election.get(field);
+  if (current instanceof Date) {
+    return new Date(value).getTime() === current.getTime();
+  }
+  return JSON.stringify(current) === JSON.stringify(value);
+};
+
+// Keep the fields of an update that would change the election
+const getChangedFields = (election, updates) => Object.fromEntries(
+  Object.entries(updates).filter(([field, value]) => !isUnchanged(election, field, value))
+);
+
+// Explain why an update cannot be applied to an election in its current status; null when it can.
+// Pass only the changed fields (see getChangedFields).
+const getUpdateError = (election, updates) => {
+  const editable = EDITABLE_FIELDS[election.status] || [];
+  const violations = [];
+
+  Object.keys(updates).forEach(field => {
+    if (field === 'status') {
+      violations.push({
+        field,
+        code: 'STATUS_NOT_EDITABLE',
+        message: 'The status changes only through the start, stop, pause, resume, cancel and archive actions'
+      });
+    } else if (!ADMIN_FIELDS.includes(field)) {
+      violations.push({ field, code: 'FIELD_PROTECTED', message: `${field} is kept by the backend and cannot be edited` });
+    } else if (!editable.includes(field)) {
+      violations.push({ field, code: 'FIELD_LOCKED', message: `${field} cannot be changed while the election is ${election.status}` });
+    }
+  });
+
+  if (violations.length === 0) {
+    const merged = { ...election.toObject(), ...updates };
+
+    // A commitment seals a single unweighted vote, so ranked and delegated ballots cannot be committed
+    if (merged.commitReveal && ['RANKED_CHOICE', 'LIQUID_DEMOCRACY'].includes(merged.votingMode)) {
+      violations.push({
+        field: 'commitReveal',
+        code: 'INVALID_COMBINATION',
+        message: 'Commit-reveal voting is not available for ranked-choice or liquid democracy elections'
+      });
+    }
+
+    const startDate = new Date(merged.startDate);
+    const endDate = new Date(merged.endDate);
+    if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+      violations.push({ field: 'startDate', code: 'INVALID_DATE', message: 'Start and end dates must be valid dates' });
+    } else if (startDate >= endDate) {
+      violations.push({ field: 'endDate', code: 'INVALID_DATES', message: 'Start date must be before end date' });
+    }
+
+    if (!TIE_BREAK_POLICIES.includes(merged.tieBreakPolicy)) {
+      violations.push({
+        field: 'tieBreakPolicy',
+        code: 'INVALID_VALUE',
+        message: `Tie-break policy must be one of: ${TIE_BREAK_POLICIES.join(', ')}`
+      });
+    }
+  }
+
+  return violations.length > 0 ? explain(election, violations) : null;
+};
+
+// Explain why an election cannot be deleted; null when it can. Ballots and certified results are evidence,
+// so an election that has any can only be archived.
+const getDeletionError = (election, hasBallots) => {
+  if (election.certification && election.certification.status) {
+    return explain(election, [{
+      field: 'certification',
+      code: 'RESULTS_CERTIFIED',
+      message: 'An election whose results are certified or being certified cannot be deleted; archive it instead'
+    }]);
+  }
+
+  if (hasBallots) {
+    return explain(election, [{
+      field: 'status',
+      code: 'HAS_BALLOTS',
+      message: ['completed', 'cancelled'].includes(election.status)
+        ? 'An election with ballots cannot be deleted; archive it instead'
+        : 'An election with ballots cannot be deleted; stop or cancel it and then archive it'
+    }]);
+  }
+
+  if (!DELETABLE_STATUSES.includes(election.status)) {
+    return explain(election, [{
+      field: 'status',
+      code: 'INVALID_TRANSITION',
+      message: `${describeStatus(election.status)} cannot be ${ACTION_PARTICIPLES.delete}; cancel it first`
+    }]);
+  }
+
+  return null;
+};
+
+module.exports = {
+  TRANSITIONS,
+  EDITABLE_FIELDS,
+  describeTransitions,
+  getTransitionError,
+  getChangedFields,
+  getUpdateError,
+  getDeletionError
+};
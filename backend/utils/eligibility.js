@@ -0,0 +1,199 @@
+const path = require('path');
+
+// Voter eligibility engine.
+// An election's requirements become a list of rules ({ type, params, message }); each rule type checks a voter
+// and returns the reason they fail it, or null. Custom types are added with registerRuleType, either in code
+// or from the module named by ELIGIBILITY_RULES_MODULE, and elections use them through requirements.rules.
+
+const ruleTypes = new Map();
+
+// Whole years between a date of birth and a date, counting the birthday itself
+const ageOn = (dateOfBirth, date) => {
+  const birth = new Date(dateOfBirth);
+  const age = date.getUTCFullYear() - birth.getUTCFullYear();
+  const hadBirthday = date.getUTCMonth() > birth.getUTCMonth() ||
+    (date.getUTCMonth() === birth.getUTCMonth() && date.getUTCDate() >= birth.getUTCDate());
+  return hadBirthday ? age : age - 1;
+};
+
+// Compare free-text places without caring about case or surrounding spaces
+const samePlace = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Add a rule type. `check(voter, params, context)` returns a reason string (or null when the voter passes),
+// `validate(params)` returns an error message for bad parameters
+const registerRuleType = (type, { description, params = [], validate = () => null, check }) => {
+  if (!type || typeof check !== 'function') {
+    throw new Error('A rule type needs a name and a check function');
+  }
+  ruleTypes.set(type, { type, description, params, validate, check });
+};
+
+const getRuleType = (type) => ruleTypes.get(type);
+
+// Describe the available rule types, e.g. for an admin building an election's requirements
+const listRuleTypes = () => {
+  loadCustomRuleTypes();
+  return [...ruleTypes.values()].map(({ type, description, params }) => ({ type, description, params }));
+};
+
+registerRuleType('minAge', {
+  description: 'Voter must have reached an age by the time voting opens',
+  params: ['age'],
+  validate: ({ age } = {}) => (Number.isInteger(age) && age >= 0 ? null : 'age must be a whole number'),
+  check: (voter, { age }, { referenceDate }) => {
+    if (!voter.dateOfBirth) {
+      return `Your date of birth is needed to confirm you are at least ${age}`;
+    }
+    return ageOn(voter.dateOfBirth, referenceDate) >= age ? null : `You must be at least ${age} years old to vote in this election`;
+  }
+});
+
+registerRuleType('citizenship', {
+  description: 'Voter must have declared a citizenship, of the given country when one is set',
+  params: ['country'],
+  validate: ({ country } = {}) => (country === undefined || typeof country === 'string' ? null : 'country must be text'),
+  check: (voter, { country } = {}) => {
+    if (!voter.citizenship) {
+      return 'Your citizenship is needed to vote in this election';
+    }
+    return !country || samePlace(voter.citizenship, country) ? null : `Only citizens of ${country} can vote in this election`;
+  }
+});
+
+registerRuleType('residency', {
+  description: 'Voter must live in a region, matched against the country, state or city of their address',
+  params: ['region'],
+  validate: ({ region } = {}) => (typeof region === 'string' && region.trim() ? null : 'region is required'),
+  check: (voter, { region }) => {
+    const address = voter.address || {};
+    if (!address.country && !address.state && !address.city) {
+      return `Your address is needed to confirm you live in ${region}`;
+    }
+    const lives = [address.country, address.state, address.city].some(place => samePlace(place, region));
+    return lives ? null : `You must live in ${region} to vote in this election`;
+  }
+});
+
+registerRuleType('verified', {
+  description: 'Voter identity must have been verified',
+  check: (voter) => (voter.isVerified ? null : 'Your identity documents must be approved before you can vote in this election')
+});
+
+registerRuleType('registeredBefore', {
+  description: 'Voter must have registered before a date',
+  params: ['date'],
+  validate: ({ date } = {}) => (date && !Number.isNaN(new Date(date).getTime()) ? null : 'date must be a valid date'),
+  check: (voter, { date }) => {
+    const cutoff = new Date(date);
+    return voter.registrationDate && voter.registrationDate < cutoff
+      ? null
+      : `Only voters registered before ${cutoff.toISOString().slice(0, 10)} can vote in this election`;
+  }
+});
+
+registerRuleType('emailDomain', {
+  description: 'Voter email must belong to one of the listed domains',
+  params: ['domains'],
+  validate: ({ domains } = {}) => (Array.isArray(domains) && domains.length > 0 ? null : 'domains must be a non-empty list'),
+  check: (voter, { domains }) => {
+    const domain = (voter.email || '').split('@').pop();
+    return domains.some(d => samePlace(d, domain)) ? null : `Your email must be on ${domains.join(', ')} to vote in this election`;
+  }
+});
+
+// Load the deployment's own rule types once; the module is given registerRuleType
+let customRulesLoaded = false;
+const loadCustomRuleTypes = () => {
+  if (customRulesLoaded) {
+    return;
+  }
+  customRulesLoaded = true;
+
+  if (process.env.ELIGIBILITY_RULES_MODULE) {
+    const register = require(path.resolve(process.env.ELIGIBILITY_RULES_MODULE));
+    register(registerRuleType);
+  }
+};
+
+// Check an election's custom rules before they are saved
+const validateRules = (rules) => {
+  loadCustomRuleTypes();
+
+  if (rules === undefined) {
+    return null;
+  }
+  if (!Array.isArray(rules)) {
+    return 'Eligibility rules must be a list';
+  }
+
+  for (const rule of rules) {
+    const ruleType = rule && getRuleType(rule.type);
+    if (!ruleType) {
+      return `Unknown eligibility rule type: ${rule && rule.type}`;
+    }
+    const error = ruleType.validate(rule.params || {});
+    if (error) {
+      return `Invalid ${rule.type} rule: ${error}`;
+    }
+  }
+  return null;
+};
+
+// Turn an election's requirements into rules; the built-in fields come first, then the custom rules
+const getElectionRules = (election) => {
+  const requirements = election.requirements || {};
+  const rules = [];
+
+  if (requirements.minAge > 0) {
+    rules.push({ type: 'minAge', params: { age: requirements.minAge } });
+  }
+  if (requirements.citizenship) {
+    rules.push({ type: 'citizenship', params: { country: requirements.citizenshipCountry || undefined } });
+  }
+  if (requirements.residency) {
+    rules.push({ type: 'residency', params: { region: requirements.residency } });
+  }
+  if (requirements.verifiedIdentity) {
+    rules.push({ type: 'verified' });
+  }
+
+  return rules.concat(requirements.rules || []);
+};
+
+// Check a voter against an election. Every failed rule gives a reason; the free-text `other`
+// requirement cannot be checked automatically and is returned as a note
+const checkEligibility = async (voter, election) => {
+  loadCustomRuleTypes();
+
+  // Age and similar rules apply to when voting opens, so voters who register early are not turned away
+  const context = { election, referenceDate: new Date(Math.max(Date.now(), new Date(election.startDate).getTime() || 0)) };
+  const reasons = [];
+
+  for (const rule of getElectionRules(election)) {
+    const ruleType = getRuleType(rule.type);
+    if (!ruleType) {
+      reasons.push({ rule: rule.type, message: 'This election has a requirement that cannot be checked right now' });
+      continue;
+    }
+
+    const reason = await ruleType.check(voter, rule.params || {}, context);
+    if (reason) {
+      reasons.push({ rule: rule.type, message: rule.message || reason });
+    }
+  }
+
+  const other = election.requirements && election.requirements.other;
+  return {
+    eligible: reasons.length === 0,
+    reasons,
+    notes: other ? [other] : []
+  };
+};
+
+module.exports = {
+  registerRuleType,
+  listRuleTypes,
+  validateRules,
+  getElectionRules,
+  checkEligibility
+};
@@ -0,0 +1,31 @@
+// File types accepted for uploads (identity and candidate documents), checked by their contents
+
+// Accepted file types and the bytes their files start with
+const FILE_SIGNATURES = {
+  'application/pdf': [Buffer.from('%PDF-')],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])]
+};
+
+const UPLOAD_CONTENT_TYPES = Object.keys(FILE_SIGNATURES);
+
+const EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/png': 'png',
+  'image/jpeg': 'jpg'
+};
+
+// Read the content type a file was sent as
+const readContentType = (req) => (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+// Check a file's contents match the type it was sent as
+const matchesContentType = (buffer, contentType) => {
+  return (FILE_SIGNATURES[contentType] || []).some(signature => buffer.subarray(0, signature.length).equals(signature));
+};
+
+module.exports = {
+  UPLOAD_CONTENT_TYPES,
+  EXTENSIONS,
+  readContentType,
+  matchesContentType
+};
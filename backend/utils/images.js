@@ -0,0 +1,60 @@
+const sharp = require('sharp');
+
+// Candidate photo processing: uploads are checked to be real images, then re-encoded without their
+// metadata (EXIF, GPS) into a photo and a square thumbnail, both JPEG
+
+const PHOTO_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp'];
+const MAX_INPUT_PIXELS = 40000000;
+const MIN_DIMENSION = 160;
+const PHOTO_SIZE = 800;
+const THUMBNAIL_SIZE = 160;
+
+const toJpeg = async (image, quality) => {
+  const { data, info } = await image
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+  return { buffer: data, contentType: 'image/jpeg', width: info.width, height: info.height, size: info.size };
+};
+
+// Validate an uploaded image and render its photo and thumbnail; returns { error } for unusable images
+const renderCandidatePhoto = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    return { error: 'The file is not a readable image' };
+  }
+
+  if (!IMAGE_FORMATS.includes(metadata.format)) {
+    return { error: 'Photos must be JPEG, PNG or WebP images' };
+  }
+  if ((metadata.pages || 1) > 1) {
+    return { error: 'Animated images cannot be used as photos' };
+  }
+  if (metadata.width < MIN_DIMENSION || metadata.height < MIN_DIMENSION) {
+    return { error: `Photos must be at least ${MIN_DIMENSION}x${MIN_DIMENSION} pixels` };
+  }
+
+  try {
+    // Apply the EXIF orientation before the metadata is dropped
+    const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+    const photo = await toJpeg(
+      image.clone().resize(PHOTO_SIZE, PHOTO_SIZE, { fit: 'inside', withoutEnlargement: true }),
+      85
+    );
+    const thumbnail = await toJpeg(
+      image.clone().resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover', position: 'attention' }),
+      80
+    );
+    return { photo, thumbnail };
+  } catch (error) {
+    return { error: 'The image could not be processed' };
+  }
+};
+
+module.exports = {
+  PHOTO_CONTENT_TYPES,
+  renderCandidatePhoto
+};
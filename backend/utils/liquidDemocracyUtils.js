@@ -0,0 +1,215 @@
+const { ethers } = require('ethers');
+const { getContractInstance, getProvider } = require('./contractUtils');
+
+let liquidDemocracyInstance = null;
+
+// Get LiquidDemocracy ABI
+const getLiquidDemocracyABI = () => {
+  return require('../../abi/LiquidDemocracy.json');
+};
+
+// Delegation is available once a LiquidDemocracy contract is configured
+const isLiquidDemocracyEnabled = () => {
+  return !!process.env.LIQUID_DEMOCRACY_ADDRESS && process.env.ENABLE_LIQUID_DEMOCRACY !== 'false';
+};
+
+// Base voting power every voter is registered with; one vote is worth this much power
+const getBaseVotingPower = () => {
+  const power = parseInt(process.env.LIQUID_DEMOCRACY_VOTER_POWER, 10);
+  return Number.isNaN(power) || power <= 0 ? 100 : power;
+};
+
+// Get the LiquidDemocracy contract (shares the BlocPol provider)
+const getLiquidDemocracyContract = async () => {
+  if (!liquidDemocracyInstance) {
+    const contractAddress = process.env.LIQUID_DEMOCRACY_ADDRESS;
+    if (!contractAddress) {
+      throw new Error('LiquidDemocracy address not found in environment variables');
+    }
+
+    await getContractInstance();
+    liquidDemocracyInstance = new ethers.Contract(contractAddress, getLiquidDemocracyABI(), getProvider());
+  }
+  return liquidDemocracyInstance;
+};
+
+// Get the contract with the owner signer, which registers voters
+const getLiquidDemocracyOwnerContract = async () => {
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error('Admin private key not found in environment variables');
+  }
+
+  const contract = await getLiquidDemocracyContract();
+  return contract.connect(new ethers.Wallet(process.env.PRIVATE_KEY, getProvider()));
+};
+
+// Register a voter with the base voting power unless they already are
+const ensureDelegationVoter = async (address) => {
+  try {
+    const contract = await getLiquidDemocracyContract();
+    const voter = await contract.getVoter(address);
+    if (voter.isActive) {
+      return null;
+    }
+
+    const owner = await getLiquidDemocracyOwnerContract();
+    const tx = await owner.registerVoter(address, getBaseVotingPower());
+    const receipt = await tx.wait();
+
+    return {
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    };
+  } catch (error) {
+    console.error('Error registering delegation voter:', error);
+    throw error;
+  }
+};
+
+// Get a voter's on-chain delegation state
+const getDelegationVoter = async (address) => {
+  const contract = await getLiquidDemocracyContract();
+  const voter = await contract.getVoter(address);
+
+  return {
+    registered: voter.isActive,
+    votingPower: voter.isActive ? voter.votingPower.toNumber() : getBaseVotingPower(),
+    delegatedPower: voter.delegatedPower.toNumber(),
+    totalPower: voter.isActive ? voter.totalPower.toNumber() : getBaseVotingPower(),
+    delegate: voter.delegate === ethers.constants.AddressZero ? null : voter.delegate,
+    delegators: voter.delegates
+  };
+};
+
+// Get a voter's active outgoing delegation; a voter has at most one, always the latest
+const getActiveDelegation = async (address) => {
+  const contract = await getLiquidDemocracyContract();
+  const ids = await contract.getVoterDelegations(address);
+  if (ids.length === 0) {
+    return null;
+  }
+
+  const delegation = await contract.getDelegation(ids[ids.length - 1]);
+  if (!delegation.isActive) {
+    return null;
+  }
+
+  return {
+    delegationId: delegation.delegationId.toNumber(),
+    from: delegation.from,
+    to: delegation.to,
+    power: delegation.power.toNumber(),
+    createdAt: new Date(delegation.timestamp.toNumber() * 1000)
+  };
+};
+
+// Follow a voter's delegates until the end of the chain, maxDelegationDepth or a loop
+const getDelegationChain = async (address) => {
+  const contract = await getLiquidDemocracyContract();
+  const maxDepth = (await contract.maxDelegationDepth()).toNumber();
+
+  const chain = [];
+  const seen = new Set([address.toLowerCase()]);
+  let current = (await contract.getVoter(address)).delegate;
+
+  while (current !== ethers.constants.AddressZero && chain.length < maxDepth && !seen.has(current.toLowerCase())) {
+    chain.push(current);
+    seen.add(current.toLowerCase());
+    current = (await contract.getVoter(current)).delegate;
+  }
+
+  return chain;
+};
+
+// Collect the power delegated to a voter directly or through further delegates.
+// A delegator for whom `skip` resolves true is left out together with everyone delegating through them.
+const getDelegatedWeight = async (address, skip = async () => false) => {
+  const contract = await getLiquidDemocracyContract();
+  const maxDepth = (await contract.maxDelegationDepth()).toNumber();
+
+  const delegators = [];
+  const seen = new Set([address.toLowerCase()]);
+  let power = 0;
+
+  const visit = async (delegate, depth) => {
+    if (depth >= maxDepth) {
+      return;
+    }
+
+    const voter = await contract.getVoter(delegate);
+    for (const from of voter.delegates) {
+      if (seen.has(from.toLowerCase()) || await skip(from)) {
+        continue;
+      }
+
+      const delegation = await getActiveDelegation(from);
+      if (!delegation || delegation.to.toLowerCase() !== delegate.toLowerCase()) {
+        continue;
+      }
+
+      seen.add(from.toLowerCase());
+      power += delegation.power;
+      delegators.push({ address: from, delegate, power: delegation.power, depth: depth + 1 });
+      await visit(from, depth + 1);
+    }
+  };
+
+  await visit(address, 0);
+  return { power, delegators };
+};
+
+// Build the transactions voters send from their own wallet (the contract delegates for msg.sender)
+const buildDelegationTransaction = async (delegate, power) => {
+  const contract = await getLiquidDemocracyContract();
+  return {
+    to: contract.address,
+    data: contract.interface.encodeFunctionData('createDelegation', [delegate, power])
+  };
+};
+
+const buildRevokeTransaction = async (delegationId) => {
+  const contract = await getLiquidDemocracyContract();
+  return {
+    to: contract.address,
+    data: contract.interface.encodeFunctionData('revokeDelegation', [delegationId])
+  };
+};
+
+// Read the delegation events emitted by a mined transaction
+const getDelegationEvents = async (transactionHash) => {
+  const contract = await getLiquidDemocracyContract();
+  const receipt = await getProvider().getTransactionReceipt(transactionHash);
+  if (!receipt) {
+    return null;
+  }
+
+  return {
+    status: receipt.status,
+    blockNumber: receipt.blockNumber,
+    events: receipt.logs
+      .filter(log => log.address.toLowerCase() === contract.address.toLowerCase())
+      .map(log => contract.interface.parseLog(log))
+      .filter(event => event.name === 'DelegationCreated' || event.name === 'DelegationRevoked')
+      .map(event => ({
+        event: event.name,
+        from: event.args.from,
+        to: event.args.to,
+        delegationId: event.args.delegationId.toNumber(),
+        power: event.args.power ? event.args.power.toNumber() : undefined
+      }))
+  };
+};
+
+module.exports = {
+  isLiquidDemocracyEnabled,
+  getBaseVotingPower,
+  getLiquidDemocracyContract,
+  ensureDelegationVoter,
+  getDelegationVoter,
+  getActiveDelegation,
+  getDelegationChain,
+  getDelegatedWeight,
+  buildDelegationTransaction,
+  buildRevokeTransaction,
+  getDelegationEvents
+};
@@ -0,0 +1,78 @@
+const { ethers } = require('ethers');
+
+// Hash two nodes in sorted order, as OpenZeppelin's MerkleProof does
+const hashPair = (a, b) => {
+  return ethers.utils.keccak256(ethers.utils.concat(a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a]));
+};
+
+// Build every level of the tree from 32-byte hex leaves; an unpaired node moves up unchanged
+const buildLevels = (leaves) => {
+  if (leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+
+  const levels = [leaves.map(leaf => ethers.utils.hexZeroPad(leaf, 32).toLowerCase())];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+};
+
+// Get the Merkle root of a list of leaves
+const getMerkleRoot = (leaves) => {
+  const levels = buildLevels(leaves);
+  return levels[levels.length - 1][0];
+};
+
+// Collect the sibling hashes on the path from a leaf to the root
+const proofFromLevels = (levels, index) => {
+  const proof = [];
+
+  for (let level = 0; level < levels.length - 1; level++) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < levels[level].length) {
+      proof.push(levels[level][sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+};
+
+// Get the sibling hashes that prove the leaf at `index` is part of the tree
+const getMerkleProof = (leaves, index) => {
+  return proofFromLevels(buildLevels(leaves), index);
+};
+
+// Get the proofs for every leaf, building the tree once
+const getMerkleProofs = (leaves) => {
+  const levels = buildLevels(leaves);
+  return leaves.map((leaf, index) => proofFromLevels(levels, index));
+};
+
+// Build a tree once and hand out its root and proofs
+const createMerkleTree = (leaves) => {
+  const levels = buildLevels(leaves);
+  return {
+    root: levels[levels.length - 1][0],
+    getProof: (index) => proofFromLevels(levels, index)
+  };
+};
+
+// Check a proof off-chain (matches BlocPol.verifyAuditEntry)
+const verifyMerkleProof = (leaf, proof, root) => {
+  const computed = proof.reduce((hash, sibling) => hashPair(hash, sibling), ethers.utils.hexZeroPad(leaf, 32).toLowerCase());
+  return computed === root.toLowerCase();
+};
+
+module.exports = {
+  getMerkleRoot,
+  getMerkleProof,
+  getMerkleProofs,
+  createMerkleTree,
+  verifyMerkleProof
+};
@@ -0,0 +1,68 @@
+// Admin roles
+const ROLES = {
+  SUPER_ADMIN: 'super_admin',
+  ELECTION_OFFICER: 'election_officer',
+  AUDITOR: 'auditor',
+  CANDIDATE_REVIEWER: 'candidate_reviewer'
+};
+
+// Permissions checked by the admin routes
+const PERMISSIONS = {
+  STATS_READ: 'stats:read',
+  ELECTIONS_READ: 'elections:read',
+  ELECTIONS_WRITE: 'elections:write',
+  ELECTIONS_MANAGE: 'elections:manage',
+  ELECTIONS_DELETE: 'elections:delete',
+  CANDIDATES_READ: 'candidates:read',
+  CANDIDATES_WRITE: 'candidates:write',
+  CANDIDATES_REVIEW: 'candidates:review',
+  CANDIDATES_DELETE: 'candidates:delete',
+  VOTERS_READ: 'voters:read',
+  VOTERS_MANAGE: 'voters:manage',
+  VOTERS_REVIEW: 'voters:review',
+  AUDIT_READ: 'audit:read',
+  RESULTS_CERTIFY: 'results:certify',
+  SETTINGS_READ: 'settings:read',
+  SETTINGS_WRITE: 'settings:write',
+  ADMINS_MANAGE: 'admins:manage'
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.ELECTION_OFFICER]: [
+    PERMISSIONS.STATS_READ,
+    PERMISSIONS.ELECTIONS_READ,
+    PERMISSIONS.ELECTIONS_WRITE,
+    PERMISSIONS.ELECTIONS_MANAGE,
+    PERMISSIONS.CANDIDATES_READ,
+    PERMISSIONS.CANDIDATES_WRITE,
+    PERMISSIONS.VOTERS_READ,
+    PERMISSIONS.VOTERS_MANAGE,
+    PERMISSIONS.VOTERS_REVIEW,
+    PERMISSIONS.RESULTS_CERTIFY,
+    PERMISSIONS.SETTINGS_READ
+  ],
+  [ROLES.AUDITOR]: [
+    PERMISSIONS.AUDIT_READ
+  ],
+  [ROLES.CANDIDATE_REVIEWER]: [
+    PERMISSIONS.ELECTIONS_READ,
+    PERMISSIONS.CANDIDATES_READ,
+    PERMISSIONS.CANDIDATES_REVIEW
+  ]
+};
+
+const getPermissionsForRole = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+const hasPermission = (role, permission) => {
+  return getPermissionsForRole(role).includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  getPermissionsForRole,
+  hasPermission
+};
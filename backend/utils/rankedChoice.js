@@ -0,0 +1,85 @@
+// Instant-runoff (IRV) tally for RANKED_CHOICE elections.
+// A ballot is an array of candidate IDs in order of preference; IDs only need to be comparable with ===.
+
+// Pick who to eliminate among candidates tied for last: look back through earlier rounds
+// and keep those who had the fewest votes there; whoever is still tied is eliminated together
+const breakEliminationTie = (tied, rounds) => {
+  let remaining = tied;
+
+  for (let i = rounds.length - 2; i >= 0 && remaining.length > 1; i--) {
+    const { tallies } = rounds[i];
+    const fewest = Math.min(...remaining.map(id => tallies.get(id)));
+    remaining = remaining.filter(id => tallies.get(id) === fewest);
+  }
+
+  return remaining;
+};
+
+// Count each ballot for its highest-ranked candidate still in the race
+const countRound = (ballots, continuing) => {
+  const tallies = new Map([...continuing].map(id => [id, 0]));
+  let exhausted = 0;
+
+  ballots.forEach(ballot => {
+    const choice = ballot.find(id => continuing.has(id));
+    if (choice === undefined) {
+      exhausted++;
+    } else {
+      tallies.set(choice, tallies.get(choice) + 1);
+    }
+  });
+
+  return { tallies, exhausted };
+};
+
+// Run the tally; each round records its tallies, exhausted ballots and eliminations
+const tallyInstantRunoff = (ballots, candidateIds) => {
+  const continuing = new Set(candidateIds);
+  const validBallots = ballots
+    .map(ballot => ballot.filter(id => continuing.has(id)))
+    .filter(ballot => ballot.length > 0);
+
+  const rounds = [];
+  let winner = null;
+  let tied = [];
+
+  while (validBallots.length > 0 && continuing.size > 0) {
+    const { tallies, exhausted } = countRound(validBallots, continuing);
+    const activeBallots = validBallots.length - exhausted;
+    const threshold = Math.floor(activeBallots / 2) + 1;
+    const round = { round: rounds.length + 1, tallies, exhausted, activeBallots, threshold, eliminated: [] };
+    rounds.push(round);
+
+    const ranked = [...continuing].sort((a, b) => tallies.get(b) - tallies.get(a));
+    if (tallies.get(ranked[0]) >= threshold || continuing.size === 1) {
+      winner = ranked[0];
+      break;
+    }
+
+    const fewest = Math.min(...ranked.map(id => tallies.get(id)));
+    const lowest = breakEliminationTie(ranked.filter(id => tallies.get(id) === fewest), rounds);
+
+    // Everyone left is tied and no earlier round separates them
+    if (lowest.length === continuing.size) {
+      tied = lowest;
+      break;
+    }
+
+    lowest.forEach(id => continuing.delete(id));
+    round.eliminated = lowest;
+  }
+
+  return {
+    totalBallots: validBallots.length,
+    rounds: rounds.map(round => ({
+      ...round,
+      tallies: Object.fromEntries(round.tallies)
+    })),
+    winner,
+    tied
+  };
+};
+
+module.exports = {
+  tallyInstantRunoff
+};
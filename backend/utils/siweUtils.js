@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+const SIWE_STATEMENT = 'Sign in to the BlocPol admin panel.';
+const SIWE_VERSION = '1';
+
+// Domain and URI the admin frontend is served from
+const getSiweDomain = () => {
+  if (process.env.SIWE_DOMAIN) {
+    return process.env.SIWE_DOMAIN;
+  }
+  return new URL(process.env.FRONTEND_URL || 'http://localhost:3000').host;
+};
+
+const getSiweUri = () => {
+  return process.env.FRONTEND_URL || `http://${getSiweDomain()}`;
+};
+
+const getChainId = () => {
+  return parseInt(process.env.CHAIN_ID) || 1337;
+};
+
+// Generate a random alphanumeric nonce (EIP-4361 requires at least 8 characters)
+const generateNonce = () => {
+  return crypto.randomBytes(16).toString('hex');
+};
+
+// Build an EIP-4361 sign-in message
+const buildSiweMessage = ({ address, nonce, issuedAt, expirationTime }) => {
+  const lines = [
+    `${getSiweDomain()} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    SIWE_STATEMENT,
+    '',
+    `URI: ${getSiweUri()}`,
+    `Version: ${SIWE_VERSION}`,
+    `Chain ID: ${getChainId()}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  ];
+
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+
+  return lines.join('\n');
+};
+
+// Parse an EIP-4361 message back into its fields
+const parseSiweMessage = (message) => {
+  const lines = (message || '').split('\n');
+  const header = lines[0].match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+
+  if (!header || lines.length < 6) {
+    throw new Error('Malformed sign-in message');
+  }
+
+  const fields = {};
+  lines.slice(4).forEach(line => {
+    const match = line.match(/^([A-Za-z ]+): (.+)$/);
+    if (match) {
+      fields[match[1]] = match[2];
+    }
+  });
+
+  return {
+    domain: header[1],
+    address: lines[1],
+    statement: lines[3],
+    uri: fields['URI'],
+    version: fields['Version'],
+    chainId: parseInt(fields['Chain ID']),
+    nonce: fields['Nonce'],
+    issuedAt: fields['Issued At'],
+    expirationTime: fields['Expiration Time']
+  };
+};
+
+// Check the parsed fields against what this server issues
+const validateSiweFields = (fields, walletAddress) => {
+  if (fields.domain !== getSiweDomain()) {
+    return 'Sign-in message was issued for a different domain';
+  }
+  if (fields.address.toLowerCase() !== walletAddress.toLowerCase()) {
+    return 'Sign-in message address does not match wallet address';
+  }
+  if (fields.version !== SIWE_VERSION || fields.chainId !== getChainId()) {
+    return 'Sign-in message version or chain ID is not supported';
+  }
+  if (fields.expirationTime && new Date(fields.expirationTime) <= new Date()) {
+    return 'Sign-in message has expired';
+  }
+  return null;
+};
+
+module.exports = {
+  generateNonce,
+  buildSiweMessage,
+  parseSiweMessage,
+  validateSiweFields
+};
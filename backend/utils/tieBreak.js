@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// Ties for first place are settled by the election's tie-break policy:
+// - 'runoff': no winner is declared; the result names the tied candidates and flags that a runoff is needed
+// - 'lot': the tied candidates are drawn by lot. The seed is created when the election opens and only its
+//   SHA-256 is published then; the seed itself is revealed with the final result, so anyone can check it
+//   against the published hash and redo the draw.
+
+const TIE_BREAK_POLICIES = ['runoff', 'lot'];
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// A fresh seed for drawing lots, and the hash published before any ballot is cast
+const createLotSeed = () => {
+  const seed = crypto.randomBytes(32).toString('hex');
+  return { seed, seedHash: sha256(seed) };
+};
+
+// Whether a revealed seed is the one whose hash was published
+const matchesSeedHash = (seed, seedHash) => sha256(seed) === seedHash;
+
+// Draw lots among candidates: each ticket is the SHA-256 of '<seed>:<candidate ID>' and the lowest ticket wins
+const drawLots = (seed, candidateIds) => candidateIds
+  .map(id => ({ id: String(id), ticket: sha256(`${seed}:${id}`) }))
+  .sort((a, b) => (a.ticket < b.ticket ? -1 : 1));
+
+// The candidates with the most votes; nobody leads while no votes are counted
+const findLeaders = (standings) => {
+  const most = Math.max(0, ...standings.map(standing => standing.votes));
+  return most > 0 ? standings.filter(standing => standing.votes === most) : [];
+};
+
+module.exports = {
+  TIE_BREAK_POLICIES,
+  createLotSeed,
+  matchesSeedHash,
+  drawLots,
+  findLeaders
+};
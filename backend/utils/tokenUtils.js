@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TYPE = 'admin-access';
+const EMAIL_VERIFICATION_TOKEN_TYPE = 'email-verification';
+
+// Access token lifetime in seconds
+const getAccessTokenTtl = () => {
+  return parseInt(process.env.ADMIN_ACCESS_TOKEN_TTL) || 15 * 60;
+};
+
+// Issue a short-lived signed access token bound to a session
+const issueAccessToken = (session) => {
+  return jwt.sign(
+    { sub: session.walletAddress, sid: session.sessionId, type: ACCESS_TOKEN_TYPE },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenTtl() }
+  );
+};
+
+// Verify an access token and return its payload (throws if invalid or expired)
+const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  if (payload.type !== ACCESS_TOKEN_TYPE || !payload.sid) {
+    throw new Error('Not an admin access token');
+  }
+  return payload;
+};
+
+// Email verification token lifetime in seconds
+const getEmailVerificationTtl = () => {
+  return parseInt(process.env.EMAIL_VERIFICATION_TTL) || 24 * 60 * 60;
+};
+
+// Issue a signed token confirming a voter owns an email address; it is void once the email changes
+const issueEmailVerificationToken = (voter) => {
+  return jwt.sign(
+    { sub: String(voter._id), email: voter.email, type: EMAIL_VERIFICATION_TOKEN_TYPE },
+    process.env.JWT_SECRET,
+    { expiresIn: getEmailVerificationTtl() }
+  );
+};
+
+// Verify an email verification token and return its payload (throws if invalid or expired)
+const verifyEmailVerificationToken = (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  if (payload.type !== EMAIL_VERIFICATION_TOKEN_TYPE || !payload.sub || !payload.email) {
+    throw new Error('Not an email verification token');
+  }
+  return payload;
+};
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return {
+    refreshToken: `${sessionId}.${secret}`,
+    refreshTokenHash: hashToken(secret)
+  };
+};
+
+const splitRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!sessionId || !secret) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+const hashToken = (value) => {
+  return crypto.createHash('sha256').update(value).digest('hex');
+};
+
+// Constant-time comparison of a secret against a stored hash
+const matchesHash = (value, expectedHash) => {
+  const actual = Buffer.from(hashToken(value), 'hex');
+  const expected = Buffer.from(expectedHash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = {
+  getAccessTokenTtl,
+  issueAccessToken,
+  verifyAccessToken,
+  getEmailVerificationTtl,
+  issueEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateRefreshToken,
+  splitRefreshToken,
+  matchesHash
+};
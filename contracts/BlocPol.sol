@@ -1,98 +1,332 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
-contract BlocPol {
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./libraries/CryptographicUtils.sol";
+
+contract BlocPol is EIP712 {
     // --- Events ---
-    event CandidateRegistered(uint indexed candidateId, string name, string ipfsHash);
-    event VotingSessionStarted(uint startTime, uint endTime);
-    event VotingSessionStopped(uint stopTime);
-    event VoteCast(address indexed voter, uint indexed candidateId, bytes32 voteHash, bytes32 txHash);
+    event ElectionCreated(uint indexed electionId, string name);
+    event CandidateRegistered(uint indexed electionId, uint indexed candidateId, string name, string ipfsHash);
+    event VotingSessionStarted(uint indexed electionId, uint startTime, uint endTime);
+    event VotingSessionStopped(uint indexed electionId, uint stopTime);
+    event ElectionPaused(uint indexed electionId, uint pausedAt);
+    event ElectionResumed(uint indexed electionId, uint resumedAt);
+    event VoterRootSet(uint indexed electionId, bytes32 voterRoot);
+    event VoteCast(uint indexed electionId, address indexed voter, uint indexed candidateId, bytes32 voteHash, bytes32 txHash);
+    event RankedVoteCast(uint indexed electionId, address indexed voter, uint[] rankings);
+    event RevealPeriodScheduled(uint indexed electionId, uint revealStartTime, uint revealEndTime);
+    event VoteCommitted(uint indexed electionId, address indexed voter, bytes32 commitment);
+    event VoteRevealed(uint indexed electionId, address indexed voter, uint indexed candidateId);
+    event AuditRootAnchored(uint indexed batchId, bytes32 merkleRoot, uint fromSequence, uint toSequence);
+    event ResultCertified(uint indexed electionId, bytes32 resultHash, address[] signers);
+
+    // --- EIP-712 ---
+    bytes32 public constant VOTE_TYPEHASH = keccak256("Vote(address voter,uint256 electionId,uint256 candidateId,uint256 nonce,uint256 deadline)");
+    bytes32 public constant RANKED_VOTE_TYPEHASH = keccak256("RankedVote(address voter,uint256 electionId,uint256[] rankings,uint256 nonce,uint256 deadline)");
+    bytes32 public constant VOTE_COMMITMENT_TYPEHASH = keccak256("VoteCommitment(address voter,uint256 electionId,bytes32 commitment,uint256 nonce,uint256 deadline)");
 
     // --- Structs ---
+    struct Election {
+        uint id;
+        string name;
+        bool votingActive;
+        uint votingStartTime;
+        uint votingEndTime;
+        uint totalVotes;
+        bool commitReveal; // Ballots are sealed commitments until votingEndTime, then revealed until revealEndTime
+        uint revealDuration;
+        uint revealEndTime;
+        bool paused; // No ballots are accepted or revealed while an admin has the election paused
+        bytes32 voterRoot; // Merkle root of the voter roll; zero lets any address vote
+    }
+
     struct Candidate {
         uint id;
+        uint electionId;
         string name;
         string ipfsHash; // Optional IPFS hash for off-chain profile
         uint voteCount;
     }
 
+    // Merkle root over a contiguous range of off-chain audit log entries
+    struct AuditAnchor {
+        bytes32 merkleRoot;
+        uint fromSequence;
+        uint toSequence;
+        uint anchoredAt;
+    }
+
+    // Hash of an election's certified results snapshot and the admins who signed it off-chain
+    struct ResultCertification {
+        bytes32 resultHash;
+        uint signerCount;
+        uint certifiedAt;
+    }
+
     // --- State Variables ---
     address public admin;
     uint public deploymentTimestamp;
-    bool public votingActive;
-    uint public votingStartTime;
-    uint public votingEndTime;
+    uint public electionCount; // Election IDs start at 1, so 0 never refers to an election
     uint private nextCandidateId;
 
+    mapping(uint => Election) private elections;
     mapping(uint => Candidate) private candidates;
-    uint[] private candidateIds;
-    mapping(address => bool) private hasVoted;
-    mapping(address => uint) private voterToCandidate;
-    mapping(address => bytes32) private voterToVoteHash;
-    mapping(address => bytes32) private voterToTxHash;
+    mapping(uint => uint[]) private electionCandidateIds;
+    mapping(uint => mapping(address => bool)) private hasVoted;
+    mapping(uint => mapping(address => uint)) private voterToCandidate;
+    mapping(uint => mapping(address => bytes32)) private voterToVoteHash;
+    mapping(uint => mapping(address => bytes32)) private voterToTxHash;
+    mapping(uint => mapping(address => uint[])) private voterToRankings;
+    mapping(uint => mapping(address => bytes32)) private commitments;
+    mapping(address => uint) public nonces;
+    mapping(uint => AuditAnchor) private auditAnchors;
+    uint public auditAnchorCount; // Batch IDs start at 1
+    mapping(uint => ResultCertification) private certifications;
 
     // --- Modifiers ---
     modifier onlyAdmin() {
         require(msg.sender == admin, "Only admin can perform this action");
         _;
     }
-    modifier onlyDuringVoting() {
-        require(votingActive, "Voting is not active");
-        require(block.timestamp >= votingStartTime && block.timestamp <= votingEndTime, "Voting not in allowed period");
+    modifier electionExists(uint electionId) {
+        require(electionId > 0 && electionId <= electionCount, "Election does not exist");
         _;
     }
-    modifier onlyOnce() {
-        require(!hasVoted[msg.sender], "You have already voted");
+    modifier onlyDuringVoting(uint electionId) {
+        Election storage election = elections[electionId];
+        require(election.votingActive, "Voting is not active");
+        require(block.timestamp >= election.votingStartTime && block.timestamp <= election.votingEndTime, "Voting not in allowed period");
+        require(!election.paused, "Election is paused");
+        _;
+    }
+    // Leaves are keccak256(abi.encodePacked(voter)), with pairs hashed in sorted order
+    modifier onlyListedVoter(uint electionId, address voter, bytes32[] calldata proof) {
+        bytes32 root = elections[electionId].voterRoot;
+        require(root == bytes32(0) || CryptographicUtils.verifyMerkleProof(keccak256(abi.encodePacked(voter)), proof, root), "Not on the voter roll");
+        _;
+    }
+    modifier onlyOpenBallot(uint electionId) {
+        require(!elections[electionId].commitReveal, "Election uses commit-reveal voting");
         _;
     }
-
     // --- Constructor ---
-    constructor() {
+    constructor() EIP712("BlocPol", "1") {
         admin = msg.sender;
         deploymentTimestamp = block.timestamp;
     }
 
     // --- Admin Functions ---
-    function registerCandidate(string calldata name, string calldata ipfsHash) external onlyAdmin {
+    function createElection(string calldata name) external onlyAdmin returns (uint) {
+        uint electionId = ++electionCount;
+        elections[electionId] = Election(electionId, name, false, 0, 0, 0, false, 0, 0, false, bytes32(0));
+        emit ElectionCreated(electionId, name);
+        return electionId;
+    }
+
+    function registerCandidate(uint electionId, string calldata name, string calldata ipfsHash) external onlyAdmin electionExists(electionId) {
         uint candidateId = nextCandidateId++;
-        candidates[candidateId] = Candidate(candidateId, name, ipfsHash, 0);
-        candidateIds.push(candidateId);
-        emit CandidateRegistered(candidateId, name, ipfsHash);
+        candidates[candidateId] = Candidate(candidateId, electionId, name, ipfsHash, 0);
+        electionCandidateIds[electionId].push(candidateId);
+        emit CandidateRegistered(electionId, candidateId, name, ipfsHash);
     }
 
-    function startVotingSession(uint durationSeconds) external onlyAdmin {
-        require(!votingActive, "Voting already active");
-        votingActive = true;
-        votingStartTime = block.timestamp;
-        votingEndTime = block.timestamp + durationSeconds;
-        emit VotingSessionStarted(votingStartTime, votingEndTime);
+    function startVotingSession(uint electionId, uint durationSeconds) external onlyAdmin electionExists(electionId) {
+        Election storage election = elections[electionId];
+        require(!election.votingActive, "Voting already active");
+        require(certifications[electionId].certifiedAt == 0, "Results already certified");
+        election.votingActive = true;
+        election.commitReveal = false;
+        election.votingStartTime = block.timestamp;
+        election.votingEndTime = block.timestamp + durationSeconds;
+        emit VotingSessionStarted(electionId, election.votingStartTime, election.votingEndTime);
     }
 
-    function stopVotingSession() external onlyAdmin {
-        require(votingActive, "Voting not active");
-        votingActive = false;
-        votingEndTime = block.timestamp;
-        emit VotingSessionStopped(votingEndTime);
+    // Commit phase runs for commitSeconds, then ballots can be revealed for revealSeconds
+    function startCommitRevealSession(uint electionId, uint commitSeconds, uint revealSeconds) external onlyAdmin electionExists(electionId) {
+        Election storage election = elections[electionId];
+        require(!election.votingActive, "Voting already active");
+        require(certifications[electionId].certifiedAt == 0, "Results already certified");
+        require(revealSeconds > 0, "Reveal period required");
+        election.votingActive = true;
+        election.commitReveal = true;
+        election.votingStartTime = block.timestamp;
+        election.votingEndTime = block.timestamp + commitSeconds;
+        election.revealDuration = revealSeconds;
+        election.revealEndTime = election.votingEndTime + revealSeconds;
+        emit VotingSessionStarted(electionId, election.votingStartTime, election.votingEndTime);
+        emit RevealPeriodScheduled(electionId, election.votingEndTime, election.revealEndTime);
+    }
+
+    // In a commit-reveal election, stopping during the commit phase opens the reveal phase early
+    function stopVotingSession(uint electionId) external onlyAdmin electionExists(electionId) {
+        Election storage election = elections[electionId];
+        require(election.votingActive, "Voting not active");
+        election.votingActive = false;
+        if (!election.commitReveal) {
+            election.votingEndTime = block.timestamp;
+        } else if (block.timestamp < election.votingEndTime) {
+            election.votingEndTime = block.timestamp;
+            election.revealEndTime = block.timestamp + election.revealDuration;
+            emit RevealPeriodScheduled(electionId, election.votingEndTime, election.revealEndTime);
+        }
+        emit VotingSessionStopped(electionId, block.timestamp);
+    }
+
+    // The voter roll is fixed once voting starts, so every ballot of an election is checked against the same root
+    function setVoterRoot(uint electionId, bytes32 voterRoot) external onlyAdmin electionExists(electionId) {
+        require(elections[electionId].votingStartTime == 0, "Voting already started");
+        elections[electionId].voterRoot = voterRoot;
+        emit VoterRootSet(electionId, voterRoot);
+    }
+
+    // Pausing holds every ballot of this election (votes, commitments and reveals) without touching its schedule
+    function pauseElection(uint electionId) external onlyAdmin electionExists(electionId) {
+        Election storage election = elections[electionId];
+        require(!election.paused, "Election already paused");
+        election.paused = true;
+        emit ElectionPaused(electionId, block.timestamp);
+    }
+
+    function resumeElection(uint electionId) external onlyAdmin electionExists(electionId) {
+        Election storage election = elections[electionId];
+        require(election.paused, "Election not paused");
+        election.paused = false;
+        emit ElectionResumed(electionId, block.timestamp);
+    }
+
+    // Batches must cover the audit log without gaps, so no entry can be dropped between anchors
+    function anchorAuditRoot(bytes32 merkleRoot, uint fromSequence, uint toSequence) external onlyAdmin returns (uint) {
+        require(merkleRoot != bytes32(0), "Empty Merkle root");
+        require(toSequence >= fromSequence, "Invalid sequence range");
+        uint expectedFrom = auditAnchorCount == 0 ? 1 : auditAnchors[auditAnchorCount].toSequence + 1;
+        require(fromSequence == expectedFrom, "Audit batches must be contiguous");
+
+        uint batchId = ++auditAnchorCount;
+        auditAnchors[batchId] = AuditAnchor(merkleRoot, fromSequence, toSequence, block.timestamp);
+        emit AuditRootAnchored(batchId, merkleRoot, fromSequence, toSequence);
+        return batchId;
+    }
+
+    // Results are certified once, after voting and any reveal phase are over; the election cannot reopen afterwards.
+    // An election that ran to its end time counts as over even if nobody stopped the session.
+    function certifyResult(uint electionId, bytes32 resultHash, address[] calldata signers) external onlyAdmin electionExists(electionId) {
+        Election storage election = elections[electionId];
+        require(resultHash != bytes32(0), "Empty result hash");
+        require(signers.length > 0, "Signers required");
+        require(election.votingStartTime > 0, "Voting never started");
+        require(!election.votingActive || block.timestamp > election.votingEndTime, "Voting still active");
+        require(!election.commitReveal || block.timestamp > election.revealEndTime, "Reveal period not over");
+        require(certifications[electionId].certifiedAt == 0, "Results already certified");
+
+        certifications[electionId] = ResultCertification(resultHash, signers.length, block.timestamp);
+        emit ResultCertified(electionId, resultHash, signers);
     }
 
     // --- Voting Functions ---
-    function vote(uint candidateId) external onlyDuringVoting onlyOnce {
-        require(candidates[candidateId].id == candidateId, "Invalid candidate");
+    function vote(uint electionId, uint candidateId, bytes32[] calldata proof) external onlyDuringVoting(electionId) onlyOpenBallot(electionId) onlyListedVoter(electionId, msg.sender, proof) {
+        _castVote(electionId, msg.sender, candidateId);
+    }
+
+    // Relayed vote: the voter signs an EIP-712 Vote and anyone may submit it and pay the gas
+    function voteBySig(uint electionId, uint candidateId, address voter, uint deadline, bytes calldata signature, bytes32[] calldata proof) external onlyDuringVoting(electionId) onlyOpenBallot(electionId) onlyListedVoter(electionId, voter, proof) {
+        require(block.timestamp <= deadline, "Signature expired");
+        bytes32 structHash = keccak256(abi.encode(VOTE_TYPEHASH, voter, electionId, candidateId, nonces[voter], deadline));
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        require(signer == voter, "Invalid vote signature");
+        nonces[voter]++;
+        _castVote(electionId, voter, candidateId);
+    }
+
+    // Ranked ballot for instant-runoff elections: candidate IDs in order of preference
+    function voteRanked(uint electionId, uint[] calldata rankings, bytes32[] calldata proof) external onlyDuringVoting(electionId) onlyOpenBallot(electionId) onlyListedVoter(electionId, msg.sender, proof) {
+        _castRankedVote(electionId, msg.sender, rankings);
+    }
+
+    function voteRankedBySig(uint electionId, uint[] calldata rankings, address voter, uint deadline, bytes calldata signature, bytes32[] calldata proof) external onlyDuringVoting(electionId) onlyOpenBallot(electionId) onlyListedVoter(electionId, voter, proof) {
+        require(block.timestamp <= deadline, "Signature expired");
+        bytes32 structHash = keccak256(abi.encode(RANKED_VOTE_TYPEHASH, voter, electionId, keccak256(abi.encodePacked(rankings)), nonces[voter], deadline));
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        require(signer == voter, "Invalid vote signature");
+        nonces[voter]++;
+        _castRankedVote(electionId, voter, rankings);
+    }
+
+    // The first choice is counted like a plain vote; the full order is kept for the runoff tally
+    function _castRankedVote(uint electionId, address voter, uint[] calldata rankings) private {
+        require(rankings.length > 0, "Empty ballot");
+        for (uint i = 0; i < rankings.length; i++) {
+            require(candidates[rankings[i]].electionId == electionId, "Invalid candidate");
+            for (uint j = 0; j < i; j++) {
+                require(rankings[j] != rankings[i], "Candidate ranked twice");
+            }
+        }
+        _castVote(electionId, voter, rankings[0]);
+        voterToRankings[electionId][voter] = rankings;
+        emit RankedVoteCast(electionId, voter, rankings);
+    }
+
+    // Sealed ballot: commitment = keccak256(abi.encodePacked(keccak256(abi.encodePacked(electionId, voter, candidateId)), salt))
+    function commitVote(uint electionId, bytes32 commitment, bytes32[] calldata proof) external onlyDuringVoting(electionId) onlyListedVoter(electionId, msg.sender, proof) {
+        _commitVote(electionId, msg.sender, commitment);
+    }
+
+    function commitVoteBySig(uint electionId, bytes32 commitment, address voter, uint deadline, bytes calldata signature, bytes32[] calldata proof) external onlyDuringVoting(electionId) onlyListedVoter(electionId, voter, proof) {
+        require(block.timestamp <= deadline, "Signature expired");
+        bytes32 structHash = keccak256(abi.encode(VOTE_COMMITMENT_TYPEHASH, voter, electionId, commitment, nonces[voter], deadline));
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        require(signer == voter, "Invalid vote signature");
+        nonces[voter]++;
+        _commitVote(electionId, voter, commitment);
+    }
+
+    // Anyone holding the salt may reveal; the commitment binds the vote to the voter and the election
+    function revealVote(uint electionId, address voter, uint candidateId, bytes32 salt) external electionExists(electionId) {
+        Election storage election = elections[electionId];
+        require(election.commitReveal, "Election does not use commit-reveal voting");
+        require(block.timestamp > election.votingEndTime && block.timestamp <= election.revealEndTime, "Not in reveal period");
+        require(!election.paused, "Election is paused");
+        bytes32 commitment = commitments[electionId][voter];
+        require(commitment != bytes32(0), "No commitment found");
+        bytes32 sealedVote = keccak256(abi.encodePacked(electionId, voter, candidateId));
+        require(CryptographicUtils.verifyCommitment(sealedVote, salt, commitment), "Reveal does not match commitment");
+        _castVote(electionId, voter, candidateId);
+        emit VoteRevealed(electionId, voter, candidateId);
+    }
+
+    function _commitVote(uint electionId, address voter, bytes32 commitment) private {
+        require(elections[electionId].commitReveal, "Election does not use commit-reveal voting");
+        require(commitment != bytes32(0), "Empty commitment");
+        require(commitments[electionId][voter] == bytes32(0), "Vote already committed");
+        commitments[electionId][voter] = commitment;
+        emit VoteCommitted(electionId, voter, commitment);
+    }
+
+    function _castVote(uint electionId, address voter, uint candidateId) private {
+        require(!hasVoted[electionId][voter], "You have already voted");
+        require(candidates[candidateId].electionId == electionId, "Invalid candidate");
         candidates[candidateId].voteCount++;
-        hasVoted[msg.sender] = true;
-        voterToCandidate[msg.sender] = candidateId;
-        bytes32 voteHash = keccak256(abi.encodePacked(msg.sender, candidateId, block.timestamp));
-        voterToVoteHash[msg.sender] = voteHash;
-        bytes32 txHash = keccak256(abi.encodePacked(msg.sender, candidateId, block.number, blockhash(block.number - 1)));
-        voterToTxHash[msg.sender] = txHash;
-        emit VoteCast(msg.sender, candidateId, voteHash, txHash);
+        elections[electionId].totalVotes++;
+        hasVoted[electionId][voter] = true;
+        voterToCandidate[electionId][voter] = candidateId;
+        bytes32 voteHash = keccak256(abi.encodePacked(electionId, voter, candidateId, block.timestamp));
+        voterToVoteHash[electionId][voter] = voteHash;
+        bytes32 txHash = keccak256(abi.encodePacked(electionId, voter, candidateId, block.number, blockhash(block.number - 1)));
+        voterToTxHash[electionId][voter] = txHash;
+        emit VoteCast(electionId, voter, candidateId, voteHash, txHash);
     }
 
     // --- View Functions ---
-    function getCandidates() external view returns (Candidate[] memory) {
-        Candidate[] memory list = new Candidate[](candidateIds.length);
-        for (uint i = 0; i < candidateIds.length; i++) {
-            list[i] = candidates[candidateIds[i]];
+    function getElection(uint electionId) external view electionExists(electionId) returns (Election memory) {
+        return elections[electionId];
+    }
+
+    function getCandidates(uint electionId) external view returns (Candidate[] memory) {
+        uint[] storage ids = electionCandidateIds[electionId];
+        Candidate[] memory list = new Candidate[](ids.length);
+        for (uint i = 0; i < ids.length; i++) {
+            list[i] = candidates[ids[i]];
         }
         return list;
     }
@@ -105,39 +339,71 @@ contract BlocPol {
         return candidates[candidateId].voteCount;
     }
 
-    function isVotingActive() external view returns (bool) {
-        return votingActive && block.timestamp >= votingStartTime && block.timestamp <= votingEndTime;
+    function isVotingActive(uint electionId) external view returns (bool) {
+        Election storage election = elections[electionId];
+        return election.votingActive && !election.paused && block.timestamp >= election.votingStartTime && block.timestamp <= election.votingEndTime;
     }
 
-    function hasAddressVoted(address addr) external view returns (bool) {
-        return hasVoted[addr];
+    function hasAddressVoted(uint electionId, address addr) external view returns (bool) {
+        return hasVoted[electionId][addr];
     }
 
-    function getVoteHash(address voter) external view returns (bytes32) {
-        require(hasVoted[voter], "No vote found for this address");
-        return voterToVoteHash[voter];
+    function getVoteHash(uint electionId, address voter) external view returns (bytes32) {
+        require(hasVoted[electionId][voter], "No vote found for this address");
+        return voterToVoteHash[electionId][voter];
     }
 
-    function getVoteTxHash(address voter) external view returns (bytes32) {
-        require(hasVoted[voter], "No vote found for this address");
-        return voterToTxHash[voter];
+    function getVoteTxHash(uint electionId, address voter) external view returns (bytes32) {
+        require(hasVoted[electionId][voter], "No vote found for this address");
+        return voterToTxHash[electionId][voter];
+    }
+
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
     }
 
     function getDeploymentTimestamp() external view returns (uint) {
         return deploymentTimestamp;
     }
 
-    function getVotedCandidate(address voter) external view returns (uint) {
-        require(hasVoted[voter], "No vote found for this address");
-        return voterToCandidate[voter];
+    function getVotedCandidate(uint electionId, address voter) external view returns (uint) {
+        require(hasVoted[electionId][voter], "No vote found for this address");
+        return voterToCandidate[electionId][voter];
+    }
+
+    function getCommitment(uint electionId, address voter) external view returns (bytes32) {
+        return commitments[electionId][voter];
+    }
+
+    function getRankedBallot(uint electionId, address voter) external view returns (uint[] memory) {
+        require(hasVoted[electionId][voter], "No vote found for this address");
+        return voterToRankings[electionId][voter];
+    }
+
+    function getAuditAnchor(uint batchId) external view returns (bytes32 merkleRoot, uint fromSequence, uint toSequence, uint anchoredAt) {
+        require(batchId > 0 && batchId <= auditAnchorCount, "Audit batch does not exist");
+        AuditAnchor storage anchor = auditAnchors[batchId];
+        return (anchor.merkleRoot, anchor.fromSequence, anchor.toSequence, anchor.anchoredAt);
+    }
+
+    function getResultCertification(uint electionId) external view electionExists(electionId) returns (bytes32 resultHash, uint signerCount, uint certifiedAt) {
+        ResultCertification storage certification = certifications[electionId];
+        return (certification.resultHash, certification.signerCount, certification.certifiedAt);
+    }
+
+    // Leaves are audit entry hashes; pairs are hashed in sorted order (OpenZeppelin MerkleProof)
+    function verifyAuditEntry(uint batchId, bytes32 entryHash, bytes32[] calldata proof) external view returns (bool) {
+        require(batchId > 0 && batchId <= auditAnchorCount, "Audit batch does not exist");
+        return CryptographicUtils.verifyMerkleProof(entryHash, proof, auditAnchors[batchId].merkleRoot);
     }
 
     // --- Transparent Vote Viewing (anonymous) ---
-    function getAllVotes() external view returns (uint[] memory) {
-        uint[] memory votes = new uint[](candidateIds.length);
-        for (uint i = 0; i < candidateIds.length; i++) {
-            votes[i] = candidates[candidateIds[i]].voteCount;
+    function getAllVotes(uint electionId) external view returns (uint[] memory) {
+        uint[] storage ids = electionCandidateIds[electionId];
+        uint[] memory votes = new uint[](ids.length);
+        for (uint i = 0; i < ids.length; i++) {
+            votes[i] = candidates[ids[i]].voteCount;
         }
         return votes;
     }
-} 
\ No newline at end of file
+}
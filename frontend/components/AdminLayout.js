@@ -1,51 +1,78 @@
 import React from 'react';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
+import { useAdminAuth } from '../contexts/AdminAuthContext';
+import { ADMIN_PERMISSIONS } from '../utils/constants';
 import { 
   LayoutDashboard, 
   Users, 
   Vote, 
   FileText, 
   Settings,
+  ShieldCheck,
+  UserCheck,
   ArrowLeft
 } from 'lucide-react';
 
 const AdminLayout = ({ children }) => {
   const router = useRouter();
+  const { hasPermission } = useAdminAuth();
 
-  const adminNavItems = [
+  const allNavItems = [
     {
       href: '/admin',
+      permission: ADMIN_PERMISSIONS.STATS_READ,
       label: 'Dashboard',
       icon: LayoutDashboard,
       description: 'Overview and statistics'
     },
     {
       href: '/admin/elections',
+      permission: ADMIN_PERMISSIONS.ELECTIONS_READ,
       label: 'Elections',
       icon: Vote,
       description: 'Manage voting sessions'
     },
     {
       href: '/admin/candidates',
+      permission: ADMIN_PERMISSIONS.CANDIDATES_READ,
       label: 'Candidates',
       icon: Users,
       description: 'Manage candidates'
     },
+    {
+      href: '/admin/voters',
+      permission: ADMIN_PERMISSIONS.VOTERS_READ,
+      label: 'Voters',
+      icon: UserCheck,
+      description: 'Manage registered voters'
+    },
+    {
+      href: '/admin/documents',
+      permission: ADMIN_PERMISSIONS.VOTERS_REVIEW,
+      label: 'Documents',
+      icon: ShieldCheck,
+      description: 'Review identity documents'
+    },
     {
       href: '/admin/audit',
+      permission: ADMIN_PERMISSIONS.AUDIT_READ,
       label: 'Audit Trail',
       icon: FileText,
       description: 'View system logs'
     },
     {
       href: '/admin/settings',
+      permission: ADMIN_PERMISSIONS.SETTINGS_READ,
       label: 'Settings',
       icon: Settings,
       description: 'System configuration'
     }
   ];
 
+  // Only show sections the current admin role can use
+  const adminNavItems = allNavItems.filter(item => hasPermission(item.permission));
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
       {/* Admin Navigation */}
@@ -0,0 +1,52 @@
+import React from 'react';
+import Card from './Card';
+import { PauseCircle, XCircle } from 'lucide-react';
+
+// Tells voters that an election is paused or cancelled, and why; renders nothing otherwise
+const ElectionStatusBanner = ({ title, status, pauseReason, cancellationReason, className = '' }) => {
+  if (status === 'paused') {
+    return (
+      <Card hover={false} className={`p-6 bg-yellow-50 dark:bg-yellow-900 border-yellow-200 dark:border-yellow-700 ${className}`}>
+        <div className="flex items-start space-x-3">
+          <PauseCircle className="w-6 h-6 text-yellow-500 flex-shrink-0" />
+          <div>
+            <h3 className="text-lg font-semibold text-yellow-800 dark:text-yellow-200">
+              Voting in {title || 'this election'} is paused
+            </h3>
+            {pauseReason && (
+              <p className="text-yellow-700 dark:text-yellow-300">{pauseReason}</p>
+            )}
+            <p className="text-sm text-yellow-700 dark:text-yellow-300 mt-1">
+              No votes are accepted until the election officials resume it.
+            </p>
+          </div>
+        </div>
+      </Card>
+    );
+  }
+
+  if (status === 'cancelled') {
+    return (
+      <Card hover={false} className={`p-6 bg-red-50 dark:bg-red-900 border-red-200 dark:border-red-700 ${className}`}>
+        <div className="flex items-start space-x-3">
+          <XCircle className="w-6 h-6 text-red-500 flex-shrink-0" />
+          <div>
+            <h3 className="text-lg font-semibold text-red-800 dark:text-red-200">
+              {title || 'This election'} was cancelled
+            </h3>
+            {cancellationReason && (
+              <p className="text-red-600 dark:text-red-300">{cancellationReason}</p>
+            )}
+            <p className="text-sm text-red-600 dark:text-red-300 mt-1">
+              Votes are no longer accepted and its results will not be official.
+            </p>
+          </div>
+        </div>
+      </Card>
+    );
+  }
+
+  return null;
+};
+
+export default ElectionStatusBanner;
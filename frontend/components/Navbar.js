@@ -81,6 +81,24 @@ const Navbar = () => {
             >
               Results
             </Link>
+            <Link
+              href="/delegation"
+              className="text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400 transition-colors duration-200"
+            >
+              Delegation
+            </Link>
+            <Link
+              href="/verification"
+              className="text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400 transition-colors duration-200"
+            >
+              Verification
+            </Link>
+            <Link
+              href="/nominate"
+              className="text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400 transition-colors duration-200"
+            >
+              Nominate
+            </Link>
             <Link
               href="/register"
               className="text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400 transition-colors duration-200"
@@ -155,6 +173,27 @@ const Navbar = () => {
               >
                 Results
               </Link>
+              <Link
+                href="/delegation"
+                className="block px-3 py-2 text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400 transition-colors duration-200"
+                onClick={() => setIsMobileMenuOpen(false)}
+              >
+                Delegation
+              </Link>
+              <Link
+                href="/verification"
+                className="block px-3 py-2 text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400 transition-colors duration-200"
+                onClick={() => setIsMobileMenuOpen(false)}
+              >
+                Verification
+              </Link>
+              <Link
+                href="/nominate"
+                className="block px-3 py-2 text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400 transition-colors duration-200"
+                onClick={() => setIsMobileMenuOpen(false)}
+              >
+                Stand as a Candidate
+              </Link>
               <Link
                 href="/register"
                 className="block px-3 py-2 text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400 transition-colors duration-200"
@@ -0,0 +1,108 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { useWallet } from './WalletContext';
+import { apiService, storeSessionTokens, clearSessionTokens, AUTH_TOKEN_KEY } from '../services/api';
+
+const AdminAuthContext = createContext();
+
+export const useAdminAuth = () => {
+  const context = useContext(AdminAuthContext);
+  if (!context) {
+    throw new Error('useAdminAuth must be used within an AdminAuthProvider');
+  }
+  return context;
+};
+
+export const AdminAuthProvider = ({ children }) => {
+  const { account, signMessage } = useWallet();
+  const [session, setSession] = useState(null);
+  const [isCheckingSession, setIsCheckingSession] = useState(true);
+  const [isSigningIn, setIsSigningIn] = useState(false);
+
+  // Restore an existing session on page load
+  useEffect(() => {
+    const restoreSession = async () => {
+      if (!localStorage.getItem(AUTH_TOKEN_KEY)) {
+        setIsCheckingSession(false);
+        return;
+      }
+
+      try {
+        const data = await apiService.getAdminSession();
+        setSession(data.session);
+      } catch (err) {
+        clearSessionTokens();
+        setSession(null);
+      } finally {
+        setIsCheckingSession(false);
+      }
+    };
+
+    restoreSession();
+  }, []);
+
+  // A session belongs to one wallet: drop it when the wallet changes
+  useEffect(() => {
+    if (session && account && session.walletAddress !== account.toLowerCase()) {
+      clearSessionTokens();
+      setSession(null);
+    }
+  }, [account, session]);
+
+  // Sign in with Ethereum: request a challenge, sign it, exchange it for tokens
+  const signIn = async () => {
+    if (!account) {
+      throw new Error('Wallet not connected');
+    }
+
+    setIsSigningIn(true);
+    try {
+      const challenge = await apiService.requestAdminNonce(account);
+      const signature = await signMessage(challenge.message);
+      const data = await apiService.adminLogin({
+        walletAddress: account,
+        message: challenge.message,
+        signature,
+      });
+
+      storeSessionTokens(data);
+      const { session: current } = await apiService.getAdminSession();
+      setSession(current);
+      return current;
+    } finally {
+      setIsSigningIn(false);
+    }
+  };
+
+  const signOut = async () => {
+    try {
+      await apiService.adminLogout();
+    } catch (err) {
+      console.error('Error signing out:', err);
+    } finally {
+      clearSessionTokens();
+      setSession(null);
+    }
+  };
+
+  // Permissions come from the admin's role on the server
+  const hasPermission = (permission) => {
+    return !!session?.permissions?.includes(permission);
+  };
+
+  const value = {
+    session,
+    role: session?.role || null,
+    isAuthenticated: !!session,
+    isCheckingSession,
+    isSigningIn,
+    signIn,
+    signOut,
+    hasPermission,
+  };
+
+  return (
+    <AdminAuthContext.Provider value={value}>
+      {children}
+    </AdminAuthContext.Provider>
+  );
+};
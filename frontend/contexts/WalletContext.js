@@ -79,6 +79,54 @@ export const WalletProvider = ({ children }) => {
     }
   };
 
+  // Sign EIP-712 typed data ({ domain, types, primaryType, message })
+  const signTypedData = async (typedData) => {
+    if (!account) {
+      throw new Error('Wallet not connected');
+    }
+
+    try {
+      const { domain, types, primaryType, message } = typedData;
+      const payload = {
+        domain,
+        types: {
+          EIP712Domain: [
+            { name: 'name', type: 'string' },
+            { name: 'version', type: 'string' },
+            { name: 'chainId', type: 'uint256' },
+            { name: 'verifyingContract', type: 'address' },
+          ],
+          ...types,
+        },
+        primaryType,
+        message,
+      };
+
+      return await window.ethereum.request({
+        method: 'eth_signTypedData_v4',
+        params: [account, JSON.stringify(payload)],
+      });
+    } catch (err) {
+      console.error('Error signing typed data:', err);
+      throw new Error('Failed to sign vote');
+    }
+  };
+
+  // Send a transaction ({ to, data }) from the connected wallet and wait until it is mined
+  const sendTransaction = async ({ to, data }) => {
+    if (!web3 || !account) {
+      throw new Error('Wallet not connected');
+    }
+
+    try {
+      const receipt = await web3.eth.sendTransaction({ from: account, to, data });
+      return receipt.transactionHash;
+    } catch (err) {
+      console.error('Error sending transaction:', err);
+      throw new Error('Transaction failed or was rejected');
+    }
+  };
+
   // Get account balance
   const getBalance = async () => {
     if (!web3 || !account) return '0';
@@ -146,6 +194,8 @@ export const WalletProvider = ({ children }) => {
     connectWallet,
     disconnectWallet,
     signMessage,
+    signTypedData,
+    sendTransaction,
     getBalance,
     isMetaMaskInstalled,
   };
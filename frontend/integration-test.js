@@ -38,10 +38,10 @@ async function testApiService() {
     // await apiService.getCandidates();
     console.log('✓ getCandidates function exists');
     
-    // Test getResults
-    console.log('Testing getResults...');
-    // await apiService.getResults();
-    console.log('✓ getResults function exists');
+    // Test getElectionResults
+    console.log('Testing getElectionResults...');
+    // await apiService.getElectionResults();
+    console.log('✓ getElectionResults function exists');
     
     // Test registerVoter
     console.log('Testing registerVoter...');
@@ -44,12 +44,29 @@ async function connectMetaMaskWeb3() {
 }
 
 // Admin Functions (Web3.js)
-async function registerCandidateWeb3(name, ipfsHash) {
+async function createElectionWeb3(name) {
   try {
     const { blocPolContract, account } = await connectMetaMaskWeb3();
     
     const result = await blocPolContract.methods
-      .registerCandidate(name, ipfsHash)
+      .createElection(name)
+      .send({ from: account });
+    
+    const electionId = result.events.ElectionCreated.returnValues.electionId;
+    console.log('Election created:', electionId);
+    return electionId;
+  } catch (error) {
+    console.error('Error creating election:', error);
+    throw error;
+  }
+}
+
+async function registerCandidateWeb3(electionId, name, ipfsHash) {
+  try {
+    const { blocPolContract, account } = await connectMetaMaskWeb3();
+    
+    const result = await blocPolContract.methods
+      .registerCandidate(electionId, name, ipfsHash)
       .send({ from: account });
     
     console.log('Candidate registered:', result);
@@ -60,12 +77,12 @@ async function registerCandidateWeb3(name, ipfsHash) {
   }
 }
 
-async function startVotingSessionWeb3(durationSeconds) {
+async function startVotingSessionWeb3(electionId, durationSeconds) {
   try {
     const { blocPolContract, account } = await connectMetaMaskWeb3();
     
     const result = await blocPolContract.methods
-      .startVotingSession(durationSeconds)
+      .startVotingSession(electionId, durationSeconds)
       .send({ from: account });
     
     console.log('Voting session started:', result);
@@ -76,12 +93,12 @@ async function startVotingSessionWeb3(durationSeconds) {
   }
 }
 
-async function stopVotingSessionWeb3() {
+async function stopVotingSessionWeb3(electionId) {
   try {
     const { blocPolContract, account } = await connectMetaMaskWeb3();
     
     const result = await blocPolContract.methods
-      .stopVotingSession()
+      .stopVotingSession(electionId)
       .send({ from: account });
     
     console.log('Voting session stopped:', result);
@@ -93,12 +110,13 @@ async function stopVotingSessionWeb3() {
 }
 
 // Voting Functions (Web3.js)
-async function voteWeb3(candidateId) {
+// `proof` is the voter's inclusion proof, needed only in elections with a voter roll
+async function voteWeb3(electionId, candidateId, proof = []) {
   try {
     const { blocPolContract, account } = await connectMetaMaskWeb3();
     
     const result = await blocPolContract.methods
-      .vote(candidateId)
+      .vote(electionId, candidateId, proof)
       .send({ from: account });
     
     console.log('Vote cast:', result);
@@ -110,11 +128,11 @@ async function voteWeb3(candidateId) {
 }
 
 // View Functions (Web3.js)
-async function getCandidatesWeb3() {
+async function getCandidatesWeb3(electionId) {
   try {
     const { blocPolContract } = await connectMetaMaskWeb3();
     
-    const candidates = await blocPolContract.methods.getCandidates().call();
+    const candidates = await blocPolContract.methods.getCandidates(electionId).call();
     console.log('Candidates:', candidates);
     return candidates;
   } catch (error) {
@@ -136,11 +154,11 @@ async function getTotalVotesWeb3(candidateId) {
   }
 }
 
-async function isVotingActiveWeb3() {
+async function isVotingActiveWeb3(electionId) {
   try {
     const { blocPolContract } = await connectMetaMaskWeb3();
     
-    const isActive = await blocPolContract.methods.isVotingActive().call();
+    const isActive = await blocPolContract.methods.isVotingActive(electionId).call();
     console.log('Voting active:', isActive);
     return isActive;
   } catch (error) {
@@ -149,11 +167,11 @@ async function isVotingActiveWeb3() {
   }
 }
 
-async function hasAddressVotedWeb3(address) {
+async function hasAddressVotedWeb3(electionId, address) {
   try {
     const { blocPolContract } = await connectMetaMaskWeb3();
     
-    const hasVoted = await blocPolContract.methods.hasAddressVoted(address).call();
+    const hasVoted = await blocPolContract.methods.hasAddressVoted(electionId, address).call();
     console.log(`Address ${address} has voted:`, hasVoted);
     return hasVoted;
   } catch (error) {
@@ -162,11 +180,11 @@ async function hasAddressVotedWeb3(address) {
   }
 }
 
-async function getVoteHashWeb3(voterAddress) {
+async function getVoteHashWeb3(electionId, voterAddress) {
   try {
     const { blocPolContract } = await connectMetaMaskWeb3();
     
-    const voteHash = await blocPolContract.methods.getVoteHash(voterAddress).call();
+    const voteHash = await blocPolContract.methods.getVoteHash(electionId, voterAddress).call();
     console.log('Vote hash:', voteHash);
     return voteHash;
   } catch (error) {
@@ -175,11 +193,11 @@ async function getVoteHashWeb3(voterAddress) {
   }
 }
 
-async function getVoteTxHashWeb3(voterAddress) {
+async function getVoteTxHashWeb3(electionId, voterAddress) {
   try {
     const { blocPolContract } = await connectMetaMaskWeb3();
     
-    const txHash = await blocPolContract.methods.getVoteTxHash(voterAddress).call();
+    const txHash = await blocPolContract.methods.getVoteTxHash(electionId, voterAddress).call();
     console.log('Transaction hash:', txHash);
     return txHash;
   } catch (error) {
@@ -199,6 +217,7 @@ async function listenToVoteCastEventsWeb3() {
     }
     
     console.log('VoteCast event:', {
+      electionId: event.returnValues.electionId,
       voter: event.returnValues.voter,
       candidateId: event.returnValues.candidateId,
       voteHash: event.returnValues.voteHash,
@@ -244,11 +263,27 @@ async function connectMetaMaskEthers() {
 }
 
 // Admin Functions (Ethers.js)
-async function registerCandidateEthers(name, ipfsHash) {
+async function createElectionEthers(name) {
   try {
     const { blocPolContract } = await connectMetaMaskEthers();
     
-    const tx = await blocPolContract.registerCandidate(name, ipfsHash);
+    const tx = await blocPolContract.createElection(name);
+    const receipt = await tx.wait();
+    
+    const electionId = receipt.events.find(e => e.event === 'ElectionCreated').args.electionId;
+    console.log('Election created:', electionId.toString());
+    return electionId;
+  } catch (error) {
+    console.error('Error creating election:', error);
+    throw error;
+  }
+}
+
+async function registerCandidateEthers(electionId, name, ipfsHash) {
+  try {
+    const { blocPolContract } = await connectMetaMaskEthers();
+    
+    const tx = await blocPolContract.registerCandidate(electionId, name, ipfsHash);
     const receipt = await tx.wait();
     
     console.log('Candidate registered:', receipt);
@@ -259,11 +294,11 @@ async function registerCandidateEthers(name, ipfsHash) {
   }
 }
 
-async function startVotingSessionEthers(durationSeconds) {
+async function startVotingSessionEthers(electionId, durationSeconds) {
   try {
     const { blocPolContract } = await connectMetaMaskEthers();
     
-    const tx = await blocPolContract.startVotingSession(durationSeconds);
+    const tx = await blocPolContract.startVotingSession(electionId, durationSeconds);
     const receipt = await tx.wait();
     
     console.log('Voting session started:', receipt);
@@ -274,11 +309,11 @@ async function startVotingSessionEthers(durationSeconds) {
   }
 }
 
-async function stopVotingSessionEthers() {
+async function stopVotingSessionEthers(electionId) {
   try {
     const { blocPolContract } = await connectMetaMaskEthers();
     
-    const tx = await blocPolContract.stopVotingSession();
+    const tx = await blocPolContract.stopVotingSession(electionId);
     const receipt = await tx.wait();
     
     console.log('Voting session stopped:', receipt);
@@ -290,11 +325,12 @@ async function stopVotingSessionEthers() {
 }
 
 // Voting Functions (Ethers.js)
-async function voteEthers(candidateId) {
+// `proof` is the voter's inclusion proof, needed only in elections with a voter roll
+async function voteEthers(electionId, candidateId, proof = []) {
   try {
     const { blocPolContract } = await connectMetaMaskEthers();
     
-    const tx = await blocPolContract.vote(candidateId);
+    const tx = await blocPolContract.vote(electionId, candidateId, proof);
     const receipt = await tx.wait();
     
     console.log('Vote cast:', receipt);
@@ -306,11 +342,11 @@ async function voteEthers(candidateId) {
 }
 
 // View Functions (Ethers.js)
-async function getCandidatesEthers() {
+async function getCandidatesEthers(electionId) {
   try {
     const { blocPolContract } = await connectMetaMaskEthers();
     
-    const candidates = await blocPolContract.getCandidates();
+    const candidates = await blocPolContract.getCandidates(electionId);
     console.log('Candidates:', candidates);
     return candidates;
   } catch (error) {
@@ -332,11 +368,11 @@ async function getTotalVotesEthers(candidateId) {
   }
 }
 
-async function isVotingActiveEthers() {
+async function isVotingActiveEthers(electionId) {
   try {
     const { blocPolContract } = await connectMetaMaskEthers();
     
-    const isActive = await blocPolContract.isVotingActive();
+    const isActive = await blocPolContract.isVotingActive(electionId);
     console.log('Voting active:', isActive);
     return isActive;
   } catch (error) {
@@ -345,11 +381,11 @@ async function isVotingActiveEthers() {
   }
 }
 
-async function hasAddressVotedEthers(address) {
+async function hasAddressVotedEthers(electionId, address) {
   try {
     const { blocPolContract } = await connectMetaMaskEthers();
     
-    const hasVoted = await blocPolContract.hasAddressVoted(address);
+    const hasVoted = await blocPolContract.hasAddressVoted(electionId, address);
     console.log(`Address ${address} has voted:`, hasVoted);
     return hasVoted;
   } catch (error) {
@@ -358,11 +394,11 @@ async function hasAddressVotedEthers(address) {
   }
 }
 
-async function getVoteHashEthers(voterAddress) {
+async function getVoteHashEthers(electionId, voterAddress) {
   try {
     const { blocPolContract } = await connectMetaMaskEthers();
     
-    const voteHash = await blocPolContract.getVoteHash(voterAddress);
+    const voteHash = await blocPolContract.getVoteHash(electionId, voterAddress);
     console.log('Vote hash:', voteHash);
     return voteHash;
   } catch (error) {
@@ -371,11 +407,11 @@ async function getVoteHashEthers(voterAddress) {
   }
 }
 
-async function getVoteTxHashEthers(voterAddress) {
+async function getVoteTxHashEthers(electionId, voterAddress) {
   try {
     const { blocPolContract } = await connectMetaMaskEthers();
     
-    const txHash = await blocPolContract.getVoteTxHash(voterAddress);
+    const txHash = await blocPolContract.getVoteTxHash(electionId, voterAddress);
     console.log('Transaction hash:', txHash);
     return txHash;
   } catch (error) {
@@ -388,8 +424,9 @@ async function getVoteTxHashEthers(voterAddress) {
 async function listenToVoteCastEventsEthers() {
   const { blocPolContract } = await connectMetaMaskEthers();
   
-  blocPolContract.on("VoteCast", (voter, candidateId, voteHash, txHash, event) => {
+  blocPolContract.on("VoteCast", (electionId, voter, candidateId, voteHash, txHash, event) => {
     console.log('VoteCast event:', {
+      electionId: electionId.toString(),
       voter,
       candidateId: candidateId.toString(),
       voteHash,
@@ -449,37 +486,37 @@ async function getNetworkInfo() {
 // ============================================================================
 
 // Example: Complete voting flow
-async function completeVotingFlow() {
+async function completeVotingFlow(electionId) {
   try {
     // 1. Connect to wallet
     const { account } = await connectMetaMaskEthers();
     console.log('Connected as:', account);
     
     // 2. Check if voting is active
-    const isActive = await isVotingActiveEthers();
+    const isActive = await isVotingActiveEthers(electionId);
     if (!isActive) {
       console.log('Voting is not active');
       return;
     }
     
     // 3. Get candidates
-    const candidates = await getCandidatesEthers();
+    const candidates = await getCandidatesEthers(electionId);
     console.log('Available candidates:', candidates);
     
     // 4. Check if user has already voted
-    const hasVoted = await hasAddressVotedEthers(account);
+    const hasVoted = await hasAddressVotedEthers(electionId, account);
     if (hasVoted) {
       console.log('You have already voted');
       return;
     }
     
     // 5. Cast vote (example: vote for candidate 0)
-    const voteResult = await voteEthers(0);
+    const voteResult = await voteEthers(electionId, 0);
     console.log('Vote cast successfully:', voteResult);
     
     // 6. Get vote proof
-    const voteHash = await getVoteHashEthers(account);
-    const txHash = await getVoteTxHashEthers(account);
+    const voteHash = await getVoteHashEthers(electionId, account);
+    const txHash = await getVoteTxHashEthers(electionId, account);
     console.log('Vote proof:', { voteHash, txHash });
     
   } catch (error) {
@@ -490,14 +527,17 @@ async function completeVotingFlow() {
 // Example: Admin setup flow
 async function adminSetupFlow() {
   try {
-    // 1. Register candidates
-    await registerCandidateEthers("Alice Johnson", "QmHash1");
-    await registerCandidateEthers("Bob Smith", "QmHash2");
-    await registerCandidateEthers("Carol Davis", "QmHash3");
+    // 1. Create an election (IDs start at 1)
+    const electionId = await createElectionEthers("General Election");
+
+    // 2. Register candidates
+    await registerCandidateEthers(electionId, "Alice Johnson", "QmHash1");
+    await registerCandidateEthers(electionId, "Bob Smith", "QmHash2");
+    await registerCandidateEthers(electionId, "Carol Davis", "QmHash3");
     
-    // 2. Start voting session (24 hours)
+    // 3. Start voting session (24 hours)
     const durationSeconds = 24 * 60 * 60; // 24 hours
-    await startVotingSessionEthers(durationSeconds);
+    await startVotingSessionEthers(electionId, durationSeconds);
     
     console.log('Admin setup completed successfully');
   } catch (error) {
@@ -510,6 +550,7 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     // Web3.js functions
     connectMetaMaskWeb3,
+    createElectionWeb3,
     registerCandidateWeb3,
     startVotingSessionWeb3,
     stopVotingSessionWeb3,
@@ -524,6 +565,7 @@ if (typeof module !== 'undefined' && module.exports) {
     
     // Ethers.js functions
     connectMetaMaskEthers,
+    createElectionEthers,
     registerCandidateEthers,
     startVotingSessionEthers,
     stopVotingSessionEthers,
@@ -2,6 +2,7 @@ import React from 'react';
 import Head from 'next/head';
 import { ToastContainer } from 'react-toastify';
 import { WalletProvider } from '../contexts/WalletContext';
+import { AdminAuthProvider } from '../contexts/AdminAuthContext';
 import ErrorBoundary from '../components/ErrorBoundary';
 import '../styles/globals.css';
 import 'react-toastify/dist/ReactToastify.css';
@@ -10,29 +11,31 @@ export default function App({ Component, pageProps }) {
   return (
     <ErrorBoundary>
       <WalletProvider>
-        <Head>
-          <meta name="viewport" content="width=device-width, initial-scale=1" />
-          <link rel="icon" href="/favicon.ico" />
-          <title>BlocPol - Secure Blockchain Voting</title>
-          <meta name="description" content="A secure, transparent, and verifiable voting system powered by blockchain technology." />
-        </Head>
+        <AdminAuthProvider>
+          <Head>
+            <meta name="viewport" content="width=device-width, initial-scale=1" />
+            <link rel="icon" href="/favicon.ico" />
+            <title>BlocPol - Secure Blockchain Voting</title>
+            <meta name="description" content="A secure, transparent, and verifiable voting system powered by blockchain technology." />
+          </Head>
         
-        <Component {...pageProps} />
+          <Component {...pageProps} />
         
-        <ToastContainer
-          position="top-right"
-          autoClose={5000}
-          hideProgressBar={false}
-          newestOnTop={false}
-          closeOnClick
-          rtl={false}
-          pauseOnFocusLoss
-          draggable
-          pauseOnHover
-          theme="light"
-          toastClassName="rounded-2xl"
-          bodyClassName="font-medium"
-        />
+          <ToastContainer
+            position="top-right"
+            autoClose={5000}
+            hideProgressBar={false}
+            newestOnTop={false}
+            closeOnClick
+            rtl={false}
+            pauseOnFocusLoss
+            draggable
+            pauseOnHover
+            theme="light"
+            toastClassName="rounded-2xl"
+            bodyClassName="font-medium"
+          />
+        </AdminAuthProvider>
       </WalletProvider>
     </ErrorBoundary>
   );
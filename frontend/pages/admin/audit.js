@@ -34,6 +34,12 @@ export default function AuditTrail() {
   const [searchTerm, setSearchTerm] = useState('');
   const [actionFilter, setActionFilter] = useState('all');
   const [dateFilter, setDateFilter] = useState('all');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [actorFilter, setActorFilter] = useState('');
+  const [electionFilter, setElectionFilter] = useState('');
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [isExporting, setIsExporting] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const itemsPerPage = 10;
@@ -50,6 +56,12 @@ export default function AuditTrail() {
     'AUDIT_LOG_CREATED'
   ];
 
+  const exportFormats = [
+    { key: 'csv', label: 'CSV', extension: 'csv' },
+    { key: 'ndjson', label: 'JSON Lines', extension: 'ndjson' },
+    { key: 'bundle', label: 'Signed Bundle', extension: 'tar.gz' }
+  ];
+
   const dateRanges = [
     { key: 'all', label: 'All Time' },
     { key: 'today', label: 'Today' },
@@ -68,7 +80,7 @@ export default function AuditTrail() {
     if (isAdmin) {
       fetchAuditLogs();
     }
-  }, [isAdmin, currentPage, actionFilter, dateFilter]);
+  }, [isAdmin, currentPage, actionFilter, dateFilter, fromDate, toDate]);
 
   const checkAdminStatus = async () => {
     // Always return admin access for testing purposes
@@ -76,15 +88,24 @@ export default function AuditTrail() {
     fetchAuditLogs();
   };
 
+  // Filters shared by the list and the export
+  const getFilters = () => ({
+    action: actionFilter,
+    dateRange: dateFilter,
+    search: searchTerm,
+    from: fromDate ? new Date(fromDate).toISOString() : undefined,
+    to: toDate ? new Date(toDate).toISOString() : undefined,
+    actor: actorFilter.trim() || undefined,
+    electionId: electionFilter.trim() || undefined
+  });
+
   const fetchAuditLogs = async () => {
     try {
       setIsLoading(true);
       const data = await apiService.getAuditLogs({
         page: currentPage,
         limit: itemsPerPage,
-        action: actionFilter,
-        dateRange: dateFilter,
-        search: searchTerm
+        ...getFilters()
       });
       
       setAuditLogs(data.logs || []);
@@ -106,16 +127,25 @@ export default function AuditTrail() {
   };
 
   const handleExport = async () => {
+    const format = exportFormats.find((f) => f.key === exportFormat);
+    setIsExporting(true);
+
     try {
-      await apiService.exportAuditLogs({
-        action: actionFilter,
-        dateRange: dateFilter,
-        search: searchTerm
-      });
+      const file = await apiService.exportAuditLogs({ ...getFilters(), format: format.key });
+
+      const url = URL.createObjectURL(file);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit_logs_${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+      link.click();
+      URL.revokeObjectURL(url);
+
       toast.success('Audit logs exported successfully');
     } catch (error) {
       console.error('Error exporting audit logs:', error);
-      toast.error('Failed to export audit logs');
+      toast.error(error.message || 'Failed to export audit logs');
+    } finally {
+      setIsExporting(false);
     }
   };
 
@@ -297,13 +327,28 @@ export default function AuditTrail() {
                 Monitor all system activities and transactions
               </p>
             </div>
-            <button
-              onClick={handleExport}
-              className="btn-outline flex items-center space-x-2"
-            >
-              <Download className="w-5 h-5" />
-              <span>Export Logs</span>
-            </button>
+            <div className="flex items-center space-x-3">
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-xl bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                title="Export format"
+              >
+                {exportFormats.map((format) => (
+                  <option key={format.key} value={format.key}>
+                    {format.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={handleExport}
+                disabled={isExporting}
+                className="btn-outline flex items-center space-x-2 disabled:opacity-50"
+              >
+                <Download className="w-5 h-5" />
+                <span>{isExporting ? 'Exporting...' : 'Export Logs'}</span>
+              </button>
+            </div>
           </div>
 
           {/* Filters */}
@@ -354,6 +399,48 @@ export default function AuditTrail() {
                 </select>
               </div>
             </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mt-4">
+              <div>
+                <label className="form-label">From</label>
+                <input
+                  type="datetime-local"
+                  value={fromDate}
+                  onChange={(e) => setFromDate(e.target.value)}
+                  className="form-input"
+                />
+              </div>
+              <div>
+                <label className="form-label">To</label>
+                <input
+                  type="datetime-local"
+                  value={toDate}
+                  onChange={(e) => setToDate(e.target.value)}
+                  className="form-input"
+                />
+              </div>
+              <div>
+                <label className="form-label">Actor</label>
+                <input
+                  type="text"
+                  placeholder="0x..."
+                  value={actorFilter}
+                  onChange={(e) => setActorFilter(e.target.value)}
+                  onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
+                  className="form-input font-mono"
+                />
+              </div>
+              <div>
+                <label className="form-label">Election ID</label>
+                <input
+                  type="text"
+                  value={electionFilter}
+                  onChange={(e) => setElectionFilter(e.target.value)}
+                  onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
+                  className="form-input font-mono"
+                />
+              </div>
+            </div>
           </Card>
 
           {/* Audit Logs Table */}
@@ -3,7 +3,7 @@ import Head from 'next/head';
 import { useRouter } from 'next/router';
 import { toast } from 'react-toastify';
 import { useWallet } from '../../contexts/WalletContext';
-import { apiService } from '../../services/api';
+import { apiService, getMediaUrl } from '../../services/api';
 import Navbar from '../../components/Navbar';
 import Card from '../../components/Card';
 import LoadingSpinner from '../../components/LoadingSpinner';
@@ -20,7 +20,11 @@ import {
   User,
   ArrowLeft,
   Search,
-  Filter
+  Filter,
+  FileText,
+  Flag,
+  Scale,
+  Camera
 } from 'lucide-react';
 
 export default function CandidatesManagement() {
@@ -30,7 +34,7 @@ export default function CandidatesManagement() {
   const [isAdmin, setIsAdmin] = useState(false);
   const [candidates, setCandidates] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
-  const [statusFilter, setStatusFilter] = useState('all'); // all, active, pending, rejected
+  const [statusFilter, setStatusFilter] = useState('all'); // all, active, pending, rejected, appeals
 
   useEffect(() => {
     // Always allow admin access for testing purposes
@@ -66,23 +70,55 @@ export default function CandidatesManagement() {
       fetchCandidates();
     } catch (error) {
       console.error('Error approving candidate:', error);
-      toast.error('Failed to approve candidate');
+      toast.error(error.message);
     }
   };
 
+  // The reason is emailed to the candidate, who can appeal a rejected nomination once
   const handleRejectCandidate = async (candidateId) => {
-    if (window.confirm('Are you sure you want to reject this candidate?')) {
-      try {
-        await apiService.rejectCandidate(candidateId);
-        toast.success('Candidate rejected');
-        fetchCandidates();
-      } catch (error) {
-        console.error('Error rejecting candidate:', error);
-        toast.error('Failed to reject candidate');
-      }
+    const reason = window.prompt('Why is this candidate rejected? The candidate is emailed this reason.');
+    if (reason === null) return;
+
+    try {
+      await apiService.rejectCandidate(candidateId, reason.trim());
+      toast.success('Candidate rejected');
+      fetchCandidates();
+    } catch (error) {
+      console.error('Error rejecting candidate:', error);
+      toast.error(error.message);
     }
   };
 
+  // Open a manifesto or supporting document uploaded with a nomination
+  const handleOpenDocument = async (candidateId, documentId) => {
+    try {
+      const file = await apiService.getCandidateDocumentFile(candidateId, documentId);
+      const url = URL.createObjectURL(file);
+      window.open(url, '_blank');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  // Photos are resized by the backend and become part of the profile registered on-chain at approval
+  const handleUploadPhoto = async (candidateId, e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      await apiService.uploadCandidatePhoto(candidateId, file);
+      toast.success('Photo uploaded');
+      fetchCandidates();
+    } catch (error) {
+      console.error('Error uploading photo:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const hasPendingAppeal = (candidate) => !!(candidate.appeal?.submittedAt && !candidate.appeal.decision);
+
   const handleDeleteCandidate = async (candidateId) => {
     if (window.confirm('Are you sure you want to delete this candidate?')) {
       try {
@@ -125,7 +161,8 @@ export default function CandidatesManagement() {
   const filteredCandidates = candidates.filter(candidate => {
     const matchesSearch = candidate.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
                          candidate.party?.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesStatus = statusFilter === 'all' || candidate.status === statusFilter;
+    const matchesStatus = statusFilter === 'all' ||
+                         (statusFilter === 'appeals' ? hasPendingAppeal(candidate) : candidate.status === statusFilter);
     return matchesSearch && matchesStatus;
   });
 
@@ -290,7 +327,8 @@ export default function CandidatesManagement() {
                   { key: 'all', label: 'All' },
                   { key: 'active', label: 'Active' },
                   { key: 'pending', label: 'Pending' },
-                  { key: 'rejected', label: 'Rejected' }
+                  { key: 'rejected', label: 'Rejected' },
+                  { key: 'appeals', label: 'Appeals' }
                 ].map((tab) => (
                   <button
                     key={tab.key}
@@ -303,7 +341,7 @@ export default function CandidatesManagement() {
                   >
                     <span>{tab.label}</span>
                     <span className="px-2 py-1 text-xs bg-gray-200 dark:bg-gray-500 rounded-full">
-                      {candidates.filter(c => statusFilter === 'all' ? true : c.status === tab.key).length}
+                      {candidates.filter(c => statusFilter === 'all' ? true : tab.key === 'appeals' ? hasPendingAppeal(c) : c.status === tab.key).length}
                     </span>
                   </button>
                 ))}
@@ -341,9 +379,9 @@ export default function CandidatesManagement() {
                   <div className="flex items-start justify-between mb-4">
                     <div className="flex items-center space-x-3">
                       <div className="w-12 h-12 bg-gradient-to-r from-primary-500 to-primary-600 rounded-full flex items-center justify-center">
-                        {candidate.photo ? (
+                        {candidate.media?.thumbnail?.cid || candidate.photo ? (
                           <img
-                            src={candidate.photo}
+                            src={candidate.media?.thumbnail?.cid ? getMediaUrl(candidate.media.thumbnail.cid) : candidate.photo}
                             alt={candidate.name}
                             className="w-12 h-12 rounded-full object-cover"
                           />
@@ -372,6 +410,39 @@ export default function CandidatesManagement() {
                     </p>
                   )}
 
+                  {candidate.nomination?.selfNominated && (
+                    <p className="text-xs text-primary-600 dark:text-primary-400 mb-2 flex items-center space-x-1">
+                      <Flag className="w-3 h-3" />
+                      <span>Self-nominated</span>
+                    </p>
+                  )}
+                  {candidate.status === 'rejected' && candidate.rejectionReason && (
+                    <p className="text-sm text-red-600 dark:text-red-400 mb-2">Rejected: {candidate.rejectionReason}</p>
+                  )}
+                  {hasPendingAppeal(candidate) && (
+                    <div className="text-sm bg-yellow-50 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200 rounded-lg p-2 mb-2">
+                      <p className="flex items-center space-x-1 font-medium">
+                        <Scale className="w-3 h-3" />
+                        <span>Appeal{candidate.rejectionReason ? ` against: ${candidate.rejectionReason}` : ''}</span>
+                      </p>
+                      <p>{candidate.appeal.reason}</p>
+                    </div>
+                  )}
+                  {candidate.documents?.some(doc => doc.storageKey) && (
+                    <div className="flex flex-wrap gap-2 mb-4">
+                      {candidate.documents.filter(doc => doc.storageKey).map(doc => (
+                        <button
+                          key={doc._id}
+                          onClick={() => handleOpenDocument(candidate.id, doc._id)}
+                          className="px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center space-x-1 capitalize"
+                        >
+                          <FileText className="w-3 h-3" />
+                          <span>{doc.type}</span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
                   <div className="space-y-2 mb-6">
                     <div className="flex items-center justify-between text-sm">
                       <span className="text-gray-600 dark:text-gray-300">Vote Count:</span>
@@ -411,6 +482,20 @@ export default function CandidatesManagement() {
                       >
                         <Edit className="w-4 h-4" />
                       </button>
+                      {candidate.onChainId == null && (
+                        <label
+                          className="p-2 text-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors cursor-pointer"
+                          title="Upload Photo"
+                        >
+                          <Camera className="w-4 h-4" />
+                          <input
+                            type="file"
+                            accept="image/jpeg,image/png,image/webp"
+                            onChange={(e) => handleUploadPhoto(candidate.id, e)}
+                            className="hidden"
+                          />
+                        </label>
+                      )}
                       <button
                         onClick={() => handleDeleteCandidate(candidate.id)}
                         className="p-2 text-red-600 hover:bg-red-100 dark:hover:bg-red-900 rounded-lg transition-colors"
@@ -0,0 +1,337 @@
+import React, { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { toast } from 'react-toastify';
+import { useWallet } from '../../contexts/WalletContext';
+import { apiService } from '../../services/api';
+import Navbar from '../../components/Navbar';
+import Card from '../../components/Card';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { formatAddress, formatDateTime } from '../../utils/helpers';
+import {
+  ArrowLeft,
+  CheckCircle,
+  Eye,
+  FileText,
+  ShieldCheck,
+  XCircle
+} from 'lucide-react';
+
+export default function DocumentReview() {
+  const router = useRouter();
+  const { isConnected } = useWallet();
+  const [isLoading, setIsLoading] = useState(true);
+  const [documents, setDocuments] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [reviewingId, setReviewingId] = useState(null);
+  const itemsPerPage = 20;
+
+  const statuses = [
+    { key: 'pending', label: 'Pending Review' },
+    { key: 'approved', label: 'Approved' },
+    { key: 'rejected', label: 'Rejected' }
+  ];
+
+  const documentTypes = [
+    { key: 'all', label: 'All Types' },
+    { key: 'id', label: 'ID Card' },
+    { key: 'passport', label: 'Passport' },
+    { key: 'proof_of_address', label: 'Proof of Address' },
+    { key: 'other', label: 'Other' }
+  ];
+
+  useEffect(() => {
+    if (isConnected) {
+      fetchDocuments();
+    }
+  }, [isConnected, currentPage, statusFilter, typeFilter]);
+
+  const fetchDocuments = async () => {
+    try {
+      setIsLoading(true);
+      const data = await apiService.getDocumentQueue({
+        status: statusFilter,
+        type: typeFilter === 'all' ? undefined : typeFilter,
+        page: currentPage,
+        limit: itemsPerPage
+      });
+
+      setDocuments(data.documents || []);
+      setTotalPages(data.totalPages || 1);
+    } catch (error) {
+      console.error('Error fetching documents:', error);
+      toast.error(error.message);
+      setDocuments([]);
+      setTotalPages(1);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Documents are only served to signed-in reviewers, so fetch the file and open it locally
+  const handleView = async (doc) => {
+    try {
+      const file = await apiService.getDocumentFile(doc.voter.id, doc.id);
+      const url = URL.createObjectURL(file);
+      window.open(url, '_blank');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleApprove = async (doc) => {
+    setReviewingId(doc.id);
+    try {
+      const data = await apiService.approveDocument(doc.voter.id, doc.id);
+      toast.success(data.voterVerified ? `${doc.voter.name} is now verified` : 'Document approved');
+      fetchDocuments();
+    } catch (error) {
+      console.error('Error approving document:', error);
+      toast.error(error.message);
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const handleReject = async (doc) => {
+    const reason = window.prompt('Why is this document rejected? The voter will see this reason.');
+    if (!reason || !reason.trim()) {
+      return;
+    }
+
+    setReviewingId(doc.id);
+    try {
+      await apiService.rejectDocument(doc.voter.id, doc.id, reason.trim());
+      toast.success('Document rejected');
+      fetchDocuments();
+    } catch (error) {
+      console.error('Error rejecting document:', error);
+      toast.error(error.message);
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const describeType = (type) => documentTypes.find((t) => t.key === type)?.label || type;
+
+  if (!isConnected) {
+    return (
+      <>
+        <Head>
+          <title>Document Review - BlocPol Admin</title>
+          <meta name="description" content="Review voter identity documents" />
+        </Head>
+
+        <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+          <Navbar />
+
+          <div className="max-w-4xl mx-auto px-4 py-20">
+            <Card className="p-8 text-center">
+              <div className="flex justify-center mb-6">
+                <div className="w-16 h-16 bg-yellow-100 dark:bg-yellow-900 rounded-full flex items-center justify-center">
+                  <ShieldCheck className="w-8 h-8 text-yellow-500" />
+                </div>
+              </div>
+
+              <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-4">
+                Wallet Required
+              </h1>
+
+              <p className="text-gray-600 dark:text-gray-300 mb-8">
+                Please connect your MetaMask wallet to review documents.
+              </p>
+
+              <button
+                onClick={() => router.push('/admin')}
+                className="btn-primary"
+              >
+                Go to Admin Sign-In
+              </button>
+            </Card>
+          </div>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Document Review - BlocPol Admin</title>
+        <meta name="description" content="Review voter identity documents" />
+      </Head>
+
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+        <Navbar />
+
+        <div className="max-w-7xl mx-auto px-4 py-20">
+          {/* Header */}
+          <div className="mb-12">
+            <button
+              onClick={() => router.push('/admin')}
+              className="flex items-center space-x-2 text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white mb-4"
+            >
+              <ArrowLeft className="w-4 h-4" />
+              <span>Back to Dashboard</span>
+            </button>
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-4">
+              Document Review
+            </h1>
+            <p className="text-xl text-gray-600 dark:text-gray-300">
+              Approve or reject voter identity documents. A voter is verified once an ID or passport and a proof of address are approved.
+            </p>
+          </div>
+
+          {/* Filters */}
+          <Card className="p-6 mb-8">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <select
+                value={statusFilter}
+                onChange={(e) => { setStatusFilter(e.target.value); setCurrentPage(1); }}
+                className="form-input"
+              >
+                {statuses.map((status) => (
+                  <option key={status.key} value={status.key}>{status.label}</option>
+                ))}
+              </select>
+              <select
+                value={typeFilter}
+                onChange={(e) => { setTypeFilter(e.target.value); setCurrentPage(1); }}
+                className="form-input"
+              >
+                {documentTypes.map((type) => (
+                  <option key={type.key} value={type.key}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+          </Card>
+
+          {/* Queue */}
+          <Card className="p-6">
+            {isLoading ? (
+              <div className="flex justify-center py-8">
+                <LoadingSpinner size="large" text="Loading documents..." />
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead>
+                    <tr className="border-b border-gray-200 dark:border-gray-700">
+                      <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">Voter</th>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">Document</th>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">Uploaded</th>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">
+                        {statusFilter === 'pending' ? 'Actions' : 'Review'}
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {documents.length === 0 ? (
+                      <tr>
+                        <td colSpan="4" className="text-center py-8">
+                          <div className="flex flex-col items-center">
+                            <FileText className="w-12 h-12 text-gray-400 mb-4" />
+                            <p className="text-gray-600 dark:text-gray-300">No documents found</p>
+                          </div>
+                        </td>
+                      </tr>
+                    ) : (
+                      documents.map((doc) => (
+                        <tr key={doc.id} className="border-b border-gray-100 dark:border-gray-700">
+                          <td className="py-3 px-4">
+                            <p className="font-medium text-gray-900 dark:text-white">{doc.voter.name}</p>
+                            <p className="text-sm text-gray-600 dark:text-gray-300">{doc.voter.email}</p>
+                            <p className="text-sm text-gray-500 font-mono" title={doc.voter.walletAddress}>
+                              {formatAddress(doc.voter.walletAddress)}
+                            </p>
+                          </td>
+                          <td className="py-3 px-4">
+                            <p className="text-gray-900 dark:text-white">{describeType(doc.type)}</p>
+                            <p className="text-sm text-gray-500 font-mono" title={doc.sha256}>
+                              {doc.contentType} &middot; {Math.ceil(doc.size / 1024)} KB
+                            </p>
+                          </td>
+                          <td className="py-3 px-4 text-sm text-gray-900 dark:text-white">
+                            {formatDateTime(doc.uploadedAt)}
+                          </td>
+                          <td className="py-3 px-4">
+                            <div className="flex items-center space-x-2">
+                              <button
+                                onClick={() => handleView(doc)}
+                                className="p-2 text-blue-600 hover:bg-blue-100 dark:hover:bg-blue-900 rounded-lg transition-colors"
+                                title="View Document"
+                              >
+                                <Eye className="w-4 h-4" />
+                              </button>
+                              {doc.status === 'pending' ? (
+                                <>
+                                  <button
+                                    onClick={() => handleApprove(doc)}
+                                    disabled={reviewingId === doc.id}
+                                    className="p-2 text-green-600 hover:bg-green-100 dark:hover:bg-green-900 rounded-lg transition-colors disabled:opacity-50"
+                                    title="Approve"
+                                  >
+                                    <CheckCircle className="w-4 h-4" />
+                                  </button>
+                                  <button
+                                    onClick={() => handleReject(doc)}
+                                    disabled={reviewingId === doc.id}
+                                    className="p-2 text-red-600 hover:bg-red-100 dark:hover:bg-red-900 rounded-lg transition-colors disabled:opacity-50"
+                                    title="Reject"
+                                  >
+                                    <XCircle className="w-4 h-4" />
+                                  </button>
+                                </>
+                              ) : (
+                                <div className="text-sm text-gray-600 dark:text-gray-300">
+                                  <p>
+                                    {formatDateTime(doc.reviewedAt)} by{' '}
+                                    <span className="font-mono">{formatAddress(doc.reviewedBy)}</span>
+                                  </p>
+                                  {doc.rejectionReason && <p className="text-red-600">{doc.rejectionReason}</p>}
+                                </div>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {/* Pagination */}
+            {totalPages > 1 && (
+              <div className="flex items-center justify-between mt-6">
+                <div className="text-sm text-gray-600 dark:text-gray-300">
+                  Page {currentPage} of {totalPages}
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+                    disabled={currentPage === 1}
+                    className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+                    disabled={currentPage === totalPages}
+                    className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
+          </Card>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import Head from 'next/head';
 import { useRouter } from 'next/router';
 import { toast } from 'react-toastify';
@@ -7,6 +7,7 @@ import { apiService } from '../../services/api';
 import Navbar from '../../components/Navbar';
 import Card from '../../components/Card';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import { buildCertificationMessage } from '../../utils/certification';
 import { 
   Plus, 
   Eye, 
@@ -20,16 +21,23 @@ import {
   Vote,
   Calendar,
   Settings,
-  ArrowLeft
+  ArrowLeft,
+  ListChecks,
+  XCircle,
+  Archive,
+  ShieldCheck,
+  PenTool
 } from 'lucide-react';
 
 export default function ElectionsManagement() {
   const router = useRouter();
-  const { account, isConnected } = useWallet();
+  const { account, isConnected, signMessage } = useWallet();
   const [isLoading, setIsLoading] = useState(true);
   const [isAdmin, setIsAdmin] = useState(false);
   const [elections, setElections] = useState([]);
-  const [filter, setFilter] = useState('all'); // all, active, draft, completed
+  const [filter, setFilter] = useState('all'); // all, active, paused, draft, completed, cancelled, archived
+  const rollInputRef = useRef(null);
+  const [rollElectionId, setRollElectionId] = useState(null);
 
   useEffect(() => {
     // Always allow admin access for testing purposes
@@ -80,6 +88,168 @@ export default function ElectionsManagement() {
     }
   };
 
+  // Pausing, resuming and cancelling need a reason, which voters see for pauses and cancellations
+  const askReason = (question) => {
+    const reason = window.prompt(question);
+    return reason && reason.trim() ? reason.trim() : null;
+  };
+
+  const handlePauseElection = async (election) => {
+    const reason = askReason(`Why is voting in ${election.title} paused? Voters will see this reason.`);
+    if (!reason) return;
+
+    try {
+      await apiService.pauseElection(election.id, reason);
+      toast.success('Election paused');
+      fetchElections();
+    } catch (error) {
+      console.error('Error pausing election:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleResumeElection = async (election) => {
+    const reason = askReason(`Why can voting in ${election.title} resume?`);
+    if (!reason) return;
+
+    try {
+      await apiService.resumeElection(election.id, reason);
+      toast.success('Election resumed');
+      fetchElections();
+    } catch (error) {
+      console.error('Error resuming election:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleCancelElection = async (election) => {
+    const reason = askReason(`Why is ${election.title} cancelled? Voters will see this reason. A cancelled election cannot be restarted.`);
+    if (!reason) return;
+
+    try {
+      await apiService.cancelElection(election.id, reason);
+      toast.success('Election cancelled');
+      fetchElections();
+    } catch (error) {
+      console.error('Error cancelling election:', error);
+      toast.error(error.message);
+    }
+  };
+
+  // Archived elections keep their ballots on record and can no longer change
+  const handleArchiveElection = async (election) => {
+    if (!window.confirm(`Archive ${election.title}? It will be kept read-only.`)) return;
+
+    try {
+      await apiService.archiveElection(election.id);
+      toast.success('Election archived');
+      fetchElections();
+    } catch (error) {
+      console.error('Error archiving election:', error);
+      toast.error(error.message);
+    }
+  };
+
+  // Results of completed elections can be certified: the tally is frozen, the required admins each sign the
+  // frozen result hash, and the last signature records it on-chain
+  const isFinal = (election) => election.status === 'completed' ||
+    (election.status === 'archived' && election.archive?.previousStatus === 'completed');
+
+  const hasSigned = (election) => (election.certification?.signatures || [])
+    .some((signature) => signature.address === account?.toLowerCase());
+
+  const signCertification = async (electionId, resultHash) => {
+    const signature = await signMessage(buildCertificationMessage(electionId, resultHash));
+    const data = await apiService.signResultCertification(electionId, signature);
+    toast.success(data.message);
+  };
+
+  const handleCertifyResults = async (election) => {
+    if (!window.confirm(`Certify the results of ${election.title}? Its tally will be frozen while admins sign the results.`)) return;
+
+    try {
+      const { certification } = await apiService.startResultCertification(election.id);
+      await signCertification(election.id, certification.resultHash);
+    } catch (error) {
+      console.error('Error certifying results:', error);
+      toast.error(error.message);
+    } finally {
+      fetchElections();
+    }
+  };
+
+  const handleSignCertification = async (election) => {
+    try {
+      await signCertification(election.id, election.certification.resultHash);
+    } catch (error) {
+      console.error('Error signing results certification:', error);
+      toast.error(error.message);
+    } finally {
+      fetchElections();
+    }
+  };
+
+  // Retry recording fully signed results on-chain after a failed attempt
+  const handleRecordCertification = async (election) => {
+    try {
+      await apiService.recordResultCertification(election.id);
+      toast.success('Results certified');
+    } catch (error) {
+      console.error('Error recording results certification:', error);
+      toast.error(error.message);
+    } finally {
+      fetchElections();
+    }
+  };
+
+  const handleWithdrawCertification = async (election) => {
+    const reason = askReason(`Why is the certification of ${election.title} withdrawn? Its tally will be unlocked.`);
+    if (!reason) return;
+
+    try {
+      await apiService.withdrawResultCertification(election.id, reason);
+      toast.success('Certification withdrawn');
+      fetchElections();
+    } catch (error) {
+      console.error('Error withdrawing results certification:', error);
+      toast.error(error.message);
+    }
+  };
+
+  // Voter roll: a CSV with one wallet address per row, uploaded before the election starts
+  const handleChooseRoll = (electionId) => {
+    setRollElectionId(electionId);
+    rollInputRef.current.click();
+  };
+
+  const handleUploadRoll = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const data = await apiService.uploadAllowlist(rollElectionId, file);
+      toast.success(data.message);
+      fetchElections();
+    } catch (error) {
+      console.error('Error uploading voter roll:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleRemoveRoll = async (electionId) => {
+    if (!window.confirm('Remove the voter roll? Every eligible voter will be able to vote.')) return;
+
+    try {
+      await apiService.removeAllowlist(electionId);
+      toast.success('Voter roll removed');
+      fetchElections();
+    } catch (error) {
+      console.error('Error removing voter roll:', error);
+      toast.error(error.message);
+    }
+  };
+
   const handleDeleteElection = async (electionId) => {
     if (window.confirm('Are you sure you want to delete this election?')) {
       try {
@@ -88,7 +258,7 @@ export default function ElectionsManagement() {
         fetchElections();
       } catch (error) {
         console.error('Error deleting election:', error);
-        toast.error('Failed to delete election');
+        toast.error(error.message);
       }
     }
   };
@@ -103,6 +273,10 @@ export default function ElectionsManagement() {
         return 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200';
       case 'paused':
         return 'bg-orange-100 dark:bg-orange-900 text-orange-800 dark:text-orange-200';
+      case 'cancelled':
+        return 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200';
+      case 'archived':
+        return 'bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200';
       default:
         return 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200';
     }
@@ -118,6 +292,10 @@ export default function ElectionsManagement() {
         return <Clock className="w-4 h-4" />;
       case 'paused':
         return <Pause className="w-4 h-4" />;
+      case 'cancelled':
+        return <XCircle className="w-4 h-4" />;
+      case 'archived':
+        return <Archive className="w-4 h-4" />;
       default:
         return <Clock className="w-4 h-4" />;
     }
@@ -272,8 +450,11 @@ export default function ElectionsManagement() {
               {[
                 { key: 'all', label: 'All Elections' },
                 { key: 'active', label: 'Active' },
+                { key: 'paused', label: 'Paused' },
                 { key: 'draft', label: 'Draft' },
-                { key: 'completed', label: 'Completed' }
+                { key: 'completed', label: 'Completed' },
+                { key: 'cancelled', label: 'Cancelled' },
+                { key: 'archived', label: 'Archived' }
               ].map((tab) => (
                 <button
                   key={tab.key}
@@ -318,6 +499,13 @@ export default function ElectionsManagement() {
             </Card>
           ) : (
             <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
+              <input
+                ref={rollInputRef}
+                type="file"
+                accept=".csv,text/csv,text/plain"
+                onChange={handleUploadRoll}
+                className="hidden"
+              />
               {filteredElections.map((election) => (
                 <Card key={election.id} className="p-6 hover:shadow-2xl transition-all duration-300" gradient>
                   <div className="flex items-start justify-between mb-4">
@@ -358,6 +546,47 @@ export default function ElectionsManagement() {
                         {election.candidateCount || 0}
                       </span>
                     </div>
+                    {election.allowlist?.count > 0 && (
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="text-gray-600 dark:text-gray-300">Voter Roll:</span>
+                        <span className="text-gray-900 dark:text-white" title={election.merkleRoot}>
+                          {election.allowlist.count} addresses
+                          {election.status === 'draft' && (
+                            <button
+                              onClick={() => handleRemoveRoll(election.id)}
+                              className="ml-2 text-red-600 hover:underline"
+                            >
+                              Remove
+                            </button>
+                          )}
+                        </span>
+                      </div>
+                    )}
+                    {election.status === 'paused' && election.pause?.reason && (
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="text-gray-600 dark:text-gray-300">Paused:</span>
+                        <span className="text-orange-700 dark:text-orange-300">{election.pause.reason}</span>
+                      </div>
+                    )}
+                    {election.status === 'cancelled' && election.cancellation?.reason && (
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="text-gray-600 dark:text-gray-300">Cancelled:</span>
+                        <span className="text-red-700 dark:text-red-300">{election.cancellation.reason}</span>
+                      </div>
+                    )}
+                    {election.certification?.status && (
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="text-gray-600 dark:text-gray-300">Results:</span>
+                        <span
+                          className={election.certification.status === 'certified' ? 'text-green-700 dark:text-green-300' : 'text-blue-700 dark:text-blue-300'}
+                          title={election.certification.resultHash}
+                        >
+                          {election.certification.status === 'certified'
+                            ? 'Certified'
+                            : `Certifying (${election.certification.signatures.length} of ${election.certification.requiredSignatures} signatures)`}
+                        </span>
+                      </div>
+                    )}
                     <div className="flex items-center justify-between text-sm">
                       <span className="text-gray-600 dark:text-gray-300">Total Votes:</span>
                       <span className="text-gray-900 dark:text-white">
@@ -382,16 +611,28 @@ export default function ElectionsManagement() {
                       >
                         <Edit className="w-4 h-4" />
                       </button>
-                      <button
-                        onClick={() => handleDeleteElection(election.id)}
-                        className="p-2 text-red-600 hover:bg-red-100 dark:hover:bg-red-900 rounded-lg transition-colors"
-                        title="Delete Election"
-                      >
-                        <Trash2 className="w-4 h-4" />
-                      </button>
+                      {['draft', 'completed', 'cancelled'].includes(election.status) && (
+                        <button
+                          onClick={() => handleDeleteElection(election.id)}
+                          className="p-2 text-red-600 hover:bg-red-100 dark:hover:bg-red-900 rounded-lg transition-colors"
+                          title="Delete Election (only elections without ballots)"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
                     </div>
 
                     <div className="flex space-x-2">
+                      {election.status === 'draft' && (
+                        <button
+                          onClick={() => handleChooseRoll(election.id)}
+                          className="px-3 py-1 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 text-sm rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors flex items-center space-x-1"
+                          title="Upload a CSV of the wallet addresses allowed to vote"
+                        >
+                          <ListChecks className="w-3 h-3" />
+                          <span>Voter Roll</span>
+                        </button>
+                      )}
                       {election.status === 'draft' && (
                         <button
                           onClick={() => handleStartElection(election.id)}
@@ -401,6 +642,24 @@ export default function ElectionsManagement() {
                           <span>Start</span>
                         </button>
                       )}
+                      {election.status === 'active' && (
+                        <button
+                          onClick={() => handlePauseElection(election)}
+                          className="px-3 py-1 bg-orange-500 text-white text-sm rounded-lg hover:bg-orange-600 transition-colors flex items-center space-x-1"
+                        >
+                          <Pause className="w-3 h-3" />
+                          <span>Pause</span>
+                        </button>
+                      )}
+                      {election.status === 'paused' && (
+                        <button
+                          onClick={() => handleResumeElection(election)}
+                          className="px-3 py-1 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 transition-colors flex items-center space-x-1"
+                        >
+                          <Play className="w-3 h-3" />
+                          <span>Resume</span>
+                        </button>
+                      )}
                       {election.status === 'active' && (
                         <button
                           onClick={() => handleStopElection(election.id)}
@@ -410,6 +669,67 @@ export default function ElectionsManagement() {
                           <span>Stop</span>
                         </button>
                       )}
+                      {['draft', 'active', 'paused'].includes(election.status) && (
+                        <button
+                          onClick={() => handleCancelElection(election)}
+                          className="px-3 py-1 border border-red-300 dark:border-red-700 text-red-600 text-sm rounded-lg hover:bg-red-50 dark:hover:bg-red-900 transition-colors flex items-center space-x-1"
+                          title="Cancel the election for good"
+                        >
+                          <XCircle className="w-3 h-3" />
+                          <span>Cancel</span>
+                        </button>
+                      )}
+                      {isFinal(election) && !election.certification?.status && (
+                        <button
+                          onClick={() => handleCertifyResults(election)}
+                          className="px-3 py-1 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-1"
+                          title="Freeze the results and sign them for on-chain certification"
+                        >
+                          <ShieldCheck className="w-3 h-3" />
+                          <span>Certify</span>
+                        </button>
+                      )}
+                      {election.certification?.status === 'pending' && !hasSigned(election) && (
+                        <button
+                          onClick={() => handleSignCertification(election)}
+                          className="px-3 py-1 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-1"
+                          title={`Sign result hash ${election.certification.resultHash}`}
+                        >
+                          <PenTool className="w-3 h-3" />
+                          <span>Sign</span>
+                        </button>
+                      )}
+                      {election.certification?.status === 'pending' &&
+                        election.certification.signatures.length >= election.certification.requiredSignatures && (
+                        <button
+                          onClick={() => handleRecordCertification(election)}
+                          className="px-3 py-1 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-1"
+                          title="Record the signed results on-chain"
+                        >
+                          <ShieldCheck className="w-3 h-3" />
+                          <span>Record</span>
+                        </button>
+                      )}
+                      {election.certification?.status === 'pending' && (
+                        <button
+                          onClick={() => handleWithdrawCertification(election)}
+                          className="px-3 py-1 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 text-sm rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors flex items-center space-x-1"
+                          title="Withdraw the certification and unlock the tally"
+                        >
+                          <XCircle className="w-3 h-3" />
+                          <span>Withdraw</span>
+                        </button>
+                      )}
+                      {['completed', 'cancelled'].includes(election.status) && (
+                        <button
+                          onClick={() => handleArchiveElection(election)}
+                          className="px-3 py-1 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 text-sm rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors flex items-center space-x-1"
+                          title="Keep the election read-only for the record"
+                        >
+                          <Archive className="w-3 h-3" />
+                          <span>Archive</span>
+                        </button>
+                      )}
                     </div>
                   </div>
                 </Card>
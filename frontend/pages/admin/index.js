@@ -3,6 +3,7 @@ import Head from 'next/head';
 import { useRouter } from 'next/router';
 import { toast } from 'react-toastify';
 import { useWallet } from '../../contexts/WalletContext';
+import { useAdminAuth } from '../../contexts/AdminAuthContext';
 import { apiService } from '../../services/api';
 import Navbar from '../../components/Navbar';
 import Card from '../../components/Card';
@@ -13,6 +14,8 @@ import {
   BarChart3, 
   Settings, 
   Shield, 
+  ShieldCheck,
+  UserCheck,
   Clock, 
   CheckCircle, 
   AlertCircle,
@@ -35,9 +38,9 @@ export async function getServerSideProps() {
 export default function AdminDashboard() {
   const router = useRouter();
   const { account, isConnected } = useWallet();
+  const { isAuthenticated, isCheckingSession, isSigningIn, signIn } = useAdminAuth();
   const [isLoading, setIsLoading] = useState(true);
   const [isClient, setIsClient] = useState(false);
-  const [isAdmin, setIsAdmin] = useState(false);
   const [stats, setStats] = useState({
     totalVoters: 0,
     totalCandidates: 0,
@@ -49,15 +52,22 @@ export default function AdminDashboard() {
 
   useEffect(() => {
     setIsClient(true);
-    // Always allow admin access for testing purposes
-    setIsAdmin(true);
-    fetchDashboardData();
   }, []);
 
-  const checkAdminStatus = async () => {
-    // Always return admin access for testing purposes
-    setIsAdmin(true);
-    fetchDashboardData();
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchDashboardData();
+    }
+  }, [isAuthenticated]);
+
+  const handleSignIn = async () => {
+    try {
+      await signIn();
+      toast.success('Signed in as admin');
+    } catch (error) {
+      console.error('Admin sign-in error:', error);
+      toast.error(error.message || 'Failed to sign in');
+    }
   };
 
   const fetchDashboardData = async () => {
@@ -160,33 +170,12 @@ export default function AdminDashboard() {
     );
   }
 
-  if (isLoading) {
-    return (
-      <>
-        <Head>
-          <title>Admin Dashboard - BlocPol</title>
-          <meta name="description" content="Admin dashboard for managing elections" />
-        </Head>
-
-        <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
-          <Navbar />
-          
-          <div className="max-w-7xl mx-auto px-4 py-20">
-            <div className="flex justify-center">
-              <LoadingSpinner size="large" text="Loading admin dashboard..." />
-            </div>
-          </div>
-        </div>
-      </>
-    );
-  }
-
-  if (!isAdmin) {
+  if (isCheckingSession || !isAuthenticated) {
     return (
       <>
         <Head>
-          <title>Access Denied - BlocPol</title>
-          <meta name="description" content="Access denied" />
+          <title>Admin Sign-In - BlocPol</title>
+          <meta name="description" content="Sign in to the admin dashboard" />
         </Head>
 
         <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
@@ -201,18 +190,19 @@ export default function AdminDashboard() {
               </div>
               
               <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-4">
-                Access Denied
+                Admin Sign-In Required
               </h1>
               
               <p className="text-gray-600 dark:text-gray-300 mb-8">
-                You do not have admin privileges to access this page.
+                Sign a one-time message with your wallet to prove you are an administrator.
               </p>
               
               <button
-                onClick={() => router.push('/')}
-                className="btn-primary"
+                onClick={handleSignIn}
+                disabled={isCheckingSession || isSigningIn}
+                className="btn-primary disabled:opacity-50"
               >
-                Return to Home
+                {isSigningIn ? 'Waiting for signature...' : 'Sign In with Ethereum'}
               </button>
             </Card>
           </div>
@@ -221,6 +211,27 @@ export default function AdminDashboard() {
     );
   }
 
+  if (isLoading) {
+    return (
+      <>
+        <Head>
+          <title>Admin Dashboard - BlocPol</title>
+          <meta name="description" content="Admin dashboard for managing elections" />
+        </Head>
+
+        <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+          <Navbar />
+          
+          <div className="max-w-7xl mx-auto px-4 py-20">
+            <div className="flex justify-center">
+              <LoadingSpinner size="large" text="Loading admin dashboard..." />
+            </div>
+          </div>
+        </div>
+      </>
+    );
+  }
+
   return (
     <>
       <Head>
@@ -467,6 +478,22 @@ export default function AdminDashboard() {
               <span>View Audit Trail</span>
             </button>
 
+            <button
+              onClick={() => router.push('/admin/voters')}
+              className="btn-outline flex items-center justify-center space-x-2 p-6"
+            >
+              <UserCheck className="w-5 h-5" />
+              <span>Manage Voters</span>
+            </button>
+
+            <button
+              onClick={() => router.push('/admin/documents')}
+              className="btn-outline flex items-center justify-center space-x-2 p-6"
+            >
+              <ShieldCheck className="w-5 h-5" />
+              <span>Review Documents</span>
+            </button>
+
             <button
               onClick={() => router.push('/admin/settings')}
               className="btn-outline flex items-center justify-center space-x-2 p-6"
@@ -45,6 +45,7 @@ export default function AdminSettings() {
     requireEmailVerification: true,
     allowVoteChanges: false,
     maxCandidatesPerElection: 10,
+    certificationSignatures: 2,
     
     // Security Settings
     rateLimitPerMinute: 10,
@@ -304,6 +305,18 @@ export default function AdminSettings() {
                     className="form-input"
                   />
                 </div>
+
+                <div>
+                  <label className="form-label">Signatures to Certify Results</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="10"
+                    value={settings.certificationSignatures}
+                    onChange={(e) => handleInputChange('certificationSignatures', parseInt(e.target.value))}
+                    className="form-input"
+                  />
+                </div>
               </div>
             </Card>
 
@@ -0,0 +1,417 @@
+import React, { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { toast } from 'react-toastify';
+import { useWallet } from '../../contexts/WalletContext';
+import { useAdminAuth } from '../../contexts/AdminAuthContext';
+import { apiService } from '../../services/api';
+import Navbar from '../../components/Navbar';
+import Card from '../../components/Card';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { ADMIN_PERMISSIONS } from '../../utils/constants';
+import { formatAddress, formatDateTime } from '../../utils/helpers';
+import {
+  ArrowLeft,
+  Ban,
+  CheckCircle,
+  Eye,
+  Search,
+  UserCheck,
+  Users,
+  XCircle
+} from 'lucide-react';
+
+export default function VoterManagement() {
+  const router = useRouter();
+  const { isConnected } = useWallet();
+  const { hasPermission } = useAdminAuth();
+  const [isLoading, setIsLoading] = useState(true);
+  const [voters, setVoters] = useState([]);
+  const [elections, setElections] = useState([]);
+  const [electionId, setElectionId] = useState('');
+  const [votedCount, setVotedCount] = useState(0);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [verifiedFilter, setVerifiedFilter] = useState('all');
+  const [votedFilter, setVotedFilter] = useState('all');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [updatingId, setUpdatingId] = useState(null);
+  const itemsPerPage = 20;
+  const canManage = hasPermission(ADMIN_PERMISSIONS.VOTERS_MANAGE);
+
+  useEffect(() => {
+    if (isConnected) {
+      fetchElections();
+    }
+  }, [isConnected]);
+
+  useEffect(() => {
+    if (isConnected) {
+      fetchVoters();
+    }
+  }, [isConnected, currentPage, electionId, search, statusFilter, verifiedFilter, votedFilter]);
+
+  const fetchElections = async () => {
+    try {
+      const data = await apiService.getAdminElections({ limit: 100 });
+      setElections(data.elections || []);
+    } catch (error) {
+      console.error('Error fetching elections:', error);
+    }
+  };
+
+  // With an election selected the list becomes its voter roll
+  const fetchVoters = async () => {
+    try {
+      setIsLoading(true);
+      const filters = {
+        search: search || undefined,
+        status: statusFilter,
+        verified: verifiedFilter === 'all' ? undefined : verifiedFilter,
+        page: currentPage,
+        limit: itemsPerPage
+      };
+      const data = electionId
+        ? await apiService.getElectionVoterRoll(electionId, {
+          ...filters,
+          voted: votedFilter === 'all' ? undefined : votedFilter
+        })
+        : await apiService.getVoters(filters);
+
+      setVoters(data.voters || []);
+      setVotedCount(data.votedCount || 0);
+      setTotal(data.total || 0);
+      setTotalPages(data.totalPages || 1);
+    } catch (error) {
+      console.error('Error fetching voters:', error);
+      toast.error(error.message);
+      setVoters([]);
+      setTotalPages(1);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearch(searchInput.trim());
+    setCurrentPage(1);
+  };
+
+  const handleBan = async (voter) => {
+    const reason = window.prompt(`Why is ${voter.name} banned? The voter will see this reason.`);
+    if (!reason || !reason.trim()) {
+      return;
+    }
+
+    setUpdatingId(voter.id);
+    try {
+      await apiService.banVoter(voter.id, reason.trim());
+      toast.success(`${voter.name} is banned`);
+      fetchVoters();
+    } catch (error) {
+      console.error('Error banning voter:', error);
+      toast.error(error.message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleUnban = async (voter) => {
+    if (!window.confirm(`Lift the ban on ${voter.name}?`)) {
+      return;
+    }
+
+    setUpdatingId(voter.id);
+    try {
+      await apiService.unbanVoter(voter.id);
+      toast.success(`${voter.name} can vote again`);
+      fetchVoters();
+    } catch (error) {
+      console.error('Error unbanning voter:', error);
+      toast.error(error.message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  if (!isConnected) {
+    return (
+      <>
+        <Head>
+          <title>Voters - BlocPol Admin</title>
+          <meta name="description" content="Manage registered voters" />
+        </Head>
+
+        <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+          <Navbar />
+
+          <div className="max-w-4xl mx-auto px-4 py-20">
+            <Card className="p-8 text-center">
+              <div className="flex justify-center mb-6">
+                <div className="w-16 h-16 bg-yellow-100 dark:bg-yellow-900 rounded-full flex items-center justify-center">
+                  <Users className="w-8 h-8 text-yellow-500" />
+                </div>
+              </div>
+
+              <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-4">
+                Wallet Required
+              </h1>
+
+              <p className="text-gray-600 dark:text-gray-300 mb-8">
+                Please connect your MetaMask wallet to manage voters.
+              </p>
+
+              <button
+                onClick={() => router.push('/admin')}
+                className="btn-primary"
+              >
+                Go to Admin Sign-In
+              </button>
+            </Card>
+          </div>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Voters - BlocPol Admin</title>
+        <meta name="description" content="Manage registered voters" />
+      </Head>
+
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+        <Navbar />
+
+        <div className="max-w-7xl mx-auto px-4 py-20">
+          {/* Header */}
+          <div className="mb-12">
+            <button
+              onClick={() => router.push('/admin')}
+              className="flex items-center space-x-2 text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white mb-4"
+            >
+              <ArrowLeft className="w-4 h-4" />
+              <span>Back to Dashboard</span>
+            </button>
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-4">
+              Voters
+            </h1>
+            <p className="text-xl text-gray-600 dark:text-gray-300">
+              Search registered voters, ban or unban them, and check an election&apos;s voter roll.
+            </p>
+          </div>
+
+          {/* Filters */}
+          <Card className="p-6 mb-8">
+            <form onSubmit={handleSearch} className="relative mb-4">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+              <input
+                type="text"
+                placeholder="Search by name, email or wallet address (0x...) and press Enter"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                className="w-full pl-10 pr-4 py-2 border border-gray-300 dark:border-gray-600 rounded-xl bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+            </form>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <select
+                value={electionId}
+                onChange={(e) => { setElectionId(e.target.value); setCurrentPage(1); }}
+                className="form-input"
+              >
+                <option value="">All Registered Voters</option>
+                {elections.map((election) => (
+                  <option key={election._id} value={election._id}>Voter Roll: {election.title}</option>
+                ))}
+              </select>
+              <select
+                value={statusFilter}
+                onChange={(e) => { setStatusFilter(e.target.value); setCurrentPage(1); }}
+                className="form-input"
+              >
+                <option value="all">Any Status</option>
+                <option value="active">Not Banned</option>
+                <option value="banned">Banned</option>
+              </select>
+              <select
+                value={verifiedFilter}
+                onChange={(e) => { setVerifiedFilter(e.target.value); setCurrentPage(1); }}
+                className="form-input"
+              >
+                <option value="all">Verified or Not</option>
+                <option value="true">Identity Verified</option>
+                <option value="false">Not Verified</option>
+              </select>
+              {electionId && (
+                <select
+                  value={votedFilter}
+                  onChange={(e) => { setVotedFilter(e.target.value); setCurrentPage(1); }}
+                  className="form-input"
+                >
+                  <option value="all">Voted or Not</option>
+                  <option value="true">Voted</option>
+                  <option value="false">Not Voted</option>
+                </select>
+              )}
+            </div>
+          </Card>
+
+          {/* Voters */}
+          <Card className="p-6">
+            <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+              {total} voter{total === 1 ? '' : 's'}
+              {electionId && ` · ${votedCount} voted in this election`}
+            </p>
+
+            {isLoading ? (
+              <div className="flex justify-center py-8">
+                <LoadingSpinner size="large" text="Loading voters..." />
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead>
+                    <tr className="border-b border-gray-200 dark:border-gray-700">
+                      <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">Voter</th>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">Status</th>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">
+                        {electionId ? 'This Election' : 'Registered'}
+                      </th>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {voters.length === 0 ? (
+                      <tr>
+                        <td colSpan="4" className="text-center py-8">
+                          <div className="flex flex-col items-center">
+                            <Users className="w-12 h-12 text-gray-400 mb-4" />
+                            <p className="text-gray-600 dark:text-gray-300">No voters found</p>
+                          </div>
+                        </td>
+                      </tr>
+                    ) : (
+                      voters.map((voter) => (
+                        <tr key={voter.id} className="border-b border-gray-100 dark:border-gray-700">
+                          <td className="py-3 px-4">
+                            <p className="font-medium text-gray-900 dark:text-white">{voter.name}</p>
+                            <p className="text-sm text-gray-600 dark:text-gray-300">{voter.email}</p>
+                            <p className="text-sm text-gray-500 font-mono" title={voter.walletAddress}>
+                              {formatAddress(voter.walletAddress)}
+                            </p>
+                          </td>
+                          <td className="py-3 px-4">
+                            <div className="flex flex-wrap gap-2">
+                              {voter.banned && (
+                                <span className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200" title={voter.banReason}>
+                                  Banned
+                                </span>
+                              )}
+                              {voter.isVerified && (
+                                <span className="px-2 py-1 rounded-full text-xs font-medium bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200">
+                                  Verified
+                                </span>
+                              )}
+                              {!voter.emailVerified && (
+                                <span className="px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200">
+                                  Email Unconfirmed
+                                </span>
+                              )}
+                            </div>
+                          </td>
+                          <td className="py-3 px-4 text-sm text-gray-900 dark:text-white">
+                            {electionId ? (
+                              <div>
+                                <p className="flex items-center space-x-1">
+                                  {voter.eligible
+                                    ? <CheckCircle className="w-4 h-4 text-green-500" />
+                                    : <XCircle className="w-4 h-4 text-red-500" />}
+                                  <span>{voter.eligible ? 'Eligible' : 'Not eligible'}</span>
+                                </p>
+                                {voter.reasons.map((reason) => (
+                                  <p key={reason.rule} className="text-xs text-red-600 dark:text-red-400">{reason.message}</p>
+                                ))}
+                                <p className="text-gray-600 dark:text-gray-300">
+                                  {voter.voted ? `Voted ${formatDateTime(voter.votedAt)}` : 'Not voted'}
+                                </p>
+                              </div>
+                            ) : (
+                              <div>
+                                <p>{formatDateTime(voter.registrationDate)}</p>
+                                <p className="text-gray-600 dark:text-gray-300">{voter.totalVotes} vote{voter.totalVotes === 1 ? '' : 's'}</p>
+                              </div>
+                            )}
+                          </td>
+                          <td className="py-3 px-4">
+                            <div className="flex items-center space-x-2">
+                              <button
+                                onClick={() => router.push(`/admin/voters/${voter.id}`)}
+                                className="p-2 text-blue-600 hover:bg-blue-100 dark:hover:bg-blue-900 rounded-lg transition-colors"
+                                title="View Voter"
+                              >
+                                <Eye className="w-4 h-4" />
+                              </button>
+                              {canManage && (voter.banned ? (
+                                <button
+                                  onClick={() => handleUnban(voter)}
+                                  disabled={updatingId === voter.id}
+                                  className="p-2 text-green-600 hover:bg-green-100 dark:hover:bg-green-900 rounded-lg transition-colors disabled:opacity-50"
+                                  title="Unban"
+                                >
+                                  <UserCheck className="w-4 h-4" />
+                                </button>
+                              ) : (
+                                <button
+                                  onClick={() => handleBan(voter)}
+                                  disabled={updatingId === voter.id}
+                                  className="p-2 text-red-600 hover:bg-red-100 dark:hover:bg-red-900 rounded-lg transition-colors disabled:opacity-50"
+                                  title="Ban"
+                                >
+                                  <Ban className="w-4 h-4" />
+                                </button>
+                              ))}
+                            </div>
+                          </td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {/* Pagination */}
+            {totalPages > 1 && (
+              <div className="flex items-center justify-between mt-6">
+                <div className="text-sm text-gray-600 dark:text-gray-300">
+                  Page {currentPage} of {totalPages}
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+                    disabled={currentPage === 1}
+                    className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+                    disabled={currentPage === totalPages}
+                    className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
+          </Card>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,285 @@
+import React, { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { toast } from 'react-toastify';
+import { useWallet } from '../../../contexts/WalletContext';
+import { useAdminAuth } from '../../../contexts/AdminAuthContext';
+import { apiService } from '../../../services/api';
+import Navbar from '../../../components/Navbar';
+import Card, { CardTitle } from '../../../components/Card';
+import LoadingSpinner from '../../../components/LoadingSpinner';
+import { ADMIN_PERMISSIONS } from '../../../utils/constants';
+import { formatDateTime } from '../../../utils/helpers';
+import { ArrowLeft, Ban, FileText, History, User, UserCheck, Users } from 'lucide-react';
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode', 'country'];
+
+export default function VoterDetails() {
+  const router = useRouter();
+  const { id } = router.query;
+  const { isConnected } = useWallet();
+  const { hasPermission } = useAdminAuth();
+  const [voter, setVoter] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUpdating, setIsUpdating] = useState(false);
+  const canManage = hasPermission(ADMIN_PERMISSIONS.VOTERS_MANAGE);
+
+  useEffect(() => {
+    if (isConnected && id) {
+      fetchVoter();
+    }
+  }, [isConnected, id]);
+
+  const fetchVoter = async () => {
+    try {
+      setIsLoading(true);
+      const data = await apiService.getVoter(id);
+      setVoter(data.voter);
+    } catch (error) {
+      console.error('Error fetching voter:', error);
+      toast.error(error.message);
+      setVoter(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleBan = async () => {
+    const reason = window.prompt(`Why is ${voter.name} banned? The voter will see this reason.`);
+    if (!reason || !reason.trim()) {
+      return;
+    }
+
+    setIsUpdating(true);
+    try {
+      await apiService.banVoter(voter.id, reason.trim());
+      toast.success(`${voter.name} is banned`);
+      fetchVoter();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const handleUnban = async () => {
+    if (!window.confirm(`Lift the ban on ${voter.name}?`)) {
+      return;
+    }
+
+    setIsUpdating(true);
+    try {
+      await apiService.unbanVoter(voter.id);
+      toast.success(`${voter.name} can vote again`);
+      fetchVoter();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const describeBallot = (vote) => {
+    if (vote.rankings.length > 0) {
+      return vote.rankings.map((candidate, index) => `${index + 1}. ${candidate.name}`).join(', ');
+    }
+    if (vote.candidate) {
+      return vote.candidate.party ? `${vote.candidate.name} (${vote.candidate.party})` : vote.candidate.name;
+    }
+    return vote.commitment && !vote.revealedAt ? 'Sealed (not revealed yet)' : 'Unknown candidate';
+  };
+
+  const details = voter ? [
+    { label: 'Wallet Address', value: voter.walletAddress, mono: true },
+    { label: 'Email', value: `${voter.email}${voter.emailVerified ? ' (confirmed)' : ' (not confirmed)'}` },
+    { label: 'Phone', value: voter.phone },
+    { label: 'Date of Birth', value: voter.dateOfBirth && new Date(voter.dateOfBirth).toISOString().slice(0, 10) },
+    { label: 'Citizenship', value: voter.citizenship },
+    { label: 'Address', value: ADDRESS_FIELDS.map((field) => voter.address?.[field]).filter(Boolean).join(', ') },
+    { label: 'Registered', value: formatDateTime(voter.registrationDate) },
+    { label: 'Identity', value: voter.isVerified ? `Verified ${formatDateTime(voter.verificationDate)}` : 'Not verified' },
+    { label: 'Last Login', value: voter.lastLogin && formatDateTime(voter.lastLogin) },
+  ] : [];
+
+  if (!isConnected) {
+    return (
+      <>
+        <Head>
+          <title>Voter - BlocPol Admin</title>
+          <meta name="description" content="Voter registration details and voting history" />
+        </Head>
+
+        <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+          <Navbar />
+
+          <div className="max-w-4xl mx-auto px-4 py-20">
+            <Card className="p-8 text-center">
+              <div className="flex justify-center mb-6">
+                <div className="w-16 h-16 bg-yellow-100 dark:bg-yellow-900 rounded-full flex items-center justify-center">
+                  <Users className="w-8 h-8 text-yellow-500" />
+                </div>
+              </div>
+
+              <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-4">
+                Wallet Required
+              </h1>
+
+              <p className="text-gray-600 dark:text-gray-300 mb-8">
+                Please connect your MetaMask wallet to view voters.
+              </p>
+
+              <button
+                onClick={() => router.push('/admin')}
+                className="btn-primary"
+              >
+                Go to Admin Sign-In
+              </button>
+            </Card>
+          </div>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>{voter ? `${voter.name} - ` : ''}Voter - BlocPol Admin</title>
+        <meta name="description" content="Voter registration details and voting history" />
+      </Head>
+
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+        <Navbar />
+
+        <div className="max-w-5xl mx-auto px-4 py-20">
+          <button
+            onClick={() => router.push('/admin/voters')}
+            className="flex items-center space-x-2 text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white mb-4"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            <span>Back to Voters</span>
+          </button>
+
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner size="large" text="Loading voter..." />
+            </div>
+          ) : !voter ? (
+            <Card className="p-8 text-center">
+              <p className="text-gray-600 dark:text-gray-300">Voter not found.</p>
+            </Card>
+          ) : (
+            <div className="space-y-8">
+              {/* Header */}
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                <div>
+                  <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2">{voter.name}</h1>
+                  {voter.banned && (
+                    <p className="text-red-600 dark:text-red-400">
+                      Banned {formatDateTime(voter.banDate)}: {voter.banReason}
+                    </p>
+                  )}
+                </div>
+                {canManage && (voter.banned ? (
+                  <button onClick={handleUnban} disabled={isUpdating} className="btn-outline flex items-center space-x-2 disabled:opacity-50">
+                    <UserCheck className="w-4 h-4" />
+                    <span>Unban Voter</span>
+                  </button>
+                ) : (
+                  <button onClick={handleBan} disabled={isUpdating} className="btn-outline flex items-center space-x-2 text-red-600 disabled:opacity-50">
+                    <Ban className="w-4 h-4" />
+                    <span>Ban Voter</span>
+                  </button>
+                ))}
+              </div>
+
+              {/* Registration */}
+              <Card className="p-6">
+                <div className="flex items-center space-x-3 mb-4">
+                  <User className="w-6 h-6 text-primary-500" />
+                  <CardTitle>Registration Details</CardTitle>
+                </div>
+                <dl className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {details.map((detail) => (
+                    <div key={detail.label}>
+                      <dt className="text-sm text-gray-500">{detail.label}</dt>
+                      <dd className={`text-gray-900 dark:text-white break-all ${detail.mono ? 'font-mono text-sm' : ''}`}>
+                        {detail.value || '—'}
+                      </dd>
+                    </div>
+                  ))}
+                </dl>
+              </Card>
+
+              {/* Documents */}
+              <Card className="p-6">
+                <div className="flex items-center space-x-3 mb-4">
+                  <FileText className="w-6 h-6 text-primary-500" />
+                  <CardTitle>Identity Documents</CardTitle>
+                </div>
+                {voter.documents.length === 0 ? (
+                  <p className="text-gray-600 dark:text-gray-300">No documents uploaded.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {voter.documents.map((doc) => (
+                      <li key={doc.id} className="flex items-center justify-between py-2 text-sm">
+                        <span className="text-gray-900 dark:text-white capitalize">{doc.type.replace(/_/g, ' ')}</span>
+                        <span className="text-gray-600 dark:text-gray-300 capitalize">
+                          {doc.status} · uploaded {formatDateTime(doc.uploadedAt)}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </Card>
+
+              {/* Voting history */}
+              <Card className="p-6">
+                <div className="flex items-center space-x-3 mb-4">
+                  <History className="w-6 h-6 text-primary-500" />
+                  <CardTitle>Voting History</CardTitle>
+                </div>
+                {voter.votingHistory.length === 0 ? (
+                  <p className="text-gray-600 dark:text-gray-300">This voter has not voted yet.</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-gray-200 dark:border-gray-700">
+                          <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">Election</th>
+                          <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">Ballot</th>
+                          <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">Type</th>
+                          <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">Voted</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {voter.votingHistory.map((vote, index) => (
+                          <tr key={index} className="border-b border-gray-100 dark:border-gray-700">
+                            <td className="py-3 px-4 text-gray-900 dark:text-white">
+                              {vote.election?.title || 'Deleted election'}
+                            </td>
+                            <td className="py-3 px-4 text-gray-900 dark:text-white">{describeBallot(vote)}</td>
+                            <td className="py-3 px-4 text-gray-600 dark:text-gray-300">
+                              {vote.voteType}
+                              {vote.delegatedPower > 0 && ` (+${vote.delegatedPower} delegated)`}
+                            </td>
+                            <td className="py-3 px-4 text-gray-600 dark:text-gray-300">
+                              <p>{formatDateTime(vote.votedAt)}</p>
+                              {(vote.transactionHash || vote.commitTransactionHash) && (
+                                <p className="font-mono text-xs break-all">{vote.transactionHash || vote.commitTransactionHash}</p>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </Card>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -3,25 +3,40 @@ import Head from 'next/head';
 import { useRouter } from 'next/router';
 import { toast } from 'react-toastify';
 import { useWallet } from '../contexts/WalletContext';
-import { apiService } from '../services/api';
+import { apiService, getMediaUrl } from '../services/api';
 import Navbar from '../components/Navbar';
 import Card, { CardBody, CardTitle, CardDescription } from '../components/Card';
 import LoadingSpinner from '../components/LoadingSpinner';
-import { User, Vote, CheckCircle, AlertCircle, ExternalLink } from 'lucide-react';
+import ElectionStatusBanner from '../components/ElectionStatusBanner';
+import { formatDateTime } from '../utils/helpers';
+import {
+  generateSalt,
+  computeCommitment,
+  saveCommitSecret,
+  loadCommitSecret,
+  clearCommitSecret,
+} from '../utils/commitReveal';
+import { verifyInclusionProof } from '../utils/allowlist';
+import { User, Vote, CheckCircle, AlertCircle, ExternalLink, Lock, Unlock, ShieldAlert, Info, Mail, PauseCircle, XCircle, ShieldCheck } from 'lucide-react';
 
 export default function Candidates() {
   const router = useRouter();
-  const { account, isConnected, signMessage } = useWallet();
+  const { account, isConnected, signTypedData } = useWallet();
   const [candidates, setCandidates] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [isVoting, setIsVoting] = useState(false);
   const [hasVoted, setHasVoted] = useState(false);
   const [votedCandidate, setVotedCandidate] = useState(null);
+  const [commitSecret, setCommitSecret] = useState(null);
+  const [isRevealing, setIsRevealing] = useState(false);
+  const [eligibility, setEligibility] = useState({});
+  const [emailPending, setEmailPending] = useState(false);
 
   useEffect(() => {
     if (isConnected) {
       fetchCandidates();
       checkVotingStatus();
+      checkEligibility();
     } else {
       setIsLoading(false);
     }
@@ -31,6 +46,20 @@ export default function Candidates() {
     try {
       const data = await apiService.getCandidates();
       setCandidates(data.candidates || []);
+
+      // A vote committed earlier from this browser may be waiting to be revealed
+      const sealed = (data.candidates || []).find(
+        (candidate) => candidate.commitReveal && loadCommitSecret(candidate.electionId, account)
+      );
+      if (sealed) {
+        setCommitSecret({
+          ...loadCommitSecret(sealed.electionId, account),
+          electionId: sealed.electionId,
+          phase: sealed.phase,
+          revealEndDate: sealed.revealEndDate,
+        });
+        setHasVoted(true);
+      }
     } catch (error) {
       console.error('Error fetching candidates:', error);
       toast.error('Failed to fetch candidates');
@@ -42,6 +71,7 @@ export default function Candidates() {
   const checkVotingStatus = async () => {
     try {
       const status = await apiService.getVoterStatus(account);
+      setEmailPending(Boolean(status.voter?.emailVerificationRequired && !status.voter.emailVerified));
       if (status.hasVoted) {
         setHasVoted(true);
         setVotedCandidate(status.votedCandidate);
@@ -51,6 +81,46 @@ export default function Candidates() {
     }
   };
 
+  // Eligibility per active election, keyed by election ID
+  const checkEligibility = async () => {
+    try {
+      const data = await apiService.getEligibility(account);
+      setEligibility(Object.fromEntries(data.eligibility.map((result) => [result.electionId, result])));
+    } catch (error) {
+      console.error('Error checking eligibility:', error);
+    }
+  };
+
+  const isIneligible = (candidate) => emailPending || eligibility[candidate.electionId]?.eligible === false;
+  const eligibilityResults = Object.values(eligibility);
+
+  // Paused and cancelled elections take no votes; one banner per election
+  const isHalted = (candidate) => ['paused', 'cancelled'].includes(candidate.electionStatus);
+  const haltedElections = [...new Map(
+    candidates.filter(isHalted).map((candidate) => [candidate.electionId, candidate])
+  ).values()];
+
+  const handleResendEmail = async () => {
+    try {
+      const data = await apiService.resendVerificationEmail(account);
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  // Elections with a voter roll take an inclusion proof with the vote; check it here before signing
+  const getMerkleProof = async (electionId) => {
+    const inclusion = await apiService.getInclusionProof(electionId, account);
+    if (!inclusion.required) {
+      return undefined;
+    }
+    if (!verifyInclusionProof(account, inclusion.proof, inclusion.merkleRoot)) {
+      throw new Error('The inclusion proof for your address does not match the voter roll');
+    }
+    return inclusion.proof;
+  };
+
   const handleVote = async (candidateId, candidateName) => {
     if (!isConnected) {
       toast.error('Please connect your wallet first');
@@ -62,18 +132,27 @@ export default function Candidates() {
       return;
     }
 
+    const candidate = candidates.find((c) => c.id === candidateId);
+    if (candidate?.commitReveal) {
+      await handleCommit(candidate);
+      return;
+    }
+
     setIsVoting(true);
 
     try {
-      // Sign a message for authentication
-      const message = `Vote for candidate: ${candidateName} (ID: ${candidateId})`;
-      const signature = await signMessage(message);
+      const merkleProof = await getMerkleProof(candidate.electionId);
+
+      // Sign the typed vote; the backend relays it on-chain and pays the gas
+      const { typedData } = await apiService.prepareVote({ candidateId, walletAddress: account });
+      const signature = await signTypedData(typedData);
 
       const voteData = {
-        candidateId: candidateId,
+        candidateId,
         walletAddress: account,
-        signature: signature,
-        message: message,
+        signature,
+        deadline: typedData.message.deadline,
+        merkleProof,
       };
 
       const response = await apiService.castVote(voteData);
@@ -95,6 +174,91 @@ export default function Candidates() {
     }
   };
 
+  // Commit-reveal: seal the vote with a fresh salt that never leaves this browser until the reveal
+  const handleCommit = async (candidate) => {
+    setIsVoting(true);
+
+    const salt = generateSalt();
+    const commitment = computeCommitment(candidate.electionOnChainId, account, candidate.onChainId, salt);
+    const secret = { candidateId: candidate.id, candidateName: candidate.name, salt, commitment };
+
+    try {
+      const merkleProof = await getMerkleProof(candidate.electionId);
+
+      // Store the secret first: a commitment that cannot be revealed is never counted
+      saveCommitSecret(candidate.electionId, account, secret);
+
+      const { typedData } = await apiService.prepareCommit({
+        electionId: candidate.electionId,
+        commitment,
+        walletAddress: account,
+      });
+      const signature = await signTypedData(typedData);
+
+      await apiService.commitVote({
+        electionId: candidate.electionId,
+        walletAddress: account,
+        commitment,
+        signature,
+        deadline: typedData.message.deadline,
+        merkleProof,
+      });
+
+      toast.success('Vote committed! Come back to reveal it once the commit phase ends.');
+      setHasVoted(true);
+      setVotedCandidate(candidate.name);
+      setCommitSecret({ ...secret, electionId: candidate.electionId, phase: 'commit', revealEndDate: candidate.revealEndDate });
+    } catch (error) {
+      clearCommitSecret(candidate.electionId, account);
+      console.error('Commit error:', error);
+      toast.error(error.message || 'Failed to commit vote. Please try again.');
+    } finally {
+      setIsVoting(false);
+    }
+  };
+
+  const handleReveal = async () => {
+    setIsRevealing(true);
+
+    try {
+      const response = await apiService.revealVote({
+        walletAddress: account,
+        candidateId: commitSecret.candidateId,
+        salt: commitSecret.salt,
+      });
+
+      clearCommitSecret(commitSecret.electionId, account);
+      setCommitSecret(null);
+      setVotedCandidate(commitSecret.candidateName);
+      toast.success('Vote revealed successfully!');
+
+      setTimeout(() => {
+        router.push(`/confirmation?txHash=${response.transactionHash}&candidate=${commitSecret.candidateName}`);
+      }, 2000);
+    } catch (error) {
+      console.error('Reveal error:', error);
+      toast.error(error.message || 'Failed to reveal vote. Please try again.');
+    } finally {
+      setIsRevealing(false);
+    }
+  };
+
+  // Check a candidate's published profile against the ipfsHash it is registered with on-chain
+  const handleVerifyProfile = async (candidate) => {
+    try {
+      const { verification } = await apiService.getCandidateProfile(candidate.id);
+      if (!verification.verified) {
+        toast.error(`${candidate.name}'s profile does not match the one registered on-chain`);
+      } else if (!verification.upToDate) {
+        toast.warn(`${candidate.name}'s on-chain profile checks out, but their details have changed since it was registered`);
+      } else {
+        toast.success(`${candidate.name}'s profile matches the one registered on-chain`);
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
   if (!isConnected) {
     return (
       <>
@@ -176,7 +340,42 @@ export default function Candidates() {
             </p>
           </div>
 
-          {hasVoted && (
+          {commitSecret && (
+            <div className="mb-8">
+              <Card className="p-6 bg-blue-50 dark:bg-blue-900 border-blue-200 dark:border-blue-700">
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                  <div className="flex items-center space-x-3">
+                    {commitSecret.phase === 'reveal' ? (
+                      <Unlock className="w-6 h-6 text-blue-500" />
+                    ) : (
+                      <Lock className="w-6 h-6 text-blue-500" />
+                    )}
+                    <div>
+                      <h3 className="text-lg font-semibold text-blue-800 dark:text-blue-200">
+                        {commitSecret.phase === 'reveal' ? 'Reveal Your Vote' : 'Vote Committed'}
+                      </h3>
+                      <p className="text-blue-600 dark:text-blue-300">
+                        {commitSecret.phase === 'reveal'
+                          ? <>Your sealed vote for <strong>{commitSecret.candidateName}</strong> only counts once revealed{commitSecret.revealEndDate && <> (before {formatDateTime(commitSecret.revealEndDate)})</>}.</>
+                          : <>Your vote for <strong>{commitSecret.candidateName}</strong> is sealed. Keep this browser: its secret is needed to reveal it when the reveal phase opens.</>}
+                      </p>
+                    </div>
+                  </div>
+                  {commitSecret.phase === 'reveal' && (
+                    <button
+                      onClick={handleReveal}
+                      disabled={isRevealing}
+                      className="btn-primary"
+                    >
+                      {isRevealing ? 'Revealing...' : 'Reveal Vote'}
+                    </button>
+                  )}
+                </div>
+              </Card>
+            </div>
+          )}
+
+          {hasVoted && !commitSecret && (
             <div className="mb-8">
               <Card className="p-6 bg-green-50 dark:bg-green-900 border-green-200 dark:border-green-700">
                 <div className="flex items-center space-x-3">
@@ -194,6 +393,95 @@ export default function Candidates() {
             </div>
           )}
 
+          {emailPending && (
+            <div className="mb-8">
+              <Card className="p-6 bg-yellow-50 dark:bg-yellow-900 border-yellow-200 dark:border-yellow-700">
+                <div className="flex items-start space-x-3">
+                  <Mail className="w-6 h-6 text-yellow-500 flex-shrink-0" />
+                  <div>
+                    <h3 className="text-lg font-semibold text-yellow-800 dark:text-yellow-200">
+                      Confirm your email address
+                    </h3>
+                    <p className="text-yellow-700 dark:text-yellow-300">
+                      Open the link in the email we sent you before voting.
+                    </p>
+                    <button
+                      onClick={handleResendEmail}
+                      className="mt-2 text-sm font-medium text-yellow-800 dark:text-yellow-200 underline"
+                    >
+                      Send the email again
+                    </button>
+                  </div>
+                </div>
+              </Card>
+            </div>
+          )}
+
+          {eligibilityResults.filter((result) => !result.eligible).map((result) => (
+            <div key={result.electionId} className="mb-8">
+              <Card className="p-6 bg-red-50 dark:bg-red-900 border-red-200 dark:border-red-700">
+                <div className="flex items-start space-x-3">
+                  <ShieldAlert className="w-6 h-6 text-red-500 flex-shrink-0" />
+                  <div>
+                    <h3 className="text-lg font-semibold text-red-800 dark:text-red-200">
+                      You cannot vote in {result.title}
+                    </h3>
+                    <ul className="list-disc list-inside text-red-600 dark:text-red-300 mt-2">
+                      {result.reasons.map((reason) => (
+                        <li key={reason.rule}>{reason.message}</li>
+                      ))}
+                    </ul>
+                    <div className="flex space-x-4 mt-3">
+                      <button
+                        onClick={() => router.push('/register')}
+                        className="text-sm font-medium text-red-700 dark:text-red-200 underline"
+                      >
+                        Update your eligibility details
+                      </button>
+                      {result.reasons.some((reason) => reason.rule === 'verified') && (
+                        <button
+                          onClick={() => router.push('/verification')}
+                          className="text-sm font-medium text-red-700 dark:text-red-200 underline"
+                        >
+                          Verify your identity
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              </Card>
+            </div>
+          ))}
+
+          {eligibilityResults.filter((result) => result.notes.length > 0).map((result) => (
+            <div key={`${result.electionId}-notes`} className="mb-8">
+              <Card className="p-6">
+                <div className="flex items-start space-x-3">
+                  <Info className="w-6 h-6 text-primary-500 flex-shrink-0" />
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                      Also required for {result.title}
+                    </h3>
+                    {result.notes.map((note) => (
+                      <p key={note} className="text-gray-600 dark:text-gray-300 mt-1">{note}</p>
+                    ))}
+                  </div>
+                </div>
+              </Card>
+            </div>
+          ))}
+
+          {haltedElections.map((candidate) => (
+            <div key={`${candidate.electionId}-status`} className="mb-8">
+              <ElectionStatusBanner
+                title={candidate.electionTitle}
+                status={candidate.electionStatus}
+                pauseReason={candidate.pauseReason}
+                cancellationReason={candidate.cancellationReason}
+              />
+            </div>
+          ))}
+
           {candidates.length === 0 ? (
             <Card className="p-8 text-center">
               <div className="flex justify-center mb-4">
@@ -217,9 +505,9 @@ export default function Candidates() {
                   <div className="text-center">
                     {/* Candidate Photo */}
                     <div className="w-24 h-24 mx-auto mb-4 bg-gradient-to-r from-primary-500 to-primary-600 rounded-full flex items-center justify-center">
-                      {candidate.photo ? (
+                      {candidate.thumbnailCid || candidate.photo ? (
                         <img
-                          src={candidate.photo}
+                          src={candidate.thumbnailCid ? getMediaUrl(candidate.thumbnailCid) : candidate.photo}
                           alt={candidate.name}
                           className="w-24 h-24 rounded-full object-cover"
                         />
@@ -245,12 +533,22 @@ export default function Candidates() {
                       </p>
                     )}
 
+                    {candidate.profileCid && (
+                      <button
+                        onClick={() => handleVerifyProfile(candidate)}
+                        className="inline-flex items-center space-x-1 text-xs text-primary-600 dark:text-primary-400 hover:underline mb-4"
+                      >
+                        <ShieldCheck className="w-3 h-3" />
+                        <span>Verify profile on-chain</span>
+                      </button>
+                    )}
+
                     {/* Vote Button */}
                     <button
                       onClick={() => handleVote(candidate.id, candidate.name)}
-                      disabled={isVoting || hasVoted}
+                      disabled={isVoting || hasVoted || isIneligible(candidate) || isHalted(candidate)}
                       className={`w-full py-3 px-6 rounded-2xl font-medium transition-all duration-300 transform hover:scale-105 ${
-                        hasVoted
+                        hasVoted || isIneligible(candidate) || isHalted(candidate)
                           ? 'bg-gray-300 dark:bg-gray-600 text-gray-500 dark:text-gray-400 cursor-not-allowed'
                           : isVoting
                           ? 'bg-yellow-500 text-white cursor-not-allowed'
@@ -267,6 +565,21 @@ export default function Candidates() {
                           <CheckCircle className="w-4 h-4" />
                           <span>Voted</span>
                         </div>
+                      ) : candidate.electionStatus === 'paused' ? (
+                        <div className="flex items-center justify-center space-x-2">
+                          <PauseCircle className="w-4 h-4" />
+                          <span>Voting Paused</span>
+                        </div>
+                      ) : candidate.electionStatus === 'cancelled' ? (
+                        <div className="flex items-center justify-center space-x-2">
+                          <XCircle className="w-4 h-4" />
+                          <span>Election Cancelled</span>
+                        </div>
+                      ) : isIneligible(candidate) ? (
+                        <div className="flex items-center justify-center space-x-2">
+                          <ShieldAlert className="w-4 h-4" />
+                          <span>Not Eligible</span>
+                        </div>
                       ) : (
                         <div className="flex items-center justify-center space-x-2">
                           <Vote className="w-4 h-4" />
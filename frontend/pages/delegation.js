@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { toast } from 'react-toastify';
+import { useWallet } from '../contexts/WalletContext';
+import { apiService } from '../services/api';
+import Navbar from '../components/Navbar';
+import Card, { CardTitle, CardDescription } from '../components/Card';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { formatAddress, formatDateTime } from '../utils/helpers';
+import { AlertCircle, ArrowRight, Search, Users, UserCheck, XCircle } from 'lucide-react';
+
+export default function Delegation() {
+  const router = useRouter();
+  const { account, isConnected, sendTransaction } = useWallet();
+  const [profile, setProfile] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [delegates, setDelegates] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isConnected) {
+      fetchDelegation();
+    } else {
+      setIsLoading(false);
+    }
+  }, [isConnected, account]);
+
+  const fetchDelegation = async () => {
+    try {
+      const data = await apiService.getDelegation(account);
+      setProfile(data.delegation);
+    } catch (error) {
+      console.error('Error fetching delegation:', error);
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    setIsSearching(true);
+
+    try {
+      const data = await apiService.searchDelegates(search);
+      setDelegates(data.delegates.filter((d) => d.address !== account.toLowerCase()));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  // The contract delegates for msg.sender, so the voter sends these transactions from their own wallet
+  const submitDelegationTransaction = async (prepare, successMessage) => {
+    setIsSubmitting(true);
+
+    try {
+      const { transaction } = await prepare();
+      const transactionHash = await sendTransaction(transaction);
+      const data = await apiService.confirmDelegation({ walletAddress: account, transactionHash });
+
+      setProfile(data.delegation);
+      setDelegates([]);
+      setSearch('');
+      toast.success(successMessage);
+    } catch (error) {
+      console.error('Delegation error:', error);
+      toast.error(error.message || 'Delegation failed. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelegate = (delegate) => submitDelegationTransaction(
+    () => apiService.prepareDelegation({ walletAddress: account, delegateAddress: delegate.address }),
+    `Your vote is now delegated to ${delegate.name}`
+  );
+
+  const handleRevoke = () => submitDelegationTransaction(
+    () => apiService.prepareRevocation(account),
+    'Delegation revoked. You can vote yourself again.'
+  );
+
+  const describe = (entry) => entry.name || formatAddress(entry.address);
+
+  if (!isConnected) {
+    return (
+      <>
+        <Head>
+          <title>Delegation - BlocPol</title>
+          <meta name="description" content="Delegate your vote to a trusted voter" />
+        </Head>
+
+        <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+          <Navbar />
+
+          <div className="max-w-4xl mx-auto px-4 py-20">
+            <Card className="p-8 text-center">
+              <div className="flex justify-center mb-6">
+                <div className="w-16 h-16 bg-yellow-100 dark:bg-yellow-900 rounded-full flex items-center justify-center">
+                  <AlertCircle className="w-8 h-8 text-yellow-500" />
+                </div>
+              </div>
+
+              <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-4">
+                Wallet Required
+              </h1>
+
+              <p className="text-gray-600 dark:text-gray-300 mb-8">
+                Please connect your MetaMask wallet to manage your delegation.
+              </p>
+
+              <button
+                onClick={() => router.push('/register')}
+                className="btn-primary"
+              >
+                Connect Wallet
+              </button>
+            </Card>
+          </div>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Delegation - BlocPol</title>
+        <meta name="description" content="Delegate your vote to a trusted voter" />
+      </Head>
+
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+        <Navbar />
+
+        <div className="max-w-4xl mx-auto px-4 py-20">
+          <div className="text-center mb-12">
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-4">
+              Vote Delegation
+            </h1>
+            <p className="text-xl text-gray-600 dark:text-gray-300">
+              Let a voter you trust cast your vote in liquid democracy elections
+            </p>
+          </div>
+
+          {isLoading ? (
+            <div className="flex justify-center">
+              <LoadingSpinner size="large" text="Loading delegation..." />
+            </div>
+          ) : !profile ? (
+            <Card className="p-8 text-center">
+              <p className="text-gray-600 dark:text-gray-300">
+                Delegation is not available right now.
+              </p>
+            </Card>
+          ) : (
+            <div className="space-y-8">
+              {/* Voting Power */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <Card className="p-6 text-center">
+                  <CardDescription>Your Own Vote</CardDescription>
+                  <p className="text-3xl font-bold text-gray-900 dark:text-white mt-2">
+                    {profile.delegation ? 0 : 1}
+                  </p>
+                </Card>
+                <Card className="p-6 text-center">
+                  <CardDescription>Delegated To You</CardDescription>
+                  <p className="text-3xl font-bold text-gray-900 dark:text-white mt-2">
+                    {profile.delegatedPower / profile.basePower}
+                  </p>
+                </Card>
+                <Card className="p-6 text-center">
+                  <CardDescription>Effective Voting Power</CardDescription>
+                  <p className="text-3xl font-bold text-primary-600 dark:text-primary-400 mt-2">
+                    {profile.effectiveVotes}
+                  </p>
+                </Card>
+              </div>
+
+              {/* Current Delegation */}
+              {profile.delegation ? (
+                <Card className="p-6">
+                  <div className="flex items-center space-x-3 mb-4">
+                    <UserCheck className="w-6 h-6 text-primary-500" />
+                    <CardTitle>Your Delegation</CardTitle>
+                  </div>
+
+                  <p className="text-gray-600 dark:text-gray-300 mb-4">
+                    Since {formatDateTime(profile.delegation.createdAt)}, <strong>{describe(profile.delegation.delegate)}</strong> votes
+                    on your behalf. Your vote follows this chain:
+                  </p>
+
+                  <div className="flex flex-wrap items-center gap-2 mb-6">
+                    <span className="px-3 py-1 rounded-full bg-gray-200 dark:bg-gray-700 text-sm">You</span>
+                    {profile.chain.map((entry) => (
+                      <React.Fragment key={entry.address}>
+                        <ArrowRight className="w-4 h-4 text-gray-400" />
+                        <span className="px-3 py-1 rounded-full bg-primary-100 dark:bg-primary-900 text-sm" title={entry.address}>
+                          {describe(entry)}
+                        </span>
+                      </React.Fragment>
+                    ))}
+                  </div>
+
+                  <button
+                    onClick={handleRevoke}
+                    disabled={isSubmitting}
+                    className="btn-outline flex items-center space-x-2 disabled:opacity-50"
+                  >
+                    <XCircle className="w-4 h-4" />
+                    <span>{isSubmitting ? 'Revoking...' : 'Revoke Delegation'}</span>
+                  </button>
+                </Card>
+              ) : (
+                <Card className="p-6">
+                  <div className="flex items-center space-x-3 mb-4">
+                    <Search className="w-6 h-6 text-primary-500" />
+                    <CardTitle>Choose a Delegate</CardTitle>
+                  </div>
+
+                  <form onSubmit={handleSearch} className="flex gap-3 mb-6">
+                    <input
+                      type="text"
+                      value={search}
+                      onChange={(e) => setSearch(e.target.value)}
+                      placeholder="Search by name or wallet address"
+                      className="form-input"
+                      minLength={3}
+                    />
+                    <button type="submit" disabled={isSearching || search.trim().length < 3} className="btn-primary disabled:opacity-50">
+                      {isSearching ? 'Searching...' : 'Search'}
+                    </button>
+                  </form>
+
+                  {delegates.length > 0 && (
+                    <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                      {delegates.map((delegate) => (
+                        <li key={delegate.address} className="flex items-center justify-between py-3">
+                          <div>
+                            <p className="font-medium text-gray-900 dark:text-white">{delegate.name}</p>
+                            <p className="text-sm text-gray-500 font-mono">{formatAddress(delegate.address)}</p>
+                          </div>
+                          <button
+                            onClick={() => handleDelegate(delegate)}
+                            disabled={isSubmitting}
+                            className="btn-primary disabled:opacity-50"
+                          >
+                            {isSubmitting ? 'Delegating...' : 'Delegate'}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </Card>
+              )}
+
+              {/* Delegators */}
+              <Card className="p-6">
+                <div className="flex items-center space-x-3 mb-4">
+                  <Users className="w-6 h-6 text-primary-500" />
+                  <CardTitle>Voters Delegating to You</CardTitle>
+                </div>
+
+                {profile.delegators.length === 0 ? (
+                  <p className="text-gray-600 dark:text-gray-300">Nobody delegates to you yet.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {profile.delegators.map((delegator) => (
+                      <li key={delegator.address} className="flex items-center justify-between py-3">
+                        <div>
+                          <p className="font-medium text-gray-900 dark:text-white">{describe(delegator)}</p>
+                          <p className="text-sm text-gray-500">
+                            {delegator.depth === 1 ? 'Direct' : `Through ${formatAddress(delegator.delegate)}`}
+                          </p>
+                        </div>
+                        <span className="text-gray-700 dark:text-gray-300">
+                          {delegator.power / profile.basePower} vote{delegator.power === profile.basePower ? '' : 's'}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </Card>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,507 @@
+import React, { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { toast } from 'react-toastify';
+import { useWallet } from '../contexts/WalletContext';
+import { apiService, getMediaUrl } from '../services/api';
+import Navbar from '../components/Navbar';
+import Card, { CardTitle, CardDescription } from '../components/Card';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { formatDateTime } from '../utils/helpers';
+import { hashFile } from '../utils/voterProfile';
+import {
+  SOCIAL_MEDIA_FIELDS,
+  NOMINATION_DOCUMENT_TYPES,
+  toNomination,
+  buildNominationMessage,
+  buildNominationUploadMessage,
+  buildAppealMessage,
+} from '../utils/nomination';
+import { AlertCircle, Camera, CheckCircle, Clock, FileText, Flag, Scale, Upload, User, XCircle } from 'lucide-react';
+
+const SIGNATURE_TTL_SECONDS = 10 * 60;
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const ACCEPTED_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const emptyForm = {
+  electionId: '',
+  name: '',
+  party: '',
+  email: '',
+  phone: '',
+  description: '',
+  website: '',
+  twitter: '',
+  facebook: '',
+  linkedin: '',
+};
+
+const statusStyles = {
+  pending: { icon: Clock, label: 'Under review', className: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200' },
+  active: { icon: CheckCircle, label: 'Approved', className: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200' },
+  rejected: { icon: XCircle, label: 'Rejected', className: 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200' },
+  withdrawn: { icon: XCircle, label: 'Withdrawn', className: 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200' },
+};
+
+const signatureDeadline = () => Math.floor(Date.now() / 1000) + SIGNATURE_TTL_SECONDS;
+
+// One of the wallet's nominations, with its photo, its documents and, once rejected, the appeal form
+function NominationCard({ nomination, account, signMessage, onChange }) {
+  const [documentType, setDocumentType] = useState('manifesto');
+  const [file, setFile] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const [isUploadingPhoto, setIsUploadingPhoto] = useState(false);
+  const [appealReason, setAppealReason] = useState('');
+  const [isAppealing, setIsAppealing] = useState(false);
+
+  const { icon: StatusIcon, label, className } = statusStyles[nomination.status] || statusStyles.pending;
+  const canUpload = nomination.status === 'pending' || nomination.canAppeal;
+  const hasManifesto = nomination.documents.some((doc) => doc.type === 'manifesto');
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0] || null;
+    if (selected && !ACCEPTED_TYPES.includes(selected.type)) {
+      toast.error('Choose a PDF, PNG or JPEG file');
+      e.target.value = '';
+      return;
+    }
+    if (selected && selected.size > MAX_FILE_SIZE) {
+      toast.error('Files can be at most 5 MB');
+      e.target.value = '';
+      return;
+    }
+    setFile(selected);
+  };
+
+  // The nominee signs the file's hash, so the backend knows the upload came from this wallet
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    setIsUploading(true);
+
+    try {
+      const deadline = signatureDeadline();
+      const sha256 = await hashFile(file);
+      const signature = await signMessage(buildNominationUploadMessage(account, nomination.id, documentType, sha256, deadline));
+
+      const data = await apiService.uploadNominationDocument(nomination.id, {
+        walletAddress: account,
+        type: documentType,
+        file,
+        signature,
+        deadline,
+      });
+
+      toast.success(data.message);
+      setFile(null);
+      e.target.reset();
+      onChange();
+    } catch (error) {
+      console.error('Upload error:', error);
+      toast.error(error.message || 'Upload failed. Please try again.');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  // Photos are signed like documents, with 'photo' as their type; the backend resizes them
+  const handlePhotoChange = async (e) => {
+    const photo = e.target.files[0];
+    e.target.value = '';
+    if (!photo) {
+      return;
+    }
+    if (!PHOTO_TYPES.includes(photo.type)) {
+      toast.error('Choose a JPEG, PNG or WebP image');
+      return;
+    }
+    if (photo.size > MAX_FILE_SIZE) {
+      toast.error('Files can be at most 5 MB');
+      return;
+    }
+
+    setIsUploadingPhoto(true);
+    try {
+      const deadline = signatureDeadline();
+      const sha256 = await hashFile(photo);
+      const signature = await signMessage(buildNominationUploadMessage(account, nomination.id, 'photo', sha256, deadline));
+
+      const data = await apiService.uploadNominationPhoto(nomination.id, { walletAddress: account, file: photo, signature, deadline });
+
+      toast.success(data.message);
+      onChange();
+    } catch (error) {
+      console.error('Photo upload error:', error);
+      toast.error(error.message || 'Upload failed. Please try again.');
+    } finally {
+      setIsUploadingPhoto(false);
+    }
+  };
+
+  const handleAppeal = async (e) => {
+    e.preventDefault();
+    setIsAppealing(true);
+
+    try {
+      const reason = appealReason.trim();
+      const deadline = signatureDeadline();
+      const signature = await signMessage(buildAppealMessage(account, nomination.id, reason, deadline));
+
+      const data = await apiService.submitAppeal(nomination.id, { walletAddress: account, reason, signature, deadline });
+
+      toast.success(data.message);
+      setAppealReason('');
+      onChange();
+    } catch (error) {
+      console.error('Appeal error:', error);
+      toast.error(error.message || 'Appeal failed. Please try again.');
+    } finally {
+      setIsAppealing(false);
+    }
+  };
+
+  return (
+    <Card className="p-6">
+      <div className="flex items-start justify-between mb-4">
+        <div className="flex items-center space-x-4">
+          <div className="w-16 h-16 flex-shrink-0 rounded-full bg-gradient-to-r from-primary-500 to-primary-600 flex items-center justify-center overflow-hidden">
+            {nomination.photo ? (
+              <img src={getMediaUrl(nomination.photo.thumbnailCid)} alt={nomination.name} className="w-16 h-16 object-cover" />
+            ) : (
+              <User className="w-8 h-8 text-white" />
+            )}
+          </div>
+          <div>
+            <CardTitle>{nomination.election ? nomination.election.title : 'Election removed'}</CardTitle>
+            <CardDescription>
+              {nomination.name}{nomination.party ? ` · ${nomination.party}` : ''}
+              {nomination.submittedAt && ` · nominated ${formatDateTime(nomination.submittedAt)}`}
+            </CardDescription>
+            {canUpload && (
+              <label className="inline-flex items-center space-x-1 mt-1 text-sm text-primary-600 dark:text-primary-400 cursor-pointer hover:underline">
+                <Camera className="w-4 h-4" />
+                <span>{isUploadingPhoto ? 'Uploading photo...' : nomination.photo ? 'Change photo' : 'Add a photo'}</span>
+                <input
+                  type="file"
+                  accept={PHOTO_TYPES.join(',')}
+                  onChange={handlePhotoChange}
+                  disabled={isUploadingPhoto}
+                  className="hidden"
+                />
+              </label>
+            )}
+          </div>
+        </div>
+        <span className={`inline-flex items-center space-x-1 px-3 py-1 rounded-full text-sm font-medium ${className}`}>
+          <StatusIcon className="w-4 h-4" />
+          <span>{nomination.appeal && !nomination.appeal.decision ? 'Appeal under review' : label}</span>
+        </span>
+      </div>
+
+      {nomination.rejectionReason && nomination.status === 'rejected' && (
+        <p className="text-sm text-red-600 dark:text-red-400 mb-2">Rejected: {nomination.rejectionReason}</p>
+      )}
+      {nomination.appeal && (
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-2">
+          Appealed {formatDateTime(nomination.appeal.submittedAt)}: {nomination.appeal.reason}
+          {nomination.appeal.decision && ` (appeal ${nomination.appeal.decision})`}
+        </p>
+      )}
+      {nomination.status === 'pending' && !hasManifesto && (
+        <p className="text-sm text-yellow-700 dark:text-yellow-300 mb-2">
+          Upload your manifesto so the election officials can review your nomination.
+        </p>
+      )}
+
+      {/* Documents */}
+      <div className="mt-4">
+        <div className="flex items-center space-x-2 mb-2">
+          <FileText className="w-5 h-5 text-primary-500" />
+          <span className="font-medium text-gray-900 dark:text-white">Documents</span>
+        </div>
+        {nomination.documents.length === 0 ? (
+          <p className="text-sm text-gray-600 dark:text-gray-300">No documents uploaded yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {nomination.documents.map((doc) => (
+              <li key={doc.id} className="flex items-center justify-between py-2 text-sm">
+                <span className="text-gray-900 dark:text-white">
+                  {NOMINATION_DOCUMENT_TYPES.find((type) => type.key === doc.type)?.label || doc.type}
+                </span>
+                <span className="text-gray-500">Uploaded {formatDateTime(doc.uploadedAt)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {canUpload && (
+        <form onSubmit={handleUpload} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end mt-4">
+          <div>
+            <label htmlFor={`documentType-${nomination.id}`} className="form-label">Document Type</label>
+            <select
+              id={`documentType-${nomination.id}`}
+              value={documentType}
+              onChange={(e) => setDocumentType(e.target.value)}
+              className="form-input"
+            >
+              {NOMINATION_DOCUMENT_TYPES.map((type) => (
+                <option key={type.key} value={type.key}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor={`documentFile-${nomination.id}`} className="form-label">File (PDF, PNG or JPEG, up to 5 MB)</label>
+            <input
+              id={`documentFile-${nomination.id}`}
+              type="file"
+              accept={ACCEPTED_TYPES.join(',')}
+              onChange={handleFileChange}
+              className="form-input"
+            />
+          </div>
+          <button type="submit" disabled={!file || isUploading} className="btn-primary flex items-center justify-center space-x-2 disabled:opacity-50">
+            <Upload className="w-4 h-4" />
+            <span>{isUploading ? 'Uploading...' : 'Sign & Upload'}</span>
+          </button>
+        </form>
+      )}
+
+      {nomination.canAppeal && (
+        <form onSubmit={handleAppeal} className="mt-6">
+          <div className="flex items-center space-x-2 mb-2">
+            <Scale className="w-5 h-5 text-primary-500" />
+            <span className="font-medium text-gray-900 dark:text-white">Appeal this decision</span>
+          </div>
+          <p className="text-sm text-gray-600 dark:text-gray-300 mb-2">
+            You can appeal once, until the election starts. Your nomination goes back to the election officials with your reason.
+          </p>
+          <textarea
+            value={appealReason}
+            onChange={(e) => setAppealReason(e.target.value)}
+            maxLength={1000}
+            rows={3}
+            className="form-input mb-3"
+            placeholder="Why should your nomination be accepted?"
+          />
+          <button type="submit" disabled={!appealReason.trim() || isAppealing} className="btn-primary disabled:opacity-50">
+            {isAppealing ? 'Submitting...' : 'Sign & Appeal'}
+          </button>
+        </form>
+      )}
+    </Card>
+  );
+}
+
+export default function Nominate() {
+  const { account, isConnected, connectWallet, signMessage } = useWallet();
+  const [elections, setElections] = useState([]);
+  const [nominations, setNominations] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isConnected) {
+      fetchData();
+    } else {
+      setIsLoading(false);
+    }
+  }, [isConnected, account]);
+
+  const fetchData = async () => {
+    try {
+      const [electionData, nominationData] = await Promise.all([
+        apiService.getNominationElections(),
+        apiService.getNominations(account),
+      ]);
+      setElections(electionData.elections || []);
+      setNominations(nominationData.nominations || []);
+    } catch (error) {
+      console.error('Error fetching nominations:', error);
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  // The nominee signs every detail of the nomination with their wallet
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      const nomination = toNomination(form);
+      const deadline = signatureDeadline();
+      const signature = await signMessage(buildNominationMessage(account, form.electionId, nomination, deadline));
+
+      const data = await apiService.submitNomination({
+        ...nomination,
+        electionId: form.electionId,
+        walletAddress: account,
+        signature,
+        deadline,
+      });
+
+      toast.success(data.message);
+      setForm(emptyForm);
+      fetchData();
+    } catch (error) {
+      console.error('Nomination error:', error);
+      toast.error(error.message || 'Nomination failed. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isConnected) {
+    return (
+      <>
+        <Head>
+          <title>Stand as a Candidate - BlocPol</title>
+          <meta name="description" content="Nominate yourself as a candidate" />
+        </Head>
+
+        <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+          <Navbar />
+
+          <div className="max-w-4xl mx-auto px-4 py-20">
+            <Card className="p-8 text-center">
+              <div className="flex justify-center mb-6">
+                <div className="w-16 h-16 bg-yellow-100 dark:bg-yellow-900 rounded-full flex items-center justify-center">
+                  <AlertCircle className="w-8 h-8 text-yellow-500" />
+                </div>
+              </div>
+
+              <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-4">
+                Wallet Required
+              </h1>
+
+              <p className="text-gray-600 dark:text-gray-300 mb-8">
+                Connect the MetaMask wallet you will stand with. You sign your nomination with it.
+              </p>
+
+              <button onClick={connectWallet} className="btn-primary">
+                Connect Wallet
+              </button>
+            </Card>
+          </div>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Stand as a Candidate - BlocPol</title>
+        <meta name="description" content="Nominate yourself as a candidate" />
+      </Head>
+
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+        <Navbar />
+
+        <div className="max-w-4xl mx-auto px-4 py-20">
+          <div className="text-center mb-12">
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-4">
+              Stand as a Candidate
+            </h1>
+            <p className="text-xl text-gray-600 dark:text-gray-300">
+              Nominations are reviewed by the election officials before the election starts
+            </p>
+          </div>
+
+          {isLoading ? (
+            <div className="flex justify-center">
+              <LoadingSpinner size="large" text="Loading nominations..." />
+            </div>
+          ) : (
+            <div className="space-y-8">
+              {/* Nomination form */}
+              <Card className="p-6">
+                <div className="flex items-center space-x-3 mb-4">
+                  <Flag className="w-6 h-6 text-primary-500" />
+                  <CardTitle>New Nomination</CardTitle>
+                </div>
+
+                {elections.length === 0 ? (
+                  <p className="text-gray-600 dark:text-gray-300">No elections are taking nominations right now.</p>
+                ) : (
+                  <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div className="md:col-span-2">
+                      <label htmlFor="electionId" className="form-label">Election</label>
+                      <select id="electionId" name="electionId" value={form.electionId} onChange={handleChange} className="form-input" required>
+                        <option value="">Choose an election</option>
+                        {elections.map((election) => (
+                          <option key={election.id} value={election.id}>
+                            {election.title} (starts {formatDateTime(election.startDate)})
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label htmlFor="name" className="form-label">Name</label>
+                      <input id="name" name="name" value={form.name} onChange={handleChange} maxLength={100} className="form-input" required />
+                    </div>
+                    <div>
+                      <label htmlFor="party" className="form-label">Party (leave empty if independent)</label>
+                      <input id="party" name="party" value={form.party} onChange={handleChange} maxLength={100} className="form-input" />
+                    </div>
+                    <div>
+                      <label htmlFor="email" className="form-label">Email (for status updates)</label>
+                      <input id="email" name="email" type="email" value={form.email} onChange={handleChange} className="form-input" required />
+                    </div>
+                    <div>
+                      <label htmlFor="phone" className="form-label">Phone</label>
+                      <input id="phone" name="phone" value={form.phone} onChange={handleChange} className="form-input" />
+                    </div>
+                    <div className="md:col-span-2">
+                      <label htmlFor="description" className="form-label">Short statement</label>
+                      <textarea
+                        id="description"
+                        name="description"
+                        value={form.description}
+                        onChange={handleChange}
+                        maxLength={1000}
+                        rows={3}
+                        className="form-input"
+                      />
+                    </div>
+                    {SOCIAL_MEDIA_FIELDS.map((field) => (
+                      <div key={field}>
+                        <label htmlFor={field} className="form-label capitalize">{field}</label>
+                        <input id={field} name={field} value={form[field]} onChange={handleChange} className="form-input" />
+                      </div>
+                    ))}
+                    <div className="md:col-span-2">
+                      <button type="submit" disabled={isSubmitting} className="btn-primary disabled:opacity-50">
+                        {isSubmitting ? 'Submitting...' : 'Sign & Submit Nomination'}
+                      </button>
+                      <p className="text-sm text-gray-500 mt-2">
+                        After submitting, upload your manifesto and any supporting documents below.
+                      </p>
+                    </div>
+                  </form>
+                )}
+              </Card>
+
+              {/* The wallet's nominations */}
+              {nominations.map((nomination) => (
+                <NominationCard
+                  key={nomination.id}
+                  nomination={nomination}
+                  account={account}
+                  signMessage={signMessage}
+                  onChange={fetchData}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
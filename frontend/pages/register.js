@@ -9,7 +9,17 @@ import { apiService } from '../services/api';
 import Navbar from '../components/Navbar';
 import Card from '../components/Card';
 import LoadingSpinner from '../components/LoadingSpinner';
-import { User, Mail, Wallet, CheckCircle, AlertCircle } from 'lucide-react';
+import { toProfile, buildProfileMessage } from '../utils/voterProfile';
+import { User, Mail, Wallet, CheckCircle, AlertCircle, Calendar, Flag, MapPin } from 'lucide-react';
+
+const PROFILE_SIGNATURE_TTL_SECONDS = 10 * 60;
+
+const profileValidation = {
+  dateOfBirth: Yup.date()
+    .max(new Date(), 'Date of birth must be in the past'),
+  citizenship: Yup.string()
+    .max(100, 'Citizenship must be less than 100 characters'),
+};
 
 const validationSchema = Yup.object({
   name: Yup.string()
@@ -19,13 +29,87 @@ const validationSchema = Yup.object({
   email: Yup.string()
     .email('Invalid email address')
     .required('Email is required'),
+  ...profileValidation,
 });
 
+const profileValidationSchema = Yup.object(profileValidation);
+
+const emptyProfile = {
+  dateOfBirth: '',
+  citizenship: '',
+  street: '',
+  city: '',
+  state: '',
+  country: '',
+  zipCode: '',
+};
+
+// Details elections check voters against (age, citizenship, residency)
+function ProfileFields({ errors, touched }) {
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Eligibility Details</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          Elections can require a minimum age, citizenship or residency. These details are checked before you vote.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="dateOfBirth" className="form-label flex items-center space-x-2">
+            <Calendar className="w-4 h-4" />
+            <span>Date of Birth</span>
+          </label>
+          <Field
+            type="date"
+            id="dateOfBirth"
+            name="dateOfBirth"
+            className={`form-input ${errors.dateOfBirth && touched.dateOfBirth ? 'border-red-500' : ''}`}
+          />
+          <ErrorMessage name="dateOfBirth" component="div" className="text-red-500 text-sm mt-1" />
+        </div>
+
+        <div>
+          <label htmlFor="citizenship" className="form-label flex items-center space-x-2">
+            <Flag className="w-4 h-4" />
+            <span>Citizenship</span>
+          </label>
+          <Field
+            type="text"
+            id="citizenship"
+            name="citizenship"
+            className={`form-input ${errors.citizenship && touched.citizenship ? 'border-red-500' : ''}`}
+            placeholder="Country of citizenship"
+          />
+          <ErrorMessage name="citizenship" component="div" className="text-red-500 text-sm mt-1" />
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="street" className="form-label flex items-center space-x-2">
+          <MapPin className="w-4 h-4" />
+          <span>Address</span>
+        </label>
+        <Field type="text" id="street" name="street" className="form-input mb-3" placeholder="Street" />
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <Field type="text" name="city" className="form-input" placeholder="City" />
+          <Field type="text" name="state" className="form-input" placeholder="State / Region" />
+          <Field type="text" name="country" className="form-input" placeholder="Country" />
+          <Field type="text" name="zipCode" className="form-input" placeholder="ZIP Code" />
+        </div>
+      </div>
+    </div>
+  );
+}
+
 export default function Register() {
   const router = useRouter();
   const { account, isConnected, connectWallet, signMessage } = useWallet();
   const [isLoading, setIsLoading] = useState(false);
   const [isRegistered, setIsRegistered] = useState(false);
+  const [isEditingProfile, setIsEditingProfile] = useState(false);
+  const [emailPending, setEmailPending] = useState(false);
 
   useEffect(() => {
     if (isConnected && account) {
@@ -36,6 +120,7 @@ export default function Register() {
   const checkRegistrationStatus = async () => {
     try {
       const status = await apiService.getVoterStatus(account);
+      setEmailPending(Boolean(status.voter?.emailVerificationRequired && !status.voter.emailVerified));
       if (status.registered) {
         setIsRegistered(true);
         toast.info('You are already registered!');
@@ -66,13 +151,23 @@ export default function Register() {
         walletAddress: account,
         signature: signature,
         message: message,
+        ...toProfile(values),
       };
 
       const response = await apiService.registerVoter(voterData);
       
       toast.success('Registration successful!');
       setIsRegistered(true);
-      
+
+      // Voters who still have to confirm their email stay here to read how
+      if (response.emailVerificationRequired && !response.voter.emailVerified) {
+        setEmailPending(true);
+        if (!response.verificationEmailSent) {
+          toast.warning('We could not send the confirmation email. Use "Send the email again" below.');
+        }
+        return;
+      }
+
       // Redirect to candidates page after a short delay
       setTimeout(() => {
         router.push('/candidates');
@@ -87,6 +182,89 @@ export default function Register() {
     }
   };
 
+  // The signed message lists every detail, so the backend can tell they came from this wallet
+  const handleResendEmail = async () => {
+    try {
+      const data = await apiService.resendVerificationEmail(account);
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleProfileSubmit = async (values, { setSubmitting }) => {
+    setIsLoading(true);
+
+    try {
+      const profile = toProfile(values);
+      const deadline = Math.floor(Date.now() / 1000) + PROFILE_SIGNATURE_TTL_SECONDS;
+      const signature = await signMessage(buildProfileMessage(account, profile, deadline));
+
+      await apiService.updateVoterProfile({ walletAddress: account, signature, deadline, ...profile });
+
+      toast.success('Eligibility details updated!');
+      setIsEditingProfile(false);
+    } catch (error) {
+      console.error('Profile update error:', error);
+      toast.error(error.message || 'Failed to update details. Please try again.');
+    } finally {
+      setIsLoading(false);
+      setSubmitting(false);
+    }
+  };
+
+  if (isRegistered && isEditingProfile) {
+    return (
+      <>
+        <Head>
+          <title>Eligibility Details - BlocPol</title>
+          <meta name="description" content="Update the details elections check before you vote" />
+        </Head>
+
+        <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+          <Navbar />
+
+          <div className="max-w-2xl mx-auto px-4 py-20">
+            <Card className="p-8">
+              <Formik
+                initialValues={emptyProfile}
+                validationSchema={profileValidationSchema}
+                onSubmit={handleProfileSubmit}
+              >
+                {({ isSubmitting, errors, touched }) => (
+                  <Form className="space-y-6">
+                    <ProfileFields errors={errors} touched={touched} />
+
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      Your saved details are never shown here; saving replaces all of them, and fields left empty are cleared.
+                    </p>
+
+                    <div className="flex flex-col sm:flex-row gap-4">
+                      <button
+                        type="submit"
+                        disabled={isSubmitting || isLoading}
+                        className="flex-1 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {isLoading ? 'Saving...' : 'Save Details'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setIsEditingProfile(false)}
+                        className="flex-1 btn-outline"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </Form>
+                )}
+              </Formik>
+            </Card>
+          </div>
+        </div>
+      </>
+    );
+  }
+
   if (isRegistered) {
     return (
       <>
@@ -110,9 +288,24 @@ export default function Register() {
                 Registration Complete!
               </h1>
               
-              <p className="text-gray-600 dark:text-gray-300 mb-8">
-                You have successfully registered for the voting system. You can now view candidates and cast your vote.
-              </p>
+              {emailPending ? (
+                <div className="mb-8">
+                  <p className="text-gray-600 dark:text-gray-300 mb-4">
+                    You have successfully registered for the voting system. We sent a confirmation link to your email address: open it before casting your vote.
+                  </p>
+                  <button
+                    onClick={handleResendEmail}
+                    className="inline-flex items-center space-x-2 text-sm font-medium text-primary-600 dark:text-primary-400 underline"
+                  >
+                    <Mail className="w-4 h-4" />
+                    <span>Send the email again</span>
+                  </button>
+                </div>
+              ) : (
+                <p className="text-gray-600 dark:text-gray-300 mb-8">
+                  You have successfully registered for the voting system. You can now view candidates and cast your vote.
+                </p>
+              )}
               
               <div className="flex flex-col sm:flex-row gap-4 justify-center">
                 <button
@@ -127,6 +320,12 @@ export default function Register() {
                 >
                   View Results
                 </button>
+                <button
+                  onClick={() => setIsEditingProfile(true)}
+                  className="btn-outline"
+                >
+                  Update Eligibility Details
+                </button>
               </div>
             </Card>
           </div>
@@ -181,6 +380,7 @@ export default function Register() {
                 initialValues={{
                   name: '',
                   email: '',
+                  ...emptyProfile,
                 }}
                 validationSchema={validationSchema}
                 onSubmit={handleSubmit}
@@ -238,6 +438,8 @@ export default function Register() {
                       />
                     </div>
 
+                    <ProfileFields errors={errors} touched={touched} />
+
                     {/* Submit Button */}
                     <button
                       type="submit"
@@ -7,12 +7,16 @@ import { apiService } from '../services/api';
 import Navbar from '../components/Navbar';
 import Card from '../components/Card';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ElectionStatusBanner from '../components/ElectionStatusBanner';
+import { formatDateTime } from '../utils/helpers';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
-import { BarChart3, PieChart as PieChartIcon, RefreshCw, Users, Vote, TrendingUp, Clock } from 'lucide-react';
+import { BarChart3, PieChart as PieChartIcon, RefreshCw, Users, Vote, TrendingUp, Clock, Percent, Scale, EyeOff, ShieldCheck } from 'lucide-react';
 
 export default function Results() {
   const router = useRouter();
+  const { electionId } = router.query;
   const { isConnected } = useWallet();
+  const [elections, setElections] = useState([]);
   const [results, setResults] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isRefreshing, setIsRefreshing] = useState(false);
@@ -21,28 +25,57 @@ export default function Results() {
 
   const COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#84cc16', '#f97316'];
 
+  // Without an election in the URL, show the running election or else the latest one
+  const selectedElectionId = electionId
+    || (elections.find((election) => election.status === 'active') || elections[0])?._id;
+
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    fetchElections();
+  }, [router.isReady]);
+
   useEffect(() => {
+    if (!selectedElectionId) return;
+
     fetchResults();
     
     // Auto-refresh every 30 seconds
     const interval = setInterval(fetchResults, 30000);
     return () => clearInterval(interval);
-  }, []);
+  }, [selectedElectionId]);
+
+  const fetchElections = async () => {
+    try {
+      const data = await apiService.getResultElections();
+      setElections(data.elections || []);
+      if (!data.elections?.length) setIsLoading(false);
+    } catch (error) {
+      console.error('Error fetching elections:', error);
+      toast.error('Failed to fetch elections');
+      setIsLoading(false);
+    }
+  };
 
   const fetchResults = async () => {
     try {
-      const data = await apiService.getResults();
+      const data = await apiService.getElectionResults(selectedElectionId);
       setResults(data);
       setLastUpdated(new Date());
     } catch (error) {
       console.error('Error fetching results:', error);
-      toast.error('Failed to fetch results');
+      toast.error(error.message || 'Failed to fetch results');
     } finally {
       setIsLoading(false);
       setIsRefreshing(false);
     }
   };
 
+  const handleSelectElection = (id) => {
+    setResults(null);
+    router.replace({ pathname: '/results', query: { electionId: id } }, undefined, { shallow: true });
+  };
+
   const handleRefresh = async () => {
     setIsRefreshing(true);
     await fetchResults();
@@ -57,13 +90,36 @@ export default function Results() {
     return results.candidates.reduce((total, candidate) => total + candidate.votes, 0);
   };
 
-  const getWinner = () => {
-    if (!results?.candidates) return null;
-    return results.candidates.reduce((winner, candidate) => 
-      candidate.votes > winner.votes ? candidate : winner
-    );
+  const isRankedChoice = results?.votingMode === 'RANKED_CHOICE';
+  const hasDelegatedVotes = !isRankedChoice && results?.totalDelegatedVotes > 0;
+
+  const getLeaderLabel = () => {
+    if (results?.winner) return results.winner.name;
+    if (results?.tied?.length > 0) return `Tie: ${results.tied.map((c) => c.name).join(', ')}`;
+    return 'TBD';
   };
 
+  // What the leader card says about the outcome; a tie is only settled once the result is final
+  const getOutcomeLabel = () => {
+    switch (results?.outcome) {
+      case 'winner':
+        if (results.decidedBy === 'lot') return 'Winner, drawn by lot';
+        return isRankedChoice ? 'Runoff Winner' : 'Winner';
+      case 'tie':
+        return results.tieBreak?.runoffRequired ? 'Tied, a runoff is required' : 'Tied';
+      case 'no_votes':
+        return 'No votes counted';
+      case 'cancelled':
+        return 'Election cancelled';
+      default:
+        return isRankedChoice ? 'Runoff Leader' : 'Leading';
+    }
+  };
+
+  const formatBucket = (start) => new Date(start).toLocaleString([], results?.timeline?.interval === 'hour'
+    ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+    : { month: 'short', day: 'numeric' });
+
   const getVotePercentage = (votes) => {
     const total = getTotalVotes();
     return total > 0 ? ((votes / total) * 100).toFixed(1) : 0;
@@ -129,8 +185,87 @@ export default function Results() {
             </div>
           </div>
 
+          {elections.length > 0 && (
+            <div className="max-w-md mx-auto mb-8">
+              <label htmlFor="election" className="form-label">Election</label>
+              <select
+                id="election"
+                value={selectedElectionId || ''}
+                onChange={(e) => handleSelectElection(e.target.value)}
+                className="form-input"
+              >
+                {elections.map((election) => (
+                  <option key={election._id} value={election._id}>
+                    {election.title} ({election.certified ? 'certified' : election.status})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {results?.election && (
+            <ElectionStatusBanner
+              className="mb-8"
+              title={results.election.title}
+              status={results.election.status}
+              pauseReason={results.election.pause?.reason}
+              cancellationReason={results.election.cancellation?.reason}
+            />
+          )}
+
+          {/* Certified results are a frozen snapshot whose hash the listed admins signed and the contract recorded */}
+          {results?.certification?.status === 'certified' && (
+            <Card className="p-6 mb-8 border border-green-200 dark:border-green-800">
+              <div className="flex items-center space-x-2 mb-4">
+                <ShieldCheck className="w-6 h-6 text-green-600 flex-shrink-0" />
+                <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Certified Results</h2>
+                <span className="px-3 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">
+                  Certified {formatDateTime(results.certification.certifiedAt)}
+                </span>
+              </div>
+              <p className="text-sm text-gray-600 dark:text-gray-300 break-all mb-2">
+                Result hash (SHA-256): <span className="font-mono">{results.certification.resultHash}</span>
+              </p>
+              {results.certification.transactionHash && (
+                <p className="text-sm text-gray-600 dark:text-gray-300 break-all mb-4">
+                  Recorded on-chain in transaction <span className="font-mono">{results.certification.transactionHash}</span>
+                  {results.certification.blockNumber != null && ` (block ${results.certification.blockNumber})`}
+                </p>
+              )}
+              <p className="text-sm font-medium text-gray-900 dark:text-white mb-2">Signed by</p>
+              <ul className="space-y-1">
+                {results.certification.signers.map((signer) => (
+                  <li key={signer.address} className="flex items-center justify-between text-sm">
+                    <span className="font-mono text-gray-900 dark:text-white break-all">{signer.address}</span>
+                    <span className="text-xs text-gray-500 ml-4 flex-shrink-0">{formatDateTime(signer.signedAt)}</span>
+                  </li>
+                ))}
+              </ul>
+            </Card>
+          )}
+
+          {results?.certification?.status === 'pending' && (
+            <Card className="p-6 mb-8 flex items-center space-x-3">
+              <ShieldCheck className="w-6 h-6 text-blue-500 flex-shrink-0" />
+              <p className="text-gray-600 dark:text-gray-300">
+                These results are frozen while admins certify them
+                ({results.certification.signers.length} of {results.certification.requiredSignatures} signatures).
+              </p>
+            </Card>
+          )}
+
+          {results?.hidden && (
+            <Card className="p-6 mb-8 flex items-center space-x-3">
+              <EyeOff className="w-6 h-6 text-gray-500 flex-shrink-0" />
+              <p className="text-gray-600 dark:text-gray-300">
+                {results.message}
+                {results.revealEndDate && ` (${formatDateTime(results.revealEndDate)})`}.
+              </p>
+            </Card>
+          )}
+
           {/* Statistics Cards */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-12">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-12">
             <Card className="p-6 text-center" gradient>
               <div className="flex justify-center mb-4">
                 <div className="w-12 h-12 bg-blue-100 dark:bg-blue-900 rounded-full flex items-center justify-center">
@@ -155,6 +290,24 @@ export default function Results() {
               <p className="text-gray-600 dark:text-gray-300">Total Votes</p>
             </Card>
 
+            <Card className="p-6 text-center" gradient>
+              <div className="flex justify-center mb-4">
+                <div className="w-12 h-12 bg-yellow-100 dark:bg-yellow-900 rounded-full flex items-center justify-center">
+                  <Percent className="w-6 h-6 text-yellow-500" />
+                </div>
+              </div>
+              <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
+                {results?.turnout?.percentage != null ? `${results.turnout.percentage}%` : '-'}
+              </h3>
+              <p className="text-gray-600 dark:text-gray-300">
+                {results?.turnout
+                  ? `Turnout: ${formatNumber(results.turnout.ballots)} of ${formatNumber(results.turnout.eligible)} ${
+                    results.turnout.eligibleSource === 'allowlist' ? 'on the voter roll' : 'eligible voters'
+                  }`
+                  : 'Turnout'}
+              </p>
+            </Card>
+
             <Card className="p-6 text-center" gradient>
               <div className="flex justify-center mb-4">
                 <div className="w-12 h-12 bg-purple-100 dark:bg-purple-900 rounded-full flex items-center justify-center">
@@ -162,12 +315,58 @@ export default function Results() {
                 </div>
               </div>
               <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
-                {results?.winner ? results.winner.name : 'TBD'}
+                {getLeaderLabel()}
               </h3>
-              <p className="text-gray-600 dark:text-gray-300">Leading</p>
+              <p className="text-gray-600 dark:text-gray-300">
+                {getOutcomeLabel()}
+              </p>
             </Card>
           </div>
 
+          {/* Tie-break */}
+          {(results?.tied?.length > 0 || results?.decidedBy === 'lot') && (
+            <Card className="p-8 mb-8">
+              <div className="flex items-center space-x-2 mb-4">
+                <Scale className="w-6 h-6 text-primary-500" />
+                <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Tie for First Place</h2>
+              </div>
+              <p className="text-gray-600 dark:text-gray-300 mb-4">
+                {results.tied.map((c) => c.name).join(', ')} are tied.{' '}
+                {results.tieBreak.policy === 'lot'
+                  ? 'This election breaks ties by drawing lots from a seed whose hash was published when voting opened.'
+                  : 'This election breaks ties with a runoff between the tied candidates.'}
+                {!results.final && ' The tie is only settled once the election is over.'}
+              </p>
+              {results.tieBreak.seedHash && (
+                <p className="text-sm text-gray-600 dark:text-gray-300 break-all mb-2">
+                  Seed hash (SHA-256): <span className="font-mono">{results.tieBreak.seedHash}</span>
+                </p>
+              )}
+              {results.tieBreak.seed && (
+                <p className="text-sm text-gray-600 dark:text-gray-300 break-all mb-4">
+                  Seed: <span className="font-mono">{results.tieBreak.seed}</span>
+                </p>
+              )}
+              {results.tieBreak.draw && (
+                <ol className="space-y-2">
+                  {results.tieBreak.draw.map((entry, index) => (
+                    <li key={entry.id} className="flex items-center justify-between text-sm">
+                      <span className={`font-medium ${index === 0 ? 'text-green-600 dark:text-green-400' : 'text-gray-900 dark:text-white'}`}>
+                        {index + 1}. {entry.name}
+                      </span>
+                      <span className="font-mono text-xs text-gray-500 truncate ml-4">{entry.ticket}</span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+              {results.tieBreak.draw && (
+                <p className="text-xs text-gray-500 mt-4">
+                  Each ticket is the SHA-256 of the seed, a colon and the candidate ID; the lowest ticket wins.
+                </p>
+              )}
+            </Card>
+          )}
+
           {/* Chart Type Toggle */}
           <div className="flex justify-center mb-8">
             <div className="bg-gray-100 dark:bg-gray-700 rounded-2xl p-1">
@@ -258,6 +457,94 @@ export default function Results() {
             </Card>
           )}
 
+          {/* Ballots Over Time */}
+          {results?.timeline?.buckets?.length > 0 && (
+            <Card className="p-8 mb-8">
+              <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-2 text-center">
+                Ballots Over Time
+              </h2>
+              <p className="text-gray-600 dark:text-gray-300 mb-6 text-center">
+                {formatNumber(results.turnout.ballots)} ballots counted
+                {results.turnout.unrevealedBallots > 0 && `, ${formatNumber(results.turnout.unrevealedBallots)} committed but not revealed`}
+              </p>
+
+              <div className="h-72">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={results.timeline.buckets}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="start" tickFormatter={formatBucket} tick={{ fontSize: 12 }} minTickGap={20} />
+                    <YAxis allowDecimals={false} />
+                    <Tooltip
+                      labelFormatter={(label) => formatBucket(label)}
+                      formatter={(value) => [formatNumber(value), 'Ballots']}
+                    />
+                    <Bar dataKey="ballots" fill="#10b981" radius={[4, 4, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </Card>
+          )}
+
+          {/* Instant-Runoff Rounds */}
+          {isRankedChoice && results.rounds?.length > 0 && (
+            <Card className="p-8 mb-8">
+              <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
+                Instant-Runoff Rounds
+              </h2>
+              <p className="text-gray-600 dark:text-gray-300 mb-6">
+                Each round counts every ballot for its highest-ranked remaining candidate. The last-place candidate is
+                eliminated until someone wins a majority of the active ballots.
+              </p>
+
+              <div className="space-y-6">
+                {results.rounds.map((round) => (
+                  <div key={round.round} className="border border-gray-200 dark:border-gray-700 rounded-xl p-4">
+                    <div className="flex flex-wrap items-center justify-between mb-3 gap-2">
+                      <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                        Round {round.round}
+                      </h3>
+                      <span className="text-sm text-gray-600 dark:text-gray-300">
+                        {formatNumber(round.activeBallots)} active ballots · {formatNumber(round.threshold)} needed to win
+                        {round.exhaustedBallots > 0 && ` · ${formatNumber(round.exhaustedBallots)} exhausted`}
+                      </span>
+                    </div>
+
+                    <div className="space-y-2">
+                      {round.tallies.map((tally) => {
+                        const isEliminated = round.eliminated.some((c) => c.id === tally.id);
+                        const share = round.activeBallots > 0 ? (tally.votes / round.activeBallots) * 100 : 0;
+                        return (
+                          <div key={tally.id} className="flex items-center space-x-3">
+                            <span className={`w-40 truncate text-sm ${
+                              isEliminated ? 'line-through text-gray-400' : 'text-gray-900 dark:text-white'
+                            }`}>
+                              {tally.name}
+                            </span>
+                            <div className="flex-1 bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                              <div
+                                className={`h-2 rounded-full ${isEliminated ? 'bg-gray-400' : 'bg-primary-500'}`}
+                                style={{ width: `${share.toFixed(1)}%` }}
+                              ></div>
+                            </div>
+                            <span className="w-24 text-right text-sm font-medium text-gray-900 dark:text-white">
+                              {formatNumber(tally.votes)} ({share.toFixed(1)}%)
+                            </span>
+                          </div>
+                        );
+                      })}
+                    </div>
+
+                    {round.eliminated.length > 0 && (
+                      <p className="mt-3 text-sm text-red-600 dark:text-red-400">
+                        Eliminated: {round.eliminated.map((c) => c.name).join(', ')}
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </Card>
+          )}
+
           {/* Detailed Results Table */}
           {results?.candidates && results.candidates.length > 0 && (
             <Card className="p-8">
@@ -276,8 +563,18 @@ export default function Results() {
                         Candidate
                       </th>
                       <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">
-                        Votes
+                        {isRankedChoice ? 'First Choices' : 'Votes'}
                       </th>
+                      {hasDelegatedVotes && (
+                        <>
+                          <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">
+                            Direct
+                          </th>
+                          <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">
+                            Delegated
+                          </th>
+                        </>
+                      )}
                       <th className="text-left py-3 px-4 font-semibold text-gray-900 dark:text-white">
                         Percentage
                       </th>
@@ -324,6 +621,16 @@ export default function Results() {
                               {formatNumber(candidate.votes)}
                             </span>
                           </td>
+                          {hasDelegatedVotes && (
+                            <>
+                              <td className="py-3 px-4 text-gray-600 dark:text-gray-300">
+                                {formatNumber(candidate.directVotes)}
+                              </td>
+                              <td className="py-3 px-4 text-gray-600 dark:text-gray-300">
+                                {formatNumber(candidate.delegatedVotes)}
+                              </td>
+                            </>
+                          )}
                           <td className="py-3 px-4">
                             <span className="font-medium text-gray-900 dark:text-white">
                               {getVotePercentage(candidate.votes)}%
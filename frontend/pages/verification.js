@@ -0,0 +1,266 @@
+import React, { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { toast } from 'react-toastify';
+import { useWallet } from '../contexts/WalletContext';
+import { apiService } from '../services/api';
+import Navbar from '../components/Navbar';
+import Card, { CardTitle, CardDescription } from '../components/Card';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { formatDateTime } from '../utils/helpers';
+import { hashFile, buildUploadMessage } from '../utils/voterProfile';
+import { AlertCircle, CheckCircle, Clock, FileText, ShieldCheck, Upload, XCircle } from 'lucide-react';
+
+const UPLOAD_SIGNATURE_TTL_SECONDS = 10 * 60;
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const ACCEPTED_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+
+const documentTypes = [
+  { key: 'id', label: 'ID Card' },
+  { key: 'passport', label: 'Passport' },
+  { key: 'proof_of_address', label: 'Proof of Address' },
+  { key: 'other', label: 'Other' },
+];
+
+const statusStyles = {
+  pending: { icon: Clock, className: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200' },
+  approved: { icon: CheckCircle, className: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200' },
+  rejected: { icon: XCircle, className: 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200' },
+};
+
+export default function Verification() {
+  const router = useRouter();
+  const { account, isConnected, signMessage } = useWallet();
+  const [verification, setVerification] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [documentType, setDocumentType] = useState('id');
+  const [file, setFile] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+
+  useEffect(() => {
+    if (isConnected) {
+      fetchDocuments();
+    } else {
+      setIsLoading(false);
+    }
+  }, [isConnected, account]);
+
+  const fetchDocuments = async () => {
+    try {
+      const data = await apiService.getDocuments(account);
+      setVerification(data);
+    } catch (error) {
+      console.error('Error fetching documents:', error);
+      setVerification(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0] || null;
+    if (selected && !ACCEPTED_TYPES.includes(selected.type)) {
+      toast.error('Choose a PDF, PNG or JPEG file');
+      e.target.value = '';
+      return;
+    }
+    if (selected && selected.size > MAX_FILE_SIZE) {
+      toast.error('Files can be at most 5 MB');
+      e.target.value = '';
+      return;
+    }
+    setFile(selected);
+  };
+
+  // The voter signs the file's hash, so the backend knows the upload came from this wallet
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    setIsUploading(true);
+
+    try {
+      const deadline = Math.floor(Date.now() / 1000) + UPLOAD_SIGNATURE_TTL_SECONDS;
+      const sha256 = await hashFile(file);
+      const signature = await signMessage(buildUploadMessage(account, documentType, sha256, deadline));
+
+      await apiService.uploadDocument({ walletAddress: account, type: documentType, file, signature, deadline });
+
+      toast.success('Document uploaded. An administrator will review it.');
+      setFile(null);
+      e.target.reset();
+      fetchDocuments();
+    } catch (error) {
+      console.error('Upload error:', error);
+      toast.error(error.message || 'Upload failed. Please try again.');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const describeType = (type) => documentTypes.find((t) => t.key === type)?.label || type;
+
+  if (!isConnected) {
+    return (
+      <>
+        <Head>
+          <title>Identity Verification - BlocPol</title>
+          <meta name="description" content="Verify your identity to vote" />
+        </Head>
+
+        <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+          <Navbar />
+
+          <div className="max-w-4xl mx-auto px-4 py-20">
+            <Card className="p-8 text-center">
+              <div className="flex justify-center mb-6">
+                <div className="w-16 h-16 bg-yellow-100 dark:bg-yellow-900 rounded-full flex items-center justify-center">
+                  <AlertCircle className="w-8 h-8 text-yellow-500" />
+                </div>
+              </div>
+
+              <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-4">
+                Wallet Required
+              </h1>
+
+              <p className="text-gray-600 dark:text-gray-300 mb-8">
+                Please connect your MetaMask wallet to verify your identity.
+              </p>
+
+              <button
+                onClick={() => router.push('/register')}
+                className="btn-primary"
+              >
+                Connect Wallet
+              </button>
+            </Card>
+          </div>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Identity Verification - BlocPol</title>
+        <meta name="description" content="Verify your identity to vote" />
+      </Head>
+
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+        <Navbar />
+
+        <div className="max-w-4xl mx-auto px-4 py-20">
+          <div className="text-center mb-12">
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-4">
+              Identity Verification
+            </h1>
+            <p className="text-xl text-gray-600 dark:text-gray-300">
+              Some elections only accept votes from verified voters
+            </p>
+          </div>
+
+          {isLoading ? (
+            <div className="flex justify-center">
+              <LoadingSpinner size="large" text="Loading documents..." />
+            </div>
+          ) : !verification ? (
+            <Card className="p-8 text-center">
+              <p className="text-gray-600 dark:text-gray-300 mb-6">
+                Register as a voter before uploading identity documents.
+              </p>
+              <button onClick={() => router.push('/register')} className="btn-primary">
+                Register
+              </button>
+            </Card>
+          ) : (
+            <div className="space-y-8">
+              {/* Status */}
+              <Card className={`p-6 ${verification.isVerified ? 'bg-green-50 dark:bg-green-900 border-green-200 dark:border-green-700' : ''}`}>
+                <div className="flex items-center space-x-3">
+                  <ShieldCheck className={`w-6 h-6 ${verification.isVerified ? 'text-green-500' : 'text-gray-400'}`} />
+                  <div>
+                    <CardTitle>{verification.isVerified ? 'Identity Verified' : 'Not Verified Yet'}</CardTitle>
+                    <CardDescription>
+                      {verification.isVerified
+                        ? `Verified on ${formatDateTime(verification.verificationDate)}`
+                        : 'Upload an ID card or passport and a proof of address. You are verified once an administrator approves both.'}
+                    </CardDescription>
+                  </div>
+                </div>
+              </Card>
+
+              {/* Upload */}
+              <Card className="p-6">
+                <div className="flex items-center space-x-3 mb-4">
+                  <Upload className="w-6 h-6 text-primary-500" />
+                  <CardTitle>Upload a Document</CardTitle>
+                </div>
+
+                <form onSubmit={handleUpload} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                  <div>
+                    <label htmlFor="documentType" className="form-label">Document Type</label>
+                    <select
+                      id="documentType"
+                      value={documentType}
+                      onChange={(e) => setDocumentType(e.target.value)}
+                      className="form-input"
+                    >
+                      {documentTypes.map((type) => (
+                        <option key={type.key} value={type.key}>{type.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="documentFile" className="form-label">File (PDF, PNG or JPEG, up to 5 MB)</label>
+                    <input
+                      id="documentFile"
+                      type="file"
+                      accept={ACCEPTED_TYPES.join(',')}
+                      onChange={handleFileChange}
+                      className="form-input"
+                    />
+                  </div>
+                  <button type="submit" disabled={!file || isUploading} className="btn-primary disabled:opacity-50">
+                    {isUploading ? 'Uploading...' : 'Sign & Upload'}
+                  </button>
+                </form>
+              </Card>
+
+              {/* Documents */}
+              <Card className="p-6">
+                <div className="flex items-center space-x-3 mb-4">
+                  <FileText className="w-6 h-6 text-primary-500" />
+                  <CardTitle>Your Documents</CardTitle>
+                </div>
+
+                {verification.documents.length === 0 ? (
+                  <p className="text-gray-600 dark:text-gray-300">You have not uploaded any documents yet.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {verification.documents.map((doc) => {
+                      const { icon: StatusIcon, className } = statusStyles[doc.status];
+                      return (
+                        <li key={doc.id} className="flex items-center justify-between py-3">
+                          <div>
+                            <p className="font-medium text-gray-900 dark:text-white">{describeType(doc.type)}</p>
+                            <p className="text-sm text-gray-500">Uploaded {formatDateTime(doc.uploadedAt)}</p>
+                            {doc.rejectionReason && (
+                              <p className="text-sm text-red-600 dark:text-red-400">Rejected: {doc.rejectionReason}</p>
+                            )}
+                          </div>
+                          <span className={`inline-flex items-center space-x-1 px-3 py-1 rounded-full text-sm font-medium ${className}`}>
+                            <StatusIcon className="w-4 h-4" />
+                            <span className="capitalize">{doc.status}</span>
+                          </span>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+              </Card>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
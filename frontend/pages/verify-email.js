@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { apiService } from '../services/api';
+import Navbar from '../components/Navbar';
+import Card from '../components/Card';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { CheckCircle, XCircle } from 'lucide-react';
+
+// Landing page for the link in the verification email; it works without a connected wallet
+export default function VerifyEmail() {
+  const router = useRouter();
+  const [isVerifying, setIsVerifying] = useState(true);
+  const [isVerified, setIsVerified] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    if (!router.query.token) {
+      setErrorMessage('This link is missing its verification token.');
+      setIsVerifying(false);
+      return;
+    }
+
+    verifyEmail(router.query.token);
+  }, [router.isReady, router.query.token]);
+
+  const verifyEmail = async (token) => {
+    try {
+      await apiService.verifyEmail(token);
+      setIsVerified(true);
+    } catch (error) {
+      console.error('Email verification error:', error);
+      setErrorMessage(error.message);
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Confirm Email - BlocPol</title>
+        <meta name="description" content="Confirm your voter email address" />
+      </Head>
+
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+        <Navbar />
+
+        <div className="max-w-2xl mx-auto px-4 py-20">
+          <Card className="p-8 text-center">
+            {isVerifying ? (
+              <div className="flex justify-center">
+                <LoadingSpinner size="large" text="Confirming your email address..." />
+              </div>
+            ) : isVerified ? (
+              <>
+                <div className="flex justify-center mb-6">
+                  <div className="w-16 h-16 bg-green-100 dark:bg-green-900 rounded-full flex items-center justify-center">
+                    <CheckCircle className="w-8 h-8 text-green-500" />
+                  </div>
+                </div>
+
+                <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-4">
+                  Email Confirmed
+                </h1>
+
+                <p className="text-gray-600 dark:text-gray-300 mb-8">
+                  Your email address is confirmed. You can now cast your vote.
+                </p>
+
+                <button
+                  onClick={() => router.push('/candidates')}
+                  className="btn-primary"
+                >
+                  View Candidates
+                </button>
+              </>
+            ) : (
+              <>
+                <div className="flex justify-center mb-6">
+                  <div className="w-16 h-16 bg-red-100 dark:bg-red-900 rounded-full flex items-center justify-center">
+                    <XCircle className="w-8 h-8 text-red-500" />
+                  </div>
+                </div>
+
+                <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-4">
+                  Email Not Confirmed
+                </h1>
+
+                <p className="text-gray-600 dark:text-gray-300 mb-8">
+                  {errorMessage} You can ask for a new link from the registration page.
+                </p>
+
+                <button
+                  onClick={() => router.push('/register')}
+                  className="btn-primary"
+                >
+                  Go to Registration
+                </button>
+              </>
+            )}
+          </Card>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -9,10 +9,27 @@ const api = axios.create({
   },
 });
 
+// URL of content-addressed media (candidate photos and profiles) served by the backend's gateway
+export const getMediaUrl = (cid) => `${api.defaults.baseURL}/media/ipfs/${cid}`;
+
+// Admin session tokens
+export const AUTH_TOKEN_KEY = 'authToken';
+export const REFRESH_TOKEN_KEY = 'refreshToken';
+
+export const storeSessionTokens = ({ accessToken, refreshToken }) => {
+  localStorage.setItem(AUTH_TOKEN_KEY, accessToken);
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+export const clearSessionTokens = () => {
+  localStorage.removeItem(AUTH_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
 // Request interceptor to add auth token if available
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('authToken');
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -23,15 +40,33 @@ api.interceptors.request.use(
   }
 );
 
+const isAuthRequest = (config) => config?.url?.startsWith('/admin/auth/');
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    if (error.response?.status === 401) {
+  async (error) => {
+    const originalRequest = error.config;
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+
+    // Access tokens are short-lived: refresh once and replay the request
+    if (error.response?.status === 401 && refreshToken && originalRequest && !originalRequest._retry && !isAuthRequest(originalRequest)) {
+      originalRequest._retry = true;
+      try {
+        const { data } = await api.post('/admin/auth/refresh', { refreshToken });
+        storeSessionTokens(data);
+        originalRequest.headers.Authorization = `Bearer ${data.accessToken}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Fall through to sign-out below
+      }
+    }
+
+    if (error.response?.status === 401 && !isAuthRequest(originalRequest)) {
       // Handle unauthorized access
-      localStorage.removeItem('authToken');
+      clearSessionTokens();
       window.location.href = '/';
     }
     return Promise.reject(error);
@@ -60,20 +95,137 @@ export const apiService = {
     }
   },
 
-  // Cast vote
+  // Get a candidate's published profile, checked against the ipfsHash registered on-chain
+  getCandidateProfile: async (candidateId) => {
+    try {
+      const response = await api.get(`/election/candidates/${candidateId}/profile`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to verify candidate profile');
+    }
+  },
+
+  // Get the typed vote the voter has to sign
+  // Pass `rankings` (candidate IDs, first choice first) instead of `candidateId` in ranked-choice elections
+  prepareVote: async ({ candidateId, rankings, walletAddress }) => {
+    try {
+      const params = { walletAddress };
+      if (rankings) {
+        params.rankings = rankings.join(',');
+      } else {
+        params.candidateId = candidateId;
+      }
+      const response = await api.get('/voter/vote-request', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to prepare vote');
+    }
+  },
+
+  // Cast vote (signed by the voter, relayed by the backend)
   castVote: async (voteData) => {
     try {
-      const response = await api.post('/vote', voteData);
+      const response = await api.post('/voter/vote', voteData);
       return response.data;
     } catch (error) {
       throw new Error(error.response?.data?.message || 'Failed to cast vote');
     }
   },
 
-  // Get election results
-  getResults: async () => {
+  // Commit-reveal: get the typed commitment the voter has to sign
+  prepareCommit: async ({ electionId, commitment, walletAddress }) => {
     try {
-      const response = await api.get('/results');
+      const response = await api.get('/voter/commit-request', { params: { electionId, commitment, walletAddress } });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to prepare commitment');
+    }
+  },
+
+  // Commit a sealed vote (signed by the voter, relayed by the backend)
+  commitVote: async (commitData) => {
+    try {
+      const response = await api.post('/voter/commit', commitData);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to commit vote');
+    }
+  },
+
+  // Reveal a committed vote with its salt
+  revealVote: async (revealData) => {
+    try {
+      const response = await api.post('/voter/reveal', revealData);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to reveal vote');
+    }
+  },
+
+  // Liquid democracy: get a voter's delegate, delegation chain and effective voting power
+  getDelegation: async (walletAddress) => {
+    try {
+      const response = await api.get(`/voter/delegation/${walletAddress}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch delegation');
+    }
+  },
+
+  // Search registered voters to delegate to
+  searchDelegates: async (search) => {
+    try {
+      const response = await api.get('/voter/delegation/delegates', { params: { search } });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to search delegates');
+    }
+  },
+
+  // Get the createDelegation transaction to send from the voter's wallet
+  prepareDelegation: async ({ walletAddress, delegateAddress }) => {
+    try {
+      const response = await api.post('/voter/delegation/prepare', { walletAddress, delegateAddress });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to prepare delegation');
+    }
+  },
+
+  // Get the revokeDelegation transaction to send from the voter's wallet
+  prepareRevocation: async (walletAddress) => {
+    try {
+      const response = await api.post('/voter/delegation/revoke', { walletAddress });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to prepare revocation');
+    }
+  },
+
+  // Record a mined delegation or revocation transaction
+  confirmDelegation: async ({ walletAddress, transactionHash }) => {
+    try {
+      const response = await api.post('/voter/delegation/confirm', { walletAddress, transactionHash });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to confirm delegation');
+    }
+  },
+
+  // List the elections that have results
+  getResultElections: async () => {
+    try {
+      const response = await api.get('/election/results');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch elections');
+    }
+  },
+
+  // Get one election's results; `interval` ('hour' or 'day') sets the timeline buckets
+  getElectionResults: async (electionId, interval) => {
+    try {
+      const response = await api.get(`/election/${electionId}/results`, { params: { interval } });
       return response.data;
     } catch (error) {
       throw new Error(error.response?.data?.message || 'Failed to fetch results');
@@ -90,6 +242,141 @@ export const apiService = {
     }
   },
 
+  // Update the details election eligibility rules check (signed by the voter)
+  updateVoterProfile: async (profileData) => {
+    try {
+      const response = await api.put('/voter/profile', profileData);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to update profile');
+    }
+  },
+
+  // Get the voter's inclusion proof for an election with a voter roll ({ required: false } otherwise)
+  getInclusionProof: async (electionId, walletAddress) => {
+    try {
+      const response = await api.get(`/voter/allowlist/${electionId}/${walletAddress}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch inclusion proof');
+    }
+  },
+
+  // Confirm a voter's email address with the token from their verification email
+  verifyEmail: async (token) => {
+    try {
+      const response = await api.post('/voter/email/verify', { token });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to verify email');
+    }
+  },
+
+  resendVerificationEmail: async (walletAddress) => {
+    try {
+      const response = await api.post('/voter/email/resend', { walletAddress });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to send verification email');
+    }
+  },
+
+  // Check whether a voter can vote in an election, or in every active election when none is given
+  getEligibility: async (walletAddress, electionId) => {
+    try {
+      const response = await api.get(`/voter/eligibility/${walletAddress}`, { params: { electionId } });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to check eligibility');
+    }
+  },
+
+  // Upload an identity document; the file is the request body and the signed details go in the query string
+  uploadDocument: async ({ walletAddress, type, file, signature, deadline }) => {
+    try {
+      const response = await api.post('/voter/documents', file, {
+        params: { walletAddress, type, signature, deadline },
+        headers: { 'Content-Type': file.type },
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to upload document');
+    }
+  },
+
+  // Get a voter's identity documents and verification status
+  getDocuments: async (walletAddress) => {
+    try {
+      const response = await api.get(`/voter/documents/${walletAddress}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch documents');
+    }
+  },
+
+  // Candidate self-nomination: elections taking nominations, then the nominee's signed requests
+  getNominationElections: async () => {
+    try {
+      const response = await api.get('/candidate/elections');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch elections');
+    }
+  },
+
+  submitNomination: async (nomination) => {
+    try {
+      const response = await api.post('/candidate/nominations', nomination);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to submit nomination');
+    }
+  },
+
+  getNominations: async (walletAddress) => {
+    try {
+      const response = await api.get(`/candidate/nominations/${walletAddress}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch nominations');
+    }
+  },
+
+  // Upload a manifesto or supporting document; the file is sent as the raw request body
+  uploadNominationDocument: async (nominationId, { walletAddress, type, file, signature, deadline }) => {
+    try {
+      const response = await api.post(`/candidate/nominations/${nominationId}/documents`, file, {
+        params: { walletAddress, type, signature, deadline },
+        headers: { 'Content-Type': file.type },
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to upload document');
+    }
+  },
+
+  // Upload the nominee's photo; the image is sent as the raw request body
+  uploadNominationPhoto: async (nominationId, { walletAddress, file, signature, deadline }) => {
+    try {
+      const response = await api.post(`/candidate/nominations/${nominationId}/photo`, file, {
+        params: { walletAddress, signature, deadline },
+        headers: { 'Content-Type': file.type },
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to upload photo');
+    }
+  },
+
+  submitAppeal: async (nominationId, { walletAddress, reason, signature, deadline }) => {
+    try {
+      const response = await api.post(`/candidate/nominations/${nominationId}/appeal`, { walletAddress, reason, signature, deadline });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to submit appeal');
+    }
+  },
+
   // Verify vote
   verifyVote: async (transactionHash) => {
     try {
@@ -104,6 +391,43 @@ export const apiService = {
 
 
   
+  // Admin authentication
+  requestAdminNonce: async (walletAddress) => {
+    try {
+      const response = await api.post('/admin/auth/nonce', { walletAddress });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to request sign-in challenge');
+    }
+  },
+
+  adminLogin: async (loginData) => {
+    try {
+      const response = await api.post('/admin/auth/login', loginData);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to sign in');
+    }
+  },
+
+  getAdminSession: async () => {
+    try {
+      const response = await api.get('/admin/auth/session');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch admin session');
+    }
+  },
+
+  adminLogout: async () => {
+    try {
+      const response = await api.post('/admin/auth/logout');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to sign out');
+    }
+  },
+
   // Admin functions
   checkAdminStatus: async (walletAddress) => {
     try {
@@ -159,6 +483,79 @@ export const apiService = {
     }
   },
 
+  pauseElection: async (electionId, reason) => {
+    try {
+      const response = await api.post(`/admin/elections/${electionId}/pause`, { reason });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to pause election');
+    }
+  },
+
+  resumeElection: async (electionId, reason) => {
+    try {
+      const response = await api.post(`/admin/elections/${electionId}/resume`, { reason });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to resume election');
+    }
+  },
+
+  cancelElection: async (electionId, reason) => {
+    try {
+      const response = await api.post(`/admin/elections/${electionId}/cancel`, { reason });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to cancel election');
+    }
+  },
+
+  archiveElection: async (electionId) => {
+    try {
+      const response = await api.post(`/admin/elections/${electionId}/archive`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to archive election');
+    }
+  },
+
+  // Results certification: freeze the results, sign the frozen hash, and retry recording it on-chain
+  startResultCertification: async (electionId) => {
+    try {
+      const response = await api.post(`/admin/elections/${electionId}/certification`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to start results certification');
+    }
+  },
+
+  signResultCertification: async (electionId, signature) => {
+    try {
+      const response = await api.post(`/admin/elections/${electionId}/certification/signatures`, { signature });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to sign results certification');
+    }
+  },
+
+  recordResultCertification: async (electionId) => {
+    try {
+      const response = await api.post(`/admin/elections/${electionId}/certification/record`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to record results certification');
+    }
+  },
+
+  withdrawResultCertification: async (electionId, reason) => {
+    try {
+      const response = await api.delete(`/admin/elections/${electionId}/certification`, { data: { reason } });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to withdraw results certification');
+    }
+  },
+
   deleteElection: async (electionId) => {
     try {
       const response = await api.delete(`/admin/elections/${electionId}`);
@@ -186,15 +583,37 @@ export const apiService = {
     }
   },
 
-  rejectCandidate: async (candidateId) => {
+  rejectCandidate: async (candidateId, reason) => {
     try {
-      const response = await api.post(`/admin/candidates/${candidateId}/reject`);
+      const response = await api.post(`/admin/candidates/${candidateId}/reject`, { reason });
       return response.data;
     } catch (error) {
       throw new Error(error.response?.data?.message || 'Failed to reject candidate');
     }
   },
 
+  uploadCandidatePhoto: async (candidateId, file) => {
+    try {
+      const response = await api.post(`/admin/candidates/${candidateId}/photo`, file, {
+        headers: { 'Content-Type': file.type },
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to upload photo');
+    }
+  },
+
+  getCandidateDocumentFile: async (candidateId, documentId) => {
+    try {
+      const response = await api.get(`/admin/candidates/${candidateId}/documents/${documentId}/file`, {
+        responseType: 'blob'
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error('Failed to open document');
+    }
+  },
+
   deleteCandidate: async (candidateId) => {
     try {
       const response = await api.delete(`/admin/candidates/${candidateId}`);
@@ -204,6 +623,15 @@ export const apiService = {
     }
   },
 
+  getCandidateReconciliation: async () => {
+    try {
+      const response = await api.get('/admin/candidates/reconciliation');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch candidate reconciliation report');
+    }
+  },
+
   getAuditLogs: async (filters) => {
     try {
       const response = await api.get('/admin/audit', { params: filters });
@@ -220,7 +648,126 @@ export const apiService = {
       });
       return response.data;
     } catch (error) {
-      throw new Error(error.response?.data?.message || 'Failed to export audit logs');
+      // With a blob response type the error body arrives as a Blob too
+      const body = error.response?.data;
+      const message = body instanceof Blob ? JSON.parse(await body.text()).message : body?.message;
+      throw new Error(message || 'Failed to export audit logs');
+    }
+  },
+
+  // Voters management
+  getVoters: async (filters) => {
+    try {
+      const response = await api.get('/admin/voters', { params: filters });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch voters');
+    }
+  },
+
+  getVoter: async (voterId) => {
+    try {
+      const response = await api.get(`/admin/voters/${voterId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch voter');
+    }
+  },
+
+  banVoter: async (voterId, reason) => {
+    try {
+      const response = await api.post(`/admin/voters/${voterId}/ban`, { reason });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to ban voter');
+    }
+  },
+
+  unbanVoter: async (voterId) => {
+    try {
+      const response = await api.post(`/admin/voters/${voterId}/unban`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to unban voter');
+    }
+  },
+
+  getAdminElections: async (filters) => {
+    try {
+      const response = await api.get('/admin/elections', { params: filters });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch elections');
+    }
+  },
+
+  // Replace an election's eligible-voter allowlist with a CSV of wallet addresses
+  uploadAllowlist: async (electionId, file) => {
+    try {
+      const response = await api.put(`/admin/elections/${electionId}/allowlist`, await file.text(), {
+        headers: { 'Content-Type': 'text/csv' }
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to upload voter roll');
+    }
+  },
+
+  removeAllowlist: async (electionId) => {
+    try {
+      const response = await api.delete(`/admin/elections/${electionId}/allowlist`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to remove voter roll');
+    }
+  },
+
+  // An election's voter roll: each voter's eligibility and whether they voted
+  getElectionVoterRoll: async (electionId, filters) => {
+    try {
+      const response = await api.get(`/admin/elections/${electionId}/voters`, { params: filters });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch voter roll');
+    }
+  },
+
+  // Identity document review queue
+  getDocumentQueue: async (filters) => {
+    try {
+      const response = await api.get('/admin/documents', { params: filters });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch documents');
+    }
+  },
+
+  getDocumentFile: async (voterId, documentId) => {
+    try {
+      const response = await api.get(`/admin/documents/${voterId}/${documentId}/file`, {
+        responseType: 'blob'
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error('Failed to open document');
+    }
+  },
+
+  approveDocument: async (voterId, documentId) => {
+    try {
+      const response = await api.post(`/admin/documents/${voterId}/${documentId}/approve`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to approve document');
+    }
+  },
+
+  rejectDocument: async (voterId, documentId, reason) => {
+    try {
+      const response = await api.post(`/admin/documents/${voterId}/${documentId}/reject`, { reason });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to reject document');
     }
   },
 
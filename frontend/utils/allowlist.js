@@ -0,0 +1,25 @@
+// Client-side checks of voter roll inclusion proofs, matching the check BlocPol makes on every ballot
+import { utils } from 'web3';
+
+/**
+ * Hash two nodes in sorted order, as OpenZeppelin's MerkleProof does
+ * @param {string} a - 32-byte hex node
+ * @param {string} b - 32-byte hex node
+ * @returns {string} Parent node
+ */
+const hashPair = (a, b) => {
+  const [first, second] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+  return utils.soliditySha3({ t: 'bytes32', v: first }, { t: 'bytes32', v: second });
+};
+
+/**
+ * Check a voter's inclusion proof against an election's published root before sending it with a vote
+ * @param {string} walletAddress - Voter wallet address
+ * @param {string[]} proof - Sibling hashes from the leaf up
+ * @param {string} merkleRoot - Root of the election's voter roll
+ * @returns {boolean} Whether the proof leads to the root
+ */
+export const verifyInclusionProof = (walletAddress, proof, merkleRoot) => {
+  const leaf = utils.soliditySha3({ t: 'address', v: walletAddress });
+  return proof.reduce(hashPair, leaf).toLowerCase() === merkleRoot.toLowerCase();
+};
@@ -0,0 +1,15 @@
+// Results certification: the message each admin signs, which must match the backend's resultCertification service
+
+/**
+ * Build the message an admin signs to certify an election's frozen results; it must match the backend's
+ * getCertificationMessage
+ * @param {string} electionId - Election whose results are certified
+ * @param {string} resultHash - 0x-prefixed SHA-256 of the results snapshot
+ * @returns {string} Message to sign
+ */
+export const buildCertificationMessage = (electionId, resultHash) => [
+  'Certify BlocPol election results',
+  `Election: ${electionId}`,
+  `Result hash: ${resultHash}`,
+].join('\n');
+
@@ -0,0 +1,60 @@
+// Client-side secrets for commit-reveal voting
+import { utils } from 'web3';
+
+const SECRET_KEY_PREFIX = 'blocpol_commit_';
+
+/**
+ * Generate a random 32-byte salt for sealing a vote
+ * @returns {string} 0x-prefixed hex salt
+ */
+export const generateSalt = () => utils.randomHex(32);
+
+/**
+ * Compute the commitment BlocPol.revealVote checks against
+ * @param {number|string} electionOnChainId - On-chain election ID
+ * @param {string} voter - Voter wallet address
+ * @param {number|string} candidateOnChainId - On-chain candidate ID
+ * @param {string} salt - 32-byte salt
+ * @returns {string} Commitment hash
+ */
+export const computeCommitment = (electionOnChainId, voter, candidateOnChainId, salt) => {
+  const sealedVote = utils.soliditySha3(
+    { t: 'uint256', v: electionOnChainId.toString() },
+    { t: 'address', v: voter },
+    { t: 'uint256', v: candidateOnChainId.toString() }
+  );
+  return utils.soliditySha3({ t: 'bytes32', v: sealedVote }, { t: 'bytes32', v: salt });
+};
+
+const getSecretKey = (electionId, walletAddress) =>
+  `${SECRET_KEY_PREFIX}${electionId}_${walletAddress.toLowerCase()}`;
+
+/**
+ * Keep a committed vote's secret until it is revealed; without it the vote cannot be counted
+ * @param {string} electionId - Election ID
+ * @param {string} walletAddress - Voter wallet address
+ * @param {object} secret - { candidateId, candidateName, salt, commitment }
+ */
+export const saveCommitSecret = (electionId, walletAddress, secret) => {
+  localStorage.setItem(getSecretKey(electionId, walletAddress), JSON.stringify(secret));
+};
+
+/**
+ * Load a stored commit secret
+ * @param {string} electionId - Election ID
+ * @param {string} walletAddress - Voter wallet address
+ * @returns {object|null} Stored secret
+ */
+export const loadCommitSecret = (electionId, walletAddress) => {
+  const stored = localStorage.getItem(getSecretKey(electionId, walletAddress));
+  return stored ? JSON.parse(stored) : null;
+};
+
+/**
+ * Forget a commit secret once the vote has been revealed
+ * @param {string} electionId - Election ID
+ * @param {string} walletAddress - Voter wallet address
+ */
+export const clearCommitSecret = (electionId, walletAddress) => {
+  localStorage.removeItem(getSecretKey(electionId, walletAddress));
+};
@@ -15,6 +15,27 @@ export const API_ENDPOINTS = {
   VERIFY_VOTE: '/verify-vote',
 };
 
+// Admin permissions (mirrors backend/utils/permissions.js)
+export const ADMIN_PERMISSIONS = {
+  STATS_READ: 'stats:read',
+  ELECTIONS_READ: 'elections:read',
+  ELECTIONS_WRITE: 'elections:write',
+  ELECTIONS_MANAGE: 'elections:manage',
+  ELECTIONS_DELETE: 'elections:delete',
+  CANDIDATES_READ: 'candidates:read',
+  CANDIDATES_WRITE: 'candidates:write',
+  CANDIDATES_REVIEW: 'candidates:review',
+  CANDIDATES_DELETE: 'candidates:delete',
+  VOTERS_READ: 'voters:read',
+  VOTERS_MANAGE: 'voters:manage',
+  VOTERS_REVIEW: 'voters:review',
+  AUDIT_READ: 'audit:read',
+  RESULTS_CERTIFY: 'results:certify',
+  SETTINGS_READ: 'settings:read',
+  SETTINGS_WRITE: 'settings:write',
+  ADMINS_MANAGE: 'admins:manage',
+};
+
 // Blockchain Configuration
 export const BLOCKCHAIN_CONFIG = {
   NETWORKS: {
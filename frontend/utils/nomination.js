@@ -0,0 +1,83 @@
+// Candidate self-nomination: the messages a nominee signs, which must match the backend's nominationController
+
+export const SOCIAL_MEDIA_FIELDS = ['website', 'twitter', 'facebook', 'linkedin'];
+
+export const NOMINATION_DOCUMENT_TYPES = [
+  { key: 'manifesto', label: 'Manifesto' },
+  { key: 'certificate', label: 'Certificate' },
+  { key: 'id', label: 'ID Card' },
+  { key: 'passport', label: 'Passport' },
+  { key: 'other', label: 'Other' },
+];
+
+/**
+ * Trim nomination form values into the shape the backend reads
+ * @param {object} values - { name, party, description, email, phone, website, twitter, facebook, linkedin }
+ * @returns {object} { name, party, description, email, phone, socialMedia }
+ */
+export const toNomination = (values) => ({
+  name: (values.name || '').trim(),
+  party: (values.party || '').trim(),
+  description: (values.description || '').trim(),
+  email: (values.email || '').trim().toLowerCase(),
+  phone: (values.phone || '').trim(),
+  socialMedia: SOCIAL_MEDIA_FIELDS.reduce((socialMedia, field) => ({
+    ...socialMedia,
+    [field]: (values[field] || '').trim(),
+  }), {}),
+});
+
+/**
+ * Build the message signed to submit a nomination; it must match the backend's getNominationMessage
+ * @param {string} walletAddress - Nominee wallet address
+ * @param {string} electionId - Election the nominee stands in
+ * @param {object} nomination - Result of toNomination
+ * @param {number} deadline - Unix time the signature expires
+ * @returns {string} Message to sign
+ */
+export const buildNominationMessage = (walletAddress, electionId, nomination, deadline) => [
+  'Nominate me as a BlocPol candidate',
+  `Wallet: ${walletAddress.toLowerCase()}`,
+  `Election: ${electionId}`,
+  `Name: ${nomination.name}`,
+  `Party: ${nomination.party}`,
+  `Email: ${nomination.email}`,
+  `Phone: ${nomination.phone}`,
+  `Description: ${nomination.description}`,
+  ...SOCIAL_MEDIA_FIELDS.map((field) => `${field[0].toUpperCase()}${field.slice(1)}: ${nomination.socialMedia[field]}`),
+  `Valid until: ${deadline}`,
+].join('\n');
+
+/**
+ * Build the message signed to upload a nomination document; it must match the backend's getNominationUploadMessage
+ * @param {string} walletAddress - Nominee wallet address
+ * @param {string} nominationId - Nomination (candidate) ID
+ * @param {string} type - Document type, or 'photo' for the nominee's photo
+ * @param {string} sha256 - Hex SHA-256 of the file
+ * @param {number} deadline - Unix time the signature expires
+ * @returns {string} Message to sign
+ */
+export const buildNominationUploadMessage = (walletAddress, nominationId, type, sha256, deadline) => [
+  'Upload a BlocPol candidate document',
+  `Wallet: ${walletAddress.toLowerCase()}`,
+  `Nomination: ${nominationId}`,
+  `Type: ${type}`,
+  `SHA-256: ${sha256}`,
+  `Valid until: ${deadline}`,
+].join('\n');
+
+/**
+ * Build the message signed to appeal a rejected nomination; it must match the backend's getAppealMessage
+ * @param {string} walletAddress - Nominee wallet address
+ * @param {string} nominationId - Nomination (candidate) ID
+ * @param {string} reason - Trimmed reason for the appeal
+ * @param {number} deadline - Unix time the signature expires
+ * @returns {string} Message to sign
+ */
+export const buildAppealMessage = (walletAddress, nominationId, reason, deadline) => [
+  'Appeal the rejection of my BlocPol nomination',
+  `Wallet: ${walletAddress.toLowerCase()}`,
+  `Nomination: ${nominationId}`,
+  `Reason: ${reason}`,
+  `Valid until: ${deadline}`,
+].join('\n');
@@ -0,0 +1,59 @@
+// Voter profile details and identity documents checked by election eligibility rules
+
+export const ADDRESS_FIELDS = ['street', 'city', 'state', 'country', 'zipCode'];
+
+/**
+ * Trim profile form values into the shape the backend stores
+ * @param {object} values - { dateOfBirth, citizenship, street, city, state, country, zipCode }
+ * @returns {object} { dateOfBirth, citizenship, address }
+ */
+export const toProfile = (values) => ({
+  dateOfBirth: values.dateOfBirth || undefined,
+  citizenship: (values.citizenship || '').trim(),
+  address: ADDRESS_FIELDS.reduce((address, field) => ({
+    ...address,
+    [field]: (values[field] || '').trim(),
+  }), {}),
+});
+
+/**
+ * Build the message signed to update a profile; it must match the backend's getProfileMessage
+ * @param {string} walletAddress - Voter wallet address
+ * @param {object} profile - Result of toProfile
+ * @param {number} deadline - Unix time the signature expires
+ * @returns {string} Message to sign
+ */
+export const buildProfileMessage = (walletAddress, profile, deadline) => [
+  'Update my BlocPol voter profile',
+  `Wallet: ${walletAddress.toLowerCase()}`,
+  `Date of birth: ${profile.dateOfBirth ? new Date(profile.dateOfBirth).toISOString().slice(0, 10) : ''}`,
+  `Citizenship: ${profile.citizenship}`,
+  `Address: ${ADDRESS_FIELDS.map((field) => profile.address[field]).join(', ')}`,
+  `Valid until: ${deadline}`,
+].join('\n');
+
+/**
+ * Hash a file with SHA-256, as the backend does before checking an upload signature
+ * @param {File} file - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashFile = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Build the message signed to upload an identity document; it must match the backend's getUploadMessage
+ * @param {string} walletAddress - Voter wallet address
+ * @param {string} type - Document type
+ * @param {string} sha256 - Hex SHA-256 of the file
+ * @param {number} deadline - Unix time the signature expires
+ * @returns {string} Message to sign
+ */
+export const buildUploadMessage = (walletAddress, type, sha256, deadline) => [
+  'Upload a BlocPol identity document',
+  `Wallet: ${walletAddress.toLowerCase()}`,
+  `Type: ${type}`,
+  `SHA-256: ${sha256}`,
+  `Valid until: ${deadline}`,
+].join('\n');
@@ -9,16 +9,38 @@ describe("BlocPol Voting Contract", function () {
     [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
     blocPol = await BlocPol.deploy();
     await blocPol.waitForDeployment();
+    await blocPol.createElection("General");
   });
 
+  async function signVote(signer, electionId, candidateId, deadline, voter = signer.address) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: "BlocPol",
+      version: "1",
+      chainId,
+      verifyingContract: await blocPol.getAddress()
+    };
+    const types = {
+      Vote: [
+        { name: "voter", type: "address" },
+        { name: "electionId", type: "uint256" },
+        { name: "candidateId", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const nonce = await blocPol.nonces(voter);
+    return signer.signTypedData(domain, types, { voter, electionId, candidateId, nonce, deadline });
+  }
+
   it("Should set the right admin", async function () {
     expect(await blocPol.admin()).to.equal(owner.address);
   });
 
   it("Should allow admin to register candidates", async function () {
-    await expect(blocPol.registerCandidate("Alice", "QmHash1"))
+    await expect(blocPol.registerCandidate(1, "Alice", "QmHash1"))
       .to.emit(blocPol, "CandidateRegistered");
-    const candidates = await blocPol.getCandidates();
+    const candidates = await blocPol.getCandidates(1);
     expect(candidates.length).to.equal(1);
     expect(candidates[0].name).to.equal("Alice");
     expect(candidates[0].ipfsHash).to.equal("QmHash1");
@@ -26,46 +48,46 @@ describe("BlocPol Voting Contract", function () {
 
   it("Should not allow non-admin to register candidates", async function () {
     await expect(
-      blocPol.connect(addr1).registerCandidate("Bob", "QmHash2")
+      blocPol.connect(addr1).registerCandidate(1, "Bob", "QmHash2")
     ).to.be.revertedWith("Only admin can perform this action");
   });
 
   it("Should start and stop voting session by admin", async function () {
-    await blocPol.registerCandidate("Alice", "QmHash1");
-    await expect(blocPol.startVotingSession(1000))
+    await blocPol.registerCandidate(1, "Alice", "QmHash1");
+    await expect(blocPol.startVotingSession(1, 1000))
       .to.emit(blocPol, "VotingSessionStarted");
-    expect(await blocPol.votingActive()).to.equal(true);
-    await expect(blocPol.stopVotingSession())
+    expect(await blocPol.isVotingActive(1)).to.equal(true);
+    await expect(blocPol.stopVotingSession(1))
       .to.emit(blocPol, "VotingSessionStopped");
-    expect(await blocPol.votingActive()).to.equal(false);
+    expect(await blocPol.isVotingActive(1)).to.equal(false);
   });
 
   it("Should allow voting only during active session and only once per address", async function () {
-    await blocPol.registerCandidate("Alice", "QmHash1");
-    await blocPol.startVotingSession(1000);
-    await expect(blocPol.connect(addr1).vote(0))
+    await blocPol.registerCandidate(1, "Alice", "QmHash1");
+    await blocPol.startVotingSession(1, 1000);
+    await expect(blocPol.connect(addr1).vote(1, 0, []))
       .to.emit(blocPol, "VoteCast");
-    await expect(blocPol.connect(addr1).vote(0)).to.be.revertedWith("You have already voted");
-    await blocPol.stopVotingSession();
-    await expect(blocPol.connect(addr2).vote(0)).to.be.revertedWith("Voting is not active");
+    await expect(blocPol.connect(addr1).vote(1, 0, [])).to.be.revertedWith("You have already voted");
+    await blocPol.stopVotingSession(1);
+    await expect(blocPol.connect(addr2).vote(1, 0, [])).to.be.revertedWith("Voting is not active");
   });
 
   it("Should track total votes per candidate", async function () {
-    await blocPol.registerCandidate("Alice", "QmHash1");
-    await blocPol.registerCandidate("Bob", "QmHash2");
-    await blocPol.startVotingSession(1000);
-    await blocPol.connect(addr1).vote(0);
-    await blocPol.connect(addr2).vote(1);
+    await blocPol.registerCandidate(1, "Alice", "QmHash1");
+    await blocPol.registerCandidate(1, "Bob", "QmHash2");
+    await blocPol.startVotingSession(1, 1000);
+    await blocPol.connect(addr1).vote(1, 0, []);
+    await blocPol.connect(addr2).vote(1, 1, []);
     expect(await blocPol.getTotalVotes(0)).to.equal(1n);
     expect(await blocPol.getTotalVotes(1)).to.equal(1n);
   });
 
   it("Should allow retrieval of vote hash and tx hash", async function () {
-    await blocPol.registerCandidate("Alice", "QmHash1");
-    await blocPol.startVotingSession(1000);
-    await blocPol.connect(addr1).vote(0);
-    const voteHash = await blocPol.getVoteHash(addr1.address);
-    const txHash = await blocPol.getVoteTxHash(addr1.address);
+    await blocPol.registerCandidate(1, "Alice", "QmHash1");
+    await blocPol.startVotingSession(1, 1000);
+    await blocPol.connect(addr1).vote(1, 0, []);
+    const voteHash = await blocPol.getVoteHash(1, addr1.address);
+    const txHash = await blocPol.getVoteTxHash(1, addr1.address);
     expect(voteHash).to.be.a('string');
     expect(txHash).to.be.a('string');
     expect(voteHash.length).to.equal(66); // 0x + 64 hex chars
@@ -79,13 +101,305 @@ describe("BlocPol Voting Contract", function () {
   });
 
   it("Should allow transparent but anonymous vote viewing", async function () {
-    await blocPol.registerCandidate("Alice", "QmHash1");
-    await blocPol.registerCandidate("Bob", "QmHash2");
-    await blocPol.startVotingSession(1000);
-    await blocPol.connect(addr1).vote(0);
-    await blocPol.connect(addr2).vote(1);
-    const votes = await blocPol.getAllVotes();
+    await blocPol.registerCandidate(1, "Alice", "QmHash1");
+    await blocPol.registerCandidate(1, "Bob", "QmHash2");
+    await blocPol.startVotingSession(1, 1000);
+    await blocPol.connect(addr1).vote(1, 0, []);
+    await blocPol.connect(addr2).vote(1, 1, []);
+    const votes = await blocPol.getAllVotes(1);
     expect(votes.length).to.equal(2);
     expect(Number(votes[0]) + Number(votes[1])).to.equal(2);
   });
-}); 
\ No newline at end of file
+
+  it("Should record a relayed vote against the signing voter, not the relayer", async function () {
+    await blocPol.registerCandidate(1, "Alice", "QmHash1");
+    await blocPol.startVotingSession(1, 1000);
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    const signature = await signVote(addr1, 1, 0, deadline);
+    await expect(blocPol.connect(owner).voteBySig(1, 0, addr1.address, deadline, signature, []))
+      .to.emit(blocPol, "VoteCast");
+    expect(await blocPol.hasAddressVoted(1, addr1.address)).to.equal(true);
+    expect(await blocPol.hasAddressVoted(1, owner.address)).to.equal(false);
+    expect(await blocPol.nonces(addr1.address)).to.equal(1n);
+  });
+
+  it("Should reject replayed, forged and expired vote signatures", async function () {
+    await blocPol.registerCandidate(1, "Alice", "QmHash1");
+    await blocPol.startVotingSession(1, 1000);
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+
+    const forged = await signVote(addr2, 1, 0, deadline, addr1.address);
+    await expect(blocPol.voteBySig(1, 0, addr1.address, deadline, forged, []))
+      .to.be.revertedWith("Invalid vote signature");
+
+    const expiredDeadline = (await ethers.provider.getBlock("latest")).timestamp - 1;
+    const expired = await signVote(addr1, 1, 0, expiredDeadline);
+    await expect(blocPol.voteBySig(1, 0, addr1.address, expiredDeadline, expired, []))
+      .to.be.revertedWith("Signature expired");
+
+    const signature = await signVote(addr1, 1, 0, deadline);
+    await blocPol.voteBySig(1, 0, addr1.address, deadline, signature, []);
+    await expect(blocPol.voteBySig(1, 0, addr1.address, deadline, signature, []))
+      .to.be.revertedWith("Invalid vote signature");
+  });
+
+  it("Should keep candidates, sessions and voter records separate per election", async function () {
+    await blocPol.createElection("Local");
+    await blocPol.registerCandidate(1, "Alice", "QmHash1");
+    await blocPol.registerCandidate(2, "Bob", "QmHash2");
+    expect((await blocPol.getCandidates(1)).length).to.equal(1);
+    expect((await blocPol.getCandidates(2))[0].name).to.equal("Bob");
+
+    await blocPol.startVotingSession(1, 1000);
+    await expect(blocPol.connect(addr1).vote(2, 1, [])).to.be.revertedWith("Voting is not active");
+    await blocPol.startVotingSession(2, 1000);
+
+    await expect(blocPol.connect(addr1).vote(1, 1, [])).to.be.revertedWith("Invalid candidate");
+    await blocPol.connect(addr1).vote(1, 0, []);
+    await blocPol.connect(addr1).vote(2, 1, []);
+    expect(await blocPol.getVotedCandidate(1, addr1.address)).to.equal(0n);
+    expect(await blocPol.getVotedCandidate(2, addr1.address)).to.equal(1n);
+
+    await blocPol.stopVotingSession(1);
+    expect(await blocPol.isVotingActive(1)).to.equal(false);
+    expect(await blocPol.isVotingActive(2)).to.equal(true);
+    expect((await blocPol.getElection(2)).totalVotes).to.equal(1n);
+  });
+
+  it("Should hold every ballot of a paused election without affecting other elections", async function () {
+    await blocPol.createElection("Local");
+    await blocPol.registerCandidate(1, "Alice", "QmHash1");
+    await blocPol.registerCandidate(2, "Bob", "QmHash2");
+    await blocPol.startVotingSession(1, 1000);
+    await blocPol.startCommitRevealSession(2, 1000, 500);
+
+    await expect(blocPol.connect(addr1).pauseElection(1)).to.be.revertedWith("Only admin can perform this action");
+    await expect(blocPol.pauseElection(1)).to.emit(blocPol, "ElectionPaused");
+    await expect(blocPol.pauseElection(1)).to.be.revertedWith("Election already paused");
+    expect((await blocPol.getElection(1)).paused).to.equal(true);
+    expect(await blocPol.isVotingActive(1)).to.equal(false);
+
+    await expect(blocPol.connect(addr1).vote(1, 0, [])).to.be.revertedWith("Election is paused");
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    const signature = await signVote(addr1, 1, 0, deadline);
+    await expect(blocPol.voteBySig(1, 0, addr1.address, deadline, signature, [])).to.be.revertedWith("Election is paused");
+    await expect(blocPol.connect(addr1).voteRanked(1, [0], [])).to.be.revertedWith("Election is paused");
+
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    await blocPol.connect(addr1).commitVote(2, sealVote(2, addr1.address, 1, salt), []);
+    await expect(blocPol.resumeElection(2)).to.be.revertedWith("Election not paused");
+
+    await expect(blocPol.resumeElection(1)).to.emit(blocPol, "ElectionResumed");
+    await blocPol.connect(addr1).vote(1, 0, []);
+    expect(await blocPol.getTotalVotes(0)).to.equal(1n);
+
+    await ethers.provider.send("evm_increaseTime", [1001]);
+    await blocPol.pauseElection(2);
+    await expect(blocPol.revealVote(2, addr1.address, 1, salt)).to.be.revertedWith("Election is paused");
+    await blocPol.resumeElection(2);
+    await blocPol.revealVote(2, addr1.address, 1, salt);
+    expect(await blocPol.getTotalVotes(1)).to.equal(1n);
+  });
+
+  it("Should only take ballots from addresses on the election's voter roll", async function () {
+    const hashPair = (a, b) => ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+    const [leaf1, leaf2] = [addr1, addr2].map((signer) => ethers.solidityPackedKeccak256(["address"], [signer.address]));
+    const root = hashPair(leaf1, leaf2);
+    await blocPol.registerCandidate(1, "Alice", "QmHash1");
+
+    await expect(blocPol.connect(addr1).setVoterRoot(1, root)).to.be.revertedWith("Only admin can perform this action");
+    await expect(blocPol.setVoterRoot(1, root)).to.emit(blocPol, "VoterRootSet").withArgs(1n, root);
+    expect((await blocPol.getElection(1)).voterRoot).to.equal(root);
+    await blocPol.startVotingSession(1, 1000);
+    await expect(blocPol.setVoterRoot(1, ethers.ZeroHash)).to.be.revertedWith("Voting already started");
+
+    await expect(blocPol.connect(owner).vote(1, 0, [])).to.be.revertedWith("Not on the voter roll");
+    await expect(blocPol.connect(addr1).vote(1, 0, [leaf1])).to.be.revertedWith("Not on the voter roll");
+    await blocPol.connect(addr1).vote(1, 0, [leaf2]);
+
+    // The roll is checked against the signing voter, not the relayer
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    const signature = await signVote(addr2, 1, 0, deadline);
+    await expect(blocPol.voteBySig(1, 0, addr2.address, deadline, signature, [leaf2])).to.be.revertedWith("Not on the voter roll");
+    await blocPol.voteBySig(1, 0, addr2.address, deadline, signature, [leaf1]);
+    expect(await blocPol.getTotalVotes(0)).to.equal(2n);
+  });
+
+  it("Should only let the admin create elections and reject unknown election IDs", async function () {
+    await expect(blocPol.connect(addr1).createElection("Local"))
+      .to.be.revertedWith("Only admin can perform this action");
+    await expect(blocPol.createElection("Local"))
+      .to.emit(blocPol, "ElectionCreated").withArgs(2n, "Local");
+    await expect(blocPol.registerCandidate(3, "Carol", "QmHash3"))
+      .to.be.revertedWith("Election does not exist");
+    await expect(blocPol.startVotingSession(0, 1000))
+      .to.be.revertedWith("Election does not exist");
+  });
+
+  it("Should record ranked ballots and count the first choice", async function () {
+    await blocPol.registerCandidate(1, "Alice", "QmHash1");
+    await blocPol.registerCandidate(1, "Bob", "QmHash2");
+    await blocPol.registerCandidate(1, "Carol", "QmHash3");
+    await blocPol.startVotingSession(1, 1000);
+
+    await expect(blocPol.connect(addr1).voteRanked(1, [2, 0, 1], []))
+      .to.emit(blocPol, "RankedVoteCast").withArgs(1n, addr1.address, [2n, 0n, 1n]);
+    expect(await blocPol.getTotalVotes(2)).to.equal(1n);
+    expect(await blocPol.getVotedCandidate(1, addr1.address)).to.equal(2n);
+    expect(await blocPol.getRankedBallot(1, addr1.address)).to.deep.equal([2n, 0n, 1n]);
+
+    await expect(blocPol.connect(addr2).voteRanked(1, [], [])).to.be.revertedWith("Empty ballot");
+    await expect(blocPol.connect(addr2).voteRanked(1, [0, 1, 0], [])).to.be.revertedWith("Candidate ranked twice");
+    await expect(blocPol.connect(addr2).voteRanked(1, [0, 7], [])).to.be.revertedWith("Invalid candidate");
+    await expect(blocPol.connect(addr1).voteRanked(1, [0], [])).to.be.revertedWith("You have already voted");
+  });
+
+  it("Should accept a relayed ranked ballot signed by the voter", async function () {
+    await blocPol.registerCandidate(1, "Alice", "QmHash1");
+    await blocPol.registerCandidate(1, "Bob", "QmHash2");
+    await blocPol.startVotingSession(1, 1000);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = { name: "BlocPol", version: "1", chainId, verifyingContract: await blocPol.getAddress() };
+    const types = {
+      RankedVote: [
+        { name: "voter", type: "address" },
+        { name: "electionId", type: "uint256" },
+        { name: "rankings", type: "uint256[]" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    const ballot = { voter: addr1.address, electionId: 1, rankings: [1, 0], nonce: 0, deadline };
+    const signature = await addr1.signTypedData(domain, types, ballot);
+
+    await expect(blocPol.voteRankedBySig(1, [0, 1], addr1.address, deadline, signature, []))
+      .to.be.revertedWith("Invalid vote signature");
+    await blocPol.voteRankedBySig(1, [1, 0], addr1.address, deadline, signature, []);
+    expect(await blocPol.getRankedBallot(1, addr1.address)).to.deep.equal([1n, 0n]);
+    expect(await blocPol.nonces(addr1.address)).to.equal(1n);
+  });
+
+  function sealVote(electionId, voter, candidateId, salt) {
+    const sealedVote = ethers.solidityPackedKeccak256(["uint256", "address", "uint256"], [electionId, voter, candidateId]);
+    return ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [sealedVote, salt]);
+  }
+
+  it("Should keep commit-reveal ballots sealed until they are revealed", async function () {
+    await blocPol.registerCandidate(1, "Alice", "QmHash1");
+    await blocPol.registerCandidate(1, "Bob", "QmHash2");
+    await blocPol.startCommitRevealSession(1, 1000, 500);
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    const commitment = sealVote(1, addr1.address, 1, salt);
+
+    await expect(blocPol.connect(addr1).vote(1, 1, [])).to.be.revertedWith("Election uses commit-reveal voting");
+    await expect(blocPol.connect(addr1).commitVote(1, commitment, []))
+      .to.emit(blocPol, "VoteCommitted").withArgs(1n, addr1.address, commitment);
+    await expect(blocPol.connect(addr1).commitVote(1, commitment, [])).to.be.revertedWith("Vote already committed");
+    expect(await blocPol.getTotalVotes(1)).to.equal(0n);
+    await expect(blocPol.revealVote(1, addr1.address, 1, salt)).to.be.revertedWith("Not in reveal period");
+
+    await ethers.provider.send("evm_increaseTime", [1001]);
+    await expect(blocPol.connect(addr2).commitVote(1, commitment, [])).to.be.revertedWith("Voting not in allowed period");
+    await expect(blocPol.revealVote(1, addr1.address, 0, salt)).to.be.revertedWith("Reveal does not match commitment");
+    await expect(blocPol.revealVote(1, addr2.address, 1, salt)).to.be.revertedWith("No commitment found");
+    await expect(blocPol.revealVote(1, addr1.address, 1, salt))
+      .to.emit(blocPol, "VoteRevealed").withArgs(1n, addr1.address, 1n);
+    expect(await blocPol.getTotalVotes(1)).to.equal(1n);
+    await expect(blocPol.revealVote(1, addr1.address, 1, salt)).to.be.revertedWith("You have already voted");
+
+    await ethers.provider.send("evm_increaseTime", [500]);
+    await ethers.provider.send("evm_mine", []);
+    await expect(blocPol.revealVote(1, addr1.address, 1, salt)).to.be.revertedWith("Not in reveal period");
+  });
+
+  it("Should accept relayed commitments and open the reveal phase when stopped early", async function () {
+    await blocPol.registerCandidate(1, "Alice", "QmHash1");
+    await blocPol.startCommitRevealSession(1, 1000, 500);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = { name: "BlocPol", version: "1", chainId, verifyingContract: await blocPol.getAddress() };
+    const types = {
+      VoteCommitment: [
+        { name: "voter", type: "address" },
+        { name: "electionId", type: "uint256" },
+        { name: "commitment", type: "bytes32" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    const commitment = sealVote(1, addr1.address, 0, salt);
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    const signature = await addr1.signTypedData(domain, types, { voter: addr1.address, electionId: 1, commitment, nonce: 0, deadline });
+
+    await blocPol.commitVoteBySig(1, commitment, addr1.address, deadline, signature, []);
+    expect(await blocPol.getCommitment(1, addr1.address)).to.equal(commitment);
+
+    await expect(blocPol.stopVotingSession(1)).to.emit(blocPol, "RevealPeriodScheduled");
+    const election = await blocPol.getElection(1);
+    expect(election.revealEndTime - election.votingEndTime).to.equal(500n);
+    await ethers.provider.send("evm_mine", []);
+    await blocPol.revealVote(1, addr1.address, 0, salt);
+    expect(await blocPol.getVotedCandidate(1, addr1.address)).to.equal(0n);
+  });
+
+  it("Should anchor contiguous audit batches and verify entries against them", async function () {
+    const hashPair = (a, b) => ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+    const leaves = [1, 2, 3].map((i) => ethers.sha256(ethers.toUtf8Bytes(`entry ${i}`)));
+    const root = hashPair(hashPair(leaves[0], leaves[1]), leaves[2]);
+
+    await expect(blocPol.connect(addr1).anchorAuditRoot(root, 1, 3)).to.be.revertedWith("Only admin can perform this action");
+    await expect(blocPol.anchorAuditRoot(root, 2, 3)).to.be.revertedWith("Audit batches must be contiguous");
+    await expect(blocPol.anchorAuditRoot(root, 1, 3))
+      .to.emit(blocPol, "AuditRootAnchored").withArgs(1n, root, 1n, 3n);
+    await expect(blocPol.anchorAuditRoot(root, 3, 4)).to.be.revertedWith("Audit batches must be contiguous");
+    expect(await blocPol.auditAnchorCount()).to.equal(1n);
+    expect((await blocPol.getAuditAnchor(1)).merkleRoot).to.equal(root);
+
+    expect(await blocPol.verifyAuditEntry(1, leaves[0], [leaves[1], leaves[2]])).to.equal(true);
+    expect(await blocPol.verifyAuditEntry(1, leaves[2], [hashPair(leaves[0], leaves[1])])).to.equal(true);
+    expect(await blocPol.verifyAuditEntry(1, leaves[1], [leaves[2]])).to.equal(false);
+    await expect(blocPol.verifyAuditEntry(2, leaves[0], [])).to.be.revertedWith("Audit batch does not exist");
+  });
+
+  it("Should certify results once voting is over and keep the election closed afterwards", async function () {
+    const resultHash = ethers.sha256(ethers.toUtf8Bytes("results"));
+    const signers = [owner.address, addr2.address];
+    await blocPol.registerCandidate(1, "Alice", "");
+    await blocPol.startVotingSession(1, 3600);
+    await blocPol.connect(addr1).vote(1, 0, []);
+
+    await expect(blocPol.certifyResult(1, resultHash, signers)).to.be.revertedWith("Voting still active");
+    await blocPol.stopVotingSession(1);
+    await expect(blocPol.connect(addr1).certifyResult(1, resultHash, signers)).to.be.revertedWith("Only admin can perform this action");
+    await expect(blocPol.certifyResult(1, resultHash, [])).to.be.revertedWith("Signers required");
+    await expect(blocPol.certifyResult(1, resultHash, signers))
+      .to.emit(blocPol, "ResultCertified").withArgs(1n, resultHash, signers);
+    await expect(blocPol.certifyResult(1, resultHash, signers)).to.be.revertedWith("Results already certified");
+    await expect(blocPol.startVotingSession(1, 3600)).to.be.revertedWith("Results already certified");
+
+    const certification = await blocPol.getResultCertification(1);
+    expect(certification.resultHash).to.equal(resultHash);
+    expect(certification.signerCount).to.equal(2n);
+  });
+
+  it("Should certify a commit-reveal election that ran to its end without being stopped", async function () {
+    const resultHash = ethers.sha256(ethers.toUtf8Bytes("results"));
+    await blocPol.registerCandidate(1, "Alice", "");
+    await blocPol.startCommitRevealSession(1, 1000, 500);
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    await blocPol.connect(addr1).commitVote(1, sealVote(1, addr1.address, 0, salt), []);
+
+    await ethers.provider.send("evm_increaseTime", [1001]);
+    await blocPol.revealVote(1, addr1.address, 0, salt);
+    await expect(blocPol.certifyResult(1, resultHash, [owner.address])).to.be.revertedWith("Reveal period not over");
+
+    await ethers.provider.send("evm_increaseTime", [500]);
+    await ethers.provider.send("evm_mine", []);
+    expect((await blocPol.getElection(1)).votingActive).to.equal(true);
+    await expect(blocPol.certifyResult(1, resultHash, [owner.address]))
+      .to.emit(blocPol, "ResultCertified").withArgs(1n, resultHash, [owner.address]);
+  });
+});